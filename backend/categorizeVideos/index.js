@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Cloud Function triggered by Pub/Sub to assign categories from a
+ * fixed taxonomy to stored videos, using Gemini. `getWatchLaterPlaylist` stores
+ * every video with `geminiCategories: []` and `lastCategorized: null`; each run
+ * picks up a bounded number of those, asks the model to categorise them in
+ * batches, and writes the results back. The categories are shown in the chat
+ * context and as filter chips in the frontend.
+ */
+const { Datastore } = require('@google-cloud/datastore');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const datastore = new Datastore();
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+
+// Constants
+const VIDEOS_KIND = 'Videos';
+const CATEGORIZATION_MODEL = process.env.CATEGORIZATION_MODEL || 'gemini-2.5-flash';
+const MAX_VIDEOS_PER_RUN = parseInt(process.env.MAX_VIDEOS_PER_CATEGORIZATION, 10) || 500; // The rest wait for the next run
+const BATCH_SIZE = 25; // Videos per model request
+const MAX_CATEGORIES_PER_VIDEO = 3;
+const MAX_DESCRIPTION_CHARS = 500; // Enough to categorise by; keeps the prompt small
+const FALLBACK_CATEGORY = 'Other';
+
+// Kept small and fixed so categories are comparable across videos and users, and usable as filter chips.
+const CATEGORY_TAXONOMY = [
+  'Technology',
+  'Programming',
+  'Science',
+  'Education',
+  'History',
+  'News & Politics',
+  'Finance',
+  'Health & Fitness',
+  'Cooking',
+  'Travel',
+  'DIY & Crafts',
+  'Art & Design',
+  'Music',
+  'Film & TV',
+  'Gaming',
+  'Comedy',
+  'Sports',
+  'Automotive',
+  'Lifestyle',
+  FALLBACK_CATEGORY,
+];
+
+const CATEGORIZATION_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    videos: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          videoId: { type: 'string', description: 'The video ID, exactly as given.' },
+          categories: {
+            type: 'array',
+            description: `Between 1 and ${MAX_CATEGORIES_PER_VIDEO} categories, most relevant first.`,
+            items: { type: 'string', format: 'enum', enum: CATEGORY_TAXONOMY },
+          },
+        },
+        required: ['videoId', 'categories'],
+      },
+    },
+  },
+  required: ['videos'],
+};
+
+const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
+
+/**
+ * Builds the prompt for one batch of videos.
+ * @param {Array<object>} videos The `Videos` entities to categorise.
+ * @returns {string} The prompt.
+ */
+function buildCategorizationPrompt(videos) {
+  const videoList = videos.map((v) => ({
+    videoId: v.videoId,
+    title: v.title || '',
+    channel: v.channelTitle || '',
+    topics: Array.isArray(v.topicCategories) ? v.topicCategories : [],
+    description: (v.description || '').substring(0, MAX_DESCRIPTION_CHARS),
+  }));
+  return [
+    `Assign each YouTube video below between 1 and ${MAX_CATEGORIES_PER_VIDEO} categories, most relevant first.`,
+    `Use only these categories: ${CATEGORY_TAXONOMY.join(', ')}.`,
+    `Use "${FALLBACK_CATEGORY}" only if none of the others fit. Return one entry for every video.`,
+    '',
+    `Videos (JSON format):\n${JSON.stringify(videoList, null, 2)}`,
+  ].join('\n');
+}
+
+/**
+ * Keeps the taxonomy categories from a model answer, de-duplicated and capped at
+ * MAX_CATEGORIES_PER_VIDEO. An answer with none falls back to FALLBACK_CATEGORY.
+ * @param {*} categories The `categories` the model returned for one video.
+ * @returns {Array<string>} The categories to store.
+ */
+function normalizeCategories(categories) {
+  const valid = Array.isArray(categories) ? categories.filter((c) => CATEGORY_TAXONOMY.includes(c)) : [];
+  const unique = Array.from(new Set(valid)).slice(0, MAX_CATEGORIES_PER_VIDEO);
+  return unique.length > 0 ? unique : [FALLBACK_CATEGORY];
+}
+
+/**
+ * Asks the model to categorise one batch of videos.
+ * @param {Array<object>} videos The `Videos` entities to categorise.
+ * @returns {Promise<Map<string, Array<string>>>} Categories by video ID. Videos the model
+ *     left out, or answered for with an unknown ID, are missing.
+ */
+async function categorizeBatch(videos) {
+  const model = genAI.getGenerativeModel({ model: CATEGORIZATION_MODEL });
+  const result = await model.generateContent({
+    contents: [{ role: 'user', parts: [{ text: buildCategorizationPrompt(videos) }] }],
+    generationConfig: {
+      responseMimeType: 'application/json',
+      responseSchema: CATEGORIZATION_RESPONSE_SCHEMA,
+      temperature: 0,
+    },
+  });
+  const parsed = JSON.parse(result.response.text());
+  const batchIds = new Set(videos.map((v) => v.videoId));
+  const categoriesById = new Map();
+  for (const item of (parsed && Array.isArray(parsed.videos) ? parsed.videos : [])) {
+    if (item && batchIds.has(item.videoId) && !categoriesById.has(item.videoId)) {
+      categoriesById.set(item.videoId, normalizeCategories(item.categories));
+    }
+  }
+  return categoriesById;
+}
+
+/**
+ * Categorises up to MAX_VIDEOS_PER_RUN videos that have never been categorised
+ * (`lastCategorized` is null), BATCH_SIZE per model request. Each video gets
+ * `geminiCategories` (1 to MAX_CATEGORIES_PER_VIDEO names from CATEGORY_TAXONOMY)
+ * and `lastCategorized`. Videos are global, so one run serves every user who has
+ * them in a playlist. A batch the model fails on, and videos it leaves out, stay
+ * uncategorised and are retried on the next run.
+ * Triggered by a Pub/Sub message (e.g. from Cloud Scheduler); its content is ignored.
+ *
+ * @param {{data: string}} pubSubEvent The event payload (not used).
+ * @param {object} context The event metadata (not directly used by this function's core logic).
+ */
+exports.categorizeVideos = async (pubSubEvent, context) => {
+  if (!genAI) {
+    console.error('[CATEGORIZE] GEMINI_API_KEY is not set. Skipping categorisation.');
+    return;
+  }
+  try {
+    // 1. Find videos that have never been categorised
+    const query = datastore.createQuery(VIDEOS_KIND)
+      .filter('lastCategorized', '=', null)
+      .limit(MAX_VIDEOS_PER_RUN);
+    const [uncategorized] = await datastore.runQuery(query);
+    console.log(`[CATEGORIZE] Found ${uncategorized.length} uncategorised videos (limit ${MAX_VIDEOS_PER_RUN}).`);
+
+    let categorizedCount = 0;
+    for (let i = 0; i < uncategorized.length; i += BATCH_SIZE) {
+      const batch = uncategorized.slice(i, i + BATCH_SIZE);
+
+      // 2. Ask the model
+      let categoriesById;
+      try {
+        categoriesById = await categorizeBatch(batch);
+      } catch (error) {
+        console.error(`[CATEGORIZE] Model request failed for batch starting at ${i}:`, error.message);
+        continue;
+      }
+      if (categoriesById.size < batch.length) {
+        console.warn(`[CATEGORIZE] Model returned categories for ${categoriesById.size} of ${batch.length} videos; the rest are retried next run.`);
+      }
+      if (categoriesById.size === 0) continue;
+
+      // 3. Write back onto the current entities, so fields updated since the query are kept
+      const keys = Array.from(categoriesById.keys()).map((id) => datastore.key([VIDEOS_KIND, id]));
+      const [currentVideos] = await datastore.get(keys);
+      const now = new Date();
+      const updates = currentVideos.map((videoData) => ({
+        key: datastore.key([VIDEOS_KIND, videoData.videoId]),
+        data: { ...videoData, geminiCategories: categoriesById.get(videoData.videoId), lastCategorized: now },
+        excludeFromIndexes: ['description', 'thumbnailUrl', 'embedding[]'],
+      }));
+      await datastore.upsert(updates);
+      categorizedCount += updates.length;
+    }
+    console.log(`[CATEGORIZE] Categorised ${categorizedCount} of ${uncategorized.length} videos with ${CATEGORIZATION_MODEL}.`);
+  } catch (error) {
+    console.error('[CATEGORIZE] Error categorising videos:', error.message, error.stack);
+  }
+};
@@ -2,7 +2,8 @@
  * @fileoverview Handles user authorization for the ReelWorthy application.
  * Verifies Firebase ID tokens, checks against an email allow-list in Datastore,
  * determines if the user's YouTube account is linked, checks the status of
- * their subscription feed cache, and fetches available Gemini AI models.
+ * their subscription feed cache, and fetches the AI models available from each
+ * configured LLM provider (Gemini and/or an OpenAI-compatible endpoint).
  */
 const express = require('express');
 const compression = require('compression'); // Renamed
@@ -36,18 +37,122 @@ const AUTHORIZED_EMAIL_KIND = 'AuthorizedEmail';
 const TOKEN_KIND = 'Tokens';
 const USER_SUBSCRIPTION_FEED_CACHE_KIND = 'UserSubscriptionFeedCache';
 const THIRTEEN_HOURS_IN_MS = 13 * 60 * 60 * 1000;
+// Scopes that let modifyPlaylistItems change the user's playlists.
+const YOUTUBE_WRITE_SCOPES = ['https://www.googleapis.com/auth/youtube.force-ssl', 'https://www.googleapis.com/auth/youtube'];
 
 const https = require('https'); // For direct HTTPS call
+const http = require('http'); // For local OpenAI-compatible endpoints served over plain HTTP
 
 // GEMINI_API_KEY should be set as an environment variable for this function
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-// Removed commented-out genAI initialization block
+// Optional OpenAI-compatible endpoint (e.g. Ollama at http://localhost:11434/v1), matching gemini-chat-service's config.
+const OPENAI_COMPAT_BASE_URL = process.env.OPENAI_COMPAT_BASE_URL;
+const OPENAI_COMPAT_API_KEY = process.env.OPENAI_COMPAT_API_KEY;
+// gemini-chat-service routes model IDs with this prefix to the OpenAI-compatible endpoint.
+const OPENAI_COMPAT_MODEL_PREFIX = 'openai-compatible/';
+// Sign-in waits for the model lists, so an unreachable provider must not stall it.
+const MODEL_LIST_TIMEOUT_MS = parseInt(process.env.MODEL_LIST_TIMEOUT_MS, 10) || 5000;
 
 /**
- * HTTP Cloud Function to check user authorization and retrieve available Gemini models.
+ * Fetches the Gemini models that support content generation.
+ * @return {Promise<string[]>} Model names (e.g. 'models/gemini-2.5-flash'), or an empty array on any error.
+ */
+async function fetchGeminiModels() {
+  console.log("Fetching available Gemini models using direct HTTPS request...");
+  const options = {
+    hostname: 'generativelanguage.googleapis.com',
+    path: `/v1beta/models?key=${GEMINI_API_KEY}`,
+    method: 'GET',
+    headers: { 'Content-Type': 'application/json' }
+  };
+
+  const modelNames = await new Promise((resolve) => {
+    const req = https.request(options, (apiRes) => {
+      let data = '';
+      apiRes.on('data', (chunk) => { data += chunk; });
+      apiRes.on('end', () => {
+        try {
+          if (apiRes.statusCode === 200) {
+            const parsedData = JSON.parse(data);
+            resolve((parsedData.models || [])
+                .filter(m => m.name && m.name.startsWith('models/gemini-') &&
+                             (m.supportedGenerationMethods || []).includes('generateContent'))
+                .map(m => m.name)
+                .sort((a, b) => b.localeCompare(a)));
+          } else {
+            console.error(`Error fetching models via HTTPS: ${apiRes.statusCode} ${apiRes.statusMessage}`, data);
+            resolve([]); // Resolve with empty on API error
+          }
+        } catch (e) {
+          console.error('Error parsing model list response from HTTPS:', e.message, data);
+          resolve([]); // Resolve with empty on parse error
+        }
+      });
+    });
+    req.on('error', (e) => {
+      console.error('Error making HTTPS request for models:', e.message);
+      resolve([]); // Resolve with empty on request error
+    });
+    // Destroying the request emits 'error' above, which resolves with an empty list.
+    req.setTimeout(MODEL_LIST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`No response within ${MODEL_LIST_TIMEOUT_MS} ms.`));
+    });
+    req.end();
+  });
+  console.log(`Fetched ${modelNames.length} Gemini models via HTTPS.`);
+  return modelNames;
+}
+
+/**
+ * Fetches the models served by the OpenAI-compatible endpoint (its `/models` route).
+ * @return {Promise<string[]>} Model IDs prefixed with OPENAI_COMPAT_MODEL_PREFIX, or an empty array on any error.
+ */
+async function fetchOpenAiCompatibleModels() {
+  console.log(`Fetching available models from OpenAI-compatible endpoint ${OPENAI_COMPAT_BASE_URL}...`);
+  const url = new URL(`${OPENAI_COMPAT_BASE_URL.replace(/\/+$/, '')}/models`);
+  const client = url.protocol === 'http:' ? http : https;
+  const headers = {'Content-Type': 'application/json'};
+  if (OPENAI_COMPAT_API_KEY) headers.Authorization = `Bearer ${OPENAI_COMPAT_API_KEY}`;
+
+  const modelIds = await new Promise((resolve) => {
+    const req = client.request(url, {method: 'GET', headers}, (apiRes) => {
+      let data = '';
+      apiRes.on('data', (chunk) => { data += chunk; });
+      apiRes.on('end', () => {
+        try {
+          if (apiRes.statusCode === 200) {
+            resolve((JSON.parse(data).data || [])
+                .filter(m => m.id)
+                .map(m => `${OPENAI_COMPAT_MODEL_PREFIX}${m.id}`)
+                .sort());
+          } else {
+            console.error(`Error fetching OpenAI-compatible models: ${apiRes.statusCode} ${apiRes.statusMessage}`, data);
+            resolve([]);
+          }
+        } catch (e) {
+          console.error('Error parsing OpenAI-compatible model list:', e.message, data);
+          resolve([]);
+        }
+      });
+    });
+    req.on('error', (e) => {
+      console.error('Error requesting OpenAI-compatible models:', e.message);
+      resolve([]);
+    });
+    req.setTimeout(MODEL_LIST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`No response within ${MODEL_LIST_TIMEOUT_MS} ms; is ${OPENAI_COMPAT_BASE_URL} reachable from this function?`));
+    });
+    req.end();
+  });
+  console.log(`Fetched ${modelIds.length} models from the OpenAI-compatible endpoint.`);
+  return modelIds;
+}
+
+/**
+ * HTTP Cloud Function to check user authorization and retrieve available AI models.
  * Expects a Firebase ID token in the Authorization header (Bearer token).
  * Verifies the token, extracts the email, checks against an allow-list in Datastore,
- * checks YouTube linkage, and fetches a list of available Gemini models.
+ * checks YouTube linkage, and fetches the models available from each configured LLM provider.
  *
  * @param {Object} req Cloud Function request context.
  * @param {Object} res Cloud Function response context.
@@ -93,6 +198,8 @@ const handleCheckUserAuthorization = async (req, res) => {
       const [tokenEntity] = await datastore.get(tokenKey);
 
       const youtubeLinked = !!(tokenEntity && tokenEntity.refresh_token);
+      const grantedScopes = youtubeLinked ? (tokenEntity.scope || '').split(' ') : [];
+      const youtubeWriteAccess = YOUTUBE_WRITE_SCOPES.some(scope => grantedScopes.includes(scope));
 
       // Check UserSubscriptionFeedCache
       let isSubscriptionFeedReady = false;
@@ -113,68 +220,29 @@ const handleCheckUserAuthorization = async (req, res) => {
         }
       }
 
-      let availableGeminiModels = [];
+      const modelListRequests = [];
       if (GEMINI_API_KEY) {
-        try {
-            console.log("Fetching available Gemini models using direct HTTPS request...");
-            const options = {
-                hostname: 'generativelanguage.googleapis.com',
-                path: `/v1beta/models?key=${GEMINI_API_KEY}`,
-                method: 'GET',
-                headers: { 'Content-Type': 'application/json' }
-            };
-
-            availableGeminiModels = await new Promise((resolve, reject) => {
-                const req = https.request(options, (apiRes) => {
-                    let data = '';
-                    apiRes.on('data', (chunk) => { data += chunk; });
-                    apiRes.on('end', () => {
-                        try {
-                            if (apiRes.statusCode === 200) {
-                                const parsedData = JSON.parse(data);
-                                const modelNames = (parsedData.models || [])
-                                    .filter(m => m.name && m.name.startsWith('models/gemini-') &&
-                                                 (m.supportedGenerationMethods || []).includes('generateContent'))
-                                    .map(m => m.name)
-                                    .sort((a, b) => b.localeCompare(a));
-                                resolve(modelNames);
-                            } else {
-                                console.error(`Error fetching models via HTTPS: ${apiRes.statusCode} ${apiRes.statusMessage}`, data);
-                                resolve([]); // Resolve with empty on API error
-                            }
-                        } catch (e) {
-                            console.error('Error parsing model list response from HTTPS:', e.message, data);
-                            resolve([]); // Resolve with empty on parse error
-                        }
-                    });
-                });
-                req.on('error', (e) => {
-                    console.error('Error making HTTPS request for models:', e.message);
-                    resolve([]); // Resolve with empty on request error
-                });
-                req.end();
-            });
-            console.log(`Fetched ${availableGeminiModels.length} Gemini models via HTTPS.`);
-        } catch (modelError) {
-            console.error("Failed to fetch Gemini models (HTTPS attempt):", modelError.message, modelError.stack);
-            availableGeminiModels = []; // Ensure it's an empty array on error
-        }
+        modelListRequests.push(fetchGeminiModels());
       } else {
-        console.warn("GEMINI_API_KEY is not available. Skipping model fetch.");
-        availableGeminiModels = [];
+        console.warn("GEMINI_API_KEY is not available. Skipping Gemini model fetch.");
+      }
+      if (OPENAI_COMPAT_BASE_URL) {
+        modelListRequests.push(fetchOpenAiCompatibleModels());
       }
+      const availableModels = (await Promise.all(modelListRequests)).flat();
 
       return res.status(200).send({
         authorized: true,
         email: userEmail,
         uid: decodedToken.uid,
         youtubeLinked: youtubeLinked,
+        youtubeWriteAccess: youtubeWriteAccess,
         isSubscriptionFeedReady: isSubscriptionFeedReady, // Add new flag
-        availableModels: availableGeminiModels,
+        availableModels: availableModels,
       });
     } else {
       // Email is not in the allow-list
-      return res.status(403).send({authorized: false, error: 'User email not authorized.', youtubeLinked: false, isSubscriptionFeedReady: false, availableModels: []});
+      return res.status(403).send({authorized: false, error: 'User email not authorized.', youtubeLinked: false, youtubeWriteAccess: false, isSubscriptionFeedReady: false, availableModels: []});
     }
   } catch (error) {
     console.error('Error verifying Firebase ID token, checking Datastore, or fetching models:', error);
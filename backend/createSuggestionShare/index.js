@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Cloud Function that snapshots a chat answer (the query, the
+ * answer text and the suggested videos with their reasons) under an
+ * unguessable share ID, so it can be sent to someone else. getSuggestionShare
+ * serves the snapshot to anyone with the ID until it expires.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+const admin = require('firebase-admin');
+
+const app = express();
+app.use(compressionMiddleware());
+
+// Initialize Firebase Admin SDK
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for createSuggestionShare.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in createSuggestionShare:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+
+const datastore = new Datastore();
+// Keyed by the share ID; read by getSuggestionShare.
+const SUGGESTION_SHARE_KIND = 'SuggestionShare';
+const SUGGESTION_SHARE_EXCLUDE_FROM_INDEXES = [
+  'query', 'answer', 'videos[].title', 'videos[].channelTitle', 'videos[].thumbnailUrl', 'videos[].reason', 'videos[].quote',
+];
+const EXPIRY_DAYS_OPTIONS = [1, 7, 30];
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_SHARED_VIDEOS = 100;
+const MAX_QUERY_LENGTH = 1000;
+const MAX_ANSWER_LENGTH = 5000;
+const MAX_FIELD_LENGTH = 1000;
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates the body of a request.
+ * @param {object} body The request body.
+ * @return {string|null} An error message, or null if the request is valid.
+ */
+function validateRequest(body) {
+  const {query, answer, videos, expiresInDays} = body;
+  if (typeof query !== 'string' || !query.trim() || query.length > MAX_QUERY_LENGTH) {
+    return `query must be a non-empty string of at most ${MAX_QUERY_LENGTH} characters.`;
+  }
+  if (answer !== undefined && answer !== null && typeof answer !== 'string') {
+    return 'answer must be a string.';
+  }
+  if (!Array.isArray(videos) || videos.length === 0 || videos.length > MAX_SHARED_VIDEOS) {
+    return `videos must be an array of 1 to ${MAX_SHARED_VIDEOS} suggestions.`;
+  }
+  if (!videos.every(v => v && typeof v.videoId === 'string' && VIDEO_ID_PATTERN.test(v.videoId))) {
+    return 'Every video needs a valid videoId.';
+  }
+  if (expiresInDays !== undefined && !EXPIRY_DAYS_OPTIONS.includes(expiresInDays)) {
+    return `expiresInDays must be one of ${EXPIRY_DAYS_OPTIONS.join(', ')}.`;
+  }
+  return null;
+}
+
+/**
+ * Returns a string field of a client-sent video, cut to a safe length.
+ * @param {*} value The field value.
+ * @return {string|null} The string, or null if the field is not a non-empty string.
+ */
+function toSharedString(value) {
+  return typeof value === 'string' && value ? value.substring(0, MAX_FIELD_LENGTH) : null;
+}
+
+/**
+ * Keeps the fields of a suggested video that a shared list shows. The viewer's
+ * browser loads the thumbnail, so only https thumbnails are kept.
+ * @param {object} video A suggested video, as the chat service sent it in `STREAM_END`.
+ * @return {object} The video as stored in the share.
+ */
+function toSharedVideo(video) {
+  const thumbnailUrl = toSharedString(video.thumbnailUrl);
+  return {
+    videoId: video.videoId,
+    title: toSharedString(video.title) || '',
+    channelTitle: toSharedString(video.channelTitle) || '',
+    thumbnailUrl: thumbnailUrl && thumbnailUrl.startsWith('https://') ? thumbnailUrl : null,
+    duration: toSharedString(video.duration),
+    publishedAt: toSharedString(video.publishedAt),
+    reason: toSharedString(video.reason) || '',
+    startSeconds: Number.isInteger(video.startSeconds) && video.startSeconds >= 0 ? video.startSeconds : null,
+    quote: toSharedString(video.quote),
+  };
+}
+
+/**
+ * HTTP Cloud Function that shares a chat answer as a read-only list.
+ * Authenticates the user with a Firebase ID token. Body:
+ *   - `query`: the query that was answered.
+ *   - `answer` (optional): the answer text.
+ *   - `videos`: the suggested videos, as sent in `STREAM_END` (`videoId`, `title`,
+ *     `channelTitle`, `thumbnailUrl`, `duration`, `publishedAt`, `reason`,
+ *     `startSeconds`, `quote`); other fields, such as the sharer's video states,
+ *     are not stored.
+ *   - `expiresInDays` (optional): 1, 7 (the default) or 30.
+ * Responds with `{shareId, expiresAt}`. The share ID is 128 random bits; anyone
+ * who has it can read the list through getSuggestionShare until it expires.
+ *
+ * @param {object} req The HTTP request object.
+ *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleCreateSuggestionShare = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({error: 'Unauthorized: Missing or invalid Firebase ID token.'});
+  }
+  const idToken = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    return res.status(401).json({error: 'Unauthorized: Invalid Firebase ID token.'});
+  }
+  const firebaseUid = decodedToken.uid;
+
+  const request = req.body || {};
+  const validationError = validateRequest(request);
+  if (validationError) {
+    return res.status(400).json({error: validationError});
+  }
+
+  try {
+    const createdAt = new Date();
+    const share = {
+      shareId: crypto.randomBytes(16).toString('base64url'),
+      userId: firebaseUid,
+      query: request.query.trim(),
+      answer: request.answer ? request.answer.substring(0, MAX_ANSWER_LENGTH) : null,
+      videos: request.videos.map(toSharedVideo),
+      createdAt,
+      expiresAt: new Date(createdAt.getTime() + (request.expiresInDays || DEFAULT_EXPIRY_DAYS) * DAY_IN_MS),
+    };
+    await datastore.save({
+      key: datastore.key([SUGGESTION_SHARE_KIND, share.shareId]),
+      data: share,
+      excludeFromIndexes: SUGGESTION_SHARE_EXCLUDE_FROM_INDEXES,
+    });
+    console.log(`[SHARE] Created share ${share.shareId} of ${share.videos.length} videos for UID ${firebaseUid}, expiring ${share.expiresAt.toISOString()}.`);
+    res.status(200).json({shareId: share.shareId, expiresAt: share.expiresAt.toISOString()});
+  } catch (error) {
+    console.error(`[SHARE] Error creating share for UID ${firebaseUid}:`, error.message, error.stack);
+    res.status(500).json({error: 'Failed to create share link.'});
+  }
+};
+
+app.all('/', handleCreateSuggestionShare);
+
+exports.createSuggestionShare = app;
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Turns the rows exportVideos assembles into CSV, JSON and
+ * Markdown documents. Kept separate from the handler so the formats can be
+ * tested without Datastore.
+ */
+
+// Column order of the CSV export; the JSON export uses the same field names.
+const CSV_COLUMNS = [
+  'videoId', 'title', 'url', 'channelTitle', 'publishedAt', 'duration', 'durationSeconds',
+  'categories', 'reason', 'watched', 'dismissed', 'snoozedUntil', 'rating',
+];
+
+// Spreadsheet apps run a cell starting with one of these as a formula.
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Formats a duration the way the chat service shows it, e.g. `01:02:03` or `04:05`.
+ * @param {number|null} totalSeconds The duration in seconds.
+ * @return {string} The formatted duration, or an empty string if unknown.
+ */
+function formatDuration(totalSeconds) {
+  if (typeof totalSeconds !== 'number' || isNaN(totalSeconds)) return '';
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = Math.floor(totalSeconds % 60);
+  return `${h > 0 ? String(h).padStart(2, '0') + ':' : ''}${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+/**
+ * Escapes one CSV cell (RFC 4180), neutralizing cells a spreadsheet would run as a formula.
+ * @param {*} value The cell value.
+ * @return {string} The escaped cell.
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.some(prefix => text.startsWith(prefix))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV export, one row per video.
+ * @param {{videos: Array<object>}} exportData The export.
+ * @return {string} The CSV document, with a header row and CRLF line endings.
+ */
+function toCsv(exportData) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const video of exportData.videos) {
+    lines.push(CSV_COLUMNS.map(column => toCsvCell(video[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Builds a JSON export.
+ * @param {{title: string, source: string, exportedAt: Date, videos: Array<object>}} exportData The export.
+ * @return {string} The JSON document.
+ */
+function toJson(exportData) {
+  return `${JSON.stringify({...exportData, exportedAt: exportData.exportedAt.toISOString()}, null, 2)}\n`;
+}
+
+/**
+ * Escapes text for use inside a Markdown list item or link text.
+ * @param {string} text The text.
+ * @return {string} The escaped text, on one line.
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/\s+/g, ' ').replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+/**
+ * Builds a Markdown reading list: one task-list item per video, ticked when
+ * the user has watched it.
+ * @param {{title: string, exportedAt: Date, videos: Array<object>}} exportData The export.
+ * @return {string} The Markdown document.
+ */
+function toMarkdown(exportData) {
+  const lines = [
+    `# ${escapeMarkdown(exportData.title)}`,
+    '',
+    `_${exportData.videos.length} video${exportData.videos.length === 1 ? '' : 's'}, exported ${exportData.exportedAt.toISOString().substring(0, 10)}._`,
+    '',
+  ];
+  for (const video of exportData.videos) {
+    const details = [video.channelTitle, video.duration, video.publishedAt && video.publishedAt.substring(0, 10)]
+        .filter(Boolean).map(escapeMarkdown);
+    lines.push(`- [${video.watched ? 'x' : ' '}] [${escapeMarkdown(video.title)}](${video.url})${details.length ? ` - ${details.join(' · ')}` : ''}`);
+    if (video.reason) lines.push(`  - Why: ${escapeMarkdown(video.reason)}`);
+    if (video.categories.length) lines.push(`  - Categories: ${video.categories.map(escapeMarkdown).join(', ')}`);
+    const state = [
+      video.rating ? `rated ${video.rating}/5` : null,
+      video.dismissed ? 'dismissed' : null,
+      video.snoozedUntil ? `snoozed until ${video.snoozedUntil.substring(0, 10)}` : null,
+    ].filter(Boolean);
+    if (state.length) lines.push(`  - You ${state.join(', ')}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Per format: the serializer, the response Content-Type and the file extension.
+const FORMATS = {
+  csv: {serialize: toCsv, contentType: 'text/csv; charset=utf-8', extension: 'csv'},
+  json: {serialize: toJson, contentType: 'application/json; charset=utf-8', extension: 'json'},
+  markdown: {serialize: toMarkdown, contentType: 'text/markdown; charset=utf-8', extension: 'md'},
+};
+
+module.exports = {FORMATS, formatDuration, toCsv, toJson, toMarkdown};
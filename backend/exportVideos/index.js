@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Cloud Function that exports a synced playlist, or a list of
+ * chat suggestions, as a CSV, JSON or Markdown file. Each exported video has
+ * its channel, publish date, duration and AI categories, the reason it was
+ * suggested (suggestions only) and the calling user's watched, dismissed,
+ * snoozed-until and rating state.
+ */
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+const admin = require('firebase-admin');
+const {FORMATS, formatDuration} = require('./formatters');
+
+const app = express();
+app.use(compressionMiddleware());
+
+// Initialize Firebase Admin SDK
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for exportVideos.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in exportVideos:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+
+const datastore = new Datastore();
+const VIDEOS_KIND = 'Videos';
+// Keyed by `${uid}:${playlistId}`; written by getWatchLaterPlaylist when a sync completes.
+const USER_PLAYLIST_SYNC_KIND = 'UserPlaylistSync';
+// Keyed by `${uid}:${videoId}`; written by setUserVideoState.
+const USER_VIDEO_STATE_KIND = 'UserVideoState';
+// Keyed by uid; suggestions can come from the user's subscription feed, whose videos are not `Videos` entities.
+const FEED_CACHE_KIND = 'UserSubscriptionFeedCache';
+const SOURCES = ['playlist', 'suggestions'];
+// The chat service suggests at most a few dozen videos per answer.
+const MAX_SUGGESTIONS = 200;
+const MAX_TITLE_LENGTH = 200;
+const DATASTORE_MAX_KEYS_PER_LOOKUP = 1000;
+
+/**
+ * Validates the body of a request.
+ * @param {object} body The request body.
+ * @return {string|null} An error message, or null if the request is valid.
+ */
+function validateRequest(body) {
+  const {format, source, playlistId, suggestions, title} = body;
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    return `format must be one of ${Object.keys(FORMATS).join(', ')}.`;
+  }
+  if (!SOURCES.includes(source)) {
+    return `source must be one of ${SOURCES.join(', ')}.`;
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+    return `title must be a string of at most ${MAX_TITLE_LENGTH} characters.`;
+  }
+  if (source === 'playlist') {
+    return typeof playlistId === 'string' && playlistId ? null : 'Missing playlistId.';
+  }
+  if (!Array.isArray(suggestions) || suggestions.length === 0 || suggestions.length > MAX_SUGGESTIONS) {
+    return `suggestions must be an array of 1 to ${MAX_SUGGESTIONS} items.`;
+  }
+  if (!suggestions.every(s => s && typeof s.videoId === 'string' && s.videoId)) {
+    return 'Every suggestion needs a videoId.';
+  }
+  return null;
+}
+
+/**
+ * Loads the videos of one of the user's synced playlists, in playlist order.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @param {string} playlistId The playlist ID.
+ * @return {Promise<Array<object>|null>} The `Videos` entities, or null if the user has not synced the playlist.
+ */
+async function loadPlaylistVideos(firebaseUid, playlistId) {
+  const associationKey = `${firebaseUid}:${playlistId}`;
+  const [syncRecord] = await datastore.get(datastore.key([USER_PLAYLIST_SYNC_KIND, associationKey]));
+  if (!syncRecord) return null;
+  const query = datastore.createQuery(VIDEOS_KIND).filter('userPlaylistAssociations', '=', associationKey);
+  const [entities] = await datastore.runQuery(query);
+  // The sync record lists the playlist's items in order; videos it does not list go last.
+  const positions = new Map((syncRecord.pages || [])
+      .flatMap(page => page.items || []).map((item, index) => [item.videoId, index]));
+  const positionOf = video => (positions.has(video.videoId) ? positions.get(video.videoId) : Infinity);
+  return entities.filter(video => !video.unavailable).sort((a, b) => positionOf(a) - positionOf(b));
+}
+
+/**
+ * Loads the videos of a list of suggestions, keeping each suggestion's reason.
+ * A suggested video is read from `Videos`, or else from the user's subscription
+ * feed; one found in neither keeps just the title the client sent.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @param {Array<{videoId: string, reason: (string|undefined), title: (string|undefined)}>} suggestions The suggestions.
+ * @return {Promise<Array<object>>} The videos, in suggestion order, each with its `reason`.
+ */
+async function loadSuggestedVideos(firebaseUid, suggestions) {
+  const videoIds = [...new Set(suggestions.map(s => s.videoId))];
+  const [[entities], [feedCache]] = await Promise.all([
+    datastore.get(videoIds.map(id => datastore.key([VIDEOS_KIND, id]))),
+    datastore.get(datastore.key([FEED_CACHE_KIND, firebaseUid])),
+  ]);
+  const videosById = new Map(((feedCache && feedCache.videos) || []).map(video => [video.videoId, video]));
+  entities.filter(Boolean).forEach(video => videosById.set(video.videoId, video));
+  return suggestions.map(suggestion => ({
+    ...(videosById.get(suggestion.videoId) || {videoId: suggestion.videoId, title: suggestion.title}),
+    reason: typeof suggestion.reason === 'string' ? suggestion.reason : '',
+  }));
+}
+
+/**
+ * Loads the user's state for each of a list of videos.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @param {Array<string>} videoIds The video IDs.
+ * @return {Promise<Map<string, object>>} The stored `UserVideoState` entities, by video ID.
+ */
+async function loadVideoStates(firebaseUid, videoIds) {
+  // A synced playlist can hold thousands of videos, so the lookup is batched to stay within Datastore's key limit.
+  const states = new Map();
+  for (let i = 0; i < videoIds.length; i += DATASTORE_MAX_KEYS_PER_LOOKUP) {
+    const keys = videoIds.slice(i, i + DATASTORE_MAX_KEYS_PER_LOOKUP)
+        .map(id => datastore.key([USER_VIDEO_STATE_KIND, `${firebaseUid}:${id}`]));
+    const [results] = await datastore.get(keys);
+    results.filter(Boolean).forEach(state => states.set(state.videoId, state));
+  }
+  return states;
+}
+
+/**
+ * Converts a video and the user's state for it to an export row.
+ * @param {object} video The video, with a `reason` if it was suggested.
+ * @param {object|undefined} state The user's `UserVideoState` for it, if any.
+ * @return {object} The row; fields are listed in formatters.js.
+ */
+function toExportRow(video, state) {
+  const durationSeconds = typeof video.durationSeconds === 'number' ? video.durationSeconds : null;
+  return {
+    videoId: video.videoId,
+    title: video.title || '',
+    url: `https://www.youtube.com/watch?v=${video.videoId}`,
+    channelTitle: video.channelTitle || '',
+    publishedAt: video.publishedAt ? new Date(video.publishedAt).toISOString() : null,
+    duration: formatDuration(durationSeconds),
+    durationSeconds,
+    categories: video.geminiCategories || [],
+    reason: video.reason || null,
+    watched: !!(state && state.watched),
+    dismissed: !!(state && state.dismissed),
+    snoozedUntil: state && state.snoozedUntil ? new Date(state.snoozedUntil).toISOString() : null,
+    rating: (state && state.rating) || null,
+  };
+}
+
+/**
+ * Builds the download file name from the export title and date.
+ * @param {string} title The export title.
+ * @param {Date} exportedAt When the export was made.
+ * @param {string} extension The file extension.
+ * @return {string} The file name, e.g. `watch-later-2024-06-01.csv`.
+ */
+function buildFileName(title, exportedAt, extension) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60) || 'videos';
+  return `${slug}-${exportedAt.toISOString().substring(0, 10)}.${extension}`;
+}
+
+/**
+ * HTTP Cloud Function that exports videos as a file download.
+ * Authenticates the user with a Firebase ID token. Body:
+ *   - `format`: `csv`, `json` or `markdown` (a reading list).
+ *   - `source`: `playlist` to export a whole synced playlist, or `suggestions`.
+ *   - `playlistId` (playlist): the playlist; the user must have synced it.
+ *   - `suggestions` (suggestions): `[{videoId, reason, title}]`, as the chat returned them.
+ *   - `title` (optional): the export title, used in the Markdown heading and file name.
+ * Responds with the file and a `Content-Disposition: attachment` header naming it;
+ * the header is exposed to the browser through CORS. Unavailable videos are left
+ * out of playlist exports.
+ *
+ * @param {object} req The HTTP request object.
+ *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleExportVideos = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.set('Access-Control-Expose-Headers', 'Content-Disposition');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({error: 'Unauthorized: Missing or invalid Firebase ID token.'});
+  }
+  const idToken = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    return res.status(401).json({error: 'Unauthorized: Invalid Firebase ID token.'});
+  }
+  const firebaseUid = decodedToken.uid;
+
+  const request = req.body || {};
+  const validationError = validateRequest(request);
+  if (validationError) {
+    return res.status(400).json({error: validationError});
+  }
+  const {format, source} = request;
+
+  try {
+    let videos;
+    if (source === 'playlist') {
+      videos = await loadPlaylistVideos(firebaseUid, request.playlistId);
+      if (!videos) {
+        return res.status(404).json({error: 'Playlist not found. Sync it before exporting it.'});
+      }
+    } else {
+      videos = await loadSuggestedVideos(firebaseUid, request.suggestions);
+    }
+    const states = await loadVideoStates(firebaseUid, [...new Set(videos.map(video => video.videoId))]);
+
+    const exportedAt = new Date();
+    const title = (request.title || '').trim() || (source === 'playlist' ? `Playlist ${request.playlistId}` : 'Suggested videos');
+    const exportData = {
+      title,
+      source,
+      exportedAt,
+      videos: videos.map(video => toExportRow(video, states.get(video.videoId))),
+    };
+    const {serialize, contentType, extension} = FORMATS[format];
+    console.log(`[EXPORT] Exported ${exportData.videos.length} videos (${source}) as ${format} for UID ${firebaseUid}.`);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${buildFileName(title, exportedAt, extension)}"`);
+    res.status(200).send(serialize(exportData));
+  } catch (error) {
+    console.error(`[EXPORT] Error exporting ${source} as ${format} for UID ${firebaseUid}:`, error.message, error.stack);
+    res.status(500).json({error: 'Failed to export videos.'});
+  }
+};
+
+app.all('/', handleExportVideos);
+
+exports.exportVideos = app;
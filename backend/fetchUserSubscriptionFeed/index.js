@@ -3,14 +3,19 @@
  * non-short videos from a user's YouTube channel subscriptions.
  * It handles OAuth token refresh, interacts with the YouTube Data API
  * to get subscription and video details, and stores the processed video
- * list in Datastore under the UserSubscriptionFeedCache kind.
+ * list in Datastore under the UserSubscriptionFeedCache kind. Once the cache
+ * is refreshed, it asks runSavedSearches to check the new videos against the
+ * user's saved searches.
  */
 const { Datastore } = require('@google-cloud/datastore');
+const { PubSub } = require('@google-cloud/pubsub');
 const { google } = require('googleapis');
 const { OAuth2Client } = require('google-auth-library');
 
 const datastore = new Datastore();
+const pubsub = new PubSub();
 const youtube = google.youtube('v3');
+const SAVED_SEARCH_TOPIC = 'saved-search-run-requests'; // Triggers runSavedSearches
 
 // Retrieve YouTube API credentials from environment variables
 const YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID;
@@ -43,12 +48,30 @@ function parseISO8601Duration(isoDuration) {
   return (days * 24 * 3600) + (hours * 3600) + (minutes * 60) + seconds;
 }
 
+/**
+ * Publishes a request to run a user's saved searches against their refreshed feed.
+ * A failed publish is logged, not thrown: the feed itself was cached, and the
+ * searches run again after the next refresh.
+ * @param {string} userId The user whose feed was refreshed.
+ * @returns {Promise<void>}
+ */
+async function requestSavedSearchRun(userId) {
+  try {
+    const messageBuffer = Buffer.from(JSON.stringify({ userId: userId }));
+    await pubsub.topic(SAVED_SEARCH_TOPIC).publishMessage({ data: messageBuffer });
+    console.log(`Published saved search run request for userId: ${userId}`);
+  } catch (pubError) {
+    console.error(`Failed to publish saved search run request for userId ${userId}:`, pubError);
+  }
+}
+
 /**
  * Fetches and caches up to MAX_VIDEOS_TO_CACHE most recent, non-short videos
  * from a user's YouTube subscriptions. It processes VIDEOS_PER_SUBSCRIPTION_CHANNEL
  * videos from each subscribed channel, aggregates them, sorts by publication date,
  * fetches full details, filters out videos with duration less than or equal to
- * DURATION_THRESHOLD_SECONDS, and stores the result in Datastore.
+ * DURATION_THRESHOLD_SECONDS, and stores the result in Datastore. Then it
+ * requests a saved search run for the user (see requestSavedSearchRun).
  * Triggered by a Pub/Sub message containing the userId.
  *
  * @param {{data: string}} pubSubEvent The event payload, where `data` is a base64-encoded JSON string
@@ -261,6 +284,9 @@ exports.fetchUserSubscriptionFeed = async (pubSubEvent, context) => {
 
     console.log(`Successfully cached ${nonShortEnrichedVideos.length} non-short videos for userId: ${userId}`);
 
+    // 9. Check the refreshed feed against the user's saved searches
+    await requestSavedSearchRun(userId);
+
   } catch (error) {
     console.error(`Error processing subscription feed for userId ${userId || 'UNKNOWN'}:`, error);
     // Depending on the error, might want to implement more specific error handling or retries
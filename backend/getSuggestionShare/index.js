@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Cloud Function that serves a shared chat answer, created by
+ * createSuggestionShare, to anyone with its share ID. It needs no sign-in and
+ * does not check the allow-list: the unguessable ID is the only credential.
+ */
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+
+const app = express();
+app.use(compressionMiddleware());
+
+const datastore = new Datastore();
+// Keyed by the share ID; written by createSuggestionShare.
+const SUGGESTION_SHARE_KIND = 'SuggestionShare';
+// createSuggestionShare makes 16 random bytes, base64url-encoded.
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+/**
+ * HTTP Cloud Function that returns a shared list. Body: `{shareId}`.
+ * Responds with `{share: {query, answer, videos, createdAt, expiresAt}}`; the
+ * sharer's UID is not returned. Responds 404 for an unknown share ID and 410
+ * once the share has expired. Expired shares are deleted when they are next
+ * read (a Datastore TTL policy on `expiresAt` can delete the rest).
+ *
+ * @param {object} req The HTTP request object.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleGetSuggestionShare = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const {shareId} = req.body || {};
+  if (typeof shareId !== 'string' || !SHARE_ID_PATTERN.test(shareId)) {
+    return res.status(400).json({error: 'Missing or invalid shareId.'});
+  }
+
+  try {
+    const shareKey = datastore.key([SUGGESTION_SHARE_KIND, shareId]);
+    const [share] = await datastore.get(shareKey);
+    if (!share) {
+      return res.status(404).json({error: 'Share link not found.'});
+    }
+    if (new Date(share.expiresAt) <= new Date()) {
+      await datastore.delete(shareKey);
+      console.log(`[SHARE] Deleted expired share ${shareId}.`);
+      return res.status(410).json({error: 'This share link has expired.'});
+    }
+    res.set('Cache-Control', 'private, max-age=300');
+    res.status(200).json({share: {
+      query: share.query,
+      answer: share.answer || null,
+      videos: share.videos || [],
+      createdAt: new Date(share.createdAt).toISOString(),
+      expiresAt: new Date(share.expiresAt).toISOString(),
+    }});
+  } catch (error) {
+    console.error(`[SHARE] Error reading share ${shareId}:`, error.message, error.stack);
+    res.status(500).json({error: 'Failed to load the shared list.'});
+  }
+};
+
+app.all('/', handleGetSuggestionShare);
+
+exports.getSuggestionShare = app;
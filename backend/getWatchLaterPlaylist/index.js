@@ -2,7 +2,8 @@
  * @fileoverview Cloud Function to fetch a YouTube playlist's items,
  * synchronize them with Datastore (including video details like duration),
  * and manage associations between videos and playlists.
- * It handles YouTube API authentication, token refresh, and data transformation.
+ * It handles YouTube API authentication, token refresh, and data transformation,
+ * and caches a text embedding per video for the chat service's semantic pre-filter.
  */
 const express = require('express');
 const compressionMiddleware = require('compression'); // Renamed to avoid conflict if 'compression' is used as a var
@@ -10,6 +11,8 @@ const {Datastore} = require('@google-cloud/datastore');
 const {OAuth2Client} = require('google-auth-library');
 const {google} = require('googleapis');
 const admin = require('firebase-admin');
+const {getEmbeddingProvider, videoToEmbeddingText} = require('./embeddings');
+const {updateManyVideoAssociations} = require('./videoAssociations');
 
 // Create an Express app
 const app = express();
@@ -31,8 +34,30 @@ if (admin.apps.length === 0) {
 }
 
 const datastore = new Datastore();
+const embeddingProvider = getEmbeddingProvider();
 const TOKEN_KIND = 'Tokens';
 const VIDEOS_KIND = 'Videos';
+// Records which users have synced which playlists; the chat service uses it to authorize sessions.
+const USER_PLAYLIST_SYNC_KIND = 'UserPlaylistSync';
+// The sync record's ETags and page contents are only read back by key, never queried.
+const SYNC_RECORD_EXCLUDE_FROM_INDEXES = [
+  'playlistEtag',
+  'pages[].pageToken',
+  'pages[].nextPageToken',
+  'pages[].etag',
+  'pages[].items[].videoId',
+  'pages[].items[].etag',
+];
+// A sync of a playlist too large for one invocation, in progress. Keyed like `UserPlaylistSync`
+// and deleted once the sync completes, so a half-synced playlist never authorizes a chat session.
+const PLAYLIST_SYNC_CURSOR_KIND = 'PlaylistSyncCursor';
+const SYNC_CURSOR_EXCLUDE_FROM_INDEXES = [...SYNC_RECORD_EXCLUDE_FROM_INDEXES, 'addedVideoIds[]', 'totalResults'];
+// Pages of 50 items; the default of 20 pages (1,000 items) keeps each invocation well inside the function timeout.
+const SYNC_MAX_PAGES_PER_INVOCATION = parseInt(process.env.SYNC_MAX_PAGES_PER_INVOCATION, 10) || 20;
+// A cursor that has not advanced for this long belongs to an abandoned sync and is discarded.
+const SYNC_CURSOR_TTL_MS = 30 * 60 * 1000;
+// Datastore limit on keys per lookup.
+const DATASTORE_MAX_KEYS_PER_LOOKUP = 1000;
 
 // Environment variables for YouTube API
 const YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID;
@@ -78,19 +103,149 @@ function parseISO8601Duration(durationString) {
   return (days * 24 * 60 * 60) + (hours * 60 * 60) + (minutes * 60) + seconds;
 }
 
+/**
+ * Builds the key identifying one user's association with one playlist.
+ * Used both for `Videos.userPlaylistAssociations` entries and `UserPlaylistSync` keys.
+ * @param {string} firebaseUid The Firebase User ID that owns the association.
+ * @param {string} playlistId The YouTube playlist ID.
+ * @return {string} The association key, in the form `${firebaseUid}:${playlistId}`.
+ */
+function userPlaylistAssociationKey(firebaseUid, playlistId) {
+  return `${firebaseUid}:${playlistId}`;
+}
+
+/**
+ * Calls a YouTube Data API list method, sending `If-None-Match` when an ETag from a
+ * previous sync is known.
+ * @param {function(object): Promise<object>} listMethod Calls the list method with the given params.
+ * @param {object} params The list parameters.
+ * @param {string|null|undefined} etag The ETag of the previous response, if any.
+ * @return {Promise<object|null>} The response, or null if YouTube answered 304 Not Modified.
+ */
+async function listIfModified(listMethod, params, etag) {
+  if (!etag) {
+    return listMethod(params);
+  }
+  // googleapis resolves (rather than rejects) 304 responses.
+  const response = await listMethod({...params, headers: {'If-None-Match': etag}});
+  return response.status === 304 ? null : response;
+}
+
+/**
+ * Extracts the Datastore fields that come from a playlist item's snippet.
+ * @param {object} playlistItem A `youtube#playlistItem` resource.
+ * @return {object} The video fields.
+ */
+function playlistItemFields(playlistItem) {
+  const snippet = playlistItem.snippet;
+  return {
+    title: snippet.title,
+    description: snippet.description,
+    publishedAt: snippet.publishedAt,
+    addedToPlaylistAt: snippet.publishedAt,
+    thumbnailUrl: snippet.thumbnails?.default?.url,
+    channelId: snippet.videoOwnerChannelId || snippet.channelId,
+    channelTitle: snippet.videoOwnerChannelTitle || snippet.channelTitle,
+  };
+}
+
+/**
+ * Converts a stored video entity into the shape returned to the frontend.
+ * @param {object} videoData The `Videos` entity data.
+ * @return {object} The video for the frontend.
+ */
+function toFrontendVideo(videoData) {
+  return {
+    videoId: videoData.videoId,
+    title: videoData.title,
+    description: videoData.description,
+    publishedAt: videoData.publishedAt,
+    addedToPlaylistAt: videoData.addedToPlaylistAt,
+    thumbnailUrl: videoData.thumbnailUrl,
+    channelId: videoData.channelId,
+    channelTitle: videoData.channelTitle,
+    durationSeconds: videoData.durationSeconds,
+    geminiCategories: videoData.geminiCategories || [],
+  };
+}
+
+/**
+ * Looks up `Videos` entities by ID, in batches that stay within Datastore's per-lookup key limit.
+ * @param {Array<string>} videoIds The video IDs.
+ * @return {Promise<Map<string, object>>} The stored videos that were found, by video ID.
+ */
+async function getStoredVideos(videoIds) {
+  const storedVideos = new Map();
+  for (let i = 0; i < videoIds.length; i += DATASTORE_MAX_KEYS_PER_LOOKUP) {
+    const keys = videoIds.slice(i, i + DATASTORE_MAX_KEYS_PER_LOOKUP).map(id => datastore.key([VIDEOS_KIND, id]));
+    const [results] = await datastore.get(keys);
+    results.filter(Boolean).forEach(v => storedVideos.set(v.videoId, v));
+  }
+  return storedVideos;
+}
+
+/**
+ * Strips a fetched page down to the fields kept in the sync record and cursor.
+ * @param {object} page A page as returned by the handler's `fetchPage`.
+ * @return {{pageToken: (string|null), nextPageToken: (string|null), etag: string, items: Array<object>}} The stored page.
+ */
+function toStoredPage({pageToken, nextPageToken, etag, items}) {
+  return {pageToken, nextPageToken, etag, items};
+}
+
+/**
+ * Builds the `UserPlaylistSync` entity recording a completed sync, including the
+ * ETags needed to make the next sync incremental.
+ * @param {object} params The sync results.
+ * @param {string} params.firebaseUid The user's Firebase UID.
+ * @param {string} params.playlistId The playlist ID.
+ * @param {string|null} params.playlistEtag ETag of the `playlists.list` response for this playlist.
+ * @param {Array<object>} params.pages The fetched pages (`{pageToken, nextPageToken, etag, items}`).
+ * @return {object} The entity to save.
+ */
+function buildSyncRecord({firebaseUid, playlistId, playlistEtag, pages}) {
+  return {
+    key: datastore.key([USER_PLAYLIST_SYNC_KIND, userPlaylistAssociationKey(firebaseUid, playlistId)]),
+    data: {
+      userId: firebaseUid,
+      playlistId: playlistId,
+      itemCount: pages.reduce((count, page) => count + page.items.length, 0),
+      lastSyncedAt: new Date(),
+      playlistEtag: playlistEtag,
+      pages: pages.map(toStoredPage),
+    },
+    excludeFromIndexes: SYNC_RECORD_EXCLUDE_FROM_INDEXES,
+  };
+}
+
 /**
  * HTTP Cloud Function to fetch items from a specific YouTube playlist.
  * It synchronizes video data with Datastore, including fetching full video details
- * like duration, and manages video-playlist associations using an 'associatedPlaylistIds'
- * array on each video entity. Stale associations or video entities (if no longer
- * in any associated playlist) are removed from Datastore.
+ * like duration, and manages video-playlist associations using a 'userPlaylistAssociations'
+ * array of `${uid}:${playlistId}` keys on each video entity, so each user's sync only
+ * adds or removes their own associations. Stale associations or video entities (if no
+ * longer in any user's playlist) are removed from Datastore. Entities still carrying the
+ * legacy, user-less 'associatedPlaylistIds' array are migrated as they are synced.
+ *
+ * Syncs are incremental: the playlist's ETag and each page's and item's ETags are kept
+ * in the user's 'UserPlaylistSync' record. If the playlist and its first page are
+ * unchanged (304 Not Modified), the videos are served from Datastore; otherwise only
+ * pages whose ETag changed are downloaded, and only changed items are rewritten.
+ *
+ * Syncs are resumable: each invocation processes at most SYNC_MAX_PAGES_PER_INVOCATION
+ * pages and saves its position in a 'PlaylistSyncCursor' entity, so playlists of any
+ * size are synced over several requests without running into the function timeout.
+ * The client repeats the request until the response's 'complete' is true.
  *
  * Requires a Firebase ID token in the Authorization header for user authentication,
  * and a 'playlistId' in the JSON request body.
  *
- * Responds with a JSON object containing a 'videos' array, where each video
- * object includes details like videoId, title, description, thumbnails,
- * channel information, and durationSeconds.
+ * Responds with a JSON object containing 'complete' and 'progress' ({synced, total}
+ * item counts). While more pages remain, that is all it contains. The final response
+ * also has a 'videos' array, where each video object includes details like videoId,
+ * title, description, thumbnails, channel information, and durationSeconds, and a
+ * 'changes' object ({firstSync, unchanged, added: videoId[], removed: videoId[]})
+ * describing what changed since the user's previous sync of this playlist.
  *
  * @param {object} req The HTTP request object. Expected body: { playlistId: string }.
  *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
@@ -132,6 +287,7 @@ const handleGetWatchLaterPlaylist = async (req, res) => {
   }
 
   console.log(`[SYNC] Starting sync for playlist ${playlistId}, UID: ${firebaseUid}`);
+  const associationKey = userPlaylistAssociationKey(firebaseUid, playlistId);
 
   const tokens = await getTokens(firebaseUid);
   if (!tokens) {
@@ -149,62 +305,110 @@ const handleGetWatchLaterPlaylist = async (req, res) => {
   const youtube = google.youtube({version: 'v3', auth: oauth2Client});
 
   try {
-    // 1. Fetch Current YouTube Playlist Items (basic details)
-    let allYouTubePlaylistItems = [];
-    let nextPageToken = null;
+    const syncRecordKey = datastore.key([USER_PLAYLIST_SYNC_KIND, associationKey]);
+    const cursorKey = datastore.key([PLAYLIST_SYNC_CURSOR_KIND, associationKey]);
+    const [[previousSync], [storedCursor]] = await Promise.all([datastore.get(syncRecordKey), datastore.get(cursorKey)]);
+    const previousPages = (previousSync && Array.isArray(previousSync.pages)) ? previousSync.pages : [];
+    const cursor = (storedCursor && Date.now() - new Date(storedCursor.updatedAt).getTime() < SYNC_CURSOR_TTL_MS) ? storedCursor : null;
+    if (storedCursor && !cursor) {
+      console.warn(`[SYNC] Discarding stale cursor for playlist ${playlistId} (last advanced ${storedCursor.updatedAt}). Starting over.`);
+    }
     const MAX_RESULTS_PER_PAGE = 50;
-    console.log(`[SYNC] Fetching playlist items from YouTube for playlist ${playlistId}`);
-    do {
-      const response = await youtube.playlistItems.list({
+
+    // 0. Short-circuit: if neither the playlist (whose ETag covers its item count) nor its first page
+    //    has changed since the last sync, answer from Datastore without walking the remaining pages.
+    //    A resumed sync skips this; its cursor already holds the playlist's ETag.
+    const playlistResponse = cursor ? null : await listIfModified(params => youtube.playlists.list(params),
+        {part: 'contentDetails', id: playlistId}, previousSync && previousSync.playlistEtag);
+    // Playlists YouTube does not list (e.g. Watch Later) have no usable ETag and are never short-circuited.
+    let playlistEtag;
+    if (cursor) {
+      playlistEtag = cursor.playlistEtag;
+    } else if (playlistResponse) {
+      playlistEtag = playlistResponse.data.items && playlistResponse.data.items.length > 0 ? playlistResponse.data.etag : null;
+    } else {
+      playlistEtag = previousSync.playlistEtag;
+    }
+    if (!cursor && !playlistResponse && previousPages.length > 0) {
+      const firstPageResponse = await listIfModified(params => youtube.playlistItems.list(params),
+          {part: 'snippet,contentDetails', playlistId: playlistId, maxResults: MAX_RESULTS_PER_PAGE}, previousPages[0].etag);
+      if (!firstPageResponse) {
+        const storedVideoIds = previousPages.flatMap(page => page.items.map(item => item.videoId));
+        const storedVideosMap = await getStoredVideos(storedVideoIds);
+        // Only trusted if every video is still stored with this user's association; otherwise fall through to a full sync.
+        if (storedVideoIds.every(id => (storedVideosMap.get(id)?.userPlaylistAssociations || []).includes(associationKey))) {
+          await datastore.save({key: syncRecordKey, data: {...previousSync, lastSyncedAt: new Date()}, excludeFromIndexes: SYNC_RECORD_EXCLUDE_FROM_INDEXES});
+          console.log(`[SYNC] Playlist ${playlistId} unchanged since last sync (ETag match). Served ${storedVideoIds.length} videos from Datastore.`);
+          return res.status(200).json({
+            complete: true,
+            progress: {synced: storedVideoIds.length, total: storedVideoIds.length},
+            videos: storedVideoIds.map(id => toFrontendVideo(storedVideosMap.get(id))),
+            changes: {firstSync: false, unchanged: true, added: [], removed: []},
+          });
+        }
+        console.warn(`[SYNC] Playlist ${playlistId} unchanged but stored videos are incomplete. Running a full sync.`);
+      }
+    }
+
+    // 1. Fetch Current YouTube Playlist Items, page by page, continuing from the cursor if this sync is
+    //    resuming. A page whose ETag matches the last sync (same page token, 304 Not Modified) is reused
+    //    from the sync record instead of re-downloaded. At most SYNC_MAX_PAGES_PER_INVOCATION pages are
+    //    processed per invocation; the rest are left to the next request via the cursor.
+    const fetchPage = async (pageToken, etag) => {
+      const response = await listIfModified(params => youtube.playlistItems.list(params), {
         part: 'snippet,contentDetails', // snippet.resourceId.videoId, snippet.title, snippet.description, snippet.publishedAt (item add date)
         playlistId: playlistId,
         maxResults: MAX_RESULTS_PER_PAGE,
-        pageToken: nextPageToken,
-      });
-      if (response.data.items) allYouTubePlaylistItems = allYouTubePlaylistItems.concat(response.data.items);
-      nextPageToken = response.data.nextPageToken;
-    } while (nextPageToken && allYouTubePlaylistItems.length < 1000);
-    console.log(`[SYNC] Fetched ${allYouTubePlaylistItems.length} items from YouTube.`);
-    const currentYouTubeVideoIds = new Set(allYouTubePlaylistItems.map(item => item.snippet.resourceId.videoId));
-
-    // 2. Fetch Existing Videos from Datastore
-    //    a) Videos currently associated with this playlistId
-    //    b) All videos that are in the current YouTube playlist (to get their existing full data)
-    const videosAssociatedQuery = datastore.createQuery(VIDEOS_KIND).filter('associatedPlaylistIds', '=', playlistId);
-    const [videosCurrentlyAssociatedInDs] = await datastore.runQuery(videosAssociatedQuery);
-    const videosCurrentlyAssociatedInDsMap = new Map(videosCurrentlyAssociatedInDs.map(v => [v.videoId, v]));
-    console.log(`[SYNC] Found ${videosCurrentlyAssociatedInDs.length} videos in Datastore currently associated with playlist ${playlistId}.`);
-
-    const existingVideoKeysToFetch = Array.from(currentYouTubeVideoIds).map(id => datastore.key([VIDEOS_KIND, id]));
-    let existingVideosFromDs = [];
-    if (existingVideoKeysToFetch.length > 0) {
-        const [results] = await datastore.get(existingVideoKeysToFetch);
-        existingVideosFromDs = results.filter(Boolean); // Filter out nulls for videos not found
-    }
-    const existingVideosMap = new Map(existingVideosFromDs.map(v => [v.videoId, v]));
+        pageToken: pageToken,
+      }, etag);
+      if (!response) return null;
+      const playlistItems = response.data.items || [];
+      return {
+        pageToken: pageToken,
+        nextPageToken: response.data.nextPageToken || null,
+        etag: response.data.etag,
+        items: playlistItems.map(item => ({videoId: item.snippet.resourceId.videoId, etag: item.etag})),
+        playlistItems: playlistItems, // Only present on pages downloaded in this sync
+        totalResults: response.data.pageInfo?.totalResults,
+      };
+    };
+
+    const completedPages = cursor ? cursor.pages : []; // Pages processed by earlier invocations of this sync
+    const pages = [];
+    let nextPageToken = completedPages.length > 0 ? completedPages[completedPages.length - 1].nextPageToken : null;
+    let totalResults = cursor ? cursor.totalResults : (previousSync ? previousSync.itemCount : null);
+    console.log(`[SYNC] Fetching playlist items from YouTube for playlist ${playlistId}` +
+      (cursor ? `, resuming after ${completedPages.length} pages` : ''));
+    do {
+      const previousPage = previousPages[completedPages.length + pages.length];
+      const reusable = previousPage && previousPage.pageToken === nextPageToken;
+      const page = (await fetchPage(nextPageToken, reusable ? previousPage.etag : null)) || {...previousPage, playlistItems: null};
+      if (Number.isInteger(page.totalResults)) totalResults = page.totalResults;
+      pages.push(page);
+      nextPageToken = page.nextPageToken;
+    } while (nextPageToken && pages.length < SYNC_MAX_PAGES_PER_INVOCATION);
+    const isFinalChunk = !nextPageToken;
+    const chunkVideoIds = Array.from(new Set(pages.flatMap(page => page.items.map(item => item.videoId))));
+    const reusedPageCount = pages.filter(page => !page.playlistItems).length;
+    console.log(`[SYNC] Fetched ${chunkVideoIds.length} items from YouTube (${pages.length} pages, ${reusedPageCount} unchanged).`);
+    const previousItemEtags = new Map(previousPages.flatMap(page => page.items.map(item => [item.videoId, item.etag])));
+
+    // 2. Fetch the existing full data of the videos on this chunk's pages from Datastore.
+    const existingVideosMap = await getStoredVideos(chunkVideoIds);
     console.log(`[SYNC] Fetched ${existingVideosMap.size} existing video entities from Datastore for current YouTube playlist items.`);
 
-    // 3. Handle Stale Associations/Deletions
-    const datastoreEntitiesToUpdate = []; // For entities that need their associatedPlaylistIds updated
-    const datastoreKeysToDelete = [];   // For entities that should be deleted entirely
-    for (const [videoId, videoData] of videosCurrentlyAssociatedInDsMap) {
-      if (!currentYouTubeVideoIds.has(videoId)) { // Video removed from YouTube playlist
-        const updatedAssociatedPlaylists = (videoData.associatedPlaylistIds || []).filter(pId => pId !== playlistId);
-        if (updatedAssociatedPlaylists.length === 0) {
-          datastoreKeysToDelete.push(datastore.key([VIDEOS_KIND, videoId]));
-          console.log(`[SYNC] Marking video ${videoId} for deletion (no longer in any associated playlists).`);
-        } else {
-          // Create a new object for update to avoid modifying the object from videosCurrentlyAssociatedInDsMap directly
-          const updatedVideoData = {...videoData, associatedPlaylistIds: updatedAssociatedPlaylists};
-          datastoreEntitiesToUpdate.push({key: datastore.key([VIDEOS_KIND, videoId]), data: updatedVideoData});
-          console.log(`[SYNC] Updating video ${videoId}, removing association with playlist ${playlistId}.`);
-        }
+    // 2b. Unchanged pages carry only video IDs; their details come from Datastore. Re-download any
+    //     unchanged page whose videos are missing there so they can be rebuilt.
+    for (let i = 0; i < pages.length; i++) {
+      if (!pages[i].playlistItems && pages[i].items.some(item => !existingVideosMap.has(item.videoId))) {
+        console.warn(`[SYNC] Unchanged page ${completedPages.length + i} has videos missing from Datastore. Re-fetching it.`);
+        pages[i] = await fetchPage(pages[i].pageToken, null);
       }
     }
 
-    // 4. Identify Videos Needing Full Detail Fetch from youtube.videos.list
+    // 3. Identify Videos Needing Full Detail Fetch from youtube.videos.list
     const videoIdsNeedingFullDetails = [];
-    for (const videoId of currentYouTubeVideoIds) {
+    for (const videoId of chunkVideoIds) {
       const existingVideo = existingVideosMap.get(videoId);
       if (!existingVideo || existingVideo.durationSeconds === null || existingVideo.durationSeconds === undefined) {
         videoIdsNeedingFullDetails.push(videoId);
@@ -212,7 +416,7 @@ const handleGetWatchLaterPlaylist = async (req, res) => {
     }
     console.log(`[SYNC] Identified ${videoIdsNeedingFullDetails.length} videos needing full detail fetch.`);
 
-    // 5. Fetch Full Details for Needed Videos
+    // 4. Fetch Full Details for Needed Videos
     const fullVideoDetailsMap = new Map();
     if (videoIdsNeedingFullDetails.length > 0) {
       for (let i = 0; i < videoIdsNeedingFullDetails.length; i += MAX_RESULTS_PER_PAGE) {
@@ -223,79 +427,176 @@ const handleGetWatchLaterPlaylist = async (req, res) => {
       console.log(`[SYNC] Fetched full details for ${fullVideoDetailsMap.size} videos.`);
     }
 
-    // 6. Prepare Datastore Upserts (for current items) & Data for Frontend
-    const videosForFrontend = [];
+    // 5. Prepare Datastore Upserts (for current items) & Data for Frontend.
+    //    Items whose ETag is unchanged, whose entity already carries this user's association and a current
+    //    embedding, and that needed no new details are left as they are. Videos not yet associated with
+    //    this user's copy of the playlist (or its legacy, user-less association) are the ones added.
+    const chunkVideosForFrontend = [];
     const datastoreEntitiesToUpsert = []; // Primarily for new/updated current items
+    const addedVideoIds = cursor ? [...cursor.addedVideoIds] : [];
+
+    for (const page of pages) {
+      const playlistItemsById = new Map((page.playlistItems || []).map(item => [item.snippet.resourceId.videoId, item]));
+      for (const {videoId, etag} of page.items) {
+        const existingVideoData = existingVideosMap.get(videoId) || {};
+        const fullYtVideoDetails = fullVideoDetailsMap.get(videoId);
+        const playlistItem = playlistItemsById.get(videoId);
+        // Items on unchanged pages keep the snippet fields stored by the sync that downloaded them.
+        const itemFields = playlistItem ? playlistItemFields(playlistItem) : existingVideoData;
+
+        let durationSeconds = existingVideoData.durationSeconds;
+        if (fullYtVideoDetails && fullYtVideoDetails.contentDetails?.duration) {
+          durationSeconds = parseISO8601Duration(fullYtVideoDetails.contentDetails.duration);
+        } else if (durationSeconds === undefined) {
+            durationSeconds = null;
+        }
 
-    for (const playlistItem of allYouTubePlaylistItems) {
-      const videoId = playlistItem.snippet.resourceId.videoId;
-      const existingVideoData = existingVideosMap.get(videoId) || {}; 
-      const fullYtVideoDetails = fullVideoDetailsMap.get(videoId); 
+        const existingAssociations = existingVideoData.userPlaylistAssociations || [];
+        const associations = new Set(existingAssociations);
+        associations.add(associationKey);
+        // This user's association now supersedes any legacy, user-less one for the same playlist.
+        const existingLegacyPlaylists = existingVideoData.associatedPlaylistIds || [];
+        const legacyPlaylists = existingLegacyPlaylists.filter(pId => pId !== playlistId);
+        if (!existingAssociations.includes(associationKey) && existingLegacyPlaylists.length === legacyPlaylists.length &&
+            !addedVideoIds.includes(videoId)) {
+          addedVideoIds.push(videoId);
+        }
 
-      let durationSeconds = existingVideoData.durationSeconds;
-      if (fullYtVideoDetails && fullYtVideoDetails.contentDetails?.duration) {
-        durationSeconds = parseISO8601Duration(fullYtVideoDetails.contentDetails.duration);
-      } else if (durationSeconds === undefined) {
-          durationSeconds = null; 
-      }
-      
-      const associatedPlaylists = new Set(existingVideoData.associatedPlaylistIds || []);
-      associatedPlaylists.add(playlistId);
-
-      const finalVideoDataForDatastore = {
-        ...existingVideoData, 
-        videoId: videoId,
-        title: fullYtVideoDetails?.snippet?.title || playlistItem.snippet.title, 
-        description: fullYtVideoDetails?.snippet?.description || playlistItem.snippet.description, 
-        publishedAt: fullYtVideoDetails?.snippet?.publishedAt || playlistItem.snippet.publishedAt, 
-        addedToPlaylistAt: playlistItem.snippet.publishedAt, 
-        thumbnailUrl: playlistItem.snippet.thumbnails?.default?.url,
-        channelId: playlistItem.snippet.videoOwnerChannelId || playlistItem.snippet.channelId,
-        channelTitle: playlistItem.snippet.videoOwnerChannelTitle || playlistItem.snippet.channelTitle,
-        durationSeconds: durationSeconds,
-        associatedPlaylistIds: Array.from(associatedPlaylists),
-        viewCount: existingVideoData.viewCount !== undefined ? existingVideoData.viewCount : (fullYtVideoDetails?.statistics?.viewCount || null),
-        likeCount: existingVideoData.likeCount !== undefined ? existingVideoData.likeCount : (fullYtVideoDetails?.statistics?.likeCount || null),
-        topicCategories: existingVideoData.topicCategories || (fullYtVideoDetails?.topicDetails?.topicCategories?.map(tc => tc.replace('https://en.wikipedia.org/wiki/', '')) || []),
-        geminiCategories: existingVideoData.geminiCategories || [],
-        lastCategorized: existingVideoData.lastCategorized !== undefined ? existingVideoData.lastCategorized : null,
-      };
-      datastoreEntitiesToUpsert.push({ 
-        key: datastore.key([VIDEOS_KIND, videoId]), 
-        data: finalVideoDataForDatastore,
-        excludeFromIndexes: ['description', 'thumbnailUrl'] 
-      });
+        const finalVideoDataForDatastore = {
+          ...existingVideoData,
+          videoId: videoId,
+          title: fullYtVideoDetails?.snippet?.title || itemFields.title,
+          description: fullYtVideoDetails?.snippet?.description || itemFields.description,
+          publishedAt: fullYtVideoDetails?.snippet?.publishedAt || itemFields.publishedAt,
+          addedToPlaylistAt: itemFields.addedToPlaylistAt,
+          thumbnailUrl: itemFields.thumbnailUrl,
+          channelId: itemFields.channelId,
+          channelTitle: itemFields.channelTitle,
+          durationSeconds: durationSeconds,
+          userPlaylistAssociations: Array.from(associations),
+          associatedPlaylistIds: legacyPlaylists,
+          viewCount: existingVideoData.viewCount !== undefined ? existingVideoData.viewCount : (fullYtVideoDetails?.statistics?.viewCount || null),
+          likeCount: existingVideoData.likeCount !== undefined ? existingVideoData.likeCount : (fullYtVideoDetails?.statistics?.likeCount || null),
+          topicCategories: existingVideoData.topicCategories || (fullYtVideoDetails?.topicDetails?.topicCategories?.map(tc => tc.replace('https://en.wikipedia.org/wiki/', '')) || []),
+          // Statistics are only taken from YouTube for new videos; refreshVideoStats keeps them current after that.
+          statsUpdatedAt: existingVideoData.statsUpdatedAt || (fullYtVideoDetails && existingVideoData.viewCount === undefined ? new Date() : null),
+          geminiCategories: existingVideoData.geminiCategories || [],
+          lastCategorized: existingVideoData.lastCategorized !== undefined ? existingVideoData.lastCategorized : null,
+        };
+
+        const needsWrite = !existingVideosMap.has(videoId) ||
+          fullVideoDetailsMap.has(videoId) ||
+          (playlistItem && etag !== previousItemEtags.get(videoId)) ||
+          !existingAssociations.includes(associationKey) ||
+          existingLegacyPlaylists.length !== legacyPlaylists.length ||
+          existingVideoData.embeddingModel !== embeddingProvider.id || !Array.isArray(existingVideoData.embedding);
+        if (needsWrite) {
+          datastoreEntitiesToUpsert.push({data: finalVideoDataForDatastore});
+        }
 
-      videosForFrontend.push({
-        videoId: videoId,
-        title: finalVideoDataForDatastore.title,
-        description: finalVideoDataForDatastore.description,
-        publishedAt: finalVideoDataForDatastore.publishedAt,
-        addedToPlaylistAt: finalVideoDataForDatastore.addedToPlaylistAt,
-        thumbnailUrl: finalVideoDataForDatastore.thumbnailUrl,
-        channelId: finalVideoDataForDatastore.channelId,
-        channelTitle: finalVideoDataForDatastore.channelTitle,
-        durationSeconds: finalVideoDataForDatastore.durationSeconds,
-      });
+        chunkVideosForFrontend.push(toFrontendVideo(finalVideoDataForDatastore));
+      }
+    }
+    console.log(`[SYNC] ${datastoreEntitiesToUpsert.length} of ${chunkVideosForFrontend.length} current videos are new or changed.`);
+
+    // 5b. Compute embeddings for videos that are new, changed, or embedded by a different provider.
+    //     A failure here is logged but does not fail the sync; the chat service embeds missing videos itself.
+    const entitiesNeedingEmbedding = datastoreEntitiesToUpsert.filter(({data}) =>
+      fullVideoDetailsMap.has(data.videoId) || data.embeddingModel !== embeddingProvider.id || !Array.isArray(data.embedding));
+    if (entitiesNeedingEmbedding.length > 0) {
+      try {
+        const vectors = await embeddingProvider.embedBatch(entitiesNeedingEmbedding.map(({data}) => videoToEmbeddingText(data)));
+        entitiesNeedingEmbedding.forEach(({data}, i) => {
+          data.embedding = vectors[i];
+          data.embeddingModel = embeddingProvider.id;
+        });
+        console.log(`[SYNC] Computed ${vectors.length} embeddings with provider ${embeddingProvider.id}.`);
+      } catch (embeddingError) {
+        console.error(`[SYNC] Failed to compute embeddings for ${entitiesNeedingEmbedding.length} videos:`, embeddingError.message);
+      }
     }
-    
-    // Combine entities that had playlistId removed (but not deleted) with new/updated entities
-    const finalUpserts = [...datastoreEntitiesToUpsert, ...datastoreEntitiesToUpdate];
 
+    // 5c. Write the videos. Each one is re-read in a transaction so that associations other users
+    //     added since it was read above are kept.
+    if (datastoreEntitiesToUpsert.length > 0) {
+      console.log(`[SYNC] Executing ${datastoreEntitiesToUpsert.length} upserts.`);
+      await updateManyVideoAssociations(datastore, datastoreEntitiesToUpsert.map(({data}) => ({
+        videoId: data.videoId,
+        change: {add: associationKey, legacyPlaylistId: playlistId, fields: data},
+      })));
+    }
 
-    // 7. Execute Datastore Operations
-    if (datastoreKeysToDelete.length > 0) {
-      console.log(`[SYNC] Executing ${datastoreKeysToDelete.length} deletions.`);
-      await datastore.delete(datastoreKeysToDelete);
+    const allPages = [...completedPages, ...pages.map(toStoredPage)];
+    const syncedCount = allPages.reduce((count, page) => count + page.items.length, 0);
+
+    // 6. More pages remain: save the cursor and let the client call again to continue.
+    if (!isFinalChunk) {
+      const progress = {synced: syncedCount, total: Math.max(totalResults || 0, syncedCount)};
+      await datastore.save({
+        key: cursorKey,
+        data: {
+          userId: firebaseUid,
+          playlistId: playlistId,
+          playlistEtag: playlistEtag,
+          totalResults: progress.total,
+          firstSync: cursor ? cursor.firstSync : !previousSync,
+          addedVideoIds: addedVideoIds,
+          pages: allPages,
+          startedAt: cursor ? cursor.startedAt : new Date(),
+          updatedAt: new Date(),
+        },
+        excludeFromIndexes: SYNC_CURSOR_EXCLUDE_FROM_INDEXES,
+      });
+      console.log(`[SYNC] Synced ${progress.synced} of ${progress.total} items of playlist ${playlistId}. Continuing in the next request.`);
+      return res.status(200).json({complete: false, progress});
     }
-    if (finalUpserts.length > 0) {
-      console.log(`[SYNC] Executing ${finalUpserts.length} upserts.`);
-      await datastore.upsert(finalUpserts);
+
+    // 7. Handle Stale Associations/Deletions, now that the whole playlist is known.
+    //    Videos currently associated with this user's copy of playlistId (plus legacy entities
+    //    associated with playlistId before associations had owners) that are no longer in it.
+    const currentYouTubeVideoIds = new Set(allPages.flatMap(page => page.items.map(item => item.videoId)));
+    const videosAssociatedQuery = datastore.createQuery(VIDEOS_KIND).filter('userPlaylistAssociations', '=', associationKey);
+    const legacyVideosAssociatedQuery = datastore.createQuery(VIDEOS_KIND).filter('associatedPlaylistIds', '=', playlistId);
+    const [[videosOwnedInDs], [legacyVideosInDs]] = await Promise.all([
+      datastore.runQuery(videosAssociatedQuery),
+      datastore.runQuery(legacyVideosAssociatedQuery),
+    ]);
+    const videosCurrentlyAssociatedInDsMap = new Map([...legacyVideosInDs, ...videosOwnedInDs].map(v => [v.videoId, v]));
+    console.log(`[SYNC] Found ${videosCurrentlyAssociatedInDsMap.size} videos in Datastore currently associated with playlist ${playlistId} for UID ${firebaseUid} (${legacyVideosInDs.length} legacy).`);
+
+    const removedVideoIds = [...videosCurrentlyAssociatedInDsMap.keys()].filter(videoId => !currentYouTubeVideoIds.has(videoId));
+
+    // 8. Remove the associations of the removed videos. Only this user's association (and the legacy
+    //    one it replaces) is removed, in a transaction per video, so other users' are untouched; a video
+    //    left with no association at all is deleted.
+    if (removedVideoIds.length > 0) {
+      console.log(`[SYNC] Removing the association with playlist ${playlistId} for UID ${firebaseUid} from ${removedVideoIds.length} videos.`);
+      const outcomes = await updateManyVideoAssociations(datastore, removedVideoIds.map(videoId => ({
+        videoId,
+        change: {remove: associationKey, legacyPlaylistId: playlistId},
+      })));
+      const deletedCount = outcomes.filter(outcome => outcome === 'deleted').length;
+      console.log(`[SYNC] Deleted ${deletedCount} videos no longer in any associated playlist.`);
     }
 
-    console.log(`[SYNC] Synchronization complete for playlist ${playlistId}.`);
-    res.status(200).json({videos: videosForFrontend});
+    // 9. Record that this user has synced this playlist, with the ETags for the next incremental sync,
+    //    and drop the cursor of a sync that spanned several invocations.
+    await datastore.save(buildSyncRecord({firebaseUid, playlistId, playlistEtag, pages: allPages}));
+    if (storedCursor) {
+      await datastore.delete(cursorKey);
+    }
 
+    // Videos from earlier invocations' pages are read back from Datastore.
+    const earlierVideoIds = completedPages.flatMap(page => page.items.map(item => item.videoId));
+    const earlierVideosMap = await getStoredVideos(earlierVideoIds);
+    const videosForFrontend = [
+      ...earlierVideoIds.filter(id => earlierVideosMap.has(id)).map(id => toFrontendVideo(earlierVideosMap.get(id))),
+      ...chunkVideosForFrontend,
+    ];
+
+    const changes = {firstSync: cursor ? cursor.firstSync : !previousSync, unchanged: false, added: addedVideoIds, removed: removedVideoIds};
+    console.log(`[SYNC] Synchronization complete for playlist ${playlistId}: ${syncedCount} items, ${addedVideoIds.length} added, ${removedVideoIds.length} removed.`);
+    res.status(200).json({complete: true, progress: {synced: syncedCount, total: syncedCount}, videos: videosForFrontend, changes});
   } catch (error) {
     console.error(`Error processing playlist ${playlistId} for UID ${firebaseUid}:`, error.response ? error.response.data : error.message, error.stack);
     if (error.code === 401 || (error.response && error.response.status === 401)) {
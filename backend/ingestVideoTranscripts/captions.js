@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Converts SubRip (.srt) and WebVTT (.vtt) caption files to
+ * plain transcript text.
+ */
+
+const SUPPORTED_EXTENSIONS = ['.srt', '.vtt'];
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': '\'',
+  '&nbsp;': ' ',
+};
+
+/**
+ * Checks whether a file name has a supported caption file extension.
+ * @param {string} fileName The uploaded file's name.
+ * @return {boolean} True for `.srt` and `.vtt` files.
+ */
+function isSupportedCaptionFile(fileName) {
+  const lowerName = String(fileName || '').toLowerCase();
+  return SUPPORTED_EXTENSIONS.some((extension) => lowerName.endsWith(extension));
+}
+
+// The start of a cue timing line: `hh:mm:ss,mmm` (SRT) or `[hh:]mm:ss.mmm` (WebVTT).
+const CUE_START_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+
+/**
+ * Extracts the spoken text of each cue from an SRT or WebVTT file. Cue numbers and
+ * identifiers, timings, the WebVTT header and NOTE/STYLE/REGION blocks, and formatting
+ * tags are dropped; consecutive repeated lines (common in auto-generated captions, which
+ * roll each line up into the next cue) are kept once.
+ * @param {string} content The file content.
+ * @return {Array<{startSeconds: number, text: string}>} One entry per caption line, in
+ *     file order, with the start time of its cue in whole seconds.
+ */
+function parseCaptionCues(content) {
+  const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).map((line) => line.trim());
+  const cues = [];
+  let skippingBlock = false;
+  let cueStartSeconds = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line === '') {
+      skippingBlock = false;
+      continue;
+    }
+    if (skippingBlock) continue;
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(line)) {
+      // Runs to the next blank line.
+      skippingBlock = true;
+      continue;
+    }
+    if (line.includes('-->')) {
+      const match = line.match(CUE_START_PATTERN);
+      if (match) {
+        cueStartSeconds = (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2], 10) * 60) + parseInt(match[3], 10);
+      }
+      continue;
+    }
+    // A cue number (SRT) or identifier (WebVTT) is the line before the cue's timing.
+    if ((lines[i + 1] || '').includes('-->')) continue;
+    const text = line
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => HTML_ENTITIES[entity])
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (text && (cues.length === 0 || text !== cues[cues.length - 1].text)) {
+      cues.push({startSeconds: cueStartSeconds, text});
+    }
+  }
+  return cues;
+}
+
+/**
+ * Merges caption cues into consecutive segments of roughly equal length, each starting
+ * at its first cue's time. Segments are what the chat service quotes and deep-links to.
+ * @param {Array<{startSeconds: number, text: string}>} cues The cues, from parseCaptionCues.
+ * @param {number} segmentSeconds The minimum duration of a segment.
+ * @param {number} maxTotalChars Cues after this much text are dropped.
+ * @return {Array<{startSeconds: number, text: string}>} The segments.
+ */
+function groupCuesIntoSegments(cues, segmentSeconds, maxTotalChars) {
+  const segments = [];
+  let totalChars = 0;
+  for (const cue of cues) {
+    if (totalChars + cue.text.length > maxTotalChars) break;
+    totalChars += cue.text.length;
+    const current = segments[segments.length - 1];
+    if (current && cue.startSeconds - current.startSeconds < segmentSeconds) {
+      current.text += ` ${cue.text}`;
+    } else {
+      segments.push({startSeconds: cue.startSeconds, text: cue.text});
+    }
+  }
+  return segments;
+}
+
+module.exports = {isSupportedCaptionFile, parseCaptionCues, groupCuesIntoSegments};
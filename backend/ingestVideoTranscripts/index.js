@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Cloud Function that ingests video transcripts and stores a
+ * Gemini summary of each one in the `VideoTranscripts` kind, for the chat
+ * service to include in its context, together with the timed transcript text
+ * the chat service quotes and deep-links to. Transcripts come from one of two places:
+ *   - Captions fetched with the YouTube Data API for the videos of a synced
+ *     playlist. This needs the `youtube.force-ssl` scope, and YouTube only lets
+ *     the API download captions of videos the user may edit, so only videos
+ *     from the user's own channels are tried.
+ *   - A `.srt` or `.vtt` file the user uploads for one of their videos. Only
+ *     that user's chat context uses it.
+ */
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+const {OAuth2Client} = require('google-auth-library');
+const {google} = require('googleapis');
+const admin = require('firebase-admin');
+const {GoogleGenerativeAI} = require('@google/generative-ai');
+const {isSupportedCaptionFile, parseCaptionCues, groupCuesIntoSegments} = require('./captions');
+
+const app = express();
+app.use(compressionMiddleware());
+
+// Initialize Firebase Admin SDK
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for ingestVideoTranscripts.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in ingestVideoTranscripts:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+
+const datastore = new Datastore();
+const TOKEN_KIND = 'Tokens';
+const VIDEOS_KIND = 'Videos';
+// Caption transcripts describe the video, not the user, so they are keyed by video ID and shared like `Videos`.
+// Uploaded ones are keyed by `${uid}:${videoId}`: any user can upload one, so only the uploader's chat uses it.
+const VIDEO_TRANSCRIPTS_KIND = 'VideoTranscripts';
+const TRANSCRIPT_EXCLUDE_FROM_INDEXES = ['summary', 'segments[].startSeconds', 'segments[].text'];
+const CAPTIONS_SCOPE = 'https://www.googleapis.com/auth/youtube.force-ssl';
+// captions.list costs 50 quota units and captions.download 200, so each request only tries a few videos.
+const MAX_VIDEOS_PER_REQUEST = parseInt(process.env.TRANSCRIPT_MAX_VIDEOS_PER_REQUEST, 10) || 10;
+// Videos without downloadable captions are not retried until this many days have passed.
+const TRANSCRIPT_RETRY_DAYS = parseFloat(process.env.TRANSCRIPT_RETRY_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATASTORE_MAX_KEYS_PER_LOOKUP = 1000;
+// Longer transcripts are truncated before summarising; the start of a video says the most about what it covers.
+const MAX_TRANSCRIPT_CHARS = 100000;
+const MAX_UPLOAD_CHARS = 2000000;
+// Timed transcript text is stored in segments of at least this many seconds.
+const SEGMENT_SECONDS = 30;
+// Keeps the entity under Datastore's 1 MiB limit even for multi-byte scripts; about four hours of speech.
+const MAX_STORED_SEGMENT_CHARS = 250000;
+const SUMMARY_MAX_WORDS = 120;
+const TRANSCRIPT_SUMMARY_MODEL = process.env.TRANSCRIPT_SUMMARY_MODEL || 'gemini-2.5-flash';
+
+const YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID;
+const YOUTUBE_CLIENT_SECRET = process.env.YOUTUBE_CLIENT_SECRET;
+const REDIRECT_URI = `https://us-central1-${process.env.GOOGLE_CLOUD_PROJECT || 'watchlaterai-460918'}.cloudfunctions.net/handleYouTubeAuth`;
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+
+const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
+
+/**
+ * Retrieves stored OAuth2 tokens for a given Firebase UID.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @return {Promise<object|null>} The stored tokens or null if not found.
+ */
+async function getTokens(firebaseUid) {
+  const key = datastore.key([TOKEN_KIND, firebaseUid]);
+  const [entity] = await datastore.get(key);
+  return entity || null;
+}
+
+/**
+ * Looks up `VideoTranscripts` entities by video ID, in batches within Datastore's per-lookup key limit.
+ * @param {Array<string>} videoIds The video IDs.
+ * @return {Promise<Map<string, object>>} The stored transcripts that were found, by video ID.
+ */
+async function getStoredTranscripts(videoIds) {
+  const transcripts = new Map();
+  for (let i = 0; i < videoIds.length; i += DATASTORE_MAX_KEYS_PER_LOOKUP) {
+    const keys = videoIds.slice(i, i + DATASTORE_MAX_KEYS_PER_LOOKUP).map(id => datastore.key([VIDEO_TRANSCRIPTS_KIND, id]));
+    const [entities] = await datastore.get(keys);
+    entities.forEach(entity => transcripts.set(entity.videoId, entity));
+  }
+  return transcripts;
+}
+
+/**
+ * Saves a video's transcript record.
+ * @param {object} data The `VideoTranscripts` entity data; `videoId` is the key, prefixed
+ *     with `uploadedBy` for uploaded transcripts.
+ * @return {Promise<void>}
+ */
+async function saveTranscript(data) {
+  const name = data.uploadedBy ? `${data.uploadedBy}:${data.videoId}` : data.videoId;
+  await datastore.save({
+    key: datastore.key([VIDEO_TRANSCRIPTS_KIND, name]),
+    data: {...data, updatedAt: new Date()},
+    excludeFromIndexes: TRANSCRIPT_EXCLUDE_FROM_INDEXES,
+  });
+}
+
+/**
+ * Asks Gemini for a short summary of a transcript.
+ * @param {object} video The `Videos` entity the transcript belongs to.
+ * @param {string} transcript The transcript text.
+ * @return {Promise<string>} The summary.
+ */
+async function summarizeTranscript(video, transcript) {
+  const model = genAI.getGenerativeModel({model: TRANSCRIPT_SUMMARY_MODEL});
+  const prompt = [
+    `Summarise the transcript of the YouTube video "${video.title || video.videoId}" in at most ${SUMMARY_MAX_WORDS} words.`,
+    'Name the specific topics, techniques and examples it covers, and how deeply, so a reader can tell whether it explains a given subject in detail.',
+    'Reply with the summary only, as plain text.',
+    '',
+    `Transcript:\n${transcript.substring(0, MAX_TRANSCRIPT_CHARS)}`,
+  ].join('\n');
+  const result = await model.generateContent({
+    contents: [{role: 'user', parts: [{text: prompt}]}],
+    generationConfig: {temperature: 0},
+  });
+  return result.response.text().trim();
+}
+
+/**
+ * Picks the caption track to download: manually created tracks before
+ * auto-generated ones, and English before other languages.
+ * @param {Array<object>} tracks `youtube#caption` resources.
+ * @return {object|undefined} The preferred track.
+ */
+function choosePreferredTrack(tracks) {
+  const rank = track => (track.snippet.trackKind === 'asr' ? 2 : 0) + ((track.snippet.language || '').startsWith('en') ? 0 : 1);
+  return tracks.slice().sort((a, b) => rank(a) - rank(b))[0];
+}
+
+/**
+ * Converts caption file content to the transcript text to summarise and the timed
+ * segments to store.
+ * @param {string} content The SRT or WebVTT content.
+ * @return {{text: string, segments: Array<{startSeconds: number, text: string}>}} The
+ *     transcript; `text` is empty if the file has none.
+ */
+function parseTranscript(content) {
+  const cues = parseCaptionCues(content);
+  return {
+    text: cues.map(cue => cue.text).join(' '),
+    segments: groupCuesIntoSegments(cues, SEGMENT_SECONDS, MAX_STORED_SEGMENT_CHARS),
+  };
+}
+
+/**
+ * Fetches a video's captions as a transcript.
+ * @param {object} youtube The YouTube Data API client.
+ * @param {string} videoId The video ID.
+ * @return {Promise<{text: string, segments: Array<object>, language: string}|null>} The
+ *     transcript, or null if the video has no captions or YouTube does not allow them to
+ *     be downloaded.
+ */
+async function fetchCaptionTranscript(youtube, videoId) {
+  const listResponse = await youtube.captions.list({part: 'snippet', videoId});
+  const track = choosePreferredTrack(listResponse.data.items || []);
+  if (!track) return null;
+  try {
+    const downloadResponse = await youtube.captions.download({id: track.id, tfmt: 'vtt'}, {responseType: 'text'});
+    const transcript = parseTranscript(downloadResponse.data);
+    return transcript.text ? {...transcript, language: track.snippet.language || null} : null;
+  } catch (error) {
+    const status = error.response ? error.response.status : error.code;
+    if (status === 403 || status === 404) {
+      // Only the video's owner (or an editor) may download its captions.
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Lists the IDs of the channels the user owns.
+ * @param {object} youtube The YouTube Data API client.
+ * @return {Promise<Set<string>>} The channel IDs.
+ */
+async function getOwnChannelIds(youtube) {
+  const response = await youtube.channels.list({part: 'id', mine: true});
+  return new Set((response.data.items || []).map(item => item.id));
+}
+
+/**
+ * Fetches and summarises captions for the videos of a synced playlist that have no
+ * transcript yet, at most MAX_VIDEOS_PER_REQUEST per call. Only videos from the user's
+ * own channels are tried: YouTube refuses caption downloads for anyone else's, which
+ * would spend 250 quota units per video for nothing. Videos without downloadable
+ * captions are recorded as unavailable and retried after TRANSCRIPT_RETRY_DAYS.
+ * @param {object} res The HTTP response object.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @param {string} playlistId The synced playlist.
+ * @return {Promise<void>}
+ */
+async function ingestPlaylistCaptions(res, firebaseUid, playlistId) {
+  const tokens = await getTokens(firebaseUid);
+  if (!tokens) {
+    return res.status(403).json({error: 'YouTube account not linked.', code: 'YOUTUBE_AUTH_REQUIRED'});
+  }
+  if (!(tokens.scope || '').split(' ').includes(CAPTIONS_SCOPE)) {
+    return res.status(403).json({error: 'Reading captions needs additional YouTube permissions.', code: 'CAPTIONS_SCOPE_REQUIRED'});
+  }
+
+  const oauth2Client = new OAuth2Client(YOUTUBE_CLIENT_ID, YOUTUBE_CLIENT_SECRET, REDIRECT_URI);
+  oauth2Client.setCredentials(tokens);
+  oauth2Client.on('tokens', async (newTokens) => {
+    console.log('[TRANSCRIPTS] YouTube access token refreshed for UID:', firebaseUid);
+    const tokenKey = datastore.key([TOKEN_KIND, firebaseUid]);
+    await datastore.save({key: tokenKey, data: {...tokens, ...newTokens, id_token: undefined}});
+  });
+  const youtube = google.youtube({version: 'v3', auth: oauth2Client});
+
+  const videosQuery = datastore.createQuery(VIDEOS_KIND)
+    .filter('userPlaylistAssociations', '=', `${firebaseUid}:${playlistId}`);
+  const [playlistVideos] = await datastore.runQuery(videosQuery);
+  const availableVideos = playlistVideos.filter(v => !v.unavailable);
+  const storedTranscripts = await getStoredTranscripts(availableVideos.map(v => v.videoId));
+  const retryCutoff = Date.now() - TRANSCRIPT_RETRY_DAYS * DAY_MS;
+  const pendingVideos = availableVideos.filter((v) => {
+    const stored = storedTranscripts.get(v.videoId);
+    // Uploads stored under the shared key before they were kept per user do not count as captions.
+    return !stored || stored.source === 'upload' || (stored.status === 'unavailable' && new Date(stored.updatedAt).getTime() < retryCutoff);
+  });
+  const ownChannelIds = pendingVideos.length > 0 ? await getOwnChannelIds(youtube) : new Set();
+  const candidates = pendingVideos.filter(v => ownChannelIds.has(v.channelId));
+
+  const batch = candidates.slice(0, MAX_VIDEOS_PER_REQUEST);
+  let storedCount = 0;
+  for (const video of batch) {
+    const transcript = await fetchCaptionTranscript(youtube, video.videoId);
+    if (!transcript) {
+      await saveTranscript({videoId: video.videoId, status: 'unavailable', source: 'captions', summary: null, segments: []});
+      continue;
+    }
+    const summary = await summarizeTranscript(video, transcript.text);
+    await saveTranscript({
+      videoId: video.videoId,
+      status: 'ready',
+      source: 'captions',
+      language: transcript.language,
+      transcriptChars: transcript.text.length,
+      summary,
+      summaryModel: TRANSCRIPT_SUMMARY_MODEL,
+      segments: transcript.segments,
+    });
+    storedCount++;
+  }
+  const notOwnedCount = pendingVideos.length - candidates.length;
+  console.log(`[TRANSCRIPTS] Playlist ${playlistId}, UID ${firebaseUid}: ${storedCount} of ${batch.length} videos had captions; ${candidates.length - batch.length} left; ${notOwnedCount} from other channels skipped.`);
+  res.status(200).json({
+    processed: batch.length,
+    stored: storedCount,
+    unavailable: batch.length - storedCount,
+    remaining: candidates.length - batch.length,
+    notOwned: notOwnedCount,
+  });
+}
+
+/**
+ * Summarises an uploaded caption file for one of the user's videos, replacing the
+ * transcript the user uploaded for it before. The shared caption transcript is left alone.
+ * @param {object} res The HTTP response object.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @param {{videoId: string, fileName: string, content: string}} upload The uploaded file.
+ * @return {Promise<void>}
+ */
+async function ingestUploadedTranscript(res, firebaseUid, {videoId, fileName, content}) {
+  if (!isSupportedCaptionFile(fileName)) {
+    return res.status(400).json({error: 'Only .srt and .vtt caption files are supported.'});
+  }
+  if (typeof content !== 'string' || content.length === 0) {
+    return res.status(400).json({error: 'Missing file content in request body.'});
+  }
+  if (content.length > MAX_UPLOAD_CHARS) {
+    return res.status(413).json({error: 'Caption file is too large.'});
+  }
+
+  const [video] = await datastore.get(datastore.key([VIDEOS_KIND, videoId]));
+  const ownAssociationPrefix = `${firebaseUid}:`;
+  if (!video || !(video.userPlaylistAssociations || []).some(a => a.startsWith(ownAssociationPrefix))) {
+    return res.status(404).json({error: `Video ${videoId} is not in any of your synced playlists.`});
+  }
+
+  const {text, segments} = parseTranscript(content);
+  if (!text) {
+    return res.status(400).json({error: 'The caption file contains no text.'});
+  }
+  const summary = await summarizeTranscript(video, text);
+  await saveTranscript({
+    videoId,
+    status: 'ready',
+    source: 'upload',
+    language: null,
+    transcriptChars: text.length,
+    summary,
+    summaryModel: TRANSCRIPT_SUMMARY_MODEL,
+    segments,
+    uploadedBy: firebaseUid,
+  });
+  console.log(`[TRANSCRIPTS] Stored uploaded transcript ${fileName} for video ${videoId}, UID ${firebaseUid}.`);
+  res.status(200).json({videoId, status: 'ready', source: 'upload', summary});
+}
+
+/**
+ * HTTP Cloud Function that ingests transcripts. Authenticates the user with a Firebase ID
+ * token, then either fetches captions for a playlist's videos (body `{playlistId}`) or
+ * stores an uploaded caption file (body `{videoId, fileName, content}`).
+ *
+ * @param {object} req The HTTP request object.
+ *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleIngestVideoTranscripts = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({error: 'Unauthorized: Missing or invalid Firebase ID token.'});
+  }
+  const idToken = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    return res.status(401).json({error: 'Unauthorized: Invalid Firebase ID token.'});
+  }
+  const firebaseUid = decodedToken.uid;
+
+  const {playlistId, videoId} = req.body || {};
+  if (!playlistId && !videoId) {
+    return res.status(400).json({error: 'Missing playlistId or videoId in request body.'});
+  }
+  if (!genAI) {
+    console.error('[TRANSCRIPTS] GEMINI_API_KEY is not set. Cannot summarise transcripts.');
+    return res.status(503).json({error: 'Transcript summarisation is not configured.'});
+  }
+
+  try {
+    if (videoId) {
+      await ingestUploadedTranscript(res, firebaseUid, req.body);
+    } else {
+      await ingestPlaylistCaptions(res, firebaseUid, playlistId);
+    }
+  } catch (error) {
+    console.error(`[TRANSCRIPTS] Error ingesting transcripts for UID ${firebaseUid}:`, error.response ? error.response.data : error.message, error.stack);
+    if (error.code === 401 || (error.response && error.response.status === 401)) {
+      return res.status(401).json({error: 'YouTube authentication failed. Please re-link.', code: 'YOUTUBE_REAUTH_REQUIRED'});
+    }
+    res.status(500).json({error: 'Failed to ingest transcripts.'});
+  }
+};
+
+app.all('/', handleIngestVideoTranscripts);
+
+exports.ingestVideoTranscripts = app;
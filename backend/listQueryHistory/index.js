@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Cloud Function that returns the calling user's most recent
+ * chat queries, with the results each one got. The chat service writes a
+ * `QueryHistory` entity for every query it answers; this function only reads
+ * them, for the frontend's History screen.
+ */
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+const admin = require('firebase-admin');
+
+const app = express();
+app.use(compressionMiddleware());
+
+// Initialize Firebase Admin SDK
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for listQueryHistory.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in listQueryHistory:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+
+const datastore = new Datastore();
+// Written by gemini-chat-service, one entity per answered query.
+const QUERY_HISTORY_KIND = 'QueryHistory';
+const MAX_HISTORY_ENTRIES = parseInt(process.env.MAX_HISTORY_ENTRIES, 10) || 50;
+
+/**
+ * Converts a stored history entry to its JSON response form.
+ * @param {object} entity The stored `QueryHistory` entity.
+ * @return {object} The entry, with `createdAt` as an ISO string.
+ */
+function toResponseEntry(entity) {
+  return {
+    id: entity.entryId,
+    query: entity.query,
+    playlistId: entity.playlistId,
+    modelId: entity.modelId,
+    answer: entity.answer,
+    results: entity.results || [],
+    actionPlanSummary: entity.actionPlanSummary || null,
+    createdAt: new Date(entity.createdAt).toISOString(),
+  };
+}
+
+/**
+ * HTTP Cloud Function that lists the calling user's query history, newest first.
+ * Authenticates the user with a Firebase ID token. Responds with
+ * `{entries: [{id, query, playlistId, modelId, answer, results, actionPlanSummary, createdAt}]}`,
+ * holding at most MAX_HISTORY_ENTRIES entries.
+ *
+ * @param {object} req The HTTP request object.
+ *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleListQueryHistory = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({error: 'Unauthorized: Missing or invalid Firebase ID token.'});
+  }
+  const idToken = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    return res.status(401).json({error: 'Unauthorized: Invalid Firebase ID token.'});
+  }
+  const firebaseUid = decodedToken.uid;
+
+  try {
+    // Needs the (userId, -createdAt) composite index in index.yaml.
+    const query = datastore.createQuery(QUERY_HISTORY_KIND)
+        .filter('userId', '=', firebaseUid)
+        .order('createdAt', {descending: true})
+        .limit(MAX_HISTORY_ENTRIES);
+    const [entities] = await datastore.runQuery(query);
+    const entries = entities.map(toResponseEntry);
+    console.log(`[QUERY_HISTORY] Listed ${entries.length} history entries for UID ${firebaseUid}.`);
+    res.status(200).json({entries});
+  } catch (error) {
+    console.error(`[QUERY_HISTORY] Error listing history for UID ${firebaseUid}:`, error.message, error.stack);
+    res.status(500).json({error: 'Failed to list query history.'});
+  }
+};
+
+app.all('/', handleListQueryHistory);
+
+exports.listQueryHistory = app;
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Cloud Function that returns every per-video state the calling
+ * user has recorded with setUserVideoState (watched, dismissed, snoozed-until
+ * and rating), so the frontend can show them on video cards.
+ */
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+const admin = require('firebase-admin');
+
+const app = express();
+app.use(compressionMiddleware());
+
+// Initialize Firebase Admin SDK
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for listUserVideoStates.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in listUserVideoStates:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+
+const datastore = new Datastore();
+// Keyed by `${uid}:${videoId}`; written by setUserVideoState.
+const USER_VIDEO_STATE_KIND = 'UserVideoState';
+
+/**
+ * HTTP Cloud Function that lists the calling user's video states.
+ * Authenticates the user with a Firebase ID token. Responds with
+ * `{states: [{videoId, watched, dismissed, snoozedUntil, rating, updatedAt}]}`;
+ * videos without a stored state are not listed. A snooze that has run out is
+ * still listed, with its past `snoozedUntil`.
+ *
+ * @param {object} req The HTTP request object.
+ *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleListUserVideoStates = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({error: 'Unauthorized: Missing or invalid Firebase ID token.'});
+  }
+  const idToken = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    return res.status(401).json({error: 'Unauthorized: Invalid Firebase ID token.'});
+  }
+  const firebaseUid = decodedToken.uid;
+
+  try {
+    const query = datastore.createQuery(USER_VIDEO_STATE_KIND).filter('userId', '=', firebaseUid);
+    const [entities] = await datastore.runQuery(query);
+    const states = entities.map(entity => ({
+      videoId: entity.videoId,
+      watched: !!entity.watched,
+      dismissed: !!entity.dismissed,
+      snoozedUntil: entity.snoozedUntil ? new Date(entity.snoozedUntil).toISOString() : null,
+      rating: entity.rating || null,
+      updatedAt: entity.updatedAt ? new Date(entity.updatedAt).toISOString() : null,
+    }));
+    console.log(`[VIDEO_STATE] Listed ${states.length} video states for UID ${firebaseUid}.`);
+    res.status(200).json({states});
+  } catch (error) {
+    console.error(`[VIDEO_STATE] Error listing video states for UID ${firebaseUid}:`, error.message, error.stack);
+    res.status(500).json({error: 'Failed to list video states.'});
+  }
+};
+
+app.all('/', handleListUserVideoStates);
+
+exports.listUserVideoStates = app;
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Cloud Function that lists, creates and deletes the calling
+ * user's saved searches, and marks their matches as seen. runSavedSearches runs
+ * each saved search against the user's subscription feed whenever the feed is
+ * refreshed, and stores the new matches on the `SavedSearch` entity.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+const admin = require('firebase-admin');
+
+const app = express();
+app.use(compressionMiddleware());
+
+// Initialize Firebase Admin SDK
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for manageSavedSearches.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in manageSavedSearches:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+
+const datastore = new Datastore();
+// Keyed by `${uid}:${searchId}`; runSavedSearches adds the matches.
+const SAVED_SEARCH_KIND = 'SavedSearch';
+const SAVED_SEARCH_EXCLUDE_FROM_INDEXES = ['matches[].title', 'matches[].reason', 'matches[].thumbnailUrl', 'checkedVideoIds[]'];
+const ACTIONS = ['list', 'create', 'delete', 'markSeen'];
+const DIGEST_CHANNELS = ['email', 'webhook'];
+const MAX_SAVED_SEARCHES = parseInt(process.env.MAX_SAVED_SEARCHES, 10) || 20;
+const MAX_QUERY_LENGTH = 500;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Checks that a digest target is an https URL.
+ * @param {string} target The target.
+ * @return {boolean} True if it is.
+ */
+function isHttpsUrl(target) {
+  try {
+    return new URL(target).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates the body of a request.
+ * @param {object} body The request body.
+ * @return {string|null} An error message, or null if the request is valid.
+ */
+function validateRequest(body) {
+  const {action, query, digest, searchId} = body;
+  if (!ACTIONS.includes(action)) {
+    return `action must be one of ${ACTIONS.join(', ')}.`;
+  }
+  if ((action === 'delete' || action === 'markSeen') && (typeof searchId !== 'string' || !searchId)) {
+    return `Missing searchId for ${action}.`;
+  }
+  if (action !== 'create') return null;
+  if (typeof query !== 'string' || !query.trim() || query.length > MAX_QUERY_LENGTH) {
+    return `query must be a non-empty string of at most ${MAX_QUERY_LENGTH} characters.`;
+  }
+  if (digest === undefined || digest === null) return null;
+  if (typeof digest !== 'object' || !DIGEST_CHANNELS.includes(digest.channel)) {
+    return `digest.channel must be one of ${DIGEST_CHANNELS.join(', ')}.`;
+  }
+  if (digest.channel === 'email' && !(typeof digest.target === 'string' && EMAIL_PATTERN.test(digest.target))) {
+    return 'digest.target must be an email address.';
+  }
+  if (digest.channel === 'webhook' && !(typeof digest.target === 'string' && isHttpsUrl(digest.target))) {
+    return 'digest.target must be an https URL.';
+  }
+  return null;
+}
+
+/**
+ * Converts a stored saved search to its JSON response form.
+ * @param {object} entity The stored `SavedSearch` entity.
+ * @return {object} The search, with dates as ISO strings and without the IDs of the videos it was checked against.
+ */
+function toResponseSearch(entity) {
+  return {
+    id: entity.searchId,
+    query: entity.query,
+    digest: entity.digest || null,
+    matches: (entity.matches || []).map(match => ({...match, matchedAt: new Date(match.matchedAt).toISOString()})),
+    unseenCount: entity.unseenCount || 0,
+    lastRunAt: entity.lastRunAt ? new Date(entity.lastRunAt).toISOString() : null,
+    createdAt: new Date(entity.createdAt).toISOString(),
+  };
+}
+
+/**
+ * Lists a user's saved searches, newest first.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @return {Promise<Array<object>>} The stored `SavedSearch` entities.
+ */
+async function listSearches(firebaseUid) {
+  // Sorted here rather than in the query, so it needs no composite index; a user has at most MAX_SAVED_SEARCHES.
+  const query = datastore.createQuery(SAVED_SEARCH_KIND).filter('userId', '=', firebaseUid);
+  const [entities] = await datastore.runQuery(query);
+  return entities.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * HTTP Cloud Function that manages the calling user's saved searches.
+ * Authenticates the user with a Firebase ID token. Body:
+ *   - `action`: `list`, `create`, `delete` or `markSeen`.
+ *   - `query` (create): what to look for in new subscription videos.
+ *   - `digest` (create, optional): `{channel: 'email'|'webhook', target}`, where
+ *     new matches are also sent; `target` is an email address or https URL.
+ *   - `searchId` (delete, markSeen): the search.
+ * Responds with `{searches}` (list), `{search}` (create, markSeen) or `{deleted}`
+ * (delete). A new search has no matches until the next feed refresh runs it.
+ *
+ * @param {object} req The HTTP request object.
+ *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleManageSavedSearches = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({error: 'Unauthorized: Missing or invalid Firebase ID token.'});
+  }
+  const idToken = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    return res.status(401).json({error: 'Unauthorized: Invalid Firebase ID token.'});
+  }
+  const firebaseUid = decodedToken.uid;
+
+  const request = req.body || {};
+  const validationError = validateRequest(request);
+  if (validationError) {
+    return res.status(400).json({error: validationError});
+  }
+  const {action} = request;
+
+  try {
+    if (action === 'list') {
+      const searches = await listSearches(firebaseUid);
+      console.log(`[SAVED_SEARCH] Listed ${searches.length} saved searches for UID ${firebaseUid}.`);
+      return res.status(200).json({searches: searches.map(toResponseSearch)});
+    }
+
+    if (action === 'create') {
+      const existing = await listSearches(firebaseUid);
+      if (existing.length >= MAX_SAVED_SEARCHES) {
+        return res.status(400).json({error: `You can have at most ${MAX_SAVED_SEARCHES} saved searches.`});
+      }
+      const search = {
+        searchId: crypto.randomUUID(),
+        userId: firebaseUid,
+        query: request.query.trim(),
+        digest: request.digest ? {channel: request.digest.channel, target: request.digest.target} : null,
+        matches: [],
+        checkedVideoIds: [],
+        unseenCount: 0,
+        lastRunAt: null,
+        createdAt: new Date(),
+      };
+      await datastore.save({
+        key: datastore.key([SAVED_SEARCH_KIND, `${firebaseUid}:${search.searchId}`]),
+        data: search,
+        excludeFromIndexes: SAVED_SEARCH_EXCLUDE_FROM_INDEXES,
+      });
+      console.log(`[SAVED_SEARCH] Created saved search ${search.searchId} for UID ${firebaseUid} (digest: ${search.digest ? search.digest.channel : 'none'}).`);
+      return res.status(200).json({search: toResponseSearch(search)});
+    }
+
+    // delete and markSeen act on one of the user's own searches; the key includes the uid.
+    const searchKey = datastore.key([SAVED_SEARCH_KIND, `${firebaseUid}:${request.searchId}`]);
+    const [stored] = await datastore.get(searchKey);
+    if (!stored) {
+      return res.status(404).json({error: 'Saved search not found.'});
+    }
+    if (action === 'delete') {
+      await datastore.delete(searchKey);
+      console.log(`[SAVED_SEARCH] Deleted saved search ${request.searchId} for UID ${firebaseUid}.`);
+      return res.status(200).json({deleted: request.searchId});
+    }
+    const seen = {...stored, unseenCount: 0};
+    await datastore.save({key: searchKey, data: seen, excludeFromIndexes: SAVED_SEARCH_EXCLUDE_FROM_INDEXES});
+    console.log(`[SAVED_SEARCH] Marked saved search ${request.searchId} as seen for UID ${firebaseUid}.`);
+    res.status(200).json({search: toResponseSearch(seen)});
+  } catch (error) {
+    console.error(`[SAVED_SEARCH] Error handling ${action} for UID ${firebaseUid}:`, error.message, error.stack);
+    res.status(500).json({error: 'Failed to manage saved searches.'});
+  }
+};
+
+app.all('/', handleManageSavedSearches);
+
+exports.manageSavedSearches = app;
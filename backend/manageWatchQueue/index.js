@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Cloud Function that keeps the calling user's watch queue: an
+ * ordered list of videos, usually added from chat suggestions, that the app's
+ * "Up Next" view plays through in order. Videos can be added, removed,
+ * reordered, and marked done; done videos stay in the queue, skipped by the
+ * player, until they are cleared.
+ */
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+const admin = require('firebase-admin');
+
+const app = express();
+app.use(compressionMiddleware());
+
+// Initialize Firebase Admin SDK
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for manageWatchQueue.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in manageWatchQueue:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+
+const datastore = new Datastore();
+// One entity per user, keyed by the Firebase UID; `items` is the queue in order.
+const WATCH_QUEUE_KIND = 'WatchQueue';
+const WATCH_QUEUE_EXCLUDE_FROM_INDEXES = [
+  'items[].videoId', 'items[].title', 'items[].channelTitle', 'items[].thumbnailUrl', 'items[].duration',
+  'items[].addedAt', 'items[].doneAt',
+];
+const ACTIONS = ['list', 'add', 'remove', 'reorder', 'setDone', 'clearDone'];
+const MAX_QUEUE_ITEMS = parseInt(process.env.MAX_WATCH_QUEUE_ITEMS, 10) || 200;
+const MAX_FIELD_LENGTH = 1000;
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Quick successive changes (two "Add to Up Next" clicks, auto-advance during a drag) contend for
+// the one queue entity; a transaction that loses is retried on the new queue this many times in all.
+const MAX_TRANSACTION_ATTEMPTS = 5;
+const DATASTORE_ABORTED = 10;
+
+/**
+ * Checks that a value is a video ID.
+ * @param {*} videoId The value.
+ * @return {boolean} True if it is.
+ */
+function isVideoId(videoId) {
+  return typeof videoId === 'string' && VIDEO_ID_PATTERN.test(videoId);
+}
+
+/**
+ * Validates the body of a request.
+ * @param {object} body The request body.
+ * @return {string|null} An error message, or null if the request is valid.
+ */
+function validateRequest(body) {
+  const {action, videos, videoId, videoIds, done} = body;
+  if (!ACTIONS.includes(action)) {
+    return `action must be one of ${ACTIONS.join(', ')}.`;
+  }
+  if (action === 'add' && (!Array.isArray(videos) || videos.length === 0 || videos.length > MAX_QUEUE_ITEMS ||
+      !videos.every(v => v && isVideoId(v.videoId)))) {
+    return `videos must be an array of 1 to ${MAX_QUEUE_ITEMS} videos, each with a valid videoId.`;
+  }
+  if ((action === 'remove' || action === 'setDone') && !isVideoId(videoId)) {
+    return `Missing videoId for ${action}.`;
+  }
+  if (action === 'setDone' && typeof done !== 'boolean') {
+    return 'done must be a boolean.';
+  }
+  if (action === 'reorder' && (!Array.isArray(videoIds) || !videoIds.every(isVideoId))) {
+    return 'videoIds must be an array of video IDs.';
+  }
+  return null;
+}
+
+/**
+ * Returns a string field of a client-sent video, cut to a safe length.
+ * @param {*} value The field value.
+ * @return {string|null} The string, or null if the field is not a non-empty string.
+ */
+function toStoredString(value) {
+  return typeof value === 'string' && value ? value.substring(0, MAX_FIELD_LENGTH) : null;
+}
+
+/**
+ * Keeps the fields of a video that the queue shows.
+ * @param {object} video A video, as the chat service sent it in `STREAM_END`.
+ * @param {Date} addedAt When it was added.
+ * @return {object} The queue item as stored.
+ */
+function toQueueItem(video, addedAt) {
+  return {
+    videoId: video.videoId,
+    title: toStoredString(video.title) || '',
+    channelTitle: toStoredString(video.channelTitle) || '',
+    thumbnailUrl: toStoredString(video.thumbnailUrl),
+    duration: toStoredString(video.duration),
+    addedAt,
+    doneAt: null,
+  };
+}
+
+/**
+ * Converts a stored queue to its JSON response form.
+ * @param {object|undefined} entity The stored `WatchQueue` entity, if any.
+ * @return {{items: Array<object>, updatedAt: (string|null)}} The queue in order, with dates as
+ *     ISO strings and a `done` flag on each item; a user with no stored queue has an empty one.
+ */
+function toResponseQueue(entity) {
+  const queue = entity || {items: [], updatedAt: null};
+  return {
+    items: queue.items.map(item => ({
+      ...item,
+      done: !!item.doneAt,
+      addedAt: new Date(item.addedAt).toISOString(),
+      doneAt: item.doneAt ? new Date(item.doneAt).toISOString() : null,
+    })),
+    updatedAt: queue.updatedAt ? new Date(queue.updatedAt).toISOString() : null,
+  };
+}
+
+/**
+ * Applies a change to the items of a queue.
+ * @param {Array<object>} items The stored items, in order.
+ * @param {object} request The validated request body.
+ * @param {Date} now The time of the change.
+ * @return {{items: (Array<object>|undefined), status: (number|undefined), error: (string|undefined)}}
+ *     The new items, or the status and message of an error.
+ */
+function applyChange(items, request, now) {
+  const {action, videoId} = request;
+  if (action === 'add') {
+    // Videos already in the queue keep their place and done state.
+    const queuedIds = new Set(items.map(item => item.videoId));
+    const added = [];
+    for (const video of request.videos) {
+      if (queuedIds.has(video.videoId)) continue;
+      queuedIds.add(video.videoId);
+      added.push(toQueueItem(video, now));
+    }
+    if (items.length + added.length > MAX_QUEUE_ITEMS) {
+      return {status: 400, error: `The watch queue can hold at most ${MAX_QUEUE_ITEMS} videos.`};
+    }
+    return {items: [...items, ...added]};
+  }
+  if (action === 'clearDone') {
+    return {items: items.filter(item => !item.doneAt)};
+  }
+  if (action === 'reorder') {
+    // The new order must name each queued video once, so a reorder based on a stale copy of the queue is refused.
+    const byId = new Map(items.map(item => [item.videoId, item]));
+    const isPermutation = request.videoIds.length === items.length &&
+      new Set(request.videoIds).size === items.length && request.videoIds.every(id => byId.has(id));
+    if (!isPermutation) {
+      return {status: 409, error: 'videoIds must list every video in the queue exactly once; reload the queue and try again.'};
+    }
+    return {items: request.videoIds.map(id => byId.get(id))};
+  }
+  if (!items.some(item => item.videoId === videoId)) {
+    return {status: 404, error: 'Video not found in the watch queue.'};
+  }
+  if (action === 'remove') {
+    return {items: items.filter(item => item.videoId !== videoId)};
+  }
+  return {
+    items: items.map(item => item.videoId === videoId ? {...item, doneAt: request.done ? now : null} : item),
+  };
+}
+
+/**
+ * Applies a change to the user's queue in a transaction, so concurrent changes are not lost.
+ * A transaction aborted by a concurrent change is retried on the updated queue.
+ * @param {object} queueKey The user's `WatchQueue` key.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @param {object} request The validated request body.
+ * @return {Promise<{queue: (object|undefined), status: (number|undefined), error: (string|undefined)}>}
+ *     The saved queue, or the status and message of a change that does not apply.
+ */
+async function updateQueue(queueKey, firebaseUid, request) {
+  for (let attempt = 1; ; attempt++) {
+    const transaction = datastore.transaction();
+    try {
+      await transaction.run();
+      const [stored] = await transaction.get(queueKey);
+      const now = new Date();
+      const {items, status, error} = applyChange(stored ? stored.items : [], request, now);
+      if (error) {
+        await transaction.rollback();
+        return {status, error};
+      }
+      const queue = {userId: firebaseUid, items, updatedAt: now};
+      transaction.save({key: queueKey, data: queue, excludeFromIndexes: WATCH_QUEUE_EXCLUDE_FROM_INDEXES});
+      await transaction.commit();
+      return {queue};
+    } catch (error) {
+      await transaction.rollback().catch(() => {});
+      if (error.code !== DATASTORE_ABORTED || attempt >= MAX_TRANSACTION_ATTEMPTS) throw error;
+      console.warn(`[WATCH_QUEUE] Retrying ${request.action} for UID ${firebaseUid} after a concurrent change (attempt ${attempt}).`);
+    }
+  }
+}
+
+/**
+ * HTTP Cloud Function that manages the calling user's watch queue.
+ * Authenticates the user with a Firebase ID token. Body:
+ *   - `action`: `list`, `add`, `remove`, `reorder`, `setDone` or `clearDone`.
+ *   - `videos` (add): the videos to append, as sent in `STREAM_END` (`videoId`,
+ *     `title`, `channelTitle`, `thumbnailUrl`, `duration`); videos already in
+ *     the queue are left where they are.
+ *   - `videoId` (remove, setDone): the video.
+ *   - `done` (setDone): whether the video has been watched.
+ *   - `videoIds` (reorder): every video in the queue, in the new order.
+ *   - `clearDone` removes the videos marked done.
+ * Responds with `{queue: {items, updatedAt}}`, the queue after the change.
+ *
+ * @param {object} req The HTTP request object.
+ *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleManageWatchQueue = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({error: 'Unauthorized: Missing or invalid Firebase ID token.'});
+  }
+  const idToken = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    return res.status(401).json({error: 'Unauthorized: Invalid Firebase ID token.'});
+  }
+  const firebaseUid = decodedToken.uid;
+
+  const request = req.body || {};
+  const validationError = validateRequest(request);
+  if (validationError) {
+    return res.status(400).json({error: validationError});
+  }
+  const {action} = request;
+
+  try {
+    const queueKey = datastore.key([WATCH_QUEUE_KIND, firebaseUid]);
+    if (action === 'list') {
+      const [stored] = await datastore.get(queueKey);
+      const queue = toResponseQueue(stored);
+      console.log(`[WATCH_QUEUE] Listed ${queue.items.length} queued videos for UID ${firebaseUid}.`);
+      return res.status(200).json({queue});
+    }
+
+    const {queue, status, error} = await updateQueue(queueKey, firebaseUid, request);
+    if (error) {
+      return res.status(status).json({error});
+    }
+    console.log(`[WATCH_QUEUE] Applied ${action} for UID ${firebaseUid}; the queue has ${queue.items.length} videos.`);
+    res.status(200).json({queue: toResponseQueue(queue)});
+  } catch (error) {
+    console.error(`[WATCH_QUEUE] Error handling ${action} for UID ${firebaseUid}:`, error.message, error.stack);
+    res.status(500).json({error: 'Failed to manage the watch queue.'});
+  }
+};
+
+app.all('/', handleManageWatchQueue);
+
+exports.manageWatchQueue = app;
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Cloud Function that changes the user's YouTube playlists:
+ * it removes videos from a playlist, moves them to another playlist, or adds
+ * them to one (which is how the frontend undoes a removal). Playlist writes
+ * need the `youtube.force-ssl` scope, which users grant separately from the
+ * read-only access they link their account with.
+ *
+ * The function also keeps the `userPlaylistAssociations` of the affected
+ * `Videos` entities in step, by the same rules getWatchLaterPlaylist applies
+ * when it syncs a playlist, so chat sessions see the change without a re-sync.
+ */
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+const {OAuth2Client} = require('google-auth-library');
+const {google} = require('googleapis');
+const admin = require('firebase-admin');
+const {updateVideoAssociations} = require('./videoAssociations');
+
+const app = express();
+app.use(compressionMiddleware());
+
+// Initialize Firebase Admin SDK
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for modifyPlaylistItems.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in modifyPlaylistItems:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+
+const datastore = new Datastore();
+const TOKEN_KIND = 'Tokens';
+// Either scope lets the API change playlists; ReelWorthy asks for force-ssl.
+const WRITE_SCOPES = ['https://www.googleapis.com/auth/youtube.force-ssl', 'https://www.googleapis.com/auth/youtube'];
+const ACTIONS = ['remove', 'move', 'add'];
+// Each insert and delete costs 50 quota units, so one request may change at most this many videos.
+const MAX_VIDEOS_PER_REQUEST = 50;
+
+const YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID;
+const YOUTUBE_CLIENT_SECRET = process.env.YOUTUBE_CLIENT_SECRET;
+const REDIRECT_URI = `https://us-central1-${process.env.GOOGLE_CLOUD_PROJECT || 'watchlaterai-460918'}.cloudfunctions.net/handleYouTubeAuth`;
+
+/**
+ * Retrieves stored OAuth2 tokens for a given Firebase UID.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @return {Promise<object|null>} The stored tokens or null if not found.
+ */
+async function getTokens(firebaseUid) {
+  const key = datastore.key([TOKEN_KIND, firebaseUid]);
+  const [entity] = await datastore.get(key);
+  return entity || null;
+}
+
+/**
+ * Checks whether stored tokens were granted a scope that can change playlists.
+ * @param {object} tokens The stored tokens.
+ * @return {boolean} True if playlist writes are allowed.
+ */
+function hasWriteScope(tokens) {
+  const scopes = (tokens.scope || '').split(' ');
+  return WRITE_SCOPES.some(scope => scopes.includes(scope));
+}
+
+/**
+ * Validates the body of a modify request.
+ * @param {object} body The request body.
+ * @return {string|null} An error message, or null if the request is valid.
+ */
+function validateRequest(body) {
+  const {action, videoIds, sourcePlaylistId, targetPlaylistId, positions} = body;
+  if (!ACTIONS.includes(action)) {
+    return `action must be one of ${ACTIONS.join(', ')}.`;
+  }
+  if (!Array.isArray(videoIds) || videoIds.length === 0 || !videoIds.every(id => typeof id === 'string' && id)) {
+    return 'videoIds must be a non-empty array of video IDs.';
+  }
+  if (videoIds.length > MAX_VIDEOS_PER_REQUEST) {
+    return `At most ${MAX_VIDEOS_PER_REQUEST} videos can be changed per request.`;
+  }
+  if (action !== 'add' && !sourcePlaylistId) {
+    return `Missing sourcePlaylistId for ${action}.`;
+  }
+  if (action !== 'remove' && !targetPlaylistId) {
+    return `Missing targetPlaylistId for ${action}.`;
+  }
+  if (action === 'move' && sourcePlaylistId === targetPlaylistId) {
+    return 'Cannot move videos to the playlist they are in.';
+  }
+  if (positions !== undefined && (typeof positions !== 'object' || positions === null ||
+      !Object.values(positions).every(p => Number.isInteger(p) && p >= 0))) {
+    return 'positions must map video IDs to non-negative integers.';
+  }
+  return null;
+}
+
+/**
+ * Lists the items of a playlist that hold a given video. A video can be in a playlist more than once.
+ * @param {object} youtube The YouTube Data API client.
+ * @param {string} playlistId The playlist ID.
+ * @param {string} videoId The video ID.
+ * @return {Promise<Array<object>>} The matching `youtube#playlistItem` resources.
+ */
+async function findPlaylistItems(youtube, playlistId, videoId) {
+  const response = await youtube.playlistItems.list({part: 'id,snippet', playlistId, videoId, maxResults: 50});
+  return response.data.items || [];
+}
+
+/**
+ * Adds a video to a playlist. A position is only honoured by playlists sorted manually;
+ * for other playlists YouTube rejects it, and the video is appended instead.
+ * @param {object} youtube The YouTube Data API client.
+ * @param {string} playlistId The playlist ID.
+ * @param {string} videoId The video ID.
+ * @param {number|undefined} position The position to insert the video at.
+ * @return {Promise<void>}
+ */
+async function insertPlaylistItem(youtube, playlistId, videoId, position) {
+  const snippet = {playlistId, resourceId: {kind: 'youtube#video', videoId}};
+  if (position !== undefined) {
+    try {
+      await youtube.playlistItems.insert({part: 'snippet', requestBody: {snippet: {...snippet, position}}});
+      return;
+    } catch (error) {
+      if (!error.response || error.response.status !== 400) throw error;
+      console.log(`[PLAYLIST_EDIT] Playlist ${playlistId} rejected position ${position}; appending video ${videoId}.`);
+    }
+  }
+  await youtube.playlistItems.insert({part: 'snippet', requestBody: {snippet}});
+}
+
+/**
+ * Converts a position in a playlist some items were removed from to the position the
+ * item had before any of them were removed.
+ * @param {number} position The current position.
+ * @param {Array<number>} removedPositions The original positions of the removed items.
+ * @return {number} The original position.
+ */
+function originalPosition(position, removedPositions) {
+  let original = position;
+  for (const removed of removedPositions.slice().sort((a, b) => a - b)) {
+    if (removed <= original) original++;
+  }
+  return original;
+}
+
+/**
+ * Applies an action to one video.
+ * @param {object} youtube The YouTube Data API client.
+ * @param {object} request The validated request body.
+ * @param {string} videoId The video ID.
+ * @param {Array<number>} removedPositions The original positions of the source playlist's
+ *     items removed by this request so far; the items this call removes are added.
+ * @return {Promise<{videoId: string, status: string, position: (number|undefined)}>} The outcome:
+ *     status `done`, `not_in_playlist` (nothing to remove or move) or `already_in_playlist`
+ *     (nothing to add). `position` is where the video was in the source playlist before the
+ *     request, for undo: re-adding the videos in ascending `position` order restores the playlist.
+ */
+async function applyToVideo(youtube, {action, sourcePlaylistId, targetPlaylistId, positions = {}}, videoId, removedPositions) {
+  const sourceItems = action === 'add' ? [] : await findPlaylistItems(youtube, sourcePlaylistId, videoId);
+  if (action !== 'add' && sourceItems.length === 0) {
+    return {videoId, status: 'not_in_playlist'};
+  }
+  if (action !== 'remove') {
+    const targetItems = await findPlaylistItems(youtube, targetPlaylistId, videoId);
+    if (targetItems.length === 0) {
+      // Added before the source item is deleted, so a failure never leaves the video in neither playlist.
+      await insertPlaylistItem(youtube, targetPlaylistId, videoId, positions[videoId]);
+    } else if (action === 'add') {
+      return {videoId, status: 'already_in_playlist'};
+    }
+  }
+  // Deleted last first, so that no deletion shifts the positions of the others.
+  const itemsLastFirst = sourceItems.slice().sort((a, b) => b.snippet.position - a.snippet.position);
+  for (const item of itemsLastFirst) {
+    await youtube.playlistItems.delete({id: item.id});
+  }
+  if (sourceItems.length === 0) {
+    return {videoId, status: 'done'};
+  }
+  const originalPositions = itemsLastFirst.map(item => originalPosition(item.snippet.position, removedPositions));
+  removedPositions.push(...originalPositions);
+  return {videoId, status: 'done', position: Math.min(...originalPositions)};
+}
+
+/**
+ * Updates a video's stored playlist associations after it was removed from and/or
+ * added to a playlist. A video left in none of any user's synced playlists is
+ * deleted, as a sync would; one not stored yet is left for the next sync to add.
+ * Other users' associations are kept, even if they change concurrently.
+ * @param {string} firebaseUid The Firebase User ID.
+ * @param {string} videoId The video ID.
+ * @param {string|undefined} removedFrom The playlist the video was removed from.
+ * @param {string|undefined} addedTo The playlist the video was added to.
+ * @return {Promise<void>}
+ */
+async function updateStoredAssociations(firebaseUid, videoId, removedFrom, addedTo) {
+  await updateVideoAssociations(datastore, videoId, {
+    remove: removedFrom && `${firebaseUid}:${removedFrom}`,
+    legacyPlaylistId: removedFrom,
+    add: addedTo && `${firebaseUid}:${addedTo}`,
+  });
+}
+
+/**
+ * HTTP Cloud Function that changes the user's playlists. Authenticates the user with a
+ * Firebase ID token and applies the action to each video in turn. Body:
+ *   - `action`: `remove` (from `sourcePlaylistId`), `move` (from `sourcePlaylistId` to
+ *     `targetPlaylistId`) or `add` (to `targetPlaylistId`).
+ *   - `videoIds`: the videos, at most MAX_VIDEOS_PER_REQUEST.
+ *   - `positions` (optional): video ID to the position to insert it at in `targetPlaylistId`.
+ * Responds with one result per video (see applyToVideo). A video that fails does not stop
+ * the others; its result has status `failed` and an `error`.
+ *
+ * @param {object} req The HTTP request object.
+ *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleModifyPlaylistItems = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({error: 'Unauthorized: Missing or invalid Firebase ID token.'});
+  }
+  const idToken = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    return res.status(401).json({error: 'Unauthorized: Invalid Firebase ID token.'});
+  }
+  const firebaseUid = decodedToken.uid;
+
+  const request = req.body || {};
+  const validationError = validateRequest(request);
+  if (validationError) {
+    return res.status(400).json({error: validationError});
+  }
+
+  try {
+    const tokens = await getTokens(firebaseUid);
+    if (!tokens) {
+      return res.status(403).json({error: 'YouTube account not linked.', code: 'YOUTUBE_AUTH_REQUIRED'});
+    }
+    if (!hasWriteScope(tokens)) {
+      return res.status(403).json({error: 'Changing playlists needs additional YouTube permissions.', code: 'WRITE_SCOPE_REQUIRED'});
+    }
+
+    const oauth2Client = new OAuth2Client(YOUTUBE_CLIENT_ID, YOUTUBE_CLIENT_SECRET, REDIRECT_URI);
+    oauth2Client.setCredentials(tokens);
+    oauth2Client.on('tokens', async (newTokens) => {
+      console.log('[PLAYLIST_EDIT] YouTube access token refreshed for UID:', firebaseUid);
+      const tokenKey = datastore.key([TOKEN_KIND, firebaseUid]);
+      await datastore.save({key: tokenKey, data: {...tokens, ...newTokens, id_token: undefined}});
+    });
+    const youtube = google.youtube({version: 'v3', auth: oauth2Client});
+
+    // Only the playlists the action changes; an extra sourcePlaylistId on an add, or
+    // targetPlaylistId on a remove, must not change the stored associations.
+    const removedFrom = request.action !== 'add' ? request.sourcePlaylistId : undefined;
+    const addedTo = request.action !== 'remove' ? request.targetPlaylistId : undefined;
+    const results = [];
+    const removedPositions = [];
+    for (const videoId of Array.from(new Set(request.videoIds))) {
+      try {
+        const result = await applyToVideo(youtube, request, videoId, removedPositions);
+        if (result.status === 'done') {
+          await updateStoredAssociations(firebaseUid, videoId, removedFrom, addedTo);
+        }
+        results.push(result);
+      } catch (error) {
+        const status = error.code || (error.response && error.response.status);
+        if (status === 401) throw error;
+        console.error(`[PLAYLIST_EDIT] Failed to ${request.action} video ${videoId} for UID ${firebaseUid}:`, error.response ? error.response.data : error.message);
+        results.push({videoId, status: 'failed', error: error.message});
+      }
+    }
+    const doneCount = results.filter(r => r.status === 'done').length;
+    console.log(`[PLAYLIST_EDIT] ${request.action} for UID ${firebaseUid}: ${doneCount} of ${results.length} videos changed.`);
+    res.status(200).json({action: request.action, sourcePlaylistId: request.sourcePlaylistId || null,
+      targetPlaylistId: request.targetPlaylistId || null, results});
+  } catch (error) {
+    console.error(`[PLAYLIST_EDIT] Error changing playlists for UID ${firebaseUid}:`, error.response ? error.response.data : error.message, error.stack);
+    if (error.code === 401 || (error.response && error.response.status === 401)) {
+      return res.status(401).json({error: 'YouTube authentication failed. Please re-link.', code: 'YOUTUBE_REAUTH_REQUIRED'});
+    }
+    res.status(500).json({error: 'Failed to change playlists.'});
+  }
+};
+
+app.all('/', handleModifyPlaylistItems);
+
+exports.modifyPlaylistItems = app;
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Transactional changes to the playlist associations of the
+ * `Videos` entities, which are shared between users.
+ *
+ * This file is kept identical in `backend/getWatchLaterPlaylist/` and
+ * `backend/modifyPlaylistItems/`, since both add and remove associations on the
+ * same entities. Each change re-reads the entity in a transaction and merges in
+ * only its own user's association, so concurrent syncs and playlist edits by
+ * different users never erase each other's, and a video is only deleted if no
+ * user is associated with it at the moment of the commit.
+ */
+
+const VIDEOS_KIND = 'Videos';
+const VIDEOS_EXCLUDE_FROM_INDEXES = ['description', 'thumbnailUrl', 'embedding[]'];
+// A transaction aborted by a concurrent change to the same video is retried this many times in all.
+const MAX_TRANSACTION_ATTEMPTS = 5;
+const DATASTORE_ABORTED = 10;
+// Transactions run this many at a time by updateManyVideoAssociations.
+const CONCURRENT_TRANSACTIONS = 10;
+
+/**
+ * @typedef {object} AssociationChange
+ * @property {string} [add] - The `${firebaseUid}:${playlistId}` association to add.
+ * @property {string} [remove] - The `${firebaseUid}:${playlistId}` association to remove.
+ * @property {string} [legacyPlaylistId] - A playlist ID to drop from the legacy,
+ *     user-less `associatedPlaylistIds`.
+ * @property {object} [fields] - Video fields to write, e.g. from a sync. Their own
+ *     `userPlaylistAssociations` and `associatedPlaylistIds` are ignored in favour of
+ *     the stored ones. Without `fields`, a video that is not stored is left alone.
+ */
+
+/**
+ * Applies one association change to one video in a transaction, retrying if a
+ * concurrent change to the video aborts it.
+ * @param {object} datastore The Datastore client.
+ * @param {string} videoId The video ID.
+ * @param {AssociationChange} change The change.
+ * @return {Promise<string>} `saved`, `deleted` (no association was left), or `missing`
+ *     (the video is not stored and there were no fields to store).
+ */
+async function updateVideoAssociations(datastore, videoId, {add, remove, legacyPlaylistId, fields}) {
+  const videoKey = datastore.key([VIDEOS_KIND, videoId]);
+  for (let attempt = 1; ; attempt++) {
+    const transaction = datastore.transaction();
+    try {
+      await transaction.run();
+      const [stored] = await transaction.get(videoKey);
+      if (!stored && !fields) {
+        await transaction.rollback();
+        return 'missing';
+      }
+      const associations = new Set((stored && stored.userPlaylistAssociations) || []);
+      if (remove) associations.delete(remove);
+      if (add) associations.add(add);
+      const legacyPlaylists = ((stored && stored.associatedPlaylistIds) || []).filter(id => id !== legacyPlaylistId);
+      let outcome;
+      if (associations.size === 0 && legacyPlaylists.length === 0) {
+        transaction.delete(videoKey);
+        outcome = 'deleted';
+      } else {
+        transaction.save({
+          key: videoKey,
+          data: {...stored, ...fields, userPlaylistAssociations: Array.from(associations), associatedPlaylistIds: legacyPlaylists},
+          excludeFromIndexes: VIDEOS_EXCLUDE_FROM_INDEXES,
+        });
+        outcome = 'saved';
+      }
+      await transaction.commit();
+      return outcome;
+    } catch (error) {
+      await transaction.rollback().catch(() => {});
+      if (error.code !== DATASTORE_ABORTED || attempt >= MAX_TRANSACTION_ATTEMPTS) throw error;
+      console.warn(`[ASSOCIATIONS] Retrying the association change of video ${videoId} after a concurrent change (attempt ${attempt}).`);
+    }
+  }
+}
+
+/**
+ * Applies association changes to many videos, a few transactions at a time.
+ * @param {object} datastore The Datastore client.
+ * @param {Array<{videoId: string, change: AssociationChange}>} updates The changes.
+ * @return {Promise<Array<string>>} The outcome of each change, in order (see updateVideoAssociations).
+ */
+async function updateManyVideoAssociations(datastore, updates) {
+  const outcomes = [];
+  for (let i = 0; i < updates.length; i += CONCURRENT_TRANSACTIONS) {
+    const batch = updates.slice(i, i + CONCURRENT_TRANSACTIONS);
+    outcomes.push(...await Promise.all(batch.map(({videoId, change}) => updateVideoAssociations(datastore, videoId, change))));
+  }
+  return outcomes;
+}
+
+module.exports = {updateVideoAssociations, updateManyVideoAssociations};
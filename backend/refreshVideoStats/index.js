@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Cloud Function triggered by Pub/Sub to refresh the statistics
+ * (view count, like count, topic categories) of the videos in a user's synced
+ * playlists. `getWatchLaterPlaylist` only fetches these when a video is first
+ * stored, so without this job they would never change. Videos that YouTube no
+ * longer returns (deleted, or made private) are flagged as unavailable.
+ */
+const { Datastore } = require('@google-cloud/datastore');
+const { google } = require('googleapis');
+const { OAuth2Client } = require('google-auth-library');
+
+const datastore = new Datastore();
+
+// Retrieve YouTube API credentials from environment variables
+const YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID;
+const YOUTUBE_CLIENT_SECRET = process.env.YOUTUBE_CLIENT_SECRET;
+
+// Constants
+const TOKEN_KIND = 'Tokens';
+const VIDEOS_KIND = 'Videos';
+const USER_PLAYLIST_SYNC_KIND = 'UserPlaylistSync';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATS_MAX_AGE_DAYS = parseFloat(process.env.STATS_MAX_AGE_DAYS) || 7; // Statistics older than this are refreshed
+const MAX_VIDEOS_PER_REFRESH = parseInt(process.env.MAX_VIDEOS_PER_REFRESH, 10) || 1000; // Oldest first; the rest wait for the next run
+const BATCH_SIZE = 50; // For YouTube Data API videos.list calls
+const DATASTORE_MAX_MUTATIONS_PER_COMMIT = 500;
+
+/**
+ * Returns when a video's statistics were last fetched, as milliseconds since the epoch.
+ * Videos stored before `statsUpdatedAt` existed count as never refreshed.
+ * @param {object} videoData The `Videos` entity data.
+ * @returns {number} The time, or 0 if unknown.
+ */
+function statsUpdatedTime(videoData) {
+  return videoData.statsUpdatedAt ? new Date(videoData.statsUpdatedAt).getTime() : 0;
+}
+
+/**
+ * Loads the videos in all of a user's synced playlists, de-duplicated by video ID.
+ * @param {string} userId The Firebase UID.
+ * @returns {Promise<Map<string, object>>} The `Videos` entities, by video ID.
+ */
+async function getUserVideos(userId) {
+  const syncQuery = datastore.createQuery(USER_PLAYLIST_SYNC_KIND).filter('userId', '=', userId);
+  const [syncRecords] = await datastore.runQuery(syncQuery);
+  const videosById = new Map();
+  for (const { playlistId } of syncRecords) {
+    const videosQuery = datastore.createQuery(VIDEOS_KIND)
+      .filter('userPlaylistAssociations', '=', `${userId}:${playlistId}`);
+    const [playlistVideos] = await datastore.runQuery(videosQuery);
+    playlistVideos.forEach((v) => videosById.set(v.videoId, v));
+  }
+  return videosById;
+}
+
+/**
+ * Refreshes the statistics of a user's videos whose `statsUpdatedAt` is older than
+ * STATS_MAX_AGE_DAYS, oldest first and at most MAX_VIDEOS_PER_REFRESH per run.
+ * `viewCount`, `likeCount` and `topicCategories` are replaced with YouTube's current
+ * values and `statsUpdatedAt` is set. Videos that `videos.list` no longer returns are
+ * marked `unavailable: true` (with `unavailableSince`); a video that becomes available
+ * again has the flag cleared. Videos shared with other users are refreshed once, by
+ * whichever user's run reaches them first.
+ * Triggered by a Pub/Sub message containing the userId.
+ *
+ * @param {{data: string}} pubSubEvent The event payload, where `data` is a base64-encoded JSON string
+ *   expected to contain `{ userId: string }`.
+ * @param {object} context The event metadata (not directly used by this function's core logic).
+ */
+exports.refreshVideoStats = async (pubSubEvent, context) => {
+  let userId;
+  try {
+    const message = pubSubEvent.data
+      ? JSON.parse(Buffer.from(pubSubEvent.data, 'base64').toString())
+      : null;
+
+    if (!message || !message.userId) {
+      console.error('No userId provided in Pub/Sub message.');
+      return;
+    }
+    userId = message.userId;
+    console.log(`[STATS] Refreshing video statistics for userId: ${userId}`);
+
+    // 1. Get user's OAuth tokens from Datastore
+    const tokenKey = datastore.key([TOKEN_KIND, userId]);
+    const [tokens] = await datastore.get(tokenKey);
+    if (!tokens) {
+      console.error(`[STATS] No OAuth tokens found for userId: ${userId}`);
+      return;
+    }
+
+    const oauth2Client = new OAuth2Client(YOUTUBE_CLIENT_ID, YOUTUBE_CLIENT_SECRET);
+    oauth2Client.setCredentials(tokens);
+    oauth2Client.on('tokens', async (newTokens) => {
+      console.log(`[STATS] YouTube access token refreshed for userId: ${userId}`);
+      await datastore.save({ key: tokenKey, data: { ...tokens, ...newTokens, id_token: undefined } });
+    });
+    const youtube = google.youtube({ version: 'v3', auth: oauth2Client });
+
+    // 2. Select the videos whose statistics are stale
+    const videosById = await getUserVideos(userId);
+    const cutoff = Date.now() - STATS_MAX_AGE_DAYS * DAY_MS;
+    const staleVideos = Array.from(videosById.values())
+      .filter((v) => statsUpdatedTime(v) < cutoff)
+      .sort((a, b) => statsUpdatedTime(a) - statsUpdatedTime(b))
+      .slice(0, MAX_VIDEOS_PER_REFRESH);
+    console.log(`[STATS] ${staleVideos.length} of ${videosById.size} videos for userId ${userId} have statistics older than ${STATS_MAX_AGE_DAYS} days.`);
+    if (staleVideos.length === 0) {
+      return;
+    }
+
+    // 3. Fetch current statistics in batches
+    const currentDetails = new Map();
+    for (let i = 0; i < staleVideos.length; i += BATCH_SIZE) {
+      const batchIds = staleVideos.slice(i, i + BATCH_SIZE).map((v) => v.videoId);
+      const response = await youtube.videos.list({ part: 'statistics,topicDetails', id: batchIds.join(',') });
+      (response.data.items || []).forEach((item) => currentDetails.set(item.id, item));
+    }
+
+    // 4. Work out the new fields. videos.list silently omits deleted and private videos.
+    const now = new Date();
+    const statsById = new Map(staleVideos.map((videoData) => {
+      const details = currentDetails.get(videoData.videoId);
+      const stats = details ? {
+        viewCount: details.statistics?.viewCount || null,
+        likeCount: details.statistics?.likeCount || null,
+        topicCategories: details.topicDetails?.topicCategories?.map((tc) => tc.replace('https://en.wikipedia.org/wiki/', '')) || [],
+        unavailable: false,
+        unavailableSince: null,
+      } : { unavailable: true };
+      return [videoData.videoId, { ...stats, statsUpdatedAt: now }];
+    }));
+
+    // 5. Write them onto the current entities in batches within Datastore's per-commit mutation
+    // limit. The entities are re-read first: they are shared between users, and playlist
+    // associations or categories written since step 2 must be kept.
+    const newlyUnavailable = [];
+    let updatedCount = 0;
+    const staleIds = Array.from(statsById.keys());
+    for (let i = 0; i < staleIds.length; i += DATASTORE_MAX_MUTATIONS_PER_COMMIT) {
+      const keys = staleIds.slice(i, i + DATASTORE_MAX_MUTATIONS_PER_COMMIT).map((id) => datastore.key([VIDEOS_KIND, id]));
+      const [currentVideos] = await datastore.get(keys);
+      const updates = currentVideos.map((videoData) => {
+        const stats = statsById.get(videoData.videoId);
+        if (stats.unavailable) {
+          if (!videoData.unavailable) newlyUnavailable.push(videoData.videoId);
+          stats.unavailableSince = videoData.unavailable ? videoData.unavailableSince : now;
+        }
+        return {
+          key: datastore.key([VIDEOS_KIND, videoData.videoId]),
+          data: { ...videoData, ...stats },
+          excludeFromIndexes: ['description', 'thumbnailUrl', 'embedding[]'],
+        };
+      });
+      await datastore.upsert(updates);
+      updatedCount += updates.length;
+    }
+    if (newlyUnavailable.length > 0) {
+      console.log(`[STATS] Flagging ${newlyUnavailable.length} videos that are no longer available: ${newlyUnavailable.join(', ')}`);
+    }
+    console.log(`[STATS] Refreshed statistics for ${updatedCount} videos for userId ${userId} (${newlyUnavailable.length} newly unavailable).`);
+
+  } catch (error) {
+    if (error.code === 401 || (error.response && error.response.status === 401)) {
+      console.error(`[STATS] YouTube rejected the credentials of userId ${userId}. The user needs to re-link YouTube.`);
+      return;
+    }
+    console.error(`[STATS] Error refreshing video statistics for userId ${userId}:`, error.response ? error.response.data : error.message, error.stack);
+  }
+};
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Cloud Function triggered by Pub/Sub to run a user's saved
+ * searches against their subscription feed. fetchUserSubscriptionFeed publishes
+ * a request each time it refreshes a user's `UserSubscriptionFeedCache`; this
+ * function asks Gemini which of the feed's videos, not yet checked for a
+ * search, match its query. New matches are stored on the `SavedSearch` entity
+ * (shown as a badge in the frontend until seen) and, for searches with a
+ * digest, sent by email or webhook through a notifier from notifiers.js.
+ */
+const { Datastore } = require('@google-cloud/datastore');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createNotifier } = require('./notifiers');
+
+const datastore = new Datastore();
+
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+
+// Constants
+const SAVED_SEARCH_KIND = 'SavedSearch'; // Keyed by `${uid}:${searchId}`; managed by manageSavedSearches
+const FEED_CACHE_KIND = 'UserSubscriptionFeedCache';
+const SAVED_SEARCH_EXCLUDE_FROM_INDEXES = ['matches[].title', 'matches[].reason', 'matches[].thumbnailUrl', 'checkedVideoIds[]'];
+const MATCHING_MODEL = process.env.SAVED_SEARCH_MODEL || 'gemini-2.5-flash';
+const BATCH_SIZE = 50; // Videos per model request
+const MAX_MATCHES_PER_SEARCH = 50; // Older matches are dropped
+const MAX_DESCRIPTION_CHARS = 300;
+
+const MATCH_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    matches: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          videoId: { type: 'string', description: 'The video ID, exactly as given.' },
+          reason: { type: 'string', description: 'One sentence on why the video matches the search.' },
+        },
+        required: ['videoId', 'reason'],
+      },
+    },
+  },
+  required: ['matches'],
+};
+
+const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
+
+/**
+ * Builds the prompt that checks one batch of videos against a saved search.
+ * @param {string} query The saved search query.
+ * @param {Array<object>} videos The feed videos to check.
+ * @returns {string} The prompt.
+ */
+function buildMatchPrompt(query, videos) {
+  const videoList = videos.map((v) => ({
+    videoId: v.videoId,
+    title: v.title || '',
+    channel: v.channelTitle || '',
+    description: (v.description || '').substring(0, MAX_DESCRIPTION_CHARS),
+    durationSeconds: Number.isFinite(v.durationSeconds) ? v.durationSeconds : null,
+    publishedAt: v.publishedAt || null,
+  }));
+  return [
+    `A user saved this search for new YouTube videos: "${query}"`,
+    'Return only the videos below that clearly match it, each with a one-sentence reason. Return an empty list if none do.',
+    'Use durationSeconds and publishedAt when the search asks for a length (e.g. "long-form", "short") or how recent a video is.',
+    '',
+    `Videos (JSON format):\n${JSON.stringify(videoList, null, 2)}`,
+  ].join('\n');
+}
+
+/**
+ * Asks the model which videos of one batch match a saved search.
+ * @param {string} query The saved search query.
+ * @param {Array<object>} videos The feed videos to check.
+ * @returns {Promise<Map<string, string>>} The reason for each matching video, by video ID.
+ *     Answers with an unknown ID are dropped.
+ */
+async function matchBatch(query, videos) {
+  const model = genAI.getGenerativeModel({ model: MATCHING_MODEL });
+  const result = await model.generateContent({
+    contents: [{ role: 'user', parts: [{ text: buildMatchPrompt(query, videos) }] }],
+    generationConfig: {
+      responseMimeType: 'application/json',
+      responseSchema: MATCH_RESPONSE_SCHEMA,
+      temperature: 0,
+    },
+  });
+  const parsed = JSON.parse(result.response.text());
+  const batchIds = new Set(videos.map((v) => v.videoId));
+  const reasonsById = new Map();
+  for (const item of (parsed && Array.isArray(parsed.matches) ? parsed.matches : [])) {
+    if (item && batchIds.has(item.videoId) && !reasonsById.has(item.videoId)) {
+      reasonsById.set(item.videoId, String(item.reason || ''));
+    }
+  }
+  return reasonsById;
+}
+
+/**
+ * Runs one saved search against the feed videos it has not been checked against.
+ * @param {object} search The `SavedSearch` entity.
+ * @param {Array<object>} feedVideos The videos in the user's refreshed feed.
+ * @returns {Promise<{newMatches: Array<object>, checkedVideoIds: Array<string>}>} The new
+ *     matches, and the feed videos the search has now been checked against. Videos of a
+ *     batch the model failed on are left out of both, so the next run checks them again.
+ */
+async function runSearch(search, feedVideos) {
+  const alreadyChecked = new Set(search.checkedVideoIds || []);
+  const candidates = feedVideos.filter((v) => !alreadyChecked.has(v.videoId));
+  // Only videos still in the feed are kept, which bounds the list to the feed's size.
+  const checkedVideoIds = feedVideos.filter((v) => alreadyChecked.has(v.videoId)).map((v) => v.videoId);
+  const newMatches = [];
+  const matchedAt = new Date();
+  for (let i = 0; i < candidates.length; i += BATCH_SIZE) {
+    const batch = candidates.slice(i, i + BATCH_SIZE);
+    let reasonsById;
+    try {
+      reasonsById = await matchBatch(search.query, batch);
+    } catch (error) {
+      console.error(`[SAVED_SEARCH] Model request failed for search ${search.searchId}, batch starting at ${i}:`, error.message);
+      continue;
+    }
+    for (const video of batch) {
+      checkedVideoIds.push(video.videoId);
+      if (reasonsById.has(video.videoId)) {
+        newMatches.push({
+          videoId: video.videoId,
+          title: video.title || '',
+          channelTitle: video.channelTitle || '',
+          thumbnailUrl: video.thumbnailUrl || null,
+          publishedAt: video.publishedAt || null,
+          reason: reasonsById.get(video.videoId),
+          matchedAt,
+        });
+      }
+    }
+  }
+  return { newMatches, checkedVideoIds };
+}
+
+/**
+ * Sends one digest per distinct digest target, covering every search that
+ * delivers there and got new matches. A failed send is logged and not retried;
+ * the matches are stored and shown in the app either way.
+ * @param {string} userId The user.
+ * @param {Array<{search: object, newMatches: Array<object>}>} runs The searches with new matches.
+ * @returns {Promise<number>} The number of digests sent.
+ */
+async function sendDigests(userId, runs) {
+  const digestsByTarget = new Map();
+  for (const { search, newMatches } of runs) {
+    if (!search.digest) continue;
+    const targetKey = `${search.digest.channel}:${search.digest.target}`;
+    if (!digestsByTarget.has(targetKey)) {
+      digestsByTarget.set(targetKey, {
+        userId, channel: search.digest.channel, target: search.digest.target, searches: [], createdAt: new Date(),
+      });
+    }
+    digestsByTarget.get(targetKey).searches.push({
+      searchId: search.searchId,
+      query: search.query,
+      matches: newMatches.map(({ videoId, title, channelTitle, reason }) => ({ videoId, title, channelTitle, reason })),
+    });
+  }
+  if (digestsByTarget.size === 0) return 0;
+
+  let notifier;
+  try {
+    notifier = createNotifier(process.env.SAVED_SEARCH_NOTIFIER);
+  } catch (error) {
+    console.error('[SAVED_SEARCH] Cannot send digests:', error.message);
+    return 0;
+  }
+  let sentCount = 0;
+  for (const digest of digestsByTarget.values()) {
+    try {
+      await notifier.send(digest);
+      sentCount++;
+    } catch (error) {
+      console.error(`[SAVED_SEARCH] ${notifier.name} notifier failed to send a ${digest.channel} digest for userId ${userId}:`, error.message);
+    }
+  }
+  return sentCount;
+}
+
+/**
+ * Runs every saved search of a user against their cached subscription feed.
+ * Each search is checked only against feed videos it has not been checked
+ * against before, BATCH_SIZE per model request, so a video matches a search at
+ * most once. New matches are added to the search's `matches` (newest first, at
+ * most MAX_MATCHES_PER_SEARCH) and `unseenCount`, and then digests are sent
+ * (see sendDigests).
+ * Triggered by a Pub/Sub message containing the userId, published by
+ * fetchUserSubscriptionFeed after it refreshes the feed.
+ *
+ * @param {{data: string}} pubSubEvent The event payload, where `data` is a base64-encoded JSON string
+ *   expected to contain `{ userId: string }`.
+ * @param {object} context The event metadata (not directly used by this function's core logic).
+ */
+exports.runSavedSearches = async (pubSubEvent, context) => {
+  if (!genAI) {
+    console.error('[SAVED_SEARCH] GEMINI_API_KEY is not set. Skipping saved searches.');
+    return;
+  }
+  let userId;
+  try {
+    const message = pubSubEvent.data
+      ? JSON.parse(Buffer.from(pubSubEvent.data, 'base64').toString())
+      : null;
+    if (!message || !message.userId) {
+      console.error('[SAVED_SEARCH] No userId provided in Pub/Sub message.');
+      return;
+    }
+    userId = message.userId;
+
+    // 1. Load the user's saved searches and refreshed feed
+    const query = datastore.createQuery(SAVED_SEARCH_KIND).filter('userId', '=', userId);
+    const [searches] = await datastore.runQuery(query);
+    if (searches.length === 0) {
+      console.log(`[SAVED_SEARCH] No saved searches for userId: ${userId}.`);
+      return;
+    }
+    const [feedCache] = await datastore.get(datastore.key([FEED_CACHE_KIND, userId]));
+    const feedVideos = (feedCache && Array.isArray(feedCache.videos)) ? feedCache.videos : [];
+
+    // 2. Run each search and store its new matches
+    const runsWithMatches = [];
+    for (const search of searches) {
+      const { newMatches, checkedVideoIds } = await runSearch(search, feedVideos);
+      // Write onto the current entity, so a delete or "mark seen" since the query is kept
+      const searchKey = datastore.key([SAVED_SEARCH_KIND, `${userId}:${search.searchId}`]);
+      const [current] = await datastore.get(searchKey);
+      if (!current) continue;
+      const matches = [...newMatches, ...(current.matches || [])].slice(0, MAX_MATCHES_PER_SEARCH);
+      await datastore.save({
+        key: searchKey,
+        data: {
+          ...current,
+          matches,
+          checkedVideoIds,
+          unseenCount: Math.min((current.unseenCount || 0) + newMatches.length, matches.length),
+          lastRunAt: new Date(),
+        },
+        excludeFromIndexes: SAVED_SEARCH_EXCLUDE_FROM_INDEXES,
+      });
+      if (newMatches.length > 0) {
+        runsWithMatches.push({ search: current, newMatches });
+      }
+    }
+
+    // 3. Send digests
+    const digestCount = await sendDigests(userId, runsWithMatches);
+    const matchCount = runsWithMatches.reduce((sum, run) => sum + run.newMatches.length, 0);
+    console.log(`[SAVED_SEARCH] Ran ${searches.length} saved searches against ${feedVideos.length} feed videos for userId ${userId}: ${matchCount} new matches, ${digestCount} digests sent.`);
+  } catch (error) {
+    console.error(`[SAVED_SEARCH] Error running saved searches for userId ${userId || 'UNKNOWN'}:`, error.message, error.stack);
+  }
+};
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Notifiers that deliver saved search digests for runSavedSearches.
+ * A notifier is an object with `send(digest)`; SAVED_SEARCH_NOTIFIER picks one:
+ *   - `file` (the default): appends each digest as one JSON line to
+ *     NOTIFIER_FILE_PATH, for local runs and tests.
+ *   - `smtp-stub`: builds the email (for `email` digests) or JSON POST body (for
+ *     `webhook` digests) that a real transport would send, and logs it instead.
+ * A real SMTP or HTTP transport plugs in by adding a factory to NOTIFIER_FACTORIES.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_NOTIFIER_FILE_PATH = path.join(os.tmpdir(), 'saved-search-digests.jsonl');
+const DEFAULT_FROM_ADDRESS = 'ReelWorthy <noreply@reelworthy.app>';
+
+/**
+ * @typedef {object} Digest
+ * @property {string} userId - The user the digest is for.
+ * @property {string} channel - `email` or `webhook`.
+ * @property {string} target - The email address or https URL to deliver to.
+ * @property {Array<{searchId: string, query: string, matches: Array<object>}>} searches - The
+ *     saved searches with new matches, each with those matches
+ *     (`{videoId, title, channelTitle, reason}`).
+ * @property {Date} createdAt - When the digest was built.
+ */
+
+/**
+ * Formats a digest as a plain-text email body.
+ * @param {Digest} digest The digest.
+ * @returns {string} The body.
+ */
+function formatDigestText(digest) {
+  const sections = digest.searches.map(({query, matches}) => [
+    `"${query}" - ${matches.length} new ${matches.length === 1 ? 'video' : 'videos'}:`,
+    ...matches.map((m) => `  - ${m.title} (${m.channelTitle})\n    https://www.youtube.com/watch?v=${m.videoId}\n    ${m.reason}`),
+  ].join('\n'));
+  return `New videos in your subscriptions match your saved searches.\n\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Builds the RFC 5322 message for an email digest.
+ * @param {Digest} digest The digest, with `channel` `email`.
+ * @param {string} fromAddress The sender.
+ * @returns {string} The message, headers and body, with CRLF line endings.
+ */
+function buildEmailMessage(digest, fromAddress) {
+  const count = digest.searches.reduce((sum, s) => sum + s.matches.length, 0);
+  const headers = [
+    `From: ${fromAddress}`,
+    `To: ${digest.target}`,
+    `Subject: ${count} new ${count === 1 ? 'video matches' : 'videos match'} your saved searches`,
+    `Date: ${digest.createdAt.toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+  ];
+  return `${headers.join('\r\n')}\r\n\r\n${formatDigestText(digest).replace(/\n/g, '\r\n')}`;
+}
+
+/**
+ * Builds the JSON body a webhook digest is POSTed with.
+ * @param {Digest} digest The digest, with `channel` `webhook`.
+ * @returns {string} The body.
+ */
+function buildWebhookBody(digest) {
+  return JSON.stringify({
+    type: 'saved_search_digest',
+    createdAt: digest.createdAt.toISOString(),
+    searches: digest.searches,
+  });
+}
+
+/**
+ * Creates a notifier that appends digests to a file, one JSON line each.
+ * @param {{filePath: (string|undefined)}} options The file to append to.
+ * @returns {{name: string, send: function(Digest): Promise<void>}} The notifier.
+ */
+function createFileNotifier({filePath = DEFAULT_NOTIFIER_FILE_PATH}) {
+  return {
+    name: 'file',
+    async send(digest) {
+      await fs.promises.appendFile(filePath, `${JSON.stringify(digest)}\n`);
+    },
+  };
+}
+
+/**
+ * Creates a notifier that formats digests as the SMTP message or webhook request
+ * they would be sent as, and logs them without sending anything.
+ * @param {{fromAddress: (string|undefined)}} options The email sender.
+ * @returns {{name: string, send: function(Digest): Promise<void>}} The notifier.
+ */
+function createSmtpStubNotifier({fromAddress = DEFAULT_FROM_ADDRESS}) {
+  return {
+    name: 'smtp-stub',
+    async send(digest) {
+      if (digest.channel === 'email') {
+        console.log(`[SAVED_SEARCH] smtp-stub: would send to ${digest.target}:\n${buildEmailMessage(digest, fromAddress)}`);
+      } else {
+        console.log(`[SAVED_SEARCH] smtp-stub: would POST to ${digest.target}:\n${buildWebhookBody(digest)}`);
+      }
+    },
+  };
+}
+
+const NOTIFIER_FACTORIES = {
+  'file': createFileNotifier,
+  'smtp-stub': createSmtpStubNotifier,
+};
+
+/**
+ * Creates the notifier with the given name.
+ * @param {string} [name] The notifier name, a key of NOTIFIER_FACTORIES. Defaults to `file`.
+ * @param {object} [env] Where to read NOTIFIER_FILE_PATH and SAVED_SEARCH_FROM_ADDRESS from.
+ * @returns {{name: string, send: function(Digest): Promise<void>}} The notifier.
+ * @throws {Error} If there is no notifier with that name.
+ */
+function createNotifier(name = 'file', env = process.env) {
+  const factory = NOTIFIER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown saved search notifier "${name}". Use one of: ${Object.keys(NOTIFIER_FACTORIES).join(', ')}.`);
+  }
+  return factory({filePath: env.NOTIFIER_FILE_PATH, fromAddress: env.SAVED_SEARCH_FROM_ADDRESS});
+}
+
+module.exports = {createNotifier, buildEmailMessage, buildWebhookBody};
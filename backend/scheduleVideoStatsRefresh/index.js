@@ -0,0 +1,65 @@
+/**
+ * @fileoverview HTTP Cloud Function designed to be triggered by Cloud Scheduler.
+ * It queries Datastore for all users who have linked their YouTube accounts
+ * (identified by the presence of an entity in the 'Tokens' Kind). For each
+ * such user, it publishes a message to the 'video-stats-refresh-requests'
+ * Pub/Sub topic to refresh the statistics of the videos in their synced playlists.
+ */
+const { Datastore } = require('@google-cloud/datastore');
+const { PubSub } = require('@google-cloud/pubsub');
+
+const datastore = new Datastore();
+const pubsub = new PubSub();
+const topicName = 'video-stats-refresh-requests'; // Ensure this matches the created topic
+const TOKEN_KIND = 'Tokens'; // Datastore Kind where user OAuth tokens (and thus UIDs) are stored
+
+/**
+ * HTTP Cloud Function triggered by Cloud Scheduler.
+ * It queries for all users with linked YouTube accounts (identified by presence in TOKEN_KIND)
+ * and publishes a message for each to the 'video-stats-refresh-requests' Pub/Sub topic.
+ * Each message is handled by `refreshVideoStats`, which uses that user's YouTube
+ * credentials to refresh their stale videos.
+ *
+ * @param {object} req The HTTP request object (not directly used for scheduler triggers beyond invocation).
+ * @param {object} res The HTTP response object.
+ */
+exports.scheduleVideoStatsRefresh = async (req, res) => {
+  // Like scheduleAllUserFeedUpdates, this relies on IAM permissions on the function
+  // (invoked as the Scheduler service account) rather than checking the caller itself.
+  console.log('Scheduler job "scheduleVideoStatsRefresh" started.');
+
+  try {
+    const query = datastore.createQuery(TOKEN_KIND).select('__key__'); // Select only keys to get UIDs
+    const [entities] = await datastore.runQuery(query);
+
+    if (!entities || entities.length === 0) {
+      console.log('No users found in Tokens Kind. No messages to publish.');
+      res.status(200).send('No users to process.');
+      return;
+    }
+
+    let publishedCount = 0;
+    const publishPromises = entities.map(async (entity) => {
+      const userId = entity[datastore.KEY].name; // The UID is the name of the key for Token Kind
+      if (userId) {
+        try {
+          const messageBuffer = Buffer.from(JSON.stringify({ userId: userId }));
+          await pubsub.topic(topicName).publishMessage({ data: messageBuffer });
+          console.log(`Published stats refresh request for userId: ${userId}`);
+          publishedCount++;
+        } catch (pubError) {
+          console.error(`Failed to publish stats refresh request for userId ${userId}:`, pubError);
+        }
+      }
+    });
+
+    await Promise.all(publishPromises);
+
+    console.log(`Scheduler job finished. Published ${publishedCount} stats refresh requests out of ${entities.length} users found.`);
+    res.status(200).send(`Successfully published ${publishedCount} stats refresh requests.`);
+
+  } catch (error) {
+    console.error('Error in scheduleVideoStatsRefresh function:', error);
+    res.status(500).send('Internal Server Error');
+  }
+};
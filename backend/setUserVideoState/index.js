@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Cloud Function that records what a user thinks of a video:
+ * whether they have watched it, dismissed it, snoozed it until a date, and
+ * their rating of it. The chat service reads these `UserVideoState` entities
+ * when a chat starts, to leave out dismissed and snoozed videos, rank watched
+ * ones lower, and tell the model about the user's ratings.
+ */
+const express = require('express');
+const compressionMiddleware = require('compression');
+const {Datastore} = require('@google-cloud/datastore');
+const admin = require('firebase-admin');
+
+const app = express();
+app.use(compressionMiddleware());
+
+// Initialize Firebase Admin SDK
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for setUserVideoState.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in setUserVideoState:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+
+const datastore = new Datastore();
+// Keyed by `${uid}:${videoId}`.
+const USER_VIDEO_STATE_KIND = 'UserVideoState';
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+// YouTube video IDs are 11 characters; anything much longer or with other characters is not one.
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validates the body of a state update. Every field but `videoId` is optional, and
+ * only the fields present are changed; `snoozedUntil` and `rating` are cleared with null.
+ * @param {object} body The request body.
+ * @return {string|null} An error message, or null if the request is valid.
+ */
+function validateRequest(body) {
+  const {videoId, watched, dismissed, snoozedUntil, rating} = body;
+  if (typeof videoId !== 'string' || !VIDEO_ID_PATTERN.test(videoId)) {
+    return 'videoId must be a YouTube video ID.';
+  }
+  if (watched === undefined && dismissed === undefined && snoozedUntil === undefined && rating === undefined) {
+    return 'Nothing to change: set watched, dismissed, snoozedUntil or rating.';
+  }
+  if (watched !== undefined && typeof watched !== 'boolean') {
+    return 'watched must be a boolean.';
+  }
+  if (dismissed !== undefined && typeof dismissed !== 'boolean') {
+    return 'dismissed must be a boolean.';
+  }
+  if (snoozedUntil !== undefined && snoozedUntil !== null &&
+      (typeof snoozedUntil !== 'string' || Number.isNaN(Date.parse(snoozedUntil)))) {
+    return 'snoozedUntil must be an ISO date or null.';
+  }
+  if (rating !== undefined && rating !== null &&
+      !(Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING)) {
+    return `rating must be an integer from ${MIN_RATING} to ${MAX_RATING}, or null.`;
+  }
+  return null;
+}
+
+/**
+ * Converts a stored state to its JSON response form.
+ * @param {string} videoId The video ID.
+ * @param {object|undefined} entity The stored `UserVideoState` entity, if any.
+ * @return {{videoId: string, watched: boolean, dismissed: boolean, snoozedUntil: (string|null),
+ *     rating: (number|null), updatedAt: (string|null)}} The state; a video with no stored
+ *     state is unwatched, not dismissed, not snoozed and unrated.
+ */
+function toResponseState(videoId, entity) {
+  const state = entity || {};
+  return {
+    videoId,
+    watched: !!state.watched,
+    dismissed: !!state.dismissed,
+    snoozedUntil: state.snoozedUntil ? new Date(state.snoozedUntil).toISOString() : null,
+    rating: state.rating || null,
+    updatedAt: state.updatedAt ? new Date(state.updatedAt).toISOString() : null,
+  };
+}
+
+/**
+ * HTTP Cloud Function that changes the calling user's state for one video.
+ * Authenticates the user with a Firebase ID token. Body: `videoId`, plus any of
+ * `watched` and `dismissed` (booleans), `snoozedUntil` (an ISO date, or null to
+ * unsnooze) and `rating` (MIN_RATING to MAX_RATING, or null to clear it).
+ * Responds with the video's full state after the change. A state with nothing
+ * set is deleted rather than stored.
+ *
+ * @param {object} req The HTTP request object.
+ *     The 'Authorization' header should contain 'Bearer <Firebase ID Token>'.
+ * @param {object} res The HTTP response object.
+ * @return {Promise<void>} A promise that resolves when the response has been sent.
+ */
+const handleSetUserVideoState = async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).send('');
+    return;
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({error: 'Method Not Allowed'});
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({error: 'Unauthorized: Missing or invalid Firebase ID token.'});
+  }
+  const idToken = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    return res.status(401).json({error: 'Unauthorized: Invalid Firebase ID token.'});
+  }
+  const firebaseUid = decodedToken.uid;
+
+  const request = req.body || {};
+  const validationError = validateRequest(request);
+  if (validationError) {
+    return res.status(400).json({error: validationError});
+  }
+  const {videoId} = request;
+
+  try {
+    const stateKey = datastore.key([USER_VIDEO_STATE_KIND, `${firebaseUid}:${videoId}`]);
+    const [existing] = await datastore.get(stateKey);
+    const state = {
+      userId: firebaseUid,
+      videoId,
+      watched: !!(existing && existing.watched),
+      dismissed: !!(existing && existing.dismissed),
+      snoozedUntil: (existing && existing.snoozedUntil) || null,
+      rating: (existing && existing.rating) || null,
+    };
+    if (request.watched !== undefined) state.watched = request.watched;
+    if (request.dismissed !== undefined) state.dismissed = request.dismissed;
+    if (request.snoozedUntil !== undefined) {
+      state.snoozedUntil = request.snoozedUntil === null ? null : new Date(request.snoozedUntil);
+    }
+    if (request.rating !== undefined) state.rating = request.rating;
+
+    if (!state.watched && !state.dismissed && !state.snoozedUntil && !state.rating) {
+      if (existing) await datastore.delete(stateKey);
+      console.log(`[VIDEO_STATE] Cleared state of video ${videoId} for UID ${firebaseUid}.`);
+      return res.status(200).json({state: toResponseState(videoId, null)});
+    }
+    state.updatedAt = new Date();
+    await datastore.save({key: stateKey, data: state});
+    console.log(`[VIDEO_STATE] Updated state of video ${videoId} for UID ${firebaseUid}: watched=${state.watched}, dismissed=${state.dismissed}, snoozedUntil=${state.snoozedUntil ? state.snoozedUntil.toISOString() : null}, rating=${state.rating}.`);
+    res.status(200).json({state: toResponseState(videoId, state)});
+  } catch (error) {
+    console.error(`[VIDEO_STATE] Error updating state of video ${videoId} for UID ${firebaseUid}:`, error.message, error.stack);
+    res.status(500).json({error: 'Failed to update video state.'});
+  }
+};
+
+app.all('/', handleSetUserVideoState);
+
+exports.setUserVideoState = app;
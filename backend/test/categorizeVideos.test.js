@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Tests for the categorizeVideos Pub/Sub handler against a fake
+ * Gemini model and an in-memory Datastore.
+ */
+const {describe, it, before, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {installStubs} = require('./support/stubs');
+const {resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+const fakeGenerativeAi = require('./support/fakeGenerativeAi');
+
+/**
+ * Builds a stored `Videos` seed entity.
+ * @param {string} videoId The video ID.
+ * @param {object} [extra] Fields to add or override.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function storedVideo(videoId, extra = {}) {
+  return {
+    kind: 'Videos',
+    name: videoId,
+    data: {
+      videoId,
+      title: `Video ${videoId}`,
+      description: `Description of ${videoId}`,
+      channelTitle: 'Test Channel',
+      topicCategories: ['Music'],
+      userPlaylistAssociations: ['user-a:PL-watch-later'],
+      geminiCategories: [],
+      lastCategorized: null,
+      ...extra,
+    },
+  };
+}
+
+/**
+ * Returns the video IDs listed in a categorisation prompt.
+ * @param {object} request The `generateContent` request.
+ * @return {Array<string>} The IDs, in prompt order.
+ */
+function promptVideoIds(request) {
+  const prompt = request.contents[0].parts[0].text;
+  return JSON.parse(prompt.substring(prompt.indexOf('['))).map((v) => v.videoId);
+}
+
+/**
+ * A responder that assigns the same categories to every video in the prompt.
+ * @param {Array<string>} categories The categories to assign.
+ * @return {function(object): object} The responder.
+ */
+function answerAll(categories) {
+  return (request) => ({videos: promptVideoIds(request).map((videoId) => ({videoId, categories}))});
+}
+
+describe('categorizeVideos', () => {
+  let categorizeVideos;
+
+  before(() => {
+    process.env.GEMINI_API_KEY = 'test-key';
+    installStubs();
+    ({categorizeVideos} = require('../categorizeVideos'));
+  });
+
+  beforeEach(() => {
+    resetDatastore();
+    fakeGenerativeAi.setResponder(answerAll(['Music']));
+  });
+
+  /**
+   * Delivers a categorisation message.
+   * @return {Promise<void>}
+   */
+  function runCategorization() {
+    return categorizeVideos({data: Buffer.from('{}').toString('base64')}, {});
+  }
+
+  it('categorises uncategorised videos and leaves categorised ones alone', async () => {
+    const earlier = new Date('2024-01-01T00:00:00Z');
+    resetDatastore([
+      storedVideo('new00001', {title: 'Rust ownership explained'}),
+      storedVideo('done0001', {geminiCategories: ['Comedy'], lastCategorized: earlier}),
+    ]);
+    fakeGenerativeAi.setResponder(answerAll(['Programming', 'Education']));
+
+    await runCategorization();
+
+    assert.equal(fakeGenerativeAi.requests.length, 1);
+    assert.deepEqual(promptVideoIds(fakeGenerativeAi.requests[0].request), ['new00001']);
+    const {generationConfig} = fakeGenerativeAi.requests[0].request;
+    assert.equal(generationConfig.responseMimeType, 'application/json');
+    assert.ok(generationConfig.responseSchema.properties.videos.items.properties.categories.items.enum.includes('Programming'));
+    const categorized = getEntity('Videos', 'new00001');
+    assert.deepEqual(categorized.geminiCategories, ['Programming', 'Education']);
+    assert.ok(Date.now() - categorized.lastCategorized.getTime() < 60 * 1000);
+    assert.equal(categorized.title, 'Rust ownership explained', 'other fields are kept');
+    assert.deepEqual(getEntity('Videos', 'done0001').geminiCategories, ['Comedy']);
+  });
+
+  it('batches videos across model requests', async () => {
+    resetDatastore(Array.from({length: 60}, (_, i) => storedVideo(`vid${String(i).padStart(5, '0')}`)));
+
+    await runCategorization();
+
+    assert.deepEqual(fakeGenerativeAi.requests.map(({request}) => promptVideoIds(request).length), [25, 25, 10]);
+    assert.ok(Array.from({length: 60}, (_, i) => getEntity('Videos', `vid${String(i).padStart(5, '0')}`))
+      .every((v) => v.lastCategorized instanceof Date));
+  });
+
+  it('keeps only taxonomy categories, de-duplicated and capped at three', async () => {
+    resetDatastore([storedVideo('messy001'), storedVideo('empty001')]);
+    fakeGenerativeAi.setResponder(() => ({
+      videos: [
+        {videoId: 'messy001', categories: ['Music', 'Cats', 'Music', 'Comedy', 'Film & TV', 'Gaming']},
+        {videoId: 'empty001', categories: ['Not a category']},
+        {videoId: 'unknown1', categories: ['Music']},
+      ],
+    }));
+
+    await runCategorization();
+
+    assert.deepEqual(getEntity('Videos', 'messy001').geminiCategories, ['Music', 'Comedy', 'Film & TV']);
+    assert.deepEqual(getEntity('Videos', 'empty001').geminiCategories, ['Other']);
+    assert.equal(getEntity('Videos', 'unknown1'), undefined);
+  });
+
+  it('leaves videos the model skipped or failed on for the next run', async () => {
+    resetDatastore(Array.from({length: 30}, (_, i) => storedVideo(`vid${String(i).padStart(5, '0')}`)));
+    let call = 0;
+    fakeGenerativeAi.setResponder((request) => {
+      call++;
+      if (call === 1) throw new Error('RESOURCE_EXHAUSTED');
+      return {videos: [{videoId: promptVideoIds(request)[0], categories: ['Music']}]};
+    });
+
+    await runCategorization();
+
+    assert.equal(getEntity('Videos', 'vid00000').lastCategorized, null, 'failed batch is not written');
+    assert.deepEqual(getEntity('Videos', 'vid00025').geminiCategories, ['Music']);
+    assert.equal(getEntity('Videos', 'vid00026').lastCategorized, null, 'skipped video is not written');
+
+    fakeGenerativeAi.setResponder(answerAll(['Music']));
+    await runCategorization();
+
+    assert.equal(fakeGenerativeAi.requests.map(({request}) => promptVideoIds(request).length).reduce((a, b) => a + b), 29);
+    assert.deepEqual(getEntity('Videos', 'vid00000').geminiCategories, ['Music']);
+  });
+});
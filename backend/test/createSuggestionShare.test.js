@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Tests for the createSuggestionShare handler against an
+ * in-memory Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+
+const UID = 'user-a';
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a suggested video as the chat service sends it in `STREAM_END`.
+ * @param {string} videoId The video ID.
+ * @param {object} [fields] Fields to set or override.
+ * @return {object} The suggestion.
+ */
+function suggestion(videoId, fields = {}) {
+  return {
+    videoId, title: `Video ${videoId}`, channelTitle: 'Test Channel', thumbnailUrl: `https://i.ytimg.com/vi/${videoId}/default.jpg`,
+    duration: '12:34', publishedAt: '2024-06-01T00:00:00Z', reason: 'About async Rust.', confidence: 0.9,
+    description: 'Long description', userPlaylistAssociations: [`${UID}:PL_PRIVATE`], ...fields,
+  };
+}
+
+describe('createSuggestionShare', () => {
+  let fn;
+
+  before(async () => {
+    installStubs();
+    const {createSuggestionShare} = require('../createSuggestionShare');
+    fn = await serveFunction(createSuggestionShare);
+  });
+
+  after(async () => {
+    await fn.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([]);
+  });
+
+  /**
+   * Sends a share request as UID.
+   * @param {object} body The request body.
+   * @return {Promise<{status: number, body: object}>} The response.
+   */
+  function share(body) {
+    return fn.call({idToken: `test-token:${UID}`, body});
+  }
+
+  it('snapshots the answer under an unguessable ID, keeping only the fields a shared list shows', async () => {
+    const before = Date.now();
+    const {status, body} = await share({
+      query: '  rust async  ',
+      answer: 'Here are 2 videos.',
+      videos: [suggestion('vid00001', {startSeconds: 90, quote: 'Pinning explained'}), suggestion('vid00002', {thumbnailUrl: 'javascript:alert(1)'})],
+      expiresInDays: 30,
+    });
+
+    assert.equal(status, 200);
+    assert.match(body.shareId, /^[A-Za-z0-9_-]{22}$/);
+    const expiresInMs = Date.parse(body.expiresAt) - before;
+    assert.ok(expiresInMs >= 30 * DAY_IN_MS && expiresInMs < 30 * DAY_IN_MS + 60000);
+
+    const stored = getEntity('SuggestionShare', body.shareId);
+    assert.equal(stored.userId, UID);
+    assert.equal(stored.query, 'rust async');
+    assert.equal(stored.answer, 'Here are 2 videos.');
+    assert.deepEqual(stored.videos, [{
+      videoId: 'vid00001', title: 'Video vid00001', channelTitle: 'Test Channel', thumbnailUrl: 'https://i.ytimg.com/vi/vid00001/default.jpg',
+      duration: '12:34', publishedAt: '2024-06-01T00:00:00Z', reason: 'About async Rust.', startSeconds: 90, quote: 'Pinning explained',
+    }, {
+      videoId: 'vid00002', title: 'Video vid00002', channelTitle: 'Test Channel', thumbnailUrl: null,
+      duration: '12:34', publishedAt: '2024-06-01T00:00:00Z', reason: 'About async Rust.', startSeconds: null, quote: null,
+    }]);
+  });
+
+  it('expires shares after 7 days by default, with a new ID each time', async () => {
+    const first = await share({query: 'rust', videos: [suggestion('vid00001')]});
+    const second = await share({query: 'rust', videos: [suggestion('vid00001')]});
+
+    assert.notEqual(first.body.shareId, second.body.shareId);
+    const stored = getEntity('SuggestionShare', first.body.shareId);
+    assert.equal(stored.expiresAt.getTime() - stored.createdAt.getTime(), 7 * DAY_IN_MS);
+    assert.equal(stored.answer, null);
+  });
+
+  it('rejects invalid requests', async () => {
+    const invalidBodies = [
+      {videos: [suggestion('vid00001')]},
+      {query: '   ', videos: [suggestion('vid00001')]},
+      {query: 'rust', videos: []},
+      {query: 'rust', videos: [suggestion('bad id!')]},
+      {query: 'rust', videos: [suggestion('vid00001')], expiresInDays: 365},
+      {query: 'rust', answer: 42, videos: [suggestion('vid00001')]},
+    ];
+    for (const body of invalidBodies) {
+      assert.equal((await share(body)).status, 400, JSON.stringify(body));
+    }
+    assert.equal((await fn.call({body: {query: 'rust', videos: [suggestion('vid00001')]}})).status, 401);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Tests for the exportVideos handler against an in-memory
+ * Datastore, in each export format.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore} = require('./support/inMemoryDatastore');
+
+const UID = 'user-a';
+const PLAYLIST_ID = 'PL_EXPORT';
+
+/**
+ * Builds a `Videos` seed entity in the user's playlist.
+ * @param {string} videoId The video ID.
+ * @param {object} [fields] Fields to set or override.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function video(videoId, fields = {}) {
+  return {kind: 'Videos', name: videoId, data: {
+    videoId, title: `Video ${videoId}`, channelTitle: 'Test Channel', publishedAt: '2024-06-01T00:00:00Z',
+    durationSeconds: 3723, geminiCategories: ['Programming'], userPlaylistAssociations: [`${UID}:${PLAYLIST_ID}`],
+    ...fields,
+  }};
+}
+
+describe('exportVideos', () => {
+  let fn;
+
+  before(async () => {
+    installStubs();
+    const {exportVideos} = require('../exportVideos');
+    fn = await serveFunction(exportVideos);
+  });
+
+  after(async () => {
+    await fn.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([
+      {kind: 'UserPlaylistSync', name: `${UID}:${PLAYLIST_ID}`, data: {
+        userId: UID, playlistId: PLAYLIST_ID, pages: [{items: [{videoId: 'vid00002'}, {videoId: 'vid00001'}]}],
+      }},
+      video('vid00001', {title: '=HYPERLINK("x"), the sequel', durationSeconds: 65}),
+      video('vid00002', {title: 'Rust "ownership"', geminiCategories: ['Programming', 'Education']}),
+      video('vid00003', {unavailable: true}),
+      video('vid00004', {userPlaylistAssociations: ['user-b:PL_OTHER']}),
+      {kind: 'UserVideoState', name: `${UID}:vid00002`, data: {
+        userId: UID, videoId: 'vid00002', watched: true, dismissed: false, snoozedUntil: null, rating: 5,
+      }},
+      {kind: 'UserVideoState', name: `user-b:vid00001`, data: {userId: 'user-b', videoId: 'vid00001', watched: true}},
+      {kind: 'UserSubscriptionFeedCache', name: UID, data: {videos: [{
+        videoId: 'feed0001', title: 'Fresh upload', channelTitle: 'Feed Channel', publishedAt: '2024-07-01T00:00:00Z', durationSeconds: 600,
+      }]}},
+    ]);
+  });
+
+  /**
+   * Sends an export request as UID.
+   * @param {object} body The request body.
+   * @return {Promise<{status: number, body: (object|string)}>} The response.
+   */
+  function exportAs(body) {
+    return fn.call({idToken: `test-token:${UID}`, body});
+  }
+
+  it('exports a synced playlist as CSV, in playlist order and without unavailable videos', async () => {
+    const response = await fn.fetch({idToken: `test-token:${UID}`, body: {format: 'csv', source: 'playlist', playlistId: PLAYLIST_ID, title: 'Watch Later'}});
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /^attachment; filename="watch-later-\d{4}-\d{2}-\d{2}\.csv"$/);
+    assert.equal(response.headers.get('access-control-expose-headers'), 'Content-Disposition');
+    assert.deepEqual((await response.text()).split('\r\n'), [
+      'videoId,title,url,channelTitle,publishedAt,duration,durationSeconds,categories,reason,watched,dismissed,snoozedUntil,rating',
+      'vid00002,"Rust ""ownership""",https://www.youtube.com/watch?v=vid00002,Test Channel,2024-06-01T00:00:00.000Z,01:02:03,3723,' +
+        'Programming; Education,,true,false,,5',
+      'vid00001,"\'=HYPERLINK(""x""), the sequel",https://www.youtube.com/watch?v=vid00001,Test Channel,2024-06-01T00:00:00.000Z,01:05,65,' +
+        'Programming,,false,false,,',
+      '',
+    ]);
+  });
+
+  it('exports suggestions as JSON with their reasons, from Videos, the subscription feed or the client', async () => {
+    const {status, body} = await exportAs({format: 'json', source: 'suggestions', suggestions: [
+      {videoId: 'feed0001', reason: 'New from a channel you follow.'},
+      {videoId: 'vid00002', reason: 'About ownership.'},
+      {videoId: 'gone0001', reason: 'Was in the answer.', title: 'Deleted since'},
+    ]});
+
+    assert.equal(status, 200);
+    assert.equal(body.title, 'Suggested videos');
+    assert.equal(body.source, 'suggestions');
+    assert.ok(!isNaN(Date.parse(body.exportedAt)));
+    assert.deepEqual(body.videos.map((v) => [v.videoId, v.title, v.channelTitle, v.duration, v.reason]), [
+      ['feed0001', 'Fresh upload', 'Feed Channel', '10:00', 'New from a channel you follow.'],
+      ['vid00002', 'Rust "ownership"', 'Test Channel', '01:02:03', 'About ownership.'],
+      ['gone0001', 'Deleted since', '', '', 'Was in the answer.'],
+    ]);
+    assert.deepEqual(body.videos[1], {
+      videoId: 'vid00002', title: 'Rust "ownership"', url: 'https://www.youtube.com/watch?v=vid00002',
+      channelTitle: 'Test Channel', publishedAt: '2024-06-01T00:00:00.000Z', duration: '01:02:03', durationSeconds: 3723,
+      categories: ['Programming', 'Education'], reason: 'About ownership.',
+      watched: true, dismissed: false, snoozedUntil: null, rating: 5,
+    });
+  });
+
+  it('exports a Markdown reading list, ticking watched videos', async () => {
+    const {status, body} = await exportAs({format: 'markdown', source: 'suggestions', title: 'rust [talks]', suggestions: [
+      {videoId: 'vid00002', reason: 'About *ownership*.'},
+      {videoId: 'vid00001'},
+    ]});
+
+    assert.equal(status, 200);
+    const lines = body.split('\n');
+    assert.equal(lines[0], '# rust \\[talks\\]');
+    assert.match(lines[2], /^_2 videos, exported \d{4}-\d{2}-\d{2}\._$/);
+    assert.deepEqual(lines.slice(4), [
+      '- [x] [Rust "ownership"](https://www.youtube.com/watch?v=vid00002) - Test Channel · 01:02:03 · 2024-06-01',
+      '  - Why: About \\*ownership\\*.',
+      '  - Categories: Programming, Education',
+      '  - You rated 5/5',
+      '- [ ] [=HYPERLINK("x"), the sequel](https://www.youtube.com/watch?v=vid00001) - Test Channel · 01:05 · 2024-06-01',
+      '  - Categories: Programming',
+      '',
+    ]);
+  });
+
+  it('rejects invalid requests and playlists the user has not synced', async () => {
+    const invalidBodies = [
+      {format: 'xml', source: 'playlist', playlistId: PLAYLIST_ID},
+      {format: 'csv', source: 'history'},
+      {format: 'csv', source: 'playlist'},
+      {format: 'csv', source: 'suggestions', suggestions: []},
+      {format: 'csv', source: 'suggestions', suggestions: [{reason: 'no id'}]},
+      {format: 'csv', source: 'playlist', playlistId: PLAYLIST_ID, title: 42},
+    ];
+    for (const body of invalidBodies) {
+      assert.equal((await exportAs(body)).status, 400, JSON.stringify(body));
+    }
+    assert.equal((await exportAs({format: 'csv', source: 'playlist', playlistId: 'PL_OTHER'})).status, 404);
+    assert.equal((await fn.call({idToken: 'test-token:user-b', body: {format: 'csv', source: 'playlist', playlistId: PLAYLIST_ID}})).status, 404);
+    assert.equal((await fn.call({idToken: 'bogus', body: {format: 'csv', source: 'playlist', playlistId: PLAYLIST_ID}})).status, 401);
+  });
+});
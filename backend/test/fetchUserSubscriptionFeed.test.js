@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Tests for the fetchUserSubscriptionFeed Pub/Sub handler against
+ * the fake YouTube Data API and an in-memory Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {startFakeYouTubeApi} = require('./support/fakeYouTubeApi');
+const {installStubs} = require('./support/stubs');
+const {resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+const {published, resetPublished} = require('./support/fakePubSub');
+const {
+  channel,
+  playlistItem,
+  subscription,
+  tokensEntity,
+  uploadsPlaylistId,
+  video,
+} = require('./fixtures/youtube');
+
+const UID = 'user-a';
+
+/**
+ * Builds subscription feed fixtures: each channel has `uploadsPerChannel`
+ * uploads, and every video is newer than the same-position upload of the
+ * channel after it.
+ * @param {number} channelCount The number of subscribed channels.
+ * @param {number} uploadsPerChannel The number of uploads per channel.
+ * @param {function(string): string} [durationFor] Returns the ISO duration for a video ID.
+ * @return {object} The fixtures.
+ */
+function buildFeedFixtures(channelCount, uploadsPerChannel, durationFor = () => 'PT10M') {
+  const fixtures = {subscriptions: [], channels: {}, playlistItems: {}, videos: {}};
+  for (let c = 0; c < channelCount; c++) {
+    const channelId = `UC${String(c).padStart(3, '0')}`;
+    fixtures.subscriptions.push(subscription(channelId));
+    fixtures.channels[channelId] = channel(channelId);
+    const uploads = [];
+    for (let u = 0; u < uploadsPerChannel; u++) {
+      const videoId = `${channelId}-v${u}`;
+      const hoursAgo = u * channelCount + c;
+      uploads.push(playlistItem(uploadsPlaylistId(channelId), videoId, {position: u, channelId, hoursAgo}));
+      fixtures.videos[videoId] = video(videoId, {channelId, hoursAgo, duration: durationFor(videoId)});
+    }
+    fixtures.playlistItems[uploadsPlaylistId(channelId)] = uploads;
+  }
+  return fixtures;
+}
+
+describe('fetchUserSubscriptionFeed', () => {
+  let youTubeApi;
+  let fetchUserSubscriptionFeed;
+
+  before(async () => {
+    youTubeApi = await startFakeYouTubeApi();
+    installStubs(youTubeApi.url);
+    ({fetchUserSubscriptionFeed} = require('../fetchUserSubscriptionFeed'));
+  });
+
+  after(async () => {
+    await youTubeApi.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([tokensEntity(UID)]);
+    resetPublished();
+  });
+
+  /**
+   * Delivers a feed update message for a user.
+   * @param {string} userId The user to update.
+   * @return {Promise<void>}
+   */
+  function runFeedUpdate(userId) {
+    const data = Buffer.from(JSON.stringify({userId})).toString('base64');
+    return fetchUserSubscriptionFeed({data}, {});
+  }
+
+  it('caches the newest non-short videos across paged subscriptions', async () => {
+    const isShort = (videoId) => videoId.endsWith('-v0') && videoId.startsWith('UC00');
+    youTubeApi.setFixtures(buildFeedFixtures(55, 2, (videoId) => isShort(videoId) ? 'PT45S' : 'PT12M30S'));
+
+    await runFeedUpdate(UID);
+
+    const subscriptionPages = youTubeApi.requests.filter((r) => r.resource === 'subscriptions');
+    assert.deepEqual(subscriptionPages.map((r) => r.params.pageToken || null), [null, 'page-50']);
+    assert.equal(youTubeApi.requests.filter((r) => r.resource === 'channels').length, 55);
+    const batchSizes = youTubeApi.requests.filter((r) => r.resource === 'videos').map((r) => r.params.id.split(',').length);
+    assert.deepEqual(batchSizes, [50, 50]);
+
+    const cache = getEntity('UserSubscriptionFeedCache', UID);
+    // The 100 newest of 110 uploads, minus the 10 shorts (UC000-UC009's first uploads).
+    assert.equal(cache.videos.length, 90);
+    assert.ok(cache.videos.every((v) => v.durationSeconds === 750));
+    assert.ok(cache.videos.every((v) => !isShort(v.videoId)));
+    assert.equal(cache.videos[0].videoId, 'UC010-v0');
+    const publishedTimes = cache.videos.map((v) => Date.parse(v.publishedAt));
+    assert.deepEqual(publishedTimes, [...publishedTimes].sort((a, b) => b - a));
+    assert.deepEqual(published, [{topic: 'saved-search-run-requests', message: {userId: UID}}]);
+  });
+
+  it('skips channels that fail and drops deleted videos', async () => {
+    const fixtures = buildFeedFixtures(3, 2);
+    delete fixtures.channels.UC001; // Channel deleted: channels.list returns no items.
+    fixtures.errors = [{resource: 'playlistItems', match: {playlistId: uploadsPlaylistId('UC002')}, status: 403, reason: 'quotaExceeded'}];
+    delete fixtures.videos['UC000-v1']; // Deleted after upload: videos.list omits it.
+    youTubeApi.setFixtures(fixtures);
+
+    await runFeedUpdate(UID);
+
+    const cache = getEntity('UserSubscriptionFeedCache', UID);
+    assert.deepEqual(cache.videos.map((v) => v.videoId), ['UC000-v0']);
+  });
+
+  it('caches an empty feed when the user has no subscriptions', async () => {
+    youTubeApi.setFixtures({subscriptions: []});
+
+    await runFeedUpdate(UID);
+
+    assert.deepEqual(getEntity('UserSubscriptionFeedCache', UID).videos, []);
+  });
+
+  it('leaves the cache untouched when YouTube rejects the token', async () => {
+    resetDatastore([
+      tokensEntity(UID),
+      {kind: 'UserSubscriptionFeedCache', name: UID, data: {videos: [{videoId: 'old'}], lastUpdated: new Date(0)}},
+    ]);
+    youTubeApi.setFixtures({...buildFeedFixtures(1, 1), revokedTokens: [`access-${UID}`]});
+
+    await runFeedUpdate(UID);
+
+    assert.deepEqual(getEntity('UserSubscriptionFeedCache', UID).videos, [{videoId: 'old'}]);
+    assert.equal(published.length, 0, 'saved searches only run against a refreshed feed');
+  });
+
+  it('does nothing for users without tokens or messages without a userId', async () => {
+    youTubeApi.setFixtures(buildFeedFixtures(1, 1));
+
+    await runFeedUpdate('user-without-tokens');
+    await fetchUserSubscriptionFeed({data: Buffer.from('{}').toString('base64')}, {});
+
+    assert.equal(youTubeApi.requests.length, 0);
+    assert.equal(getEntity('UserSubscriptionFeedCache', 'user-without-tokens'), undefined);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Builders for YouTube Data API resources and Datastore seed
+ * entities, shaped like the real API responses the backend functions read.
+ * Tests compose these into fixtures for fakeYouTubeApi.js.
+ */
+
+const BASE_TIME = Date.parse('2024-06-01T00:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Returns an ISO timestamp a number of hours before a fixed base time.
+ * @param {number} hoursAgo Hours before the base time.
+ * @return {string} The timestamp.
+ */
+function timestamp(hoursAgo) {
+  return new Date(BASE_TIME - hoursAgo * HOUR_MS).toISOString();
+}
+
+/**
+ * Builds a `youtube#playlist` resource.
+ * @param {string} id The playlist ID.
+ * @param {string} title The playlist title.
+ * @param {number} itemCount The number of items.
+ * @return {object} The playlist resource.
+ */
+function playlist(id, title, itemCount) {
+  return {
+    kind: 'youtube#playlist',
+    id,
+    snippet: {
+      publishedAt: timestamp(1000),
+      title,
+      description: `${title} description`,
+      thumbnails: {default: {url: `https://i.ytimg.com/vi/${id}/default.jpg`}},
+    },
+    contentDetails: {itemCount},
+  };
+}
+
+/**
+ * Builds a `youtube#playlistItem` resource for an available video.
+ * @param {string} playlistId The playlist ID.
+ * @param {string} videoId The video ID.
+ * @param {{position: number, channelId: (string|undefined), hoursAgo: (number|undefined)}} options Item details.
+ * @return {object} The playlist item resource.
+ */
+function playlistItem(playlistId, videoId, {position, channelId = 'UC-channel', hoursAgo = position}) {
+  return {
+    kind: 'youtube#playlistItem',
+    id: `${playlistId}-${videoId}`,
+    snippet: {
+      publishedAt: timestamp(hoursAgo),
+      channelId: 'UC-playlist-owner',
+      title: `Video ${videoId}`,
+      description: `Description of ${videoId}`,
+      thumbnails: {default: {url: `https://i.ytimg.com/vi/${videoId}/default.jpg`}},
+      channelTitle: 'Playlist Owner',
+      playlistId,
+      position,
+      resourceId: {kind: 'youtube#video', videoId},
+      videoOwnerChannelTitle: `Channel ${channelId}`,
+      videoOwnerChannelId: channelId,
+    },
+    contentDetails: {videoId, videoPublishedAt: timestamp(hoursAgo + 24)},
+  };
+}
+
+/**
+ * Builds the playlist item YouTube returns for a deleted video: a placeholder
+ * title, no thumbnails or owner, and no entry in `videos.list`.
+ * @param {string} playlistId The playlist ID.
+ * @param {string} videoId The deleted video's ID.
+ * @param {number} position The item position.
+ * @return {object} The playlist item resource.
+ */
+function deletedPlaylistItem(playlistId, videoId, position) {
+  return {
+    kind: 'youtube#playlistItem',
+    id: `${playlistId}-${videoId}`,
+    snippet: {
+      publishedAt: timestamp(position),
+      channelId: 'UC-playlist-owner',
+      title: 'Deleted video',
+      description: 'This video is unavailable.',
+      thumbnails: {},
+      channelTitle: 'Playlist Owner',
+      playlistId,
+      position,
+      resourceId: {kind: 'youtube#video', videoId},
+    },
+    contentDetails: {videoId},
+  };
+}
+
+/**
+ * Builds a `youtube#video` resource.
+ * @param {string} videoId The video ID.
+ * @param {{duration: (string|undefined), channelId: (string|undefined), hoursAgo: (number|undefined)}} [options] Video details.
+ * @return {object} The video resource.
+ */
+function video(videoId, {duration = 'PT10M', channelId = 'UC-channel', hoursAgo = 24} = {}) {
+  return {
+    kind: 'youtube#video',
+    id: videoId,
+    snippet: {
+      publishedAt: timestamp(hoursAgo),
+      channelId,
+      title: `Video ${videoId}`,
+      description: `Full description of ${videoId}`,
+      channelTitle: `Channel ${channelId}`,
+    },
+    contentDetails: {duration},
+    statistics: {viewCount: '1000', likeCount: '50'},
+    topicDetails: {topicCategories: ['https://en.wikipedia.org/wiki/Technology']},
+  };
+}
+
+/**
+ * Builds a caption track for the fake's `captions` fixtures: a `youtube#caption`
+ * resource plus the WebVTT `content` that `captions.download` returns.
+ * @param {string} videoId The video ID.
+ * @param {{language: (string|undefined), trackKind: (string|undefined), lines: (Array<string>|undefined),
+ *     forbidden: (boolean|undefined)}} [options] Track details; `forbidden` tracks cannot be downloaded.
+ * @return {object} The caption track.
+ */
+function captionTrack(videoId, {language = 'en', trackKind = 'standard', lines = [`Spoken words of ${videoId}.`], forbidden = false} = {}) {
+  const cues = lines.map((line, i) => `00:00:${String(i * 2).padStart(2, '0')}.000 --> 00:00:${String(i * 2 + 2).padStart(2, '0')}.000\n${line}`);
+  return {
+    kind: 'youtube#caption',
+    id: `caption-${videoId}-${language}-${trackKind}`,
+    snippet: {videoId, language, trackKind, name: ''},
+    content: `WEBVTT\nKind: captions\nLanguage: ${language}\n\n${cues.join('\n\n')}\n`,
+    forbidden,
+  };
+}
+
+/**
+ * Builds a `youtube#subscription` resource.
+ * @param {string} channelId The subscribed channel's ID.
+ * @return {object} The subscription resource.
+ */
+function subscription(channelId) {
+  return {
+    kind: 'youtube#subscription',
+    id: `sub-${channelId}`,
+    snippet: {
+      title: `Channel ${channelId}`,
+      resourceId: {kind: 'youtube#channel', channelId},
+    },
+  };
+}
+
+/**
+ * Returns the uploads playlist ID YouTube uses for a channel.
+ * @param {string} channelId The channel ID.
+ * @return {string} The uploads playlist ID.
+ */
+function uploadsPlaylistId(channelId) {
+  return `UU${channelId.substring(2)}`;
+}
+
+/**
+ * Builds a `youtube#channel` resource with an uploads playlist.
+ * @param {string} channelId The channel ID.
+ * @return {object} The channel resource.
+ */
+function channel(channelId) {
+  return {
+    kind: 'youtube#channel',
+    id: channelId,
+    contentDetails: {relatedPlaylists: {uploads: uploadsPlaylistId(channelId), likes: ''}},
+  };
+}
+
+/**
+ * Builds a playlist of available videos, with matching `videos.list` entries.
+ * @param {string} playlistId The playlist ID.
+ * @param {number} count The number of videos.
+ * @param {string} [prefix] Video ID prefix.
+ * @return {{items: Array<object>, videos: Object<string, object>}} The playlist items and videos by ID.
+ */
+function buildPlaylist(playlistId, count, prefix = 'vid') {
+  const items = [];
+  const videos = {};
+  for (let i = 0; i < count; i++) {
+    const videoId = `${prefix}${String(i).padStart(4, '0')}`;
+    items.push(playlistItem(playlistId, videoId, {position: i}));
+    videos[videoId] = video(videoId, {duration: `PT${i + 1}M${i % 60}S`});
+  }
+  return {items, videos};
+}
+
+/**
+ * Builds the `Tokens` entity for a user with a valid, unexpired access token.
+ * @param {string} uid The Firebase uid.
+ * @param {string} [accessToken] The YouTube access token.
+ * @param {string} [scope] The granted scopes, space-separated.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function tokensEntity(uid, accessToken = `access-${uid}`, scope = 'https://www.googleapis.com/auth/youtube.readonly') {
+  return {
+    kind: 'Tokens',
+    name: uid,
+    data: {
+      access_token: accessToken,
+      refresh_token: `refresh-${uid}`,
+      scope,
+      token_type: 'Bearer',
+      expiry_date: Date.now() + HOUR_MS,
+    },
+  };
+}
+
+module.exports = {
+  timestamp,
+  playlist,
+  playlistItem,
+  deletedPlaylistItem,
+  video,
+  captionTrack,
+  subscription,
+  channel,
+  uploadsPlaylistId,
+  buildPlaylist,
+  tokensEntity,
+};
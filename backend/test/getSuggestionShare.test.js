@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Tests for the getSuggestionShare handler against an in-memory
+ * Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+
+const SHARE_ID = 'AbCdEfGhIjKlMnOpQrStUv';
+const EXPIRED_SHARE_ID = 'ZyXwVuTsRqPoNmLkJiHgFe';
+const VIDEO = {
+  videoId: 'vid00001', title: 'Pinning in Rust', channelTitle: 'Test Channel', thumbnailUrl: null,
+  duration: '12:34', publishedAt: '2024-06-01T00:00:00Z', reason: 'About async Rust.', startSeconds: null, quote: null,
+};
+
+describe('getSuggestionShare', () => {
+  let fn;
+
+  before(async () => {
+    installStubs();
+    const {getSuggestionShare} = require('../getSuggestionShare');
+    fn = await serveFunction(getSuggestionShare);
+  });
+
+  after(async () => {
+    await fn.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([
+      {kind: 'SuggestionShare', name: SHARE_ID, data: {
+        shareId: SHARE_ID, userId: 'user-a', query: 'rust async', answer: 'One video.', videos: [VIDEO],
+        createdAt: new Date('2024-06-01T00:00:00Z'), expiresAt: new Date(Date.now() + 60000),
+      }},
+      {kind: 'SuggestionShare', name: EXPIRED_SHARE_ID, data: {
+        shareId: EXPIRED_SHARE_ID, userId: 'user-a', query: 'jazz', answer: null, videos: [VIDEO],
+        createdAt: new Date('2024-06-01T00:00:00Z'), expiresAt: new Date(Date.now() - 1000),
+      }},
+    ]);
+  });
+
+  it('serves a share without sign-in, and without the sharer\'s UID', async () => {
+    const {status, body} = await fn.call({body: {shareId: SHARE_ID}});
+
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.share).sort(), ['answer', 'createdAt', 'expiresAt', 'query', 'videos']);
+    assert.equal(body.share.query, 'rust async');
+    assert.equal(body.share.answer, 'One video.');
+    assert.deepEqual(body.share.videos, [VIDEO]);
+    assert.equal(body.share.createdAt, '2024-06-01T00:00:00.000Z');
+  });
+
+  it('answers 410 for an expired share and deletes it', async () => {
+    assert.equal((await fn.call({body: {shareId: EXPIRED_SHARE_ID}})).status, 410);
+    assert.equal(getEntity('SuggestionShare', EXPIRED_SHARE_ID), undefined);
+    assert.equal((await fn.call({body: {shareId: EXPIRED_SHARE_ID}})).status, 404);
+  });
+
+  it('rejects missing or malformed share IDs', async () => {
+    assert.equal((await fn.call({body: {}})).status, 400);
+    assert.equal((await fn.call({body: {shareId: '../SuggestionShare'}})).status, 400);
+    assert.equal((await fn.call({body: {shareId: 'A'.repeat(22)}})).status, 404);
+    assert.equal((await fn.call({method: 'GET'})).status, 405);
+  });
+});
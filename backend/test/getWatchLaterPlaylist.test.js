@@ -0,0 +1,390 @@
+/**
+ * @fileoverview Tests for the getWatchLaterPlaylist handler against the fake
+ * YouTube Data API and an in-memory Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {startFakeYouTubeApi} = require('./support/fakeYouTubeApi');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore, getEntity, setLatency} = require('./support/inMemoryDatastore');
+const {buildPlaylist, deletedPlaylistItem, playlist, playlistItem, tokensEntity, video} = require('./fixtures/youtube');
+
+const UID = 'user-a';
+const OTHER_UID = 'user-b';
+const PLAYLIST_ID = 'PL-watch-later';
+
+describe('getWatchLaterPlaylist', () => {
+  let youTubeApi;
+  let fn;
+
+  before(async () => {
+    youTubeApi = await startFakeYouTubeApi();
+    installStubs(youTubeApi.url);
+    process.env.EMBEDDING_PROVIDER = 'local';
+    // Three 50-item pages per invocation, so larger playlists take several requests to sync.
+    process.env.SYNC_MAX_PAGES_PER_INVOCATION = '3';
+    const {getWatchLaterPlaylist} = require('../getWatchLaterPlaylist');
+    fn = await serveFunction(getWatchLaterPlaylist);
+  });
+
+  after(async () => {
+    await fn.stop();
+    await youTubeApi.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([tokensEntity(UID)]);
+  });
+
+  /**
+   * Builds a previously synced `Videos` entity.
+   * @param {string} videoId The video ID.
+   * @param {Array<string>} associations Its `userPlaylistAssociations`.
+   * @return {{kind: string, name: string, data: object}} The seed entity.
+   */
+  function storedVideo(videoId, associations) {
+    return {
+      kind: 'Videos',
+      name: videoId,
+      data: {videoId, title: `Video ${videoId}`, durationSeconds: 60, userPlaylistAssociations: associations, associatedPlaylistIds: []},
+    };
+  }
+
+  /**
+   * Syncs PLAYLIST_ID as UID.
+   * @return {Promise<{status: number, body: object}>} The response.
+   */
+  function sync() {
+    return fn.call({idToken: `test-token:${UID}`, body: {playlistId: PLAYLIST_ID}});
+  }
+
+  /**
+   * Syncs PLAYLIST_ID as UID, repeating the request until the sync is complete.
+   * @return {Promise<{body: object, progress: Array<object>}>} The final response body and
+   *     the progress reported by each intermediate response.
+   */
+  async function syncUntilComplete() {
+    const progress = [];
+    for (;;) {
+      const {status, body} = await sync();
+      assert.equal(status, 200);
+      if (body.complete) return {body, progress};
+      progress.push(body.progress);
+    }
+  }
+
+  it('pages through playlist items and batches video details', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 120);
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 200);
+    assert.equal(body.videos.length, 120);
+    assert.deepEqual(body.videos.map((v) => v.videoId), items.map((item) => item.snippet.resourceId.videoId));
+    assert.equal(body.videos[0].durationSeconds, 60);
+    assert.equal(body.videos[61].durationSeconds, 62 * 60 + 1);
+    assert.equal(body.videos[0].channelTitle, 'Channel UC-channel');
+
+    const pageTokens = youTubeApi.requests.filter((r) => r.resource === 'playlistItems').map((r) => r.params.pageToken || null);
+    assert.deepEqual(pageTokens, [null, 'page-50', 'page-100']);
+    const batchSizes = youTubeApi.requests.filter((r) => r.resource === 'videos').map((r) => r.params.id.split(',').length);
+    assert.deepEqual(batchSizes, [50, 50, 20]);
+    assert.ok(youTubeApi.requests.every((r) => r.token === `access-${UID}`));
+
+    const stored = getEntity('Videos', 'vid0000');
+    assert.deepEqual(stored.userPlaylistAssociations, [`${UID}:${PLAYLIST_ID}`]);
+    assert.equal(stored.embeddingModel, 'local-hash-256');
+    assert.deepEqual(stored.topicCategories, ['Technology']);
+    assert.ok(stored.statsUpdatedAt instanceof Date);
+    const syncRecord = getEntity('UserPlaylistSync', `${UID}:${PLAYLIST_ID}`);
+    assert.equal(syncRecord.itemCount, 120);
+  });
+
+  it('only fetches details for videos without a stored duration', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 3);
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+    await sync();
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+
+    const {status} = await sync();
+
+    assert.equal(status, 200);
+    assert.equal(youTubeApi.requests.filter((r) => r.resource === 'videos').length, 0);
+  });
+
+  it('keeps deleted videos that have no details', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 2);
+    items.push(deletedPlaylistItem(PLAYLIST_ID, 'gone0001', 2));
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 200);
+    const deleted = body.videos.find((v) => v.videoId === 'gone0001');
+    assert.equal(deleted.title, 'Deleted video');
+    assert.equal(deleted.durationSeconds, null);
+    assert.equal(deleted.thumbnailUrl, undefined);
+    assert.equal(body.videos.filter((v) => v.durationSeconds !== null).length, 2);
+  });
+
+  it('removes only this user\'s association for videos no longer in the playlist', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 2);
+    const ownKey = `${UID}:${PLAYLIST_ID}`;
+    resetDatastore([
+      tokensEntity(UID),
+      storedVideo('vid0002', [ownKey]),
+      storedVideo('vid0003', [ownKey, `${OTHER_UID}:${PLAYLIST_ID}`]),
+    ]);
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 200);
+    assert.equal(body.videos.length, 2);
+    assert.equal(getEntity('Videos', 'vid0002'), undefined, 'unshared video is deleted');
+    assert.deepEqual(getEntity('Videos', 'vid0003').userPlaylistAssociations, [`${OTHER_UID}:${PLAYLIST_ID}`]);
+  });
+
+  it('keeps both users\' associations when they sync the same videos concurrently', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 3);
+    resetDatastore([tokensEntity(UID), tokensEntity(OTHER_UID)]);
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+
+    setLatency(20);
+    const results = await Promise.all([UID, OTHER_UID].map((uid) =>
+      fn.call({idToken: `test-token:${uid}`, body: {playlistId: PLAYLIST_ID}})));
+
+    assert.deepEqual(results.map((result) => result.status), [200, 200]);
+    for (const videoId of ['vid0000', 'vid0001', 'vid0002']) {
+      assert.deepEqual(getEntity('Videos', videoId).userPlaylistAssociations.sort(),
+          [`${UID}:${PLAYLIST_ID}`, `${OTHER_UID}:${PLAYLIST_ID}`]);
+    }
+  });
+
+  it('reports every video as added on the first sync', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 3);
+    youTubeApi.setFixtures({playlists: [playlist(PLAYLIST_ID, 'Later', 3)], playlistItems: {[PLAYLIST_ID]: items}, videos});
+
+    const {body} = await sync();
+
+    assert.deepEqual(body.changes, {firstSync: true, unchanged: false, added: ['vid0000', 'vid0001', 'vid0002'], removed: []});
+    const syncRecord = getEntity('UserPlaylistSync', `${UID}:${PLAYLIST_ID}`);
+    assert.ok(syncRecord.playlistEtag);
+    assert.equal(syncRecord.pages.length, 1);
+    assert.deepEqual(syncRecord.pages[0].items.map((item) => item.videoId), ['vid0000', 'vid0001', 'vid0002']);
+    assert.ok(syncRecord.pages[0].items.every((item) => item.etag));
+  });
+
+  it('serves an unchanged playlist from Datastore after two conditional requests', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 120);
+    const fixtures = {playlists: [playlist(PLAYLIST_ID, 'Later', 120)], playlistItems: {[PLAYLIST_ID]: items}, videos};
+    youTubeApi.setFixtures(fixtures);
+    const first = await sync();
+    youTubeApi.setFixtures(fixtures);
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.changes, {firstSync: false, unchanged: true, added: [], removed: []});
+    assert.deepEqual(body.videos, first.body.videos);
+    assert.deepEqual(youTubeApi.requests.map((r) => `${r.resource}:${r.status}`), ['playlists:304', 'playlistItems:304']);
+  });
+
+  it('reports what was added and removed, fetching details only for new videos', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 120);
+    youTubeApi.setFixtures({playlists: [playlist(PLAYLIST_ID, 'Later', 120)], playlistItems: {[PLAYLIST_ID]: items}, videos});
+    await sync();
+    const newItems = ['new0001', 'new0002', 'new0003'].map((videoId, i) => playlistItem(PLAYLIST_ID, videoId, {position: 119 + i}));
+    const changedItems = [...items.filter((item) => item.snippet.resourceId.videoId !== 'vid0110'), ...newItems];
+    const changedVideos = {...videos};
+    newItems.forEach((item) => {
+      changedVideos[item.snippet.resourceId.videoId] = video(item.snippet.resourceId.videoId);
+    });
+    youTubeApi.setFixtures({playlists: [playlist(PLAYLIST_ID, 'Later', 122)], playlistItems: {[PLAYLIST_ID]: changedItems}, videos: changedVideos});
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 200);
+    assert.equal(body.videos.length, 122);
+    assert.deepEqual(body.changes, {firstSync: false, unchanged: false, added: ['new0001', 'new0002', 'new0003'], removed: ['vid0110']});
+    const detailIds = youTubeApi.requests.filter((r) => r.resource === 'videos').flatMap((r) => r.params.id.split(','));
+    assert.deepEqual(detailIds, ['new0001', 'new0002', 'new0003']);
+    assert.equal(getEntity('Videos', 'vid0110'), undefined);
+  });
+
+  it('reuses pages whose ETag is unchanged', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 120);
+    youTubeApi.setFixtures({playlists: [playlist(PLAYLIST_ID, 'Later', 120)], playlistItems: {[PLAYLIST_ID]: items}, videos});
+    await sync();
+    // Swapping one video on the last page keeps the item count, so only that page's ETag changes.
+    const swapped = playlistItem(PLAYLIST_ID, 'new0001', {position: 110});
+    const changedItems = items.map((item) => item.snippet.resourceId.videoId === 'vid0110' ? swapped : item);
+    youTubeApi.setFixtures({
+      playlists: [playlist(PLAYLIST_ID, 'Later (renamed)', 120)],
+      playlistItems: {[PLAYLIST_ID]: changedItems},
+      videos: {...videos, new0001: video('new0001')},
+    });
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.changes, {firstSync: false, unchanged: false, added: ['new0001'], removed: ['vid0110']});
+    const pageStatuses = youTubeApi.requests.filter((r) => r.resource === 'playlistItems').map((r) => r.status);
+    assert.deepEqual(pageStatuses, [304, 304, 200]);
+    assert.equal(body.videos.length, 120);
+    assert.equal(body.videos[50].title, 'Video vid0050', 'videos on unchanged pages are served from Datastore');
+    assert.equal(body.videos[110].videoId, 'new0001');
+  });
+
+  it('re-downloads an unchanged page whose videos are missing from Datastore', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 60);
+    const fixtures = {playlistItems: {[PLAYLIST_ID]: items}, videos};
+    youTubeApi.setFixtures(fixtures);
+    await sync();
+    const syncRecord = getEntity('UserPlaylistSync', `${UID}:${PLAYLIST_ID}`);
+    resetDatastore([tokensEntity(UID), {kind: 'UserPlaylistSync', name: `${UID}:${PLAYLIST_ID}`, data: syncRecord}]);
+    youTubeApi.setFixtures(fixtures);
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 200);
+    assert.equal(body.videos.length, 60);
+    assert.equal(body.videos[0].title, 'Video vid0000');
+    assert.deepEqual(youTubeApi.requests.filter((r) => r.resource === 'playlistItems').map((r) => r.status), [304, 304, 200, 200]);
+    assert.deepEqual(body.changes.added.length, 60);
+  });
+
+  it('syncs a playlist larger than one invocation over several requests', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 400);
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+
+    const first = await sync();
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body, {complete: false, progress: {synced: 150, total: 400}});
+    const cursor = getEntity('PlaylistSyncCursor', `${UID}:${PLAYLIST_ID}`);
+    assert.equal(cursor.pages.length, 3);
+    assert.equal(getEntity('UserPlaylistSync', `${UID}:${PLAYLIST_ID}`), undefined, 'a partial sync does not authorize chat');
+    assert.deepEqual(getEntity('Videos', 'vid0149').userPlaylistAssociations, [`${UID}:${PLAYLIST_ID}`]);
+
+    const {body, progress} = await syncUntilComplete();
+
+    assert.deepEqual(progress, [{synced: 300, total: 400}]);
+    assert.deepEqual(body.progress, {synced: 400, total: 400});
+    assert.deepEqual(body.videos.map((v) => v.videoId), items.map((item) => item.snippet.resourceId.videoId));
+    assert.equal(body.changes.firstSync, true);
+    assert.equal(body.changes.added.length, 400);
+    const pageTokens = youTubeApi.requests.filter((r) => r.resource === 'playlistItems').map((r) => r.params.pageToken || null);
+    assert.deepEqual(pageTokens, [null, 'page-50', 'page-100', 'page-150', 'page-200', 'page-250', 'page-300', 'page-350']);
+    assert.equal(getEntity('PlaylistSyncCursor', `${UID}:${PLAYLIST_ID}`), undefined);
+    assert.equal(getEntity('UserPlaylistSync', `${UID}:${PLAYLIST_ID}`).itemCount, 400);
+  });
+
+  it('syncs playlists of more than 1000 items without truncating them', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 1050);
+    const fixtures = {playlists: [playlist(PLAYLIST_ID, 'Later', 1050)], playlistItems: {[PLAYLIST_ID]: items}, videos};
+    youTubeApi.setFixtures(fixtures);
+
+    const {body, progress} = await syncUntilComplete();
+
+    assert.equal(progress.length, 6);
+    assert.ok(progress.every((p) => p.total === 1050));
+    assert.equal(body.videos.length, 1050);
+    assert.equal(body.videos[1049].videoId, 'vid1049');
+    assert.equal(getEntity('UserPlaylistSync', `${UID}:${PLAYLIST_ID}`).itemCount, 1050);
+
+    // Serving the unchanged playlist from Datastore looks its 1050 videos up in batches.
+    youTubeApi.setFixtures(fixtures);
+    const unchanged = await sync();
+    assert.equal(unchanged.body.changes.unchanged, true);
+    assert.equal(unchanged.body.videos.length, 1050);
+  });
+
+  it('starts over when the cursor of an abandoned sync is stale', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 200);
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+    await sync();
+    const cursor = getEntity('PlaylistSyncCursor', `${UID}:${PLAYLIST_ID}`);
+    resetDatastore([
+      tokensEntity(UID),
+      {kind: 'PlaylistSyncCursor', name: `${UID}:${PLAYLIST_ID}`, data: {...cursor, updatedAt: new Date(Date.now() - 60 * 60 * 1000)}},
+    ]);
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+
+    const {body} = await sync();
+
+    assert.deepEqual(body, {complete: false, progress: {synced: 150, total: 200}});
+    const [firstPageRequest] = youTubeApi.requests.filter((r) => r.resource === 'playlistItems');
+    assert.equal(firstPageRequest.params.pageToken || null, null);
+  });
+
+  it('removes more videos than fit in one Datastore commit', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 2);
+    const ownKey = `${UID}:${PLAYLIST_ID}`;
+    const removed = Array.from({length: 600}, (_, i) => storedVideo(`old${String(i).padStart(4, '0')}`, [ownKey]));
+    resetDatastore([tokensEntity(UID), ...removed]);
+    youTubeApi.setFixtures({playlistItems: {[PLAYLIST_ID]: items}, videos});
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 200);
+    assert.equal(body.changes.removed.length, 600);
+    assert.equal(getEntity('Videos', 'old0599'), undefined);
+  });
+
+  it('maps a revoked YouTube token to YOUTUBE_REAUTH_REQUIRED', async () => {
+    youTubeApi.setFixtures({revokedTokens: [`access-${UID}`], playlistItems: {[PLAYLIST_ID]: []}});
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'YOUTUBE_REAUTH_REQUIRED');
+  });
+
+  it('maps a missing playlist to 404', async () => {
+    youTubeApi.setFixtures({playlistItems: {}});
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 404);
+    assert.match(body.error, new RegExp(PLAYLIST_ID));
+  });
+
+  it('reports an exhausted quota as a sync failure without writing anything', async () => {
+    const {items, videos} = buildPlaylist(PLAYLIST_ID, 3);
+    youTubeApi.setFixtures({
+      playlistItems: {[PLAYLIST_ID]: items},
+      videos,
+      errors: [{resource: 'videos', status: 403, reason: 'quotaExceeded'}],
+    });
+
+    const {status} = await sync();
+
+    assert.equal(status, 500);
+    assert.equal(getEntity('Videos', 'vid0000'), undefined);
+    assert.equal(getEntity('UserPlaylistSync', `${UID}:${PLAYLIST_ID}`), undefined);
+  });
+
+  it('requires linked YouTube tokens', async () => {
+    resetDatastore();
+    youTubeApi.setFixtures({});
+
+    const {status, body} = await sync();
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'YOUTUBE_AUTH_REQUIRED');
+    assert.equal(youTubeApi.requests.length, 0);
+  });
+
+  it('rejects invalid requests before calling YouTube', async () => {
+    youTubeApi.setFixtures({});
+
+    assert.equal((await fn.call({idToken: 'forged', body: {playlistId: PLAYLIST_ID}})).status, 401);
+    assert.equal((await fn.call({body: {playlistId: PLAYLIST_ID}})).status, 401);
+    assert.equal((await fn.call({idToken: `test-token:${UID}`, body: {}})).status, 400);
+    assert.equal((await fn.call({method: 'GET', idToken: `test-token:${UID}`})).status, 405);
+    assert.equal(youTubeApi.requests.length, 0);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Tests for the ingestVideoTranscripts handler against the fake
+ * YouTube Data API, a fake Gemini model and an in-memory Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {startFakeYouTubeApi} = require('./support/fakeYouTubeApi');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+const fakeGenerativeAi = require('./support/fakeGenerativeAi');
+const {captionTrack, tokensEntity} = require('./fixtures/youtube');
+
+const UID = 'user-a';
+const OTHER_UID = 'user-b';
+const PLAYLIST_ID = 'PL-watch-later';
+const OWN_CHANNEL_ID = 'UC-user-a';
+const CAPTIONS_SCOPE = 'https://www.googleapis.com/auth/youtube.readonly https://www.googleapis.com/auth/youtube.force-ssl';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a stored `Videos` seed entity in UID's playlist, uploaded to UID's own channel.
+ * @param {string} videoId The video ID.
+ * @param {object} [extra] Fields to add or override.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function storedVideo(videoId, extra = {}) {
+  return {
+    kind: 'Videos',
+    name: videoId,
+    data: {videoId, title: `Video ${videoId}`, channelId: OWN_CHANNEL_ID, userPlaylistAssociations: [`${UID}:${PLAYLIST_ID}`], ...extra},
+  };
+}
+
+/**
+ * Returns the transcript text sent in a summary request.
+ * @param {object} request The `generateContent` request.
+ * @return {string} The transcript.
+ */
+function promptTranscript(request) {
+  const prompt = request.contents[0].parts[0].text;
+  return prompt.substring(prompt.indexOf('Transcript:\n') + 'Transcript:\n'.length);
+}
+
+describe('ingestVideoTranscripts', () => {
+  let youTubeApi;
+  let fn;
+
+  before(async () => {
+    youTubeApi = await startFakeYouTubeApi();
+    installStubs(youTubeApi.url);
+    process.env.GEMINI_API_KEY = 'test-key';
+    process.env.TRANSCRIPT_MAX_VIDEOS_PER_REQUEST = '3';
+    const {ingestVideoTranscripts} = require('../ingestVideoTranscripts');
+    fn = await serveFunction(ingestVideoTranscripts);
+  });
+
+  after(async () => {
+    await fn.stop();
+    await youTubeApi.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([tokensEntity(UID, undefined, CAPTIONS_SCOPE)]);
+    fakeGenerativeAi.setResponder((request) => `Summary of: ${promptTranscript(request)}`);
+  });
+
+  /**
+   * Requests caption ingestion for PLAYLIST_ID as UID.
+   * @return {Promise<{status: number, body: object}>} The response.
+   */
+  function ingestCaptions() {
+    return fn.call({idToken: `test-token:${UID}`, body: {playlistId: PLAYLIST_ID}});
+  }
+
+  it('summarises downloadable captions, preferring manual English tracks', async () => {
+    resetDatastore([tokensEntity(UID, undefined, CAPTIONS_SCOPE), storedVideo('vid00001')]);
+    youTubeApi.setFixtures({myChannelIds: [OWN_CHANNEL_ID], captions: {vid00001: [
+      captionTrack('vid00001', {trackKind: 'asr', lines: ['auto words']}),
+      captionTrack('vid00001', {language: 'de', lines: ['deutsche Worte']}),
+      captionTrack('vid00001', {lines: ['<c>Borrowing</c> and lifetimes.', 'Borrowing and lifetimes.', 'Moves &amp; copies.']}),
+    ]}});
+
+    const {status, body} = await ingestCaptions();
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, {processed: 1, stored: 1, unavailable: 0, remaining: 0, notOwned: 0});
+    const downloads = youTubeApi.requests.filter((r) => r.resource === 'captions' && r.params.tfmt === 'vtt');
+    assert.equal(downloads.length, 1);
+    assert.equal(fakeGenerativeAi.requests.length, 1);
+    assert.equal(promptTranscript(fakeGenerativeAi.requests[0].request), 'Borrowing and lifetimes. Moves & copies.');
+    const transcript = getEntity('VideoTranscripts', 'vid00001');
+    assert.equal(transcript.status, 'ready');
+    assert.equal(transcript.source, 'captions');
+    assert.equal(transcript.language, 'en');
+    assert.equal(transcript.summary, 'Summary of: Borrowing and lifetimes. Moves & copies.');
+    assert.deepEqual(transcript.segments, [{startSeconds: 0, text: 'Borrowing and lifetimes. Moves & copies.'}]);
+  });
+
+  it('records videos without downloadable captions and skips them until the retry period passes', async () => {
+    const longAgo = new Date(Date.now() - 60 * DAY_MS);
+    resetDatastore([
+      tokensEntity(UID, undefined, CAPTIONS_SCOPE),
+      storedVideo('nocap001'),
+      storedVideo('locked01'),
+      storedVideo('recent01'),
+      storedVideo('retry001'),
+      {kind: 'VideoTranscripts', name: 'recent01', data: {videoId: 'recent01', status: 'unavailable', updatedAt: new Date()}},
+      {kind: 'VideoTranscripts', name: 'retry001', data: {videoId: 'retry001', status: 'unavailable', updatedAt: longAgo}},
+    ]);
+    youTubeApi.setFixtures({myChannelIds: [OWN_CHANNEL_ID], captions: {
+      locked01: [captionTrack('locked01', {forbidden: true})],
+      retry001: [captionTrack('retry001')],
+    }});
+
+    const {body} = await ingestCaptions();
+
+    assert.deepEqual(body, {processed: 3, stored: 1, unavailable: 2, remaining: 0, notOwned: 0});
+    assert.equal(getEntity('VideoTranscripts', 'nocap001').status, 'unavailable');
+    assert.equal(getEntity('VideoTranscripts', 'locked01').status, 'unavailable');
+    assert.equal(getEntity('VideoTranscripts', 'retry001').status, 'ready');
+    assert.ok(!youTubeApi.requests.some((r) => r.params.videoId === 'recent01'));
+  });
+
+  it('processes a bounded number of videos per request and skips unavailable ones', async () => {
+    resetDatastore([
+      tokensEntity(UID, undefined, CAPTIONS_SCOPE),
+      ...['vid00001', 'vid00002', 'vid00003', 'vid00004', 'vid00005'].map((id) => storedVideo(id)),
+      storedVideo('gone0001', {unavailable: true}),
+    ]);
+    youTubeApi.setFixtures({myChannelIds: [OWN_CHANNEL_ID], captions: {}});
+
+    const first = await ingestCaptions();
+    const second = await ingestCaptions();
+    const third = await ingestCaptions();
+
+    assert.equal(first.body.processed, 3);
+    assert.equal(first.body.remaining, 2);
+    assert.equal(second.body.processed, 2);
+    assert.equal(second.body.remaining, 0);
+    assert.equal(third.body.processed, 0);
+    assert.equal(getEntity('VideoTranscripts', 'gone0001'), undefined);
+  });
+
+  it('skips videos from other channels, whose captions YouTube will not let the user download', async () => {
+    resetDatastore([
+      tokensEntity(UID, undefined, CAPTIONS_SCOPE),
+      storedVideo('vid00001'),
+      storedVideo('theirs01', {channelId: 'UC-someone-else'}),
+    ]);
+    youTubeApi.setFixtures({myChannelIds: [OWN_CHANNEL_ID], captions: {
+      vid00001: [captionTrack('vid00001')],
+      theirs01: [captionTrack('theirs01', {forbidden: true})],
+    }});
+
+    const {body} = await ingestCaptions();
+
+    assert.deepEqual(body, {processed: 1, stored: 1, unavailable: 0, remaining: 0, notOwned: 1});
+    assert.ok(!youTubeApi.requests.some((r) => r.resource === 'captions' && r.params.videoId === 'theirs01'));
+    assert.equal(getEntity('VideoTranscripts', 'theirs01'), undefined, 'they are not recorded, so nothing is retried later');
+  });
+
+  it('requires the captions scope before calling YouTube', async () => {
+    resetDatastore([tokensEntity(UID), storedVideo('vid00001')]);
+    youTubeApi.setFixtures({captions: {vid00001: [captionTrack('vid00001')]}});
+
+    const {status, body} = await ingestCaptions();
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'CAPTIONS_SCOPE_REQUIRED');
+    assert.equal(youTubeApi.requests.length, 0);
+  });
+
+  it('keeps an uploaded SRT file for the user\'s own video apart from the shared transcript', async () => {
+    resetDatastore([
+      storedVideo('vid00001'),
+      {kind: 'VideoTranscripts', name: 'vid00001', data: {videoId: 'vid00001', status: 'unavailable', updatedAt: new Date()}},
+    ]);
+    const content = '1\r\n00:00:01,000 --> 00:00:03,000\r\nHow to <i>dice</i> an onion\r\n\r\n2\r\n00:00:03,000 --> 00:00:05,000\r\nwithout crying.\r\n';
+
+    const {status, body} = await fn.call({
+      idToken: `test-token:${UID}`,
+      body: {videoId: 'vid00001', fileName: 'knife-skills.SRT', content},
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.summary, 'Summary of: How to dice an onion without crying.');
+    const transcript = getEntity('VideoTranscripts', `${UID}:vid00001`);
+    assert.equal(transcript.videoId, 'vid00001');
+    assert.equal(transcript.status, 'ready');
+    assert.equal(transcript.source, 'upload');
+    assert.equal(transcript.uploadedBy, UID);
+    assert.equal(getEntity('VideoTranscripts', 'vid00001').status, 'unavailable', 'other users do not see the upload');
+  });
+
+  it('parses uploaded WebVTT files with cue identifiers and notes', async () => {
+    resetDatastore([storedVideo('vid00001')]);
+    const content = 'WEBVTT - lecture\n\nNOTE reviewed by the editor\n\nintro\n00:00.000 --> 00:02.000 align:start\nWelcome back.\n\n00:02.000 --> 00:04.000\nToday: <v Speaker>jazz harmony</v>.\n';
+
+    const {status} = await fn.call({idToken: `test-token:${UID}`, body: {videoId: 'vid00001', fileName: 'lecture.vtt', content}});
+
+    assert.equal(status, 200);
+    assert.equal(promptTranscript(fakeGenerativeAi.requests[0].request), 'Welcome back. Today: jazz harmony.');
+  });
+
+  it('stores the timed transcript in segments of at least 30 seconds', async () => {
+    resetDatastore([storedVideo('vid00001')]);
+    const content = [
+      'WEBVTT', '',
+      '00:00.000 --> 00:05.000', 'Welcome to the keynote.', '',
+      '00:20.500 --> 00:25.000', 'Let us begin.', '',
+      '00:31.000 --> 00:35.000', 'First, the roadmap.', '',
+      '1:02:03.000 --> 1:02:09.000', 'Questions from the audience.', '',
+    ].join('\n');
+
+    await fn.call({idToken: `test-token:${UID}`, body: {videoId: 'vid00001', fileName: 'keynote.vtt', content}});
+
+    assert.deepEqual(getEntity('VideoTranscripts', `${UID}:vid00001`).segments, [
+      {startSeconds: 0, text: 'Welcome to the keynote. Let us begin.'},
+      {startSeconds: 31, text: 'First, the roadmap.'},
+      {startSeconds: 3723, text: 'Questions from the audience.'},
+    ]);
+  });
+
+  it('rejects uploads for other users\' videos, unsupported files and empty captions', async () => {
+    resetDatastore([storedVideo('vid00001'), storedVideo('theirs01', {userPlaylistAssociations: [`${OTHER_UID}:${PLAYLIST_ID}`]})]);
+    const upload = (body) => fn.call({idToken: `test-token:${UID}`, body});
+
+    assert.equal((await upload({videoId: 'theirs01', fileName: 'a.vtt', content: 'WEBVTT\n\n00:00.000 --> 00:01.000\nHi\n'})).status, 404);
+    assert.equal((await upload({videoId: 'missing1', fileName: 'a.vtt', content: 'WEBVTT\n\n00:00.000 --> 00:01.000\nHi\n'})).status, 404);
+    assert.equal((await upload({videoId: 'vid00001', fileName: 'notes.txt', content: 'Hi'})).status, 400);
+    assert.equal((await upload({videoId: 'vid00001', fileName: 'empty.vtt', content: 'WEBVTT\n\n'})).status, 400);
+    assert.equal(fakeGenerativeAi.requests.length, 0);
+    assert.equal(getEntity('VideoTranscripts', 'theirs01'), undefined);
+    assert.equal(getEntity('VideoTranscripts', `${UID}:theirs01`), undefined);
+  });
+
+  it('rejects requests without a valid Firebase ID token', async () => {
+    const {status} = await fn.call({idToken: 'bogus', body: {playlistId: PLAYLIST_ID}});
+
+    assert.equal(status, 401);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests for the listQueryHistory handler against an in-memory
+ * Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore} = require('./support/inMemoryDatastore');
+
+const UID = 'user-a';
+const OTHER_UID = 'user-b';
+
+/**
+ * Builds a `QueryHistory` seed entity, as the chat service writes it.
+ * @param {string} entryId The entry ID.
+ * @param {string} uid The Firebase uid.
+ * @param {string} query The query.
+ * @param {string} createdAt When the query was answered (ISO string).
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function historyEntry(entryId, uid, query, createdAt) {
+  return {kind: 'QueryHistory', name: entryId, data: {
+    entryId,
+    userId: uid,
+    playlistId: 'PL-watch-later',
+    modelId: 'gemini-2.5-flash',
+    query,
+    answer: 'Based on your query, I found these videos:',
+    results: [{videoId: 'vid00001', title: 'Video vid00001', reason: 'Matches.', confidence: 0.9}],
+    actionPlanSummary: null,
+    createdAt: new Date(createdAt),
+  }};
+}
+
+describe('listQueryHistory', () => {
+  let fn;
+
+  before(async () => {
+    installStubs();
+    const {listQueryHistory} = require('../listQueryHistory');
+    fn = await serveFunction(listQueryHistory);
+  });
+
+  after(async () => {
+    await fn.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([
+      historyEntry('entry-1', UID, 'cooking', '2024-06-01T00:00:00Z'),
+      historyEntry('entry-2', OTHER_UID, 'jazz', '2024-06-02T00:00:00Z'),
+      historyEntry('entry-3', UID, 'rust ownership', '2024-06-03T00:00:00Z'),
+    ]);
+  });
+
+  it('lists only the calling user\'s queries, newest first, with their results', async () => {
+    const {status, body} = await fn.call({idToken: `test-token:${UID}`});
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.entries.map((e) => e.query), ['rust ownership', 'cooking']);
+    assert.deepEqual(body.entries[0], {
+      id: 'entry-3',
+      query: 'rust ownership',
+      playlistId: 'PL-watch-later',
+      modelId: 'gemini-2.5-flash',
+      answer: 'Based on your query, I found these videos:',
+      results: [{videoId: 'vid00001', title: 'Video vid00001', reason: 'Matches.', confidence: 0.9}],
+      actionPlanSummary: null,
+      createdAt: '2024-06-03T00:00:00.000Z',
+    });
+  });
+
+  it('rejects requests without a valid Firebase ID token', async () => {
+    const {status} = await fn.call({idToken: 'bogus'});
+
+    assert.equal(status, 401);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests for the listUserPlaylists handler against the fake
+ * YouTube Data API and an in-memory Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {startFakeYouTubeApi} = require('./support/fakeYouTubeApi');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore} = require('./support/inMemoryDatastore');
+const {playlist, tokensEntity} = require('./fixtures/youtube');
+
+const UID = 'user-a';
+
+describe('listUserPlaylists', () => {
+  let youTubeApi;
+  let fn;
+
+  before(async () => {
+    youTubeApi = await startFakeYouTubeApi();
+    installStubs(youTubeApi.url);
+    const {listUserPlaylists} = require('../listUserPlaylists');
+    fn = await serveFunction(listUserPlaylists);
+  });
+
+  after(async () => {
+    await fn.stop();
+    await youTubeApi.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([tokensEntity(UID)]);
+  });
+
+  /**
+   * Lists UID's playlists.
+   * @return {Promise<{status: number, body: object}>} The response.
+   */
+  function list() {
+    return fn.call({method: 'GET', idToken: `test-token:${UID}`});
+  }
+
+  it('returns the user\'s playlists', async () => {
+    youTubeApi.setFixtures({playlists: [playlist('PL-one', 'Cooking', 12), playlist('PL-two', 'Music', 3)]});
+
+    const {status, body} = await list();
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.playlists[0], {
+      id: 'PL-one',
+      title: 'Cooking',
+      description: 'Cooking description',
+      publishedAt: '2024-04-20T08:00:00.000Z',
+      thumbnailUrl: 'https://i.ytimg.com/vi/PL-one/default.jpg',
+      itemCount: 12,
+    });
+    assert.deepEqual(body.playlists.map((p) => p.id), ['PL-one', 'PL-two']);
+    const [request] = youTubeApi.requests;
+    assert.equal(request.resource, 'playlists');
+    assert.equal(request.params.mine, 'true');
+    assert.equal(request.params.maxResults, '50');
+    assert.equal(request.token, `access-${UID}`);
+  });
+
+  it('maps a revoked YouTube token to YOUTUBE_REAUTH_REQUIRED', async () => {
+    youTubeApi.setFixtures({revokedTokens: [`access-${UID}`]});
+
+    const {status, body} = await list();
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'YOUTUBE_REAUTH_REQUIRED');
+  });
+
+  it('reports an exhausted quota as a server error', async () => {
+    youTubeApi.setFixtures({errors: [{resource: 'playlists', status: 403, reason: 'quotaExceeded'}]});
+
+    const {status, body} = await list();
+
+    assert.equal(status, 500);
+    assert.equal(body.code, undefined);
+  });
+
+  it('requires linked YouTube tokens', async () => {
+    resetDatastore();
+    youTubeApi.setFixtures({});
+
+    const {status, body} = await list();
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'YOUTUBE_AUTH_REQUIRED');
+    assert.equal(youTubeApi.requests.length, 0);
+  });
+
+  it('rejects missing or invalid Firebase ID tokens', async () => {
+    youTubeApi.setFixtures({});
+
+    assert.equal((await fn.call({method: 'GET'})).status, 401);
+    assert.equal((await fn.call({method: 'GET', idToken: 'forged'})).status, 401);
+    assert.equal(youTubeApi.requests.length, 0);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Tests for the listUserVideoStates handler against an in-memory
+ * Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore} = require('./support/inMemoryDatastore');
+
+const UID = 'user-a';
+const OTHER_UID = 'user-b';
+
+/**
+ * Builds a `UserVideoState` seed entity.
+ * @param {string} uid The Firebase uid.
+ * @param {string} videoId The video ID.
+ * @param {object} fields The state fields.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function videoState(uid, videoId, fields) {
+  return {kind: 'UserVideoState', name: `${uid}:${videoId}`, data: {userId: uid, videoId, ...fields}};
+}
+
+describe('listUserVideoStates', () => {
+  let fn;
+
+  before(async () => {
+    installStubs();
+    const {listUserVideoStates} = require('../listUserVideoStates');
+    fn = await serveFunction(listUserVideoStates);
+  });
+
+  after(async () => {
+    await fn.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([
+      videoState(UID, 'vid00001', {watched: true, rating: 5, updatedAt: new Date('2024-06-01T00:00:00Z')}),
+      videoState(UID, 'vid00002', {dismissed: true}),
+      videoState(UID, 'vid00003', {snoozedUntil: new Date('2030-01-01T00:00:00Z')}),
+      videoState(OTHER_UID, 'vid00004', {dismissed: true}),
+    ]);
+  });
+
+  it('lists only the calling user\'s states, with defaults for unset fields', async () => {
+    const {status, body} = await fn.call({idToken: `test-token:${UID}`});
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.states, [
+      {videoId: 'vid00001', watched: true, dismissed: false, snoozedUntil: null, rating: 5, updatedAt: '2024-06-01T00:00:00.000Z'},
+      {videoId: 'vid00002', watched: false, dismissed: true, snoozedUntil: null, rating: null, updatedAt: null},
+      {videoId: 'vid00003', watched: false, dismissed: false, snoozedUntil: '2030-01-01T00:00:00.000Z', rating: null, updatedAt: null},
+    ]);
+  });
+
+  it('rejects requests without a valid Firebase ID token', async () => {
+    const {status} = await fn.call({idToken: 'bogus'});
+
+    assert.equal(status, 401);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Tests for the manageSavedSearches handler against an in-memory
+ * Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+
+const UID = 'user-a';
+const OTHER_UID = 'user-b';
+
+describe('manageSavedSearches', () => {
+  let fn;
+
+  before(async () => {
+    installStubs();
+    const {manageSavedSearches} = require('../manageSavedSearches');
+    fn = await serveFunction(manageSavedSearches);
+  });
+
+  after(async () => {
+    await fn.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([
+      {kind: 'SavedSearch', name: `${OTHER_UID}:search-jazz`, data: {
+        searchId: 'search-jazz', userId: OTHER_UID, query: 'jazz', digest: null, matches: [], checkedVideoIds: [],
+        unseenCount: 0, lastRunAt: null, createdAt: new Date('2024-05-01T00:00:00Z'),
+      }},
+      {kind: 'SavedSearch', name: `${UID}:search-rust`, data: {
+        searchId: 'search-rust', userId: UID, query: 'rust', digest: null,
+        matches: [{videoId: 'vid00001', title: 'Rust ownership', channelTitle: 'Test Channel', thumbnailUrl: null,
+          publishedAt: '2024-06-01T00:00:00Z', reason: 'Mentions rust.', matchedAt: new Date('2024-06-02T00:00:00Z')}],
+        checkedVideoIds: ['vid00001'], unseenCount: 1, lastRunAt: new Date('2024-06-02T00:00:00Z'),
+        createdAt: new Date('2024-05-01T00:00:00Z'),
+      }},
+    ]);
+  });
+
+  /**
+   * Sends a request as UID.
+   * @param {object} body The request body.
+   * @return {Promise<{status: number, body: object}>} The response.
+   */
+  function manage(body) {
+    return fn.call({idToken: `test-token:${UID}`, body});
+  }
+
+  it('creates searches and lists only the calling user\'s, newest first', async () => {
+    const created = await manage({action: 'create', query: '  home espresso  ', digest: {channel: 'email', target: 'me@example.com'}});
+
+    assert.equal(created.status, 200);
+    assert.equal(created.body.search.query, 'home espresso');
+    assert.deepEqual(created.body.search.matches, []);
+    const stored = getEntity('SavedSearch', `${UID}:${created.body.search.id}`);
+    assert.equal(stored.userId, UID);
+    assert.deepEqual(stored.digest, {channel: 'email', target: 'me@example.com'});
+
+    const {status, body} = await manage({action: 'list'});
+    assert.equal(status, 200);
+    assert.deepEqual(body.searches.map((s) => s.query), ['home espresso', 'rust']);
+    assert.deepEqual(body.searches[1], {
+      id: 'search-rust',
+      query: 'rust',
+      digest: null,
+      matches: [{videoId: 'vid00001', title: 'Rust ownership', channelTitle: 'Test Channel', thumbnailUrl: null,
+        publishedAt: '2024-06-01T00:00:00Z', reason: 'Mentions rust.', matchedAt: '2024-06-02T00:00:00.000Z'}],
+      unseenCount: 1,
+      lastRunAt: '2024-06-02T00:00:00.000Z',
+      createdAt: '2024-05-01T00:00:00.000Z',
+    });
+  });
+
+  it('marks matches seen and deletes searches, but only the user\'s own', async () => {
+    const seen = await manage({action: 'markSeen', searchId: 'search-rust'});
+    assert.equal(seen.status, 200);
+    assert.equal(seen.body.search.unseenCount, 0);
+    assert.equal(getEntity('SavedSearch', `${UID}:search-rust`).matches.length, 1, 'matches are kept');
+
+    assert.equal((await manage({action: 'delete', searchId: 'search-jazz'})).status, 404);
+    assert.ok(getEntity('SavedSearch', `${OTHER_UID}:search-jazz`));
+
+    const deleted = await manage({action: 'delete', searchId: 'search-rust'});
+    assert.deepEqual(deleted, {status: 200, body: {deleted: 'search-rust'}});
+    assert.equal(getEntity('SavedSearch', `${UID}:search-rust`), undefined);
+  });
+
+  it('rejects invalid requests', async () => {
+    const invalidBodies = [
+      {action: 'rename'},
+      {action: 'create', query: '   '},
+      {action: 'create', query: 'rust', digest: {channel: 'sms', target: '555'}},
+      {action: 'create', query: 'rust', digest: {channel: 'email', target: 'not-an-address'}},
+      {action: 'create', query: 'rust', digest: {channel: 'webhook', target: 'http://hooks.example.com/x'}},
+      {action: 'markSeen'},
+    ];
+    for (const body of invalidBodies) {
+      assert.equal((await manage(body)).status, 400, JSON.stringify(body));
+    }
+    assert.equal((await fn.call({idToken: 'bogus', body: {action: 'list'}})).status, 401);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for the manageWatchQueue handler against an in-memory
+ * Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore, getEntity, setLatency} = require('./support/inMemoryDatastore');
+
+const UID = 'user-a';
+const OTHER_UID = 'user-b';
+
+/**
+ * Builds a stored queue item.
+ * @param {string} videoId The video ID.
+ * @param {Date|null} [doneAt] When it was marked done.
+ * @return {object} The item.
+ */
+function storedItem(videoId, doneAt = null) {
+  return {
+    videoId, title: `Video ${videoId}`, channelTitle: 'Test Channel', thumbnailUrl: null, duration: '00:10:00',
+    addedAt: new Date('2024-06-01T00:00:00Z'), doneAt,
+  };
+}
+
+describe('manageWatchQueue', () => {
+  let fn;
+
+  before(async () => {
+    installStubs();
+    const {manageWatchQueue} = require('../manageWatchQueue');
+    fn = await serveFunction(manageWatchQueue);
+  });
+
+  after(async () => {
+    await fn.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([
+      {kind: 'WatchQueue', name: OTHER_UID, data: {
+        userId: OTHER_UID, items: [storedItem('vid00009')], updatedAt: new Date('2024-06-01T00:00:00Z'),
+      }},
+      {kind: 'WatchQueue', name: UID, data: {
+        userId: UID, items: [storedItem('vid00001'), storedItem('vid00002', new Date('2024-06-02T00:00:00Z'))],
+        updatedAt: new Date('2024-06-02T00:00:00Z'),
+      }},
+    ]);
+  });
+
+  /**
+   * Sends a request as UID.
+   * @param {object} body The request body.
+   * @return {Promise<{status: number, body: object}>} The response.
+   */
+  function manage(body) {
+    return fn.call({idToken: `test-token:${UID}`, body});
+  }
+
+  it('lists only the calling user\'s queue, and an empty one for a new user', async () => {
+    const {status, body} = await manage({action: 'list'});
+    assert.equal(status, 200);
+    assert.deepEqual(body.queue, {
+      items: [
+        {videoId: 'vid00001', title: 'Video vid00001', channelTitle: 'Test Channel', thumbnailUrl: null,
+          duration: '00:10:00', addedAt: '2024-06-01T00:00:00.000Z', doneAt: null, done: false},
+        {videoId: 'vid00002', title: 'Video vid00002', channelTitle: 'Test Channel', thumbnailUrl: null,
+          duration: '00:10:00', addedAt: '2024-06-01T00:00:00.000Z', doneAt: '2024-06-02T00:00:00.000Z', done: true},
+      ],
+      updatedAt: '2024-06-02T00:00:00.000Z',
+    });
+
+    const newUser = await fn.call({idToken: 'test-token:user-c', body: {action: 'list'}});
+    assert.deepEqual(newUser, {status: 200, body: {queue: {items: [], updatedAt: null}}});
+  });
+
+  it('appends new videos, leaving queued ones in place', async () => {
+    const {status, body} = await manage({action: 'add', videos: [
+      {videoId: 'vid00003', title: 'Rust ownership', channelTitle: 'Rustaceans', duration: '00:20:00', reason: 'Not kept.'},
+      {videoId: 'vid00001', title: 'Renamed'},
+      {videoId: 'vid00003', title: 'Rust ownership'},
+    ]});
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.queue.items.map((item) => item.videoId), ['vid00001', 'vid00002', 'vid00003']);
+    assert.equal(body.queue.items[0].title, 'Video vid00001');
+    const stored = getEntity('WatchQueue', UID).items[2];
+    assert.equal(stored.title, 'Rust ownership');
+    assert.equal(stored.doneAt, null);
+    assert.equal(stored.reason, undefined);
+  });
+
+  it('keeps every change when several arrive at once', async () => {
+    // Lets each request read the queue before the others have saved theirs.
+    setLatency(20);
+    const results = await Promise.all([
+      manage({action: 'add', videos: [{videoId: 'vid00003'}]}),
+      manage({action: 'add', videos: [{videoId: 'vid00004'}]}),
+      manage({action: 'setDone', videoId: 'vid00001', done: true}),
+    ]);
+
+    assert.deepEqual(results.map((result) => result.status), [200, 200, 200]);
+    const stored = getEntity('WatchQueue', UID).items;
+    assert.deepEqual(stored.map((item) => item.videoId).sort(), ['vid00001', 'vid00002', 'vid00003', 'vid00004']);
+    assert.ok(stored[0].doneAt, 'the setDone is kept too');
+  });
+
+  it('reorders, marks done, removes and clears done videos', async () => {
+    await manage({action: 'add', videos: [{videoId: 'vid00003'}]});
+
+    const reordered = await manage({action: 'reorder', videoIds: ['vid00003', 'vid00001', 'vid00002']});
+    assert.equal(reordered.status, 200);
+    assert.deepEqual(reordered.body.queue.items.map((item) => item.videoId), ['vid00003', 'vid00001', 'vid00002']);
+
+    const done = await manage({action: 'setDone', videoId: 'vid00003', done: true});
+    assert.equal(done.body.queue.items[0].done, true);
+    const undone = await manage({action: 'setDone', videoId: 'vid00002', done: false});
+    assert.equal(undone.body.queue.items[2].done, false);
+
+    const removed = await manage({action: 'remove', videoId: 'vid00001'});
+    assert.deepEqual(removed.body.queue.items.map((item) => item.videoId), ['vid00003', 'vid00002']);
+
+    const cleared = await manage({action: 'clearDone'});
+    assert.deepEqual(cleared.body.queue.items.map((item) => item.videoId), ['vid00002']);
+    assert.deepEqual(getEntity('WatchQueue', UID).items.map((item) => item.videoId), ['vid00002']);
+    assert.equal(getEntity('WatchQueue', OTHER_UID).items.length, 1);
+  });
+
+  it('refuses a reorder that does not match the queue, and unknown videos', async () => {
+    const stale = await manage({action: 'reorder', videoIds: ['vid00002']});
+    assert.equal(stale.status, 409);
+    const duplicated = await manage({action: 'reorder', videoIds: ['vid00001', 'vid00001']});
+    assert.equal(duplicated.status, 409);
+    assert.equal((await manage({action: 'remove', videoId: 'vid00009'})).status, 404);
+    assert.deepEqual(getEntity('WatchQueue', UID).items.map((item) => item.videoId), ['vid00001', 'vid00002']);
+  });
+
+  it('rejects invalid requests', async () => {
+    const invalidBodies = [
+      {action: 'play'},
+      {action: 'add', videos: []},
+      {action: 'add', videos: [{videoId: 'not a video id'}]},
+      {action: 'remove'},
+      {action: 'setDone', videoId: 'vid00001'},
+      {action: 'reorder', videoIds: 'vid00001'},
+    ];
+    for (const body of invalidBodies) {
+      assert.equal((await manage(body)).status, 400, JSON.stringify(body));
+    }
+    assert.equal((await fn.call({idToken: 'bogus', body: {action: 'list'}})).status, 401);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Tests for the modifyPlaylistItems handler against the fake
+ * YouTube Data API and an in-memory Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {startFakeYouTubeApi} = require('./support/fakeYouTubeApi');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+const {playlistItem, tokensEntity} = require('./fixtures/youtube');
+
+const UID = 'user-a';
+const OTHER_UID = 'user-b';
+const WATCH_LATER = 'PL-watch-later';
+const ARCHIVE = 'PL-archive';
+const WRITE_SCOPE = 'https://www.googleapis.com/auth/youtube.readonly https://www.googleapis.com/auth/youtube.force-ssl';
+
+/**
+ * Builds a stored `Videos` seed entity.
+ * @param {string} videoId The video ID.
+ * @param {Array<string>} associations Its `userPlaylistAssociations`.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function storedVideo(videoId, associations) {
+  return {kind: 'Videos', name: videoId, data: {videoId, title: `Video ${videoId}`, userPlaylistAssociations: associations}};
+}
+
+/**
+ * Builds playlist item fixtures for videos in order.
+ * @param {string} playlistId The playlist ID.
+ * @param {Array<string>} videoIds The videos, in playlist order.
+ * @return {Array<object>} The playlist items.
+ */
+function items(playlistId, videoIds) {
+  return videoIds.map((videoId, position) => playlistItem(playlistId, videoId, {position}));
+}
+
+describe('modifyPlaylistItems', () => {
+  let youTubeApi;
+  let fn;
+  let fixtures;
+
+  before(async () => {
+    youTubeApi = await startFakeYouTubeApi();
+    installStubs(youTubeApi.url);
+    const {modifyPlaylistItems} = require('../modifyPlaylistItems');
+    fn = await serveFunction(modifyPlaylistItems);
+  });
+
+  after(async () => {
+    await fn.stop();
+    await youTubeApi.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([
+      tokensEntity(UID, undefined, WRITE_SCOPE),
+      storedVideo('vid00001', [`${UID}:${WATCH_LATER}`]),
+      storedVideo('vid00002', [`${UID}:${WATCH_LATER}`, `${OTHER_UID}:${WATCH_LATER}`]),
+      storedVideo('vid00003', [`${UID}:${WATCH_LATER}`]),
+    ]);
+    fixtures = {playlistItems: {
+      [WATCH_LATER]: items(WATCH_LATER, ['vid00001', 'vid00002', 'vid00003']),
+      [ARCHIVE]: items(ARCHIVE, ['vid00009']),
+    }};
+    youTubeApi.setFixtures(fixtures);
+  });
+
+  /**
+   * Sends a modify request as UID.
+   * @param {object} body The request body.
+   * @return {Promise<{status: number, body: object}>} The response.
+   */
+  function modify(body) {
+    return fn.call({idToken: `test-token:${UID}`, body});
+  }
+
+  /**
+   * Lists the videos in a fixture playlist, in order.
+   * @param {string} playlistId The playlist ID.
+   * @return {Array<string>} The video IDs.
+   */
+  function playlistVideoIds(playlistId) {
+    return fixtures.playlistItems[playlistId].map((item) => item.snippet.resourceId.videoId);
+  }
+
+  it('removes videos and reports their positions, dropping only this user\'s association', async () => {
+    const {status, body} = await modify({action: 'remove', sourcePlaylistId: WATCH_LATER, videoIds: ['vid00002', 'vid00001', 'gone0001']});
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results, [
+      {videoId: 'vid00002', status: 'done', position: 1},
+      {videoId: 'vid00001', status: 'done', position: 0},
+      {videoId: 'gone0001', status: 'not_in_playlist'},
+    ]);
+    assert.deepEqual(playlistVideoIds(WATCH_LATER), ['vid00003']);
+    assert.equal(getEntity('Videos', 'vid00001'), undefined);
+    assert.deepEqual(getEntity('Videos', 'vid00002').userPlaylistAssociations, [`${OTHER_UID}:${WATCH_LATER}`]);
+    const deletes = youTubeApi.requests.filter((r) => r.method === 'DELETE');
+    assert.deepEqual(deletes.map((r) => r.params.id), [`${WATCH_LATER}-vid00002`, `${WATCH_LATER}-vid00001`]);
+  });
+
+  it('moves videos by adding them to the target before removing them from the source', async () => {
+    const {body} = await modify({action: 'move', sourcePlaylistId: WATCH_LATER, targetPlaylistId: ARCHIVE, videoIds: ['vid00003']});
+
+    assert.deepEqual(body.results, [{videoId: 'vid00003', status: 'done', position: 2}]);
+    assert.deepEqual(playlistVideoIds(WATCH_LATER), ['vid00001', 'vid00002']);
+    assert.deepEqual(playlistVideoIds(ARCHIVE), ['vid00009', 'vid00003']);
+    const writes = youTubeApi.requests.filter((r) => r.method !== 'GET');
+    assert.deepEqual(writes.map((r) => r.method), ['POST', 'DELETE']);
+    assert.deepEqual(writes[0].body.snippet, {playlistId: ARCHIVE, resourceId: {kind: 'youtube#video', videoId: 'vid00003'}});
+    assert.deepEqual(getEntity('Videos', 'vid00003').userPlaylistAssociations, [`${UID}:${ARCHIVE}`]);
+  });
+
+  it('keeps a video in its playlist when adding it to the target fails', async () => {
+    fixtures.errors = [{resource: 'playlistItems', method: 'POST', status: 403, reason: 'playlistContainsMaximumNumberOfVideos'}];
+
+    const {status, body} = await modify({action: 'move', sourcePlaylistId: WATCH_LATER, targetPlaylistId: ARCHIVE, videoIds: ['vid00001', 'vid00002']});
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map((r) => r.status), ['failed', 'failed']);
+    assert.deepEqual(playlistVideoIds(WATCH_LATER), ['vid00001', 'vid00002', 'vid00003']);
+    assert.deepEqual(getEntity('Videos', 'vid00001').userPlaylistAssociations, [`${UID}:${WATCH_LATER}`]);
+  });
+
+  it('undoes a removal by adding videos back at their original positions', async () => {
+    const removed = await modify({action: 'remove', sourcePlaylistId: WATCH_LATER, videoIds: ['vid00001', 'vid00003', 'vid00002']});
+    assert.deepEqual(removed.body.results.map((r) => r.position), [0, 2, 1]);
+    const positions = Object.fromEntries(removed.body.results.map((r) => [r.videoId, r.position]));
+
+    const {body} = await modify({action: 'add', targetPlaylistId: WATCH_LATER, videoIds: ['vid00001', 'vid00002', 'vid00003'], positions});
+
+    assert.deepEqual(body.results.map((r) => r.status), ['done', 'done', 'done']);
+    assert.deepEqual(playlistVideoIds(WATCH_LATER), ['vid00001', 'vid00002', 'vid00003']);
+    assert.deepEqual(getEntity('Videos', 'vid00002').userPlaylistAssociations, [`${OTHER_UID}:${WATCH_LATER}`, `${UID}:${WATCH_LATER}`]);
+  });
+
+  it('appends videos to playlists that reject positions, and skips videos already there', async () => {
+    fixtures.unsortablePlaylists = [ARCHIVE];
+
+    const {body} = await modify({action: 'add', targetPlaylistId: ARCHIVE, videoIds: ['vid00001', 'vid00009'], positions: {vid00001: 0}});
+
+    assert.deepEqual(body.results.map((r) => r.status), ['done', 'already_in_playlist']);
+    assert.deepEqual(playlistVideoIds(ARCHIVE), ['vid00009', 'vid00001']);
+    const inserts = youTubeApi.requests.filter((r) => r.method === 'POST');
+    assert.deepEqual(inserts.map((r) => r.status), [400, 200]);
+  });
+
+  it('ignores a targetPlaylistId sent with a remove', async () => {
+    const {body} = await modify({action: 'remove', sourcePlaylistId: WATCH_LATER, targetPlaylistId: ARCHIVE, videoIds: ['vid00002']});
+
+    assert.deepEqual(body.results.map((r) => r.status), ['done']);
+    assert.deepEqual(playlistVideoIds(ARCHIVE), ['vid00009']);
+    assert.deepEqual(getEntity('Videos', 'vid00002').userPlaylistAssociations, [`${OTHER_UID}:${WATCH_LATER}`]);
+  });
+
+  it('ignores a sourcePlaylistId sent with an add', async () => {
+    const {body} = await modify({action: 'add', sourcePlaylistId: WATCH_LATER, targetPlaylistId: ARCHIVE, videoIds: ['vid00001']});
+
+    assert.deepEqual(body.results.map((r) => r.status), ['done']);
+    assert.deepEqual(playlistVideoIds(WATCH_LATER), ['vid00001', 'vid00002', 'vid00003']);
+    assert.deepEqual(getEntity('Videos', 'vid00001').userPlaylistAssociations, [`${UID}:${WATCH_LATER}`, `${UID}:${ARCHIVE}`]);
+  });
+
+  it('requires the write scope before calling YouTube', async () => {
+    resetDatastore([tokensEntity(UID)]);
+
+    const {status, body} = await modify({action: 'remove', sourcePlaylistId: WATCH_LATER, videoIds: ['vid00001']});
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'WRITE_SCOPE_REQUIRED');
+    assert.equal(youTubeApi.requests.length, 0);
+  });
+
+  it('rejects invalid requests', async () => {
+    const tooMany = Array.from({length: 51}, (_, i) => `vid${String(i).padStart(5, '0')}`);
+
+    assert.equal((await modify({action: 'delete', sourcePlaylistId: WATCH_LATER, videoIds: ['vid00001']})).status, 400);
+    assert.equal((await modify({action: 'remove', videoIds: ['vid00001']})).status, 400);
+    assert.equal((await modify({action: 'move', sourcePlaylistId: WATCH_LATER, targetPlaylistId: WATCH_LATER, videoIds: ['vid00001']})).status, 400);
+    assert.equal((await modify({action: 'remove', sourcePlaylistId: WATCH_LATER, videoIds: tooMany})).status, 400);
+    assert.equal(youTubeApi.requests.length, 0);
+  });
+
+  it('asks the user to re-link when YouTube rejects the token', async () => {
+    fixtures.revokedTokens = [`access-${UID}`];
+
+    const {status, body} = await modify({action: 'remove', sourcePlaylistId: WATCH_LATER, videoIds: ['vid00001']});
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'YOUTUBE_REAUTH_REQUIRED');
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Tests for the refreshVideoStats Pub/Sub handler against the
+ * fake YouTube Data API and an in-memory Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {startFakeYouTubeApi} = require('./support/fakeYouTubeApi');
+const {installStubs} = require('./support/stubs');
+const {Datastore, resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+const {tokensEntity, video} = require('./fixtures/youtube');
+
+const UID = 'user-a';
+const OTHER_UID = 'user-b';
+const PLAYLIST_ID = 'PL-watch-later';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds a `UserPlaylistSync` seed entity.
+ * @param {string} uid The user.
+ * @param {string} playlistId The synced playlist.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function syncRecord(uid, playlistId) {
+  return {kind: 'UserPlaylistSync', name: `${uid}:${playlistId}`, data: {userId: uid, playlistId, itemCount: 0, pages: []}};
+}
+
+/**
+ * Builds a stored `Videos` seed entity.
+ * @param {string} videoId The video ID.
+ * @param {{uid: (string|undefined), daysOld: (number|undefined), extra: (object|undefined)}} [options] The owning user,
+ *     the age of its statistics in days (omitted for entities stored before `statsUpdatedAt` existed), and other fields.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function storedVideo(videoId, {uid = UID, daysOld, extra = {}} = {}) {
+  const data = {
+    videoId,
+    title: `Video ${videoId}`,
+    durationSeconds: 600,
+    viewCount: '10',
+    likeCount: '1',
+    topicCategories: ['Music'],
+    userPlaylistAssociations: [`${uid}:${PLAYLIST_ID}`],
+    ...extra,
+  };
+  if (daysOld !== undefined) data.statsUpdatedAt = new Date(Date.now() - daysOld * DAY_MS);
+  return {kind: 'Videos', name: videoId, data};
+}
+
+describe('refreshVideoStats', () => {
+  let youTubeApi;
+  let refreshVideoStats;
+
+  before(async () => {
+    youTubeApi = await startFakeYouTubeApi();
+    installStubs(youTubeApi.url);
+    ({refreshVideoStats} = require('../refreshVideoStats'));
+  });
+
+  after(async () => {
+    await youTubeApi.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([tokensEntity(UID)]);
+  });
+
+  /**
+   * Delivers a stats refresh message for a user.
+   * @param {string} userId The user whose videos to refresh.
+   * @return {Promise<void>}
+   */
+  function runRefresh(userId) {
+    const data = Buffer.from(JSON.stringify({userId})).toString('base64');
+    return refreshVideoStats({data}, {});
+  }
+
+  /**
+   * Returns the video IDs requested from `videos.list`, in order.
+   * @return {Array<string>} The IDs.
+   */
+  function requestedVideoIds() {
+    return youTubeApi.requests.filter((r) => r.resource === 'videos').flatMap((r) => r.params.id.split(','));
+  }
+
+  it('refreshes stale statistics oldest first and leaves fresh ones alone', async () => {
+    resetDatastore([
+      tokensEntity(UID),
+      syncRecord(UID, PLAYLIST_ID),
+      storedVideo('stale001', {daysOld: 30}),
+      storedVideo('legacy01'),
+      storedVideo('fresh001', {daysOld: 1}),
+    ]);
+    youTubeApi.setFixtures({videos: {stale001: video('stale001'), legacy01: video('legacy01'), fresh001: video('fresh001')}});
+
+    await runRefresh(UID);
+
+    assert.deepEqual(requestedVideoIds(), ['legacy01', 'stale001']);
+    const refreshed = getEntity('Videos', 'stale001');
+    assert.equal(refreshed.viewCount, '1000');
+    assert.equal(refreshed.likeCount, '50');
+    assert.deepEqual(refreshed.topicCategories, ['Technology']);
+    assert.equal(refreshed.unavailable, false);
+    assert.ok(Date.now() - refreshed.statsUpdatedAt.getTime() < 60 * 1000);
+    assert.equal(refreshed.title, 'Video stale001', 'other fields are kept');
+    assert.equal(getEntity('Videos', 'legacy01').viewCount, '1000');
+    assert.equal(getEntity('Videos', 'fresh001').viewCount, '10');
+  });
+
+  it('keeps associations and categories written while statistics were being fetched', async () => {
+    resetDatastore([
+      tokensEntity(UID),
+      syncRecord(UID, PLAYLIST_ID),
+      storedVideo('stale001', {daysOld: 30}),
+      storedVideo('gone0001', {daysOld: 30}),
+    ]);
+    youTubeApi.setFixtures({videos: {stale001: video('stale001')}});
+    youTubeApi.onRequest(async ({resource}) => {
+      if (resource !== 'videos') return;
+      // Another user's sync and a categorizeVideos run land in the meantime.
+      const datastore = new Datastore();
+      for (const videoId of ['stale001', 'gone0001']) {
+        const current = getEntity('Videos', videoId);
+        await datastore.save({
+          key: datastore.key(['Videos', videoId]),
+          data: {
+            ...current,
+            userPlaylistAssociations: [...current.userPlaylistAssociations, `${OTHER_UID}:${PLAYLIST_ID}`],
+            geminiCategories: ['Music'],
+          },
+        });
+      }
+    });
+
+    await runRefresh(UID);
+
+    for (const videoId of ['stale001', 'gone0001']) {
+      const refreshed = getEntity('Videos', videoId);
+      assert.deepEqual(refreshed.userPlaylistAssociations, [`${UID}:${PLAYLIST_ID}`, `${OTHER_UID}:${PLAYLIST_ID}`]);
+      assert.deepEqual(refreshed.geminiCategories, ['Music']);
+    }
+    assert.equal(getEntity('Videos', 'stale001').viewCount, '1000');
+    assert.equal(getEntity('Videos', 'gone0001').unavailable, true);
+  });
+
+  it('flags videos YouTube no longer returns and clears the flag when they return', async () => {
+    const flaggedSince = new Date(Date.now() - 20 * DAY_MS);
+    resetDatastore([
+      tokensEntity(UID),
+      syncRecord(UID, PLAYLIST_ID),
+      storedVideo('gone0001', {daysOld: 30}),
+      storedVideo('back0001', {daysOld: 30, extra: {unavailable: true, unavailableSince: flaggedSince}}),
+    ]);
+    youTubeApi.setFixtures({videos: {back0001: video('back0001')}});
+
+    await runRefresh(UID);
+
+    const gone = getEntity('Videos', 'gone0001');
+    assert.equal(gone.unavailable, true);
+    assert.ok(gone.unavailableSince instanceof Date);
+    assert.equal(gone.viewCount, '10', 'last known statistics are kept');
+    assert.ok(Date.now() - gone.statsUpdatedAt.getTime() < 60 * 1000);
+    const back = getEntity('Videos', 'back0001');
+    assert.equal(back.unavailable, false);
+    assert.equal(back.unavailableSince, null);
+  });
+
+  it('keeps the original date of a video that stays unavailable', async () => {
+    const flaggedSince = new Date(Date.now() - 20 * DAY_MS);
+    resetDatastore([
+      tokensEntity(UID),
+      syncRecord(UID, PLAYLIST_ID),
+      storedVideo('gone0001', {daysOld: 30, extra: {unavailable: true, unavailableSince: flaggedSince}}),
+    ]);
+    youTubeApi.setFixtures({videos: {}});
+
+    await runRefresh(UID);
+
+    assert.deepEqual(getEntity('Videos', 'gone0001').unavailableSince, flaggedSince);
+  });
+
+  it('batches video IDs and only refreshes the user\'s own playlists', async () => {
+    const ownVideos = Array.from({length: 120}, (_, i) => storedVideo(`own${String(i).padStart(4, '0')}`, {daysOld: 30}));
+    resetDatastore([
+      tokensEntity(UID),
+      syncRecord(UID, PLAYLIST_ID),
+      syncRecord(OTHER_UID, PLAYLIST_ID),
+      ...ownVideos,
+      storedVideo('other001', {uid: OTHER_UID, daysOld: 30}),
+    ]);
+    const videos = Object.fromEntries(ownVideos.map(({name}) => [name, video(name)]));
+    youTubeApi.setFixtures({videos: {...videos, other001: video('other001')}});
+
+    await runRefresh(UID);
+
+    const batchSizes = youTubeApi.requests.filter((r) => r.resource === 'videos').map((r) => r.params.id.split(',').length);
+    assert.deepEqual(batchSizes, [50, 50, 20]);
+    assert.ok(youTubeApi.requests.every((r) => r.token === `access-${UID}`));
+    assert.ok(!requestedVideoIds().includes('other001'));
+    assert.equal(getEntity('Videos', 'other001').viewCount, '10');
+  });
+
+  it('writes nothing when YouTube rejects the token', async () => {
+    resetDatastore([tokensEntity(UID), syncRecord(UID, PLAYLIST_ID), storedVideo('stale001', {daysOld: 30})]);
+    youTubeApi.setFixtures({videos: {stale001: video('stale001')}, revokedTokens: [`access-${UID}`]});
+
+    await runRefresh(UID);
+
+    assert.equal(getEntity('Videos', 'stale001').viewCount, '10');
+    assert.equal(getEntity('Videos', 'stale001').unavailable, undefined);
+  });
+
+  it('does nothing for users without tokens or messages without a userId', async () => {
+    resetDatastore([syncRecord(UID, PLAYLIST_ID), storedVideo('stale001', {daysOld: 30})]);
+    youTubeApi.setFixtures({videos: {stale001: video('stale001')}});
+
+    await runRefresh(UID);
+    await refreshVideoStats({data: Buffer.from('{}').toString('base64')}, {});
+
+    assert.equal(youTubeApi.requests.length, 0);
+  });
+});
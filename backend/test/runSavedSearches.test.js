@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Tests for the runSavedSearches Pub/Sub handler against a fake
+ * Gemini model and an in-memory Datastore, with digests written by the file
+ * notifier.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {installStubs} = require('./support/stubs');
+const {resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+const fakeGenerativeAi = require('./support/fakeGenerativeAi');
+
+const UID = 'user-a';
+
+/**
+ * Builds a video as fetchUserSubscriptionFeed caches it.
+ * @param {string} videoId The video ID.
+ * @param {string} title The title.
+ * @return {object} The feed video.
+ */
+function feedVideo(videoId, title) {
+  return {
+    videoId, title, description: `About ${title}`, channelId: 'UC000', channelTitle: 'Test Channel',
+    publishedAt: '2024-06-01T00:00:00Z', thumbnailUrl: `https://i.ytimg.com/vi/${videoId}/default.jpg`, durationSeconds: 600,
+  };
+}
+
+/**
+ * Builds the user's `UserSubscriptionFeedCache` seed entity.
+ * @param {Array<object>} videos The feed videos.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function feedCache(videos) {
+  return {kind: 'UserSubscriptionFeedCache', name: UID, data: {videos, lastUpdated: new Date()}};
+}
+
+/**
+ * Builds a `SavedSearch` seed entity, as manageSavedSearches creates it.
+ * @param {string} searchId The search ID.
+ * @param {string} query The query.
+ * @param {object|null} [digest] Where to send digests.
+ * @return {{kind: string, name: string, data: object}} The seed entity.
+ */
+function savedSearch(searchId, query, digest = null) {
+  return {kind: 'SavedSearch', name: `${UID}:${searchId}`, data: {
+    searchId, userId: UID, query, digest, matches: [], checkedVideoIds: [], unseenCount: 0,
+    lastRunAt: null, createdAt: new Date('2024-05-01T00:00:00Z'),
+  }};
+}
+
+/**
+ * Returns the saved search query and video list of a matching prompt.
+ * @param {object} request The `generateContent` request.
+ * @return {{query: string, videos: Array<object>}} The query and videos.
+ */
+function parsePrompt(request) {
+  const prompt = request.contents[0].parts[0].text;
+  return {query: prompt.match(/"(.*)"/)[1], videos: JSON.parse(prompt.substring(prompt.indexOf('[')))};
+}
+
+/**
+ * A responder that matches the videos whose title contains the query.
+ * @param {object} request The `generateContent` request.
+ * @return {object} The model answer.
+ */
+function matchByTitle(request) {
+  const {query, videos} = parsePrompt(request);
+  return {matches: videos.filter((v) => v.title.toLowerCase().includes(query)).map((v) => ({videoId: v.videoId, reason: `Mentions ${query}.`}))};
+}
+
+describe('runSavedSearches', () => {
+  let runSavedSearches;
+  let digestDir;
+  let digestFile;
+
+  before(() => {
+    digestDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-search-test-'));
+    digestFile = path.join(digestDir, 'digests.jsonl');
+    process.env.GEMINI_API_KEY = 'test-key';
+    process.env.SAVED_SEARCH_NOTIFIER = 'file';
+    process.env.NOTIFIER_FILE_PATH = digestFile;
+    installStubs();
+    ({runSavedSearches} = require('../runSavedSearches'));
+  });
+
+  after(() => {
+    fs.rmSync(digestDir, {recursive: true, force: true});
+  });
+
+  beforeEach(() => {
+    fs.rmSync(digestFile, {force: true});
+    fakeGenerativeAi.setResponder(matchByTitle);
+  });
+
+  /**
+   * Delivers a saved search run request for UID.
+   * @return {Promise<void>}
+   */
+  function runSearches() {
+    return runSavedSearches({data: Buffer.from(JSON.stringify({userId: UID})).toString('base64')}, {});
+  }
+
+  /**
+   * Reads the digests the file notifier wrote.
+   * @return {Array<object>} The digests, in the order sent.
+   */
+  function readDigests() {
+    return fs.existsSync(digestFile) ? fs.readFileSync(digestFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line)) : [];
+  }
+
+  it('stores new matches and sends one digest per target', async () => {
+    const email = {channel: 'email', target: 'me@example.com'};
+    resetDatastore([
+      feedCache([feedVideo('vid00001', 'Rust ownership'), feedVideo('vid00002', 'Jazz piano'), feedVideo('vid00003', 'Rust async')]),
+      savedSearch('search-rust', 'rust', email),
+      savedSearch('search-jazz', 'jazz', email),
+      savedSearch('search-cooking', 'cooking', {channel: 'webhook', target: 'https://hooks.example.com/x'}),
+    ]);
+
+    await runSearches();
+
+    const rust = getEntity('SavedSearch', `${UID}:search-rust`);
+    assert.deepEqual(rust.matches.map((m) => m.videoId), ['vid00001', 'vid00003']);
+    assert.equal(rust.matches[0].reason, 'Mentions rust.');
+    assert.equal(rust.unseenCount, 2);
+    assert.deepEqual(rust.checkedVideoIds, ['vid00001', 'vid00002', 'vid00003']);
+    assert.ok(rust.lastRunAt instanceof Date);
+    assert.equal(getEntity('SavedSearch', `${UID}:search-cooking`).unseenCount, 0);
+
+    const digests = readDigests();
+    assert.equal(digests.length, 1, 'searches without new matches send nothing');
+    assert.equal(digests[0].target, 'me@example.com');
+    assert.deepEqual(digests[0].searches.map((s) => [s.query, s.matches.map((m) => m.videoId)]), [
+      ['rust', ['vid00001', 'vid00003']],
+      ['jazz', ['vid00002']],
+    ]);
+  });
+
+  it('tells the model each video\'s length and publish date', async () => {
+    resetDatastore([feedCache([feedVideo('vid00001', 'Database internals talk')]), savedSearch('search-db', 'new long-form talks about databases', null)]);
+
+    await runSearches();
+
+    const {videos} = parsePrompt(fakeGenerativeAi.requests[0].request);
+    assert.equal(videos[0].durationSeconds, 600);
+    assert.equal(videos[0].publishedAt, '2024-06-01T00:00:00Z');
+  });
+
+  it('checks each video once, and retries videos of a failed batch on the next run', async () => {
+    resetDatastore([feedCache([feedVideo('vid00001', 'Rust ownership')]), savedSearch('search-rust', 'rust')]);
+    await runSearches();
+
+    resetDatastore([
+      feedCache([feedVideo('vid00004', 'Rust macros'), feedVideo('vid00001', 'Rust ownership')]),
+      {...savedSearch('search-rust', 'rust'), data: getEntity('SavedSearch', `${UID}:search-rust`)},
+    ]);
+    fakeGenerativeAi.setResponder(() => {
+      throw new Error('model unavailable');
+    });
+    await runSearches();
+    assert.deepEqual(getEntity('SavedSearch', `${UID}:search-rust`).checkedVideoIds, ['vid00001']);
+
+    fakeGenerativeAi.setResponder(matchByTitle);
+    await runSearches();
+
+    assert.deepEqual(fakeGenerativeAi.requests.map((r) => parsePrompt(r.request).videos.map((v) => v.videoId)), [['vid00004']]);
+    const rust = getEntity('SavedSearch', `${UID}:search-rust`);
+    assert.deepEqual(rust.matches.map((m) => m.videoId), ['vid00004', 'vid00001']);
+    assert.equal(rust.unseenCount, 2);
+    assert.equal(readDigests().length, 0, 'searches without a digest only show matches in the app');
+  });
+
+  it('keeps a "mark seen" made while the run was in progress', async () => {
+    resetDatastore([feedCache([feedVideo('vid00001', 'Rust ownership')]), {
+      ...savedSearch('search-rust', 'rust'),
+      data: {...savedSearch('search-rust', 'rust').data, matches: [{videoId: 'vid00000', matchedAt: new Date()}], unseenCount: 1},
+    }]);
+    fakeGenerativeAi.setResponder((request) => {
+      const stored = getEntity('SavedSearch', `${UID}:search-rust`);
+      resetDatastore([feedCache([feedVideo('vid00001', 'Rust ownership')]),
+        {kind: 'SavedSearch', name: `${UID}:search-rust`, data: {...stored, unseenCount: 0}}]);
+      return matchByTitle(request);
+    });
+
+    await runSearches();
+
+    assert.equal(getEntity('SavedSearch', `${UID}:search-rust`).unseenCount, 1);
+  });
+});
+
+describe('saved search notifiers', () => {
+  const {buildEmailMessage, buildWebhookBody} = require('../runSavedSearches/notifiers');
+  const digest = {
+    userId: UID,
+    channel: 'email',
+    target: 'me@example.com',
+    searches: [{searchId: 'search-rust', query: 'rust', matches: [
+      {videoId: 'vid00001', title: 'Rust ownership', channelTitle: 'Test Channel', reason: 'Mentions rust.'},
+    ]}],
+    createdAt: new Date('2024-06-01T00:00:00Z'),
+  };
+
+  it('formats an email digest as an RFC 5322 message', () => {
+    const message = buildEmailMessage(digest, 'ReelWorthy <noreply@example.com>');
+    const headers = message.substring(0, message.indexOf('\r\n\r\n'));
+    const body = message.substring(headers.length + 4);
+
+    assert.deepEqual(headers.split('\r\n').slice(0, 4), [
+      'From: ReelWorthy <noreply@example.com>',
+      'To: me@example.com',
+      'Subject: 1 new video matches your saved searches',
+      'Date: Sat, 01 Jun 2024 00:00:00 GMT',
+    ]);
+    assert.match(body, /"rust" - 1 new video:\r\n {2}- Rust ownership \(Test Channel\)\r\n {4}https:\/\/www\.youtube\.com\/watch\?v=vid00001/);
+  });
+
+  it('formats a webhook digest as JSON', () => {
+    assert.deepEqual(JSON.parse(buildWebhookBody({...digest, channel: 'webhook'})), {
+      type: 'saved_search_digest',
+      createdAt: '2024-06-01T00:00:00.000Z',
+      searches: digest.searches,
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests for the setUserVideoState handler against an in-memory
+ * Datastore.
+ */
+const {describe, it, before, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const {installStubs} = require('./support/stubs');
+const {serveFunction} = require('./support/functionServer');
+const {resetDatastore, getEntity} = require('./support/inMemoryDatastore');
+
+const UID = 'user-a';
+const OTHER_UID = 'user-b';
+
+describe('setUserVideoState', () => {
+  let fn;
+
+  before(async () => {
+    installStubs();
+    const {setUserVideoState} = require('../setUserVideoState');
+    fn = await serveFunction(setUserVideoState);
+  });
+
+  after(async () => {
+    await fn.stop();
+  });
+
+  beforeEach(() => {
+    resetDatastore([
+      {kind: 'UserVideoState', name: `${OTHER_UID}:vid00001`, data: {userId: OTHER_UID, videoId: 'vid00001', dismissed: true}},
+    ]);
+  });
+
+  /**
+   * Sends a state update as UID.
+   * @param {object} body The request body.
+   * @return {Promise<{status: number, body: object}>} The response.
+   */
+  function setState(body) {
+    return fn.call({idToken: `test-token:${UID}`, body});
+  }
+
+  it('stores only the fields sent and keeps the rest', async () => {
+    await setState({videoId: 'vid00001', watched: true, rating: 4});
+    const {status, body} = await setState({videoId: 'vid00001', snoozedUntil: '2030-01-01T00:00:00.000Z'});
+
+    assert.equal(status, 200);
+    assert.deepEqual({...body.state, updatedAt: undefined}, {
+      videoId: 'vid00001', watched: true, dismissed: false, snoozedUntil: '2030-01-01T00:00:00.000Z', rating: 4, updatedAt: undefined,
+    });
+    const stored = getEntity('UserVideoState', `${UID}:vid00001`);
+    assert.equal(stored.userId, UID);
+    assert.ok(stored.snoozedUntil instanceof Date, 'snoozedUntil is stored as a date');
+    assert.equal(getEntity('UserVideoState', `${OTHER_UID}:vid00001`).dismissed, true, 'other users are unaffected');
+  });
+
+  it('deletes a state once nothing is set', async () => {
+    await setState({videoId: 'vid00001', dismissed: true, rating: 2});
+
+    const {status, body} = await setState({videoId: 'vid00001', dismissed: false, rating: null});
+
+    assert.equal(status, 200);
+    assert.equal(body.state.dismissed, false);
+    assert.equal(body.state.rating, null);
+    assert.equal(getEntity('UserVideoState', `${UID}:vid00001`), undefined);
+  });
+
+  it('rejects invalid updates', async () => {
+    assert.equal((await setState({videoId: 'vid00001'})).status, 400);
+    assert.equal((await setState({videoId: 'not a video id', watched: true})).status, 400);
+    assert.equal((await setState({videoId: 'vid00001', watched: 'yes'})).status, 400);
+    assert.equal((await setState({videoId: 'vid00001', rating: 6})).status, 400);
+    assert.equal((await setState({videoId: 'vid00001', rating: 2.5})).status, 400);
+    assert.equal((await setState({videoId: 'vid00001', snoozedUntil: 'next week'})).status, 400);
+    assert.equal(getEntity('UserVideoState', `${UID}:vid00001`), undefined);
+  });
+
+  it('rejects requests without a valid Firebase ID token', async () => {
+    const {status} = await fn.call({idToken: 'bogus', body: {videoId: 'vid00001', watched: true}});
+
+    assert.equal(status, 401);
+  });
+});
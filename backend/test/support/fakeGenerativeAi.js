@@ -0,0 +1,49 @@
+/**
+ * @fileoverview In-process stand-in for `@google/generative-ai`, installed by
+ * stubs.js. `generateContent` answers with whatever the test's responder
+ * returns for the request; set it with `setResponder`. Every request is
+ * recorded in `requests` (as `{model, request}`) so tests can assert on what
+ * was sent.
+ */
+
+const requests = [];
+let responder = () => {
+  throw new Error('No fake Gemini responder set.');
+};
+
+/** Mirrors the `GoogleGenerativeAI` class surface used by the backend functions. */
+class GoogleGenerativeAI {
+  /**
+   * @param {string} apiKey Ignored.
+   */
+  constructor(apiKey) {
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * @param {{model: string}} params The model parameters.
+   * @return {{generateContent: function(object): Promise<object>}} The fake model.
+   */
+  getGenerativeModel({model}) {
+    return {
+      async generateContent(request) {
+        requests.push({model, request});
+        const answer = await responder(request, model);
+        const text = typeof answer === 'string' ? answer : JSON.stringify(answer);
+        return {response: {text: () => text}};
+      },
+    };
+  }
+}
+
+/**
+ * Sets how the fake answers and clears `requests`.
+ * @param {function(object, string): (object|string|Promise<object|string>)} newResponder Called with
+ *     each request and the model name. Objects are returned as JSON text; throwing fails the request.
+ */
+function setResponder(newResponder) {
+  responder = newResponder;
+  requests.length = 0;
+}
+
+module.exports = {GoogleGenerativeAI, setResponder, requests};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview In-process stand-in for `@google-cloud/pubsub`, installed by
+ * stubs.js. Messages are not delivered anywhere; each one is recorded in
+ * `published` (as `{topic, message}`, with the JSON data parsed) so tests can
+ * assert on what a function published. Clear it with `resetPublished`.
+ */
+
+const published = [];
+
+/** Mirrors the `PubSub` class surface used by the backend functions. */
+class PubSub {
+  /**
+   * @param {string} topicName The topic name.
+   * @return {{publishMessage: function({data: Buffer}): Promise<string>}} The fake topic.
+   */
+  topic(topicName) {
+    return {
+      async publishMessage({data}) {
+        published.push({topic: topicName, message: JSON.parse(data.toString())});
+        return String(published.length);
+      },
+    };
+  }
+}
+
+/** Clears `published`. */
+function resetPublished() {
+  published.length = 0;
+}
+
+module.exports = {PubSub, published, resetPublished};
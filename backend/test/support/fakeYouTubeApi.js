@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Local fake of the parts of the YouTube Data API v3 the backend
+ * functions call: `playlists.list`, `playlistItems.list`, `playlistItems.insert`,
+ * `playlistItems.delete`, `videos.list`, `subscriptions.list`, `channels.list`,
+ * `captions.list` and `captions.download`.
+ *
+ * Responses are served from a fixture object (see fixtures/youtube.js):
+ *
+ *   {
+ *     playlists: [playlistResource],
+ *     playlistItems: {[playlistId]: [playlistItemResource]},
+ *     videos: {[videoId]: videoResource},   // ids not listed are treated as deleted
+ *     subscriptions: [subscriptionResource],
+ *     channels: {[channelId]: channelResource},
+ *     myChannelIds: [channelId],            // what `channels.list` with `mine=true` returns
+ *     captions: {[videoId]: [captionTrack]},  // captionResource plus `content` and `forbidden`
+ *     errors: [{resource, method, match: {param: value}, status, reason}],  // method defaults to any
+ *     unsortablePlaylists: [playlistId],
+ *   }
+ *
+ * List results are paginated like the real API: `maxResults` items per page,
+ * with an opaque `nextPageToken`. Responses and their items carry ETags derived
+ * from their content, and a request whose `If-None-Match` matches gets a 304.
+ * `captions.download` returns a track's `content` as text, or a 403 if the
+ * track is `forbidden` (as YouTube does for videos the user cannot edit).
+ * `playlistItems.insert` and `playlistItems.delete` change `fixtures.playlistItems`
+ * in place and renumber the playlist's positions; an insert that asks for a
+ * position in one of `unsortablePlaylists` gets a 400, as YouTube does for
+ * playlists that are not sorted manually.
+ * Requests whose bearer token is in `fixtures.revokedTokens` get a 401. Every
+ * request is recorded (with its status) so tests can assert on paging, batching
+ * and conditional requests, and an `onRequest` callback can change other state
+ * (e.g. Datastore) while a function is waiting for a response.
+ */
+const crypto = require('crypto');
+const http = require('http');
+
+const DEFAULT_MAX_RESULTS = 5;
+const MAX_IDS_PER_REQUEST = 50;
+
+const ERROR_MESSAGES = {
+  401: 'Request had invalid authentication credentials.',
+  403: 'The request cannot be completed because you have exceeded your quota.',
+  404: 'The requested resource could not be found.',
+};
+// Inserted items get IDs that cannot clash with the fixtures' `${playlistId}-${videoId}` ones.
+let insertedItemCount = 0;
+
+/**
+ * Builds a Google API error body.
+ * @param {number} status The HTTP status.
+ * @param {string} reason The error reason, e.g. `quotaExceeded`.
+ * @return {object} The error body.
+ */
+function errorBody(status, reason) {
+  const message = ERROR_MESSAGES[status] || 'Fake YouTube API error.';
+  return {error: {code: status, message, errors: [{message, domain: 'youtube', reason}]}};
+}
+
+/**
+ * Computes a content-derived ETag.
+ * @param {object} value The resource or response body, without an ETag.
+ * @return {string} The ETag.
+ */
+function etagOf(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url').substring(0, 27);
+}
+
+/**
+ * Returns a copy of a resource with its ETag set.
+ * @param {object} resource The resource.
+ * @return {object} The resource with an `etag`.
+ */
+function withEtag(resource) {
+  const {etag, ...content} = resource;
+  return {...content, etag: etag || etagOf(content)};
+}
+
+/**
+ * Returns one page of a list.
+ * @param {Array<object>} items All items.
+ * @param {URLSearchParams} params The request query.
+ * @return {object} The list response.
+ */
+function paginate(items, params) {
+  const maxResults = Number(params.get('maxResults')) || DEFAULT_MAX_RESULTS;
+  const offset = params.get('pageToken') ? Number(params.get('pageToken').replace('page-', '')) : 0;
+  const page = items.slice(offset, offset + maxResults).map(withEtag);
+  const response = {
+    kind: 'youtube#listResponse',
+    items: page,
+    pageInfo: {totalResults: items.length, resultsPerPage: maxResults},
+  };
+  if (offset + maxResults < items.length) {
+    response.nextPageToken = `page-${offset + maxResults}`;
+  }
+  return response;
+}
+
+/**
+ * Splits the comma-separated `id` parameter.
+ * @param {URLSearchParams} params The request query.
+ * @return {Array<string>} The ids.
+ */
+function requestedIds(params) {
+  return (params.get('id') || '').split(',').filter(Boolean);
+}
+
+/**
+ * Serves one list request from the fixtures.
+ * @param {string} resource The resource name, e.g. `playlistItems`.
+ * @param {URLSearchParams} params The request query.
+ * @param {object} fixtures The fixtures.
+ * @return {{status: number, body: object}} The response.
+ */
+function handleList(resource, params, fixtures) {
+  switch (resource) {
+    case 'playlists':
+      if (params.get('id')) {
+        const items = (fixtures.playlists || []).filter((playlist) => playlist.id === params.get('id')).map(withEtag);
+        return {status: 200, body: {kind: 'youtube#playlistListResponse', items, pageInfo: {totalResults: items.length}}};
+      }
+      return {status: 200, body: paginate(fixtures.playlists || [], params)};
+    case 'playlistItems': {
+      const items = (fixtures.playlistItems || {})[params.get('playlistId')];
+      if (!items) return {status: 404, body: errorBody(404, 'playlistNotFound')};
+      const videoId = params.get('videoId');
+      return {status: 200, body: paginate(videoId ? items.filter((item) => item.snippet.resourceId.videoId === videoId) : items, params)};
+    }
+    case 'subscriptions':
+      return {status: 200, body: paginate(fixtures.subscriptions || [], params)};
+    case 'captions': {
+      const tracks = ((fixtures.captions || {})[params.get('videoId')] || [])
+        .map(({content, forbidden, ...track}) => withEtag(track));
+      return {status: 200, body: {kind: 'youtube#captionListResponse', items: tracks}};
+    }
+    case 'videos':
+    case 'channels': {
+      if (resource === 'channels' && params.get('mine') === 'true') {
+        const items = (fixtures.myChannelIds || []).map((id) => withEtag({kind: 'youtube#channel', id}));
+        return {status: 200, body: {kind: 'youtube#listResponse', items, pageInfo: {totalResults: items.length}}};
+      }
+      const ids = requestedIds(params);
+      if (ids.length > MAX_IDS_PER_REQUEST) {
+        return {status: 400, body: errorBody(400, 'invalidFilters')};
+      }
+      const byId = fixtures[resource] || {};
+      // Like the real API, unknown (deleted or private) ids are silently omitted.
+      const items = ids.filter((id) => byId[id]).map((id) => withEtag(byId[id]));
+      return {status: 200, body: {kind: 'youtube#listResponse', items, pageInfo: {totalResults: items.length}}};
+    }
+    default:
+      return {status: 404, body: errorBody(404, 'notFound')};
+  }
+}
+
+/**
+ * Serves one `captions.download` request from the fixtures.
+ * @param {string} trackId The caption track ID.
+ * @param {object} fixtures The fixtures.
+ * @return {{status: number, body: (object|undefined), text: (string|undefined)}} The response.
+ */
+function handleCaptionDownload(trackId, fixtures) {
+  const track = Object.values(fixtures.captions || {}).flat().find((t) => t.id === trackId);
+  if (!track) return {status: 404, body: errorBody(404, 'captionNotFound')};
+  if (track.forbidden) return {status: 403, body: errorBody(403, 'forbidden')};
+  return {status: 200, text: track.content};
+}
+
+/**
+ * Sets each item's `snippet.position` to its index in the playlist.
+ * @param {Array<object>} items The playlist's items.
+ */
+function renumberPositions(items) {
+  items.forEach((item, index) => {
+    item.snippet.position = index;
+  });
+}
+
+/**
+ * Serves one `playlistItems.insert` request, adding the item to the fixtures.
+ * @param {object} requestBody The `youtube#playlistItem` to insert.
+ * @param {object} fixtures The fixtures.
+ * @return {{status: number, body: object}} The response.
+ */
+function handlePlaylistItemInsert(requestBody, fixtures) {
+  const snippet = (requestBody && requestBody.snippet) || {};
+  const items = (fixtures.playlistItems || {})[snippet.playlistId];
+  if (!items) return {status: 404, body: errorBody(404, 'playlistNotFound')};
+  const videoId = snippet.resourceId && snippet.resourceId.videoId;
+  if (!videoId) return {status: 400, body: errorBody(400, 'videoNotFound')};
+  const hasPosition = snippet.position !== undefined;
+  if (hasPosition && (fixtures.unsortablePlaylists || []).includes(snippet.playlistId)) {
+    return {status: 400, body: errorBody(400, 'manualSortRequired')};
+  }
+  insertedItemCount++;
+  const item = {
+    kind: 'youtube#playlistItem',
+    id: `inserted-${insertedItemCount}`,
+    snippet: {playlistId: snippet.playlistId, title: `Video ${videoId}`, resourceId: {kind: 'youtube#video', videoId}},
+    contentDetails: {videoId},
+  };
+  items.splice(hasPosition ? Math.min(snippet.position, items.length) : items.length, 0, item);
+  renumberPositions(items);
+  return {status: 200, body: withEtag(item)};
+}
+
+/**
+ * Serves one `playlistItems.delete` request, removing the item from the fixtures.
+ * @param {URLSearchParams} params The request query.
+ * @param {object} fixtures The fixtures.
+ * @return {{status: number}} The response.
+ */
+function handlePlaylistItemDelete(params, fixtures) {
+  for (const items of Object.values(fixtures.playlistItems || {})) {
+    const index = items.findIndex((item) => item.id === params.get('id'));
+    if (index !== -1) {
+      items.splice(index, 1);
+      renumberPositions(items);
+      return {status: 204};
+    }
+  }
+  return {status: 404, body: errorBody(404, 'playlistItemNotFound')};
+}
+
+/**
+ * Finds a configured error matching a request.
+ * @param {string} method The HTTP method.
+ * @param {string} resource The resource name.
+ * @param {URLSearchParams} params The request query.
+ * @param {object} fixtures The fixtures.
+ * @return {object|undefined} The matching error fixture.
+ */
+function findError(method, resource, params, fixtures) {
+  return (fixtures.errors || []).find((error) => error.resource === resource &&
+    (!error.method || error.method === method) &&
+    Object.entries(error.match || {}).every(([param, value]) => params.get(param) === value));
+}
+
+/**
+ * Reads a request's JSON body.
+ * @param {http.IncomingMessage} req The request.
+ * @return {Promise<object|undefined>} The parsed body, or undefined if there is none.
+ */
+async function readJsonBody(req) {
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+  }
+  return text ? JSON.parse(text) : undefined;
+}
+
+/**
+ * @typedef {object} FakeYouTubeApi
+ * @property {string} url - The root URL to pass to googleapis as `rootUrl`.
+ * @property {Array<{method: string, resource: string, params: object, body: (object|undefined), token: string,
+ *     ifNoneMatch: (string|undefined), status: number}>} requests - Requests received, oldest first.
+ * @property {function(object): void} setFixtures - Replaces the fixtures and clears `requests`
+ *     and the `onRequest` callback.
+ * @property {function(function({method: string, resource: string, params: object}): (Promise<void>|void)): void} onRequest -
+ *     Sets a callback that runs, and is awaited, before each request is answered.
+ * @property {function(): Promise<void>} stop - Stops the server.
+ */
+
+/**
+ * Starts the fake API on a free local port.
+ * @param {object} [fixtures] The initial fixtures.
+ * @return {Promise<FakeYouTubeApi>} The running fake.
+ */
+async function startFakeYouTubeApi(fixtures = {}) {
+  let currentFixtures = fixtures;
+  let requestCallback = null;
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/youtube\/v3\/(\w+)(?:\/([\w-]+))?$/);
+    const resource = match ? match[1] : url.pathname;
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const ifNoneMatch = req.headers['if-none-match'];
+    const body = await readJsonBody(req);
+    if (requestCallback) await requestCallback({method: req.method, resource, params: Object.fromEntries(url.searchParams)});
+    const error = findError(req.method, resource, url.searchParams, currentFixtures);
+
+    let result;
+    if (!token || (currentFixtures.revokedTokens || []).includes(token)) {
+      result = {status: 401, body: errorBody(401, 'authError')};
+    } else if (!match) {
+      result = {status: 404, body: errorBody(404, 'notFound')};
+    } else if (error) {
+      result = {status: error.status, body: errorBody(error.status, error.reason)};
+    } else if (req.method === 'POST' && resource === 'playlistItems' && !match[2]) {
+      result = handlePlaylistItemInsert(body, currentFixtures);
+    } else if (req.method === 'DELETE' && resource === 'playlistItems' && !match[2]) {
+      result = handlePlaylistItemDelete(url.searchParams, currentFixtures);
+    } else if (req.method !== 'GET') {
+      result = {status: 404, body: errorBody(404, 'notFound')};
+    } else if (match[2]) {
+      result = resource === 'captions' ?
+        handleCaptionDownload(match[2], currentFixtures) :
+        {status: 404, body: errorBody(404, 'notFound')};
+    } else {
+      result = handleList(resource, url.searchParams, currentFixtures);
+    }
+    if (req.method === 'GET' && result.status === 200 && result.text === undefined) {
+      result.body = withEtag(result.body);
+      if (ifNoneMatch === result.body.etag) {
+        result = {status: 304};
+      }
+    }
+    requests.push({method: req.method, resource, params: Object.fromEntries(url.searchParams), body, token, ifNoneMatch, status: result.status});
+    if (result.text !== undefined) {
+      res.writeHead(200, {'Content-Type': 'text/vtt'});
+      res.end(result.text);
+      return;
+    }
+    if (result.status === 304 || result.status === 204) {
+      res.writeHead(result.status);
+      res.end();
+      return;
+    }
+    res.writeHead(result.status, {'Content-Type': 'application/json', 'ETag': result.body.etag || ''});
+    res.end(JSON.stringify(result.body));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    requests,
+    setFixtures(newFixtures) {
+      currentFixtures = newFixtures;
+      requestCallback = null;
+      requests.length = 0;
+    },
+    onRequest(callback) {
+      requestCallback = callback;
+    },
+    stop() {
+      return new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+    },
+  };
+}
+
+module.exports = {startFakeYouTubeApi};
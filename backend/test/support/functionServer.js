@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Serves an HTTP function's Express app on a free local port the
+ * way the Functions Framework does, parsing a JSON body into `req.body` first.
+ */
+const http = require('http');
+
+/**
+ * @typedef {object} FunctionServer
+ * @property {function(object): Promise<{status: number, body: object}>} call - Sends a
+ *     request (`{method, idToken, body}`) and returns the status and body: parsed if
+ *     the response is JSON, as text otherwise.
+ * @property {function(object): Promise<Response>} fetch - Sends a request like `call`
+ *     and returns the fetch Response, for checking headers.
+ * @property {function(): Promise<void>} stop - Stops the server.
+ */
+
+/**
+ * Starts serving an HTTP function.
+ * @param {function(object, object): void} app The exported Express app.
+ * @return {Promise<FunctionServer>} The running server.
+ */
+async function serveFunction(app) {
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', (chunk) => {
+      rawBody += chunk;
+    });
+    req.on('end', () => {
+      req.body = rawBody ? JSON.parse(rawBody) : {};
+      app(req, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  const send = ({method = 'POST', idToken, body} = {}) => {
+    const headers = {'Content-Type': 'application/json'};
+    if (idToken) headers.Authorization = `Bearer ${idToken}`;
+    return fetch(url, {method, headers, body: body ? JSON.stringify(body) : undefined});
+  };
+
+  return {
+    async call(request) {
+      const response = await send(request);
+      const text = await response.text();
+      const isJson = (response.headers.get('content-type') || '').startsWith('application/json');
+      return {status: response.status, body: text && isJson ? JSON.parse(text) : (text || null)};
+    },
+    fetch: send,
+    stop() {
+      return new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+    },
+  };
+}
+
+module.exports = {serveFunction};
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Minimal in-memory stand-in for `@google-cloud/datastore`,
+ * installed by stubs.js. All instances share one store so tests can seed and
+ * inspect the data a function's module-level client sees.
+ *
+ * It supports the calls the backend functions make: `key`, `get`,
+ * `save`/`upsert`, `delete`, equality-filtered queries with an optional
+ * `order` and `limit` (filters, as in Datastore, match array properties containing the
+ * value, and a null filter does not match a missing property), and transactions
+ * with `run`, `get`, `save`, `delete`, `commit` and `rollback`. A transaction's commit fails
+ * with ABORTED if an entity it read was written since, as Datastore's optimistic
+ * concurrency does. Like Datastore, it rejects lookups of more than 1000 keys and
+ * commits of more than 500 mutations. `setLatency` delays lookups and writes so
+ * tests can make concurrent requests interleave.
+ */
+
+const MAX_KEYS_PER_LOOKUP = 1000;
+const MAX_MUTATIONS_PER_COMMIT = 500;
+
+const store = new Map();
+// Write count per storage key, kept across deletes, so transactions can detect conflicting writes.
+const versions = new Map();
+let latencyMs = 0;
+
+/**
+ * Returns the storage key for a Datastore key object.
+ * @param {{kind: string, name: string}} key The Datastore key.
+ * @return {string} The storage key.
+ */
+function storageKey(key) {
+  return `${key.kind}/${key.name}`;
+}
+
+/**
+ * Throws the error Datastore returns when a request exceeds one of its limits.
+ * @param {number} count The number of keys or mutations in the request.
+ * @param {number} limit The limit.
+ * @param {string} what What is being counted, e.g. `keys per lookup`.
+ */
+function checkLimit(count, limit, what) {
+  if (count > limit) {
+    const error = new Error(`${count} exceeds the limit of ${limit} ${what}.`);
+    error.code = 3; // INVALID_ARGUMENT
+    throw error;
+  }
+}
+
+/**
+ * Waits for the configured latency, if any.
+ * @return {Promise<void>}
+ */
+function simulateLatency() {
+  return latencyMs > 0 ? new Promise((resolve) => setTimeout(resolve, latencyMs)) : Promise.resolve();
+}
+
+/**
+ * Records a write to a storage key.
+ * @param {string} storageKeyName The storage key.
+ */
+function bumpVersion(storageKeyName) {
+  versions.set(storageKeyName, (versions.get(storageKeyName) || 0) + 1);
+}
+
+/**
+ * Stores entities and deletes keys, as one commit.
+ * @param {Array<{key: object, data: object}>} list The entities.
+ * @param {Array<object>} [deletedKeys] The keys to delete.
+ */
+function writeEntities(list, deletedKeys = []) {
+  checkLimit(list.length + deletedKeys.length, MAX_MUTATIONS_PER_COMMIT, 'mutations per commit');
+  for (const {key, data} of list) {
+    store.set(storageKey(key), {kind: key.kind, data: structuredClone(data)});
+    bumpVersion(storageKey(key));
+  }
+  for (const key of deletedKeys) {
+    store.delete(storageKey(key));
+    bumpVersion(storageKey(key));
+  }
+}
+
+/** Mirrors the `Transaction` class surface used by the backend functions. */
+class Transaction {
+  constructor(datastore) {
+    this.datastore = datastore;
+    this.readVersions = new Map();
+    this.mutations = [];
+    this.deletedKeys = [];
+  }
+
+  async run() {
+    return [this];
+  }
+
+  async get(keyOrKeys) {
+    const keys = Array.isArray(keyOrKeys) ? keyOrKeys : [keyOrKeys];
+    keys.forEach((key) => this.readVersions.set(storageKey(key), versions.get(storageKey(key)) || 0));
+    return this.datastore.get(keyOrKeys);
+  }
+
+  save(entityOrEntities) {
+    this.mutations.push(...(Array.isArray(entityOrEntities) ? entityOrEntities : [entityOrEntities]));
+  }
+
+  delete(keyOrKeys) {
+    this.deletedKeys.push(...(Array.isArray(keyOrKeys) ? keyOrKeys : [keyOrKeys]));
+  }
+
+  async commit() {
+    await simulateLatency();
+    // The check and the writes run without yielding, so the commit is atomic.
+    for (const [name, version] of this.readVersions) {
+      if ((versions.get(name) || 0) !== version) {
+        const error = new Error('Aborted due to cross-transaction contention.');
+        error.code = 10; // ABORTED
+        throw error;
+      }
+    }
+    writeEntities(this.mutations, this.deletedKeys);
+    return [{}];
+  }
+
+  async rollback() {
+    this.mutations = [];
+    this.deletedKeys = [];
+    return [{}];
+  }
+}
+
+/** Mirrors the `Datastore` class surface used by the backend functions. */
+class Datastore {
+  key([kind, name]) {
+    return {kind, name, path: [kind, name]};
+  }
+
+  async get(keyOrKeys) {
+    await simulateLatency();
+    const lookup = (key) => {
+      const stored = store.get(storageKey(key));
+      return stored ? structuredClone(stored.data) : undefined;
+    };
+    if (Array.isArray(keyOrKeys)) {
+      checkLimit(keyOrKeys.length, MAX_KEYS_PER_LOOKUP, 'keys per lookup');
+      return [keyOrKeys.map(lookup).filter(Boolean)];
+    }
+    return [lookup(keyOrKeys)];
+  }
+
+  async save(entityOrEntities) {
+    await simulateLatency();
+    writeEntities(Array.isArray(entityOrEntities) ? entityOrEntities : [entityOrEntities]);
+    return [{}];
+  }
+
+  async upsert(entityOrEntities) {
+    return this.save(entityOrEntities);
+  }
+
+  async delete(keyOrKeys) {
+    writeEntities([], Array.isArray(keyOrKeys) ? keyOrKeys : [keyOrKeys]);
+    return [{}];
+  }
+
+  transaction() {
+    return new Transaction(this);
+  }
+
+  createQuery(kind) {
+    const query = {
+      kind,
+      filters: [],
+      orders: [],
+      filter(property, operator, value) {
+        if (operator !== '=') {
+          throw new Error(`In-memory Datastore only supports '=' filters, got '${operator}'.`);
+        }
+        query.filters.push({property, value});
+        return query;
+      },
+      order(property, {descending = false} = {}) {
+        query.orders.push({property, descending});
+        return query;
+      },
+      limit(count) {
+        query.limitCount = count;
+        return query;
+      },
+    };
+    return query;
+  }
+
+  async runQuery(query) {
+    const results = [];
+    for (const {kind, data} of store.values()) {
+      const matches = query.filters.every(({property, value}) =>
+        Array.isArray(data[property]) ? data[property].includes(value) : data[property] === value);
+      if (kind === query.kind && matches) {
+        results.push(structuredClone(data));
+      }
+    }
+    for (const {property, descending} of query.orders.slice().reverse()) {
+      // Stable, so earlier orders take precedence over later ones.
+      results.sort((a, b) => {
+        const order = a[property] < b[property] ? -1 : a[property] > b[property] ? 1 : 0;
+        return descending ? -order : order;
+      });
+    }
+    return [query.limitCount === undefined ? results : results.slice(0, query.limitCount)];
+  }
+}
+
+/**
+ * Replaces the store's contents.
+ * @param {Array<{kind: string, name: string, data: object}>} [entities] The entities to seed.
+ */
+function resetDatastore(entities = []) {
+  store.clear();
+  versions.clear();
+  latencyMs = 0;
+  for (const {kind, name, data} of entities) {
+    store.set(storageKey({kind, name}), {kind, data: structuredClone(data)});
+  }
+}
+
+/**
+ * Returns a stored entity.
+ * @param {string} kind The entity kind.
+ * @param {string} name The key name.
+ * @return {object|undefined} A copy of the entity data.
+ */
+function getEntity(kind, name) {
+  const stored = store.get(storageKey({kind, name}));
+  return stored ? structuredClone(stored.data) : undefined;
+}
+
+/**
+ * Delays every lookup and write until the next resetDatastore.
+ * @param {number} ms The delay in milliseconds.
+ */
+function setLatency(ms) {
+  latencyMs = ms;
+}
+
+module.exports = {Datastore, resetDatastore, getEntity, setLatency};
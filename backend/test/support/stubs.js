@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Swaps a backend function's external services for local
+ * stand-ins before its module is loaded:
+ *   - `firebase-admin` -> an auth fake that accepts `test-token:<uid>` ID tokens.
+ *   - `@google-cloud/datastore` -> inMemoryDatastore.js.
+ *   - `googleapis` -> the function's own copy, with every `google.youtube()`
+ *     client pointed at the fake YouTube Data API.
+ *   - `@google/generative-ai` -> fakeGenerativeAi.js.
+ *   - `@google-cloud/pubsub` -> fakePubSub.js.
+ */
+const Module = require('module');
+const inMemoryDatastore = require('./inMemoryDatastore');
+const fakeGenerativeAi = require('./fakeGenerativeAi');
+const fakePubSub = require('./fakePubSub');
+
+const TEST_TOKEN_PREFIX = 'test-token:';
+
+const fakeFirebaseAdmin = {
+  apps: [],
+  initializeApp() {
+    const app = {name: '[DEFAULT]'};
+    fakeFirebaseAdmin.apps.push(app);
+    return app;
+  },
+  auth() {
+    return {
+      async verifyIdToken(idToken) {
+        if (typeof idToken !== 'string' || !idToken.startsWith(TEST_TOKEN_PREFIX)) {
+          throw new Error('Decoding Firebase ID token failed (fake firebase-admin).');
+        }
+        return {uid: idToken.substring(TEST_TOKEN_PREFIX.length)};
+      },
+    };
+  },
+};
+
+/**
+ * Wraps a googleapis module so YouTube clients use the given root URL.
+ * @param {object} googleapis The real googleapis module.
+ * @param {string} rootUrl The fake API's root URL.
+ * @return {object} The wrapped module.
+ */
+function redirectYouTube(googleapis, rootUrl) {
+  const google = new Proxy(googleapis.google, {
+    get(target, property) {
+      if (property === 'youtube') {
+        return (versionOrOptions) => target.youtube(typeof versionOrOptions === 'string' ?
+          {version: versionOrOptions, rootUrl} :
+          {...versionOrOptions, rootUrl});
+      }
+      const value = Reflect.get(target, property);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+  return {...googleapis, google};
+}
+
+/**
+ * Installs the stand-ins. Call before requiring the function under test.
+ * @param {string} [youTubeApiUrl] The fake YouTube Data API root URL. Only needed by functions that call YouTube.
+ */
+function installStubs(youTubeApiUrl) {
+  const originalLoad = Module._load;
+  Module._load = function(request, parent, isMain) {
+    if (request === 'firebase-admin') return fakeFirebaseAdmin;
+    if (request === '@google-cloud/datastore') return inMemoryDatastore;
+    if (request === '@google/generative-ai') return fakeGenerativeAi;
+    if (request === '@google-cloud/pubsub') return fakePubSub;
+    const loaded = originalLoad.call(this, request, parent, isMain);
+    return request === 'googleapis' ? redirectYouTube(loaded, youTubeApiUrl) : loaded;
+  };
+}
+
+module.exports = {installStubs};
@@ -55,7 +55,7 @@ gcloud functions deploy getWatchLaterPlaylist \
   --source ./backend/getWatchLaterPlaylist \
   --entry-point getWatchLaterPlaylist \
   --project $GCP_PROJECT_ID \
-  --set-secrets YOUTUBE_CLIENT_ID=YOUTUBE_CLIENT_ID:latest,YOUTUBE_CLIENT_SECRET=YOUTUBE_CLIENT_SECRET:latest \
+  --set-secrets YOUTUBE_CLIENT_ID=YOUTUBE_CLIENT_ID:latest,YOUTUBE_CLIENT_SECRET=YOUTUBE_CLIENT_SECRET:latest,GEMINI_API_KEY=GEMINI_API_KEY:latest \
   --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID
 
 gcloud functions deploy requestSubscriptionFeedUpdate \
@@ -88,6 +88,148 @@ gcloud functions deploy fetchUserSubscriptionFeed \
   --set-secrets YOUTUBE_CLIENT_ID=YOUTUBE_CLIENT_ID:latest,YOUTUBE_CLIENT_SECRET=YOUTUBE_CLIENT_SECRET:latest \
   --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID
 
+gcloud functions deploy scheduleVideoStatsRefresh \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/scheduleVideoStatsRefresh \
+  --entry-point scheduleVideoStatsRefresh \
+  --project $GCP_PROJECT_ID \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID
+
+gcloud functions deploy refreshVideoStats \
+  --runtime nodejs20 \
+  --trigger-topic video-stats-refresh-requests \
+  --region $GCP_REGION \
+  --source ./backend/refreshVideoStats \
+  --entry-point refreshVideoStats \
+  --project $GCP_PROJECT_ID \
+  --set-secrets YOUTUBE_CLIENT_ID=YOUTUBE_CLIENT_ID:latest,YOUTUBE_CLIENT_SECRET=YOUTUBE_CLIENT_SECRET:latest \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID
+
+gcloud functions deploy categorizeVideos \
+  --runtime nodejs20 \
+  --trigger-topic video-categorization-requests \
+  --region $GCP_REGION \
+  --source ./backend/categorizeVideos \
+  --entry-point categorizeVideos \
+  --project $GCP_PROJECT_ID \
+  --set-secrets GEMINI_API_KEY=GEMINI_API_KEY:latest \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID
+
+gcloud functions deploy ingestVideoTranscripts \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/ingestVideoTranscripts \
+  --entry-point ingestVideoTranscripts \
+  --project $GCP_PROJECT_ID \
+  --set-secrets YOUTUBE_CLIENT_ID=YOUTUBE_CLIENT_ID:latest,YOUTUBE_CLIENT_SECRET=YOUTUBE_CLIENT_SECRET:latest,GEMINI_API_KEY=GEMINI_API_KEY:latest \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,FRONTEND_URL=https://$FIREBASE_PROJECT_ID.web.app
+
+gcloud functions deploy modifyPlaylistItems \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/modifyPlaylistItems \
+  --entry-point modifyPlaylistItems \
+  --project $GCP_PROJECT_ID \
+  --set-secrets YOUTUBE_CLIENT_ID=YOUTUBE_CLIENT_ID:latest,YOUTUBE_CLIENT_SECRET=YOUTUBE_CLIENT_SECRET:latest \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,FRONTEND_URL=https://$FIREBASE_PROJECT_ID.web.app
+
+gcloud functions deploy setUserVideoState \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/setUserVideoState \
+  --entry-point setUserVideoState \
+  --project $GCP_PROJECT_ID \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,FRONTEND_URL=https://$FIREBASE_PROJECT_ID.web.app
+
+gcloud functions deploy listUserVideoStates \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/listUserVideoStates \
+  --entry-point listUserVideoStates \
+  --project $GCP_PROJECT_ID \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,FRONTEND_URL=https://$FIREBASE_PROJECT_ID.web.app
+
+gcloud functions deploy listQueryHistory \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/listQueryHistory \
+  --entry-point listQueryHistory \
+  --project $GCP_PROJECT_ID \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,FRONTEND_URL=https://$FIREBASE_PROJECT_ID.web.app
+
+gcloud functions deploy manageSavedSearches \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/manageSavedSearches \
+  --entry-point manageSavedSearches \
+  --project $GCP_PROJECT_ID \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,FRONTEND_URL=https://$FIREBASE_PROJECT_ID.web.app
+
+gcloud functions deploy runSavedSearches \
+  --runtime nodejs20 \
+  --trigger-topic saved-search-run-requests \
+  --region $GCP_REGION \
+  --source ./backend/runSavedSearches \
+  --entry-point runSavedSearches \
+  --project $GCP_PROJECT_ID \
+  --set-secrets GEMINI_API_KEY=GEMINI_API_KEY:latest \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,SAVED_SEARCH_NOTIFIER=smtp-stub
+
+gcloud functions deploy exportVideos \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/exportVideos \
+  --entry-point exportVideos \
+  --project $GCP_PROJECT_ID \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,FRONTEND_URL=https://$FIREBASE_PROJECT_ID.web.app
+
+gcloud functions deploy createSuggestionShare \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/createSuggestionShare \
+  --entry-point createSuggestionShare \
+  --project $GCP_PROJECT_ID \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,FRONTEND_URL=https://$FIREBASE_PROJECT_ID.web.app
+
+gcloud functions deploy getSuggestionShare \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/getSuggestionShare \
+  --entry-point getSuggestionShare \
+  --project $GCP_PROJECT_ID \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID
+
+gcloud functions deploy manageWatchQueue \
+  --runtime nodejs20 \
+  --trigger-http \
+  --allow-unauthenticated \
+  --region $GCP_REGION \
+  --source ./backend/manageWatchQueue \
+  --entry-point manageWatchQueue \
+  --project $GCP_PROJECT_ID \
+  --set-env-vars GOOGLE_CLOUD_PROJECT=$GCP_PROJECT_ID,FRONTEND_URL=https://$FIREBASE_PROJECT_ID.web.app
+
 # --- Build and Push Docker Image ---
 echo "--- Building and Pushing Docker Image ---"
 gcloud builds submit --tag $GCP_REGION-docker.pkg.dev/$GCP_PROJECT_ID/$DOCKER_REPO/gemini-chat-service:$DOCKER_IMAGE_TAG gemini-chat-service/ --project $GCP_PROJECT_ID
@@ -7,9 +7,14 @@ import React, {useState, useEffect, useCallback, useRef} from 'react';
 import './App.css';
 import {useAuth} from './hooks/useAuth';
 import {useYouTube} from './hooks/useYouTube';
-import {useWebSocketChat} from './hooks/useWebSocketChat';
+import {useWebSocketChat, isFindQuery} from './hooks/useWebSocketChat';
+import {useQueryHistory} from './hooks/useQueryHistory';
+import {useSavedSearches} from './hooks/useSavedSearches';
+import {useSuggestionShares} from './hooks/useSuggestionShares';
+import {useWatchQueue} from './hooks/useWatchQueue';
 
 import {LoadingOverlay} from './components/LoadingOverlay';
+import {SyncProgressIndicator} from './components/SyncProgressIndicator';
 import {StatusPopup} from './components/StatusPopup';
 import {ScreenHeader} from './components/ScreenHeader'; // Import ScreenHeader
 
@@ -21,12 +26,16 @@ import {BottomNavigationBar} from './components/BottomNavigationBar';
 import {PlaylistsScreen} from './components/PlaylistsScreen';
 import {ChatScreen} from './components/ChatScreen';
 import {SettingsScreen} from './components/SettingsScreen';
+import {HistoryScreen} from './components/HistoryScreen';
+import {WatchQueueScreen} from './components/WatchQueueScreen';
 
 // --- Constants ---
 // Screen Names
 const SCREEN_LOGIN = 'login';
 const SCREEN_PLAYLISTS = 'playlists';
 const SCREEN_CHAT = 'chat';
+const SCREEN_HISTORY = 'history';
+const SCREEN_QUEUE = 'queue';
 const SCREEN_SETTINGS = 'settings';
 
 // Output Tab Names
@@ -39,6 +48,7 @@ const LS_KEY_PREFERRED_MODEL = 'preferredGeminiModel';
 const LS_KEY_USE_DEFAULT_PLAYLIST = 'reelworthy_useDefaultPlaylistEnabled';
 const LS_KEY_DEFAULT_PLAYLIST_ID = 'reelworthy_defaultPlaylistId';
 const LS_KEY_DEEP_THINKING = 'reelworthy_deepThinking'; // New Key
+const LS_KEY_INCLUDE_TRANSCRIPTS = 'reelworthy_settings_includeTranscripts';
 
 /**
  * The main application component for ReelWorthy.
@@ -60,6 +70,9 @@ function App() {
   const [deepThinking, setDeepThinking] = useState(() => {
     return localStorage.getItem(LS_KEY_DEEP_THINKING) === 'true';
   });
+  const [includeTranscripts, setIncludeTranscripts] = useState(() => {
+    return localStorage.getItem(LS_KEY_INCLUDE_TRANSCRIPTS) === 'true';
+  });
 
   const navigateTo = useCallback((screen) => {
     setCurrentScreen(screen);
@@ -70,6 +83,7 @@ function App() {
     isLoggedIn,
     isAuthorizedUser,
     isYouTubeLinkedByAuthCheck,
+    hasYouTubeWriteAccess,
     availableModels: fetchedModels,
     authChecked,
     appAuthorizationError,
@@ -132,20 +146,39 @@ function App() {
     localStorage.setItem(LS_KEY_DEEP_THINKING, isEnabled);
   };
 
+  /**
+   * Updates and persists the 'include transcript summaries' preference.
+   * @param {boolean} isEnabled - Whether transcript summaries should be sent to the AI.
+   */
+  const handleIncludeTranscriptsChange = (isEnabled) => {
+    setIncludeTranscripts(isEnabled);
+    localStorage.setItem(LS_KEY_INCLUDE_TRANSCRIPTS, isEnabled);
+  };
+
   const {
     userPlaylists,
     selectedPlaylistId,
     setSelectedPlaylistId,
     fetchUserPlaylists,
     fetchPlaylistItems,
+    uploadTranscript,
+    modifyPlaylistItems,
+    videoStates,
+    updateVideoState,
+    exportVideos,
     handleConnectYouTube,
+    handleGrantPlaylistWriteAccess,
     isYouTubeLinked,
     youtubeSpecificError,
     isLoadingYouTube,
+    syncProgress,
+    videos: playlistVideos,
     setVideos: setYouTubeVideos,
     setUserPlaylists: setYouTubeUserPlaylists,
     setYoutubeSpecificError: setYouTubeErrorAppLevel,
-  } = useYouTube(currentUser, isLoggedIn, isAuthorizedUser, setPopup, isYouTubeLinkedByAuthCheck);
+  } = useYouTube(
+      currentUser, isLoggedIn, isAuthorizedUser, setPopup,
+      isYouTubeLinkedByAuthCheck, includeTranscripts);
 
   const handleSelectPlaylistFromList = useCallback(async (playlistId) => {
     if (!playlistId) {
@@ -201,47 +234,140 @@ function App() {
 
   const {
     suggestedVideos,
-    lastQuery,
+    conversation,
     thinkingOutput,
     dataReceptionIndicator,
     activeOutputTab,
     setActiveOutputTab,
     isStreaming,
+    isChatReady,
     handleQuerySubmit: originalHandleQuerySubmit,
+    handleResetConversation,
+    handleRetryQuery: originalHandleRetryQuery,
   } = useWebSocketChat(
       selectedPlaylistId,
       isPlaylistDataReadyForChat,
       setPopup,
       setError,
       selectedModelId,
-      currentUser?.uid,
+      currentUser,
       includeSubscriptionFeed,
       deepThinking,
+      includeTranscripts,
+      hasYouTubeWriteAccess ? userPlaylists : null,
   );
 
-  const handleQuerySubmit = (query) => {
+  /**
+   * Sends a query to the chat, showing the Thinking tab unless it is a `/find`
+   * query, which the chat service answers without the AI.
+   * @param {string} query - The query text.
+   * @param {object} [options] - The chat's QueryOptions.
+   * @param {object|null} [options.filters] - Structured filters (see
+   *     QueryFiltersPanel's `toQueryFilters`), applied before the AI sees the
+   *     videos.
+   * @param {number|null} [options.budgetSeconds] - A time budget in seconds;
+   *     the suggestions are planned to fit it.
+   */
+  const handleQuerySubmit = (query, options) => {
+    if (!isFindQuery(query)) setActiveOutputTab(TAB_THINKING);
+    originalHandleQuerySubmit(query, options);
+  };
+
+  /**
+   * Resubmits the query of a turn whose AI response could not be parsed.
+   * @param {string} query - The query to retry.
+   * @param {object} [options] - The filters and time budget it was sent with.
+   */
+  const handleRetryQuery = (query, options) => {
     setActiveOutputTab(TAB_THINKING);
-    originalHandleQuerySubmit(query);
+    originalHandleRetryQuery(query, options);
+  };
+
+  const {
+    historyEntries,
+    isLoadingHistory,
+    fetchQueryHistory,
+  } = useQueryHistory(currentUser, setPopup);
+  const {
+    savedSearches,
+    unseenMatchCount,
+    fetchSavedSearches,
+    createSavedSearch,
+    deleteSavedSearch,
+    markSavedSearchSeen,
+  } = useSavedSearches(currentUser, setPopup);
+  const {shareSuggestions} = useSuggestionShares(currentUser, setPopup);
+  const {
+    watchQueue,
+    isLoadingWatchQueue,
+    addToWatchQueue,
+    removeFromWatchQueue,
+    reorderWatchQueue,
+    setWatchQueueItemDone,
+    clearDoneFromWatchQueue,
+  } = useWatchQueue(currentUser, setPopup);
+  // A query from History to ask again once the chat for its playlist is ready.
+  const [pendingRerun, setPendingRerun] = useState(null);
+
+  /**
+   * Re-runs a past query against its playlist as it is now, in a new conversation.
+   * Selects the playlist first if another one is selected.
+   * @param {{query: string, playlistId: string}} entry - The history entry.
+   */
+  const handleRerunQuery = (entry) => {
+    setPendingRerun({query: entry.query, playlistId: entry.playlistId});
+    if (entry.playlistId !== selectedPlaylistId) {
+      handleSelectPlaylistFromList(entry.playlistId);
+    } else {
+      navigateTo(SCREEN_CHAT);
+    }
   };
 
+  /**
+   * Sends the pending re-run once the chat session for its playlist is initialized.
+   * Runs when the re-run, the selected playlist, or the chat's readiness changes.
+   */
+  useEffect(() => {
+    if (!pendingRerun || !isChatReady || isStreaming ||
+        !isPlaylistDataReadyForChat ||
+        selectedPlaylistId !== pendingRerun.playlistId) {
+      return;
+    }
+    setPendingRerun(null);
+    handleResetConversation();
+    setActiveOutputTab(
+        isFindQuery(pendingRerun.query) ? TAB_SUGGESTIONS : TAB_THINKING);
+    originalHandleQuerySubmit(pendingRerun.query);
+  }, [
+    pendingRerun,
+    isChatReady,
+    isStreaming,
+    isPlaylistDataReadyForChat,
+    selectedPlaylistId,
+    handleResetConversation,
+    setActiveOutputTab,
+    originalHandleQuerySubmit,
+  ]);
+
   const showOverlay = isLoadingAuth || isLoadingYouTube;
   const prevIsStreaming = useRef(isStreaming);
 
   /**
-   * Switches to the 'suggestions' tab when AI response streaming ends and videos are available.
-   * Runs when `isStreaming`, `suggestedVideos`, or `setActiveOutputTab` changes.
+   * Switches to the 'suggestions' tab when AI response streaming ends and videos are available,
+   * or when the newest turn failed to parse (so its Retry button is visible).
+   * Scrolling to the newest conversation turn is handled by `ChatViewContent`.
+   * Runs when `isStreaming`, `suggestedVideos`, `conversation`, or `setActiveOutputTab` changes.
    */
   useEffect(() => {
     if (prevIsStreaming.current && !isStreaming) {
-      if (suggestedVideos && suggestedVideos.length > 0) {
+      const latestTurn = conversation[conversation.length - 1];
+      const hasResults = suggestedVideos && suggestedVideos.length > 0;
+      if (hasResults || (latestTurn && latestTurn.error)) {
         setActiveOutputTab(TAB_SUGGESTIONS);
-        if (chatTabContentAreaRef.current) {
-          chatTabContentAreaRef.current.scrollTop = 0;
-        }
       }
     }
     prevIsStreaming.current = isStreaming;
-  }, [isStreaming, suggestedVideos, setActiveOutputTab]);
+  }, [isStreaming, suggestedVideos, conversation, setActiveOutputTab]);
 
   /**
    * Manages playlist fetching and navigation based on auth and YouTube link status.
@@ -369,11 +495,59 @@ function App() {
             activeOutputTab={activeOutputTab}
             onSetOutputTab={setActiveOutputTab}
             suggestedVideos={suggestedVideos}
-            lastQuery={lastQuery}
+            conversation={conversation}
+            onResetConversation={handleResetConversation}
+            onRetryQuery={handleRetryQuery}
             thinkingOutput={thinkingOutput}
             dataReceptionIndicator={dataReceptionIndicator}
             thinkingOutputContainerRef={thinkingOutputContainerRef}
             chatTabContentAreaRef={chatTabContentAreaRef}
+            playlistVideos={playlistVideos}
+            onUploadTranscript={uploadTranscript}
+            playlistActions={hasYouTubeWriteAccess ? {
+              playlists: userPlaylists,
+              currentPlaylistId: selectedPlaylistId,
+              onModify: modifyPlaylistItems,
+            } : undefined}
+            videoStateActions={{
+              states: videoStates,
+              onChange: updateVideoState,
+            }}
+            onExport={exportVideos}
+            onShare={shareSuggestions}
+            includeSubscriptionFeed={includeSubscriptionFeed}
+            watchQueueActions={{
+              queuedIds: new Set(watchQueue.map((item) => item.videoId)),
+              onAdd: addToWatchQueue,
+            }}
+          />
+        );
+      case SCREEN_QUEUE:
+        return (
+          <WatchQueueScreen
+            items={watchQueue}
+            isLoading={isLoadingWatchQueue}
+            onRemove={removeFromWatchQueue}
+            onReorder={reorderWatchQueue}
+            onSetDone={setWatchQueueItemDone}
+            onClearDone={clearDoneFromWatchQueue}
+          />
+        );
+      case SCREEN_HISTORY:
+        return (
+          <HistoryScreen
+            historyEntries={historyEntries}
+            isLoadingHistory={isLoadingHistory}
+            onRefresh={fetchQueryHistory}
+            userPlaylists={userPlaylists}
+            onRerunQuery={handleRerunQuery}
+            savedSearchActions={{
+              searches: savedSearches,
+              onRefresh: fetchSavedSearches,
+              onCreate: createSavedSearch,
+              onDelete: deleteSavedSearch,
+              onMarkSeen: markSavedSearchSeen,
+            }}
           />
         );
       case SCREEN_SETTINGS:
@@ -388,6 +562,10 @@ function App() {
             onIncludeSubscriptionFeedChange={setIncludeSubscriptionFeed}
             deepThinking={deepThinking}
             onDeepThinkingChange={handleDeepThinkingChange}
+            includeTranscripts={includeTranscripts}
+            onIncludeTranscriptsChange={handleIncludeTranscriptsChange}
+            hasYouTubeWriteAccess={hasYouTubeWriteAccess}
+            onGrantPlaylistWriteAccess={handleGrantPlaylistWriteAccess}
           />
         );
       default:
@@ -415,7 +593,9 @@ function App() {
     else if (currentScreen === SCREEN_CHAT) {
       const selected = userPlaylists.find((p) => p.id === selectedPlaylistId);
       title = selected ? `Playlist: ${selected.title}` : 'Chat';
-    } else if (currentScreen === SCREEN_SETTINGS) title = 'Settings';
+    } else if (currentScreen === SCREEN_QUEUE) title = 'Up Next';
+    else if (currentScreen === SCREEN_HISTORY) title = 'History';
+    else if (currentScreen === SCREEN_SETTINGS) title = 'Settings';
     else return null;
 
     return <ScreenHeader title={title} onLeftIconClick={onLeftIconClick} onRightIconClick={onRightIconClick} />;
@@ -423,7 +603,9 @@ function App() {
 
   return (
     <div className="App">
-      {showOverlay && <LoadingOverlay />}
+      {showOverlay && (syncProgress ?
+        <SyncProgressIndicator progress={syncProgress} /> :
+        <LoadingOverlay />)}
       {popup.visible && <StatusPopup message={popup.message} type={popup.type} />}
       {renderCurrentScreenHeader()}
       <div className="screen-content-wrapper">
@@ -431,7 +613,11 @@ function App() {
         {renderScreenContent()}
       </div>
       {isLoggedIn && isAuthorizedUser && isYouTubeLinked &&
-        <BottomNavigationBar currentScreen={currentScreen} onNavigate={navigateTo} />}
+        <BottomNavigationBar
+          currentScreen={currentScreen}
+          onNavigate={navigateTo}
+          badgeCounts={{history: unseenMatchCount}}
+        />}
     </div>
   );
 }
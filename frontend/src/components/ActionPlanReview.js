@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Defines the ActionPlanReview React component, which shows an
+ * AI action plan (videos to remove from the playlist or move to another one)
+ * as a diff the user can trim, then applies or discards it.
+ */
+import React, {useState} from 'react';
+
+/**
+ * @typedef {object} ActionPlanStep
+ * @property {('remove'|'move')} action - What to do with the videos.
+ * @property {string|null} targetPlaylistId - The playlist to move the videos to; null for `remove`.
+ * @property {string|null} targetPlaylistTitle - The title of `targetPlaylistId`.
+ * @property {string} reason - Why the AI proposed the change.
+ * @property {Array<{videoId: string, title: string, channelTitle: string, duration: string}>} videos - The videos to change.
+ */
+
+/**
+ * @typedef {object} ActionPlan
+ * @property {string} summary - The AI's one-sentence description of the plan.
+ * @property {string} sourcePlaylistId - The playlist the videos are removed from or moved out of.
+ * @property {Array<ActionPlanStep>} steps - The changes; each video is in at most one step.
+ */
+
+const RESULT_LABELS = {
+  not_in_playlist: 'Already gone from the playlist',
+  already_in_playlist: 'Already in the target playlist',
+  failed: 'Could not be changed',
+};
+
+/**
+ * Describes a number of videos, e.g. "1 video" or "3 videos".
+ * @param {number} count - The number of videos.
+ * @returns {string} The description.
+ */
+function describeCount(count) {
+  return count === 1 ? '1 video' : `${count} videos`;
+}
+
+/**
+ * Renders an action plan for review, and applies the approved part of it.
+ * @param {object} props - The component's props.
+ * @param {ActionPlan} props.plan - The plan returned by the chat service.
+ * @param {object} [props.playlistActions] - The playlist change handlers (see VideoList);
+ *     without them the plan can only be reviewed, not applied.
+ * @returns {JSX.Element} The rendered plan.
+ */
+function ActionPlanReview({plan, playlistActions}) {
+  /** @state Videos the user unticked, keyed by video ID. @type {Object<string, boolean>} */
+  const [excluded, setExcluded] = useState({});
+  /** @state 'review' until the plan is applied or discarded. @type {string} */
+  const [status, setStatus] = useState('review');
+  /** @state True while the plan is being applied. @type {boolean} */
+  const [isApplying, setIsApplying] = useState(false);
+  /** @state What happened to each video once applied, keyed by video ID. @type {Object<string, string>} */
+  const [videoResults, setVideoResults] = useState({});
+  /** @state The outcome of applying the plan. @type {string} */
+  const [notice, setNotice] = useState('');
+
+  const sourcePlaylist = playlistActions?.playlists
+      .find((p) => p.id === plan.sourcePlaylistId);
+  const sourceTitle = sourcePlaylist ? sourcePlaylist.title : 'this playlist';
+  const includedCount = plan.steps.reduce((count, step) =>
+    count + step.videos.filter((v) => !excluded[v.videoId]).length, 0);
+
+  /**
+   * Applies each step's ticked videos in turn, stopping if a request fails outright.
+   * @returns {Promise<void>} Resolves once every step has been applied or one has failed.
+   */
+  const applyPlan = async () => {
+    setIsApplying(true);
+    const outcomes = {};
+    let doneCount = 0;
+    let failed = false;
+    for (const step of plan.steps) {
+      const videos = step.videos.filter((v) => !excluded[v.videoId]);
+      if (videos.length === 0) continue;
+      const modification = {
+        action: step.action,
+        videoIds: videos.map((v) => v.videoId),
+        sourcePlaylistId: plan.sourcePlaylistId,
+        ...(step.action === 'move' ? {targetPlaylistId: step.targetPlaylistId} : {}),
+      };
+      const results = await playlistActions.onModify(modification, videos);
+      if (!results) {
+        failed = true;
+        break;
+      }
+      const doneLabel = step.action === 'move' ? `Moved to "${step.targetPlaylistTitle}"` : 'Removed';
+      results.forEach((r) => {
+        outcomes[r.videoId] = r.status === 'done' ? doneLabel : RESULT_LABELS[r.status];
+      });
+      doneCount += results.filter((r) => r.status === 'done').length;
+    }
+    setVideoResults(outcomes);
+    setIsApplying(false);
+    setStatus('applied');
+    setNotice(failed ?
+      `Applied ${doneCount} of ${includedCount} changes before an error stopped the plan.` :
+      `Applied ${doneCount} of ${includedCount} changes.`);
+  };
+
+  /**
+   * Ticks or unticks a video.
+   * @param {string} videoId - The video ID.
+   */
+  const toggleVideo = (videoId) => {
+    setExcluded((prev) => ({...prev, [videoId]: !prev[videoId]}));
+  };
+
+  return (
+    <div className="action-plan">
+      <p className="action-plan-summary">{plan.summary}</p>
+      {plan.steps.map((step, index) => (
+        <section key={index} className="action-plan-step">
+          <h4>
+            {step.action === 'move' ?
+              `Move ${describeCount(step.videos.length)} from "${sourceTitle}" to "${step.targetPlaylistTitle}"` :
+              `Remove ${describeCount(step.videos.length)} from "${sourceTitle}"`}
+          </h4>
+          {step.reason && <p className="action-plan-reason">{step.reason}</p>}
+          <ul className="action-plan-diff">
+            {step.videos.map((video) => (
+              <li
+                key={video.videoId}
+                className={`action-plan-diff-line ${step.action}${excluded[video.videoId] ? ' excluded' : ''}`}
+              >
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={!excluded[video.videoId]}
+                    disabled={status !== 'review' || isApplying}
+                    onChange={() => toggleVideo(video.videoId)}
+                  />
+                  <span className="action-plan-diff-marker" aria-hidden="true">
+                    {step.action === 'move' ? '→' : '−'}
+                  </span>
+                  <span className="action-plan-diff-title">{video.title}</span>
+                  <span className="action-plan-diff-meta">
+                    {[video.channelTitle, video.duration].filter(Boolean).join(' · ')}
+                  </span>
+                </label>
+                {videoResults[video.videoId] && (
+                  <span className="video-playlist-change">{videoResults[video.videoId]}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+      {status === 'review' && !playlistActions && (
+        <p className="playlist-action-notice">Allow playlist changes in Settings to apply this plan.</p>
+      )}
+      {status === 'review' && playlistActions && (
+        <div className="playlist-action-confirm">
+          <span>{isApplying ? 'Updating YouTube...' : `Apply ${includedCount} of the proposed changes?`}</span>
+          <button
+            type="button"
+            className="playlist-action-button"
+            disabled={isApplying || includedCount === 0}
+            onClick={applyPlan}
+          >
+            Apply plan
+          </button>
+          <button
+            type="button"
+            className="playlist-action-button"
+            disabled={isApplying}
+            onClick={() => setStatus('discarded')}
+          >
+            Discard
+          </button>
+        </div>
+      )}
+      {status === 'applied' && <p className="playlist-action-notice" role="status">{notice}</p>}
+      {status === 'discarded' && <p className="playlist-action-notice">Plan discarded. Nothing was changed.</p>}
+    </div>
+  );
+}
+
+export {ActionPlanReview};
@@ -1,6 +1,7 @@
 /**
  * @fileoverview Defines the BottomNavigationBar React component, which provides
- * navigation between the main screens of the application (Playlists, Chat, Settings).
+ * navigation between the main screens of the application (Playlists, Chat, Up Next, History, Settings),
+ * with an optional count badge on each item.
  */
 import React from 'react';
 
@@ -26,6 +27,28 @@ const ChatNavIcon = () => (
   </svg>
 );
 
+/**
+ * Icon for the 'Up Next' navigation item.
+ * Uses the "Playlist" icon (lines with a play triangle), in the same style as the others.
+ * @returns {JSX.Element} SVG element for the Up Next icon.
+ */
+const QueueNavIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" width="24px" height="24px" fill="currentColor" viewBox="0 0 256 256">
+    <path d="M32,64a8,8,0,0,1,8-8H216a8,8,0,0,1,0,16H40A8,8,0,0,1,32,64Zm8,72h96a8,8,0,0,0,0-16H40a8,8,0,0,0,0,16Zm96,48H40a8,8,0,0,0,0,16h96a8,8,0,0,0,0-16Zm108.24-40-64-40A8,8,0,0,0,168,112v80a8,8,0,0,0,12.24,6.78l64-40a8,8,0,0,0,0-13.56ZM184,177.57V126.43L224.91,152Z"></path>
+  </svg>
+);
+
+/**
+ * Icon for the 'History' navigation item.
+ * Uses the "ClockCounterClockwise" icon, in the same style as the others.
+ * @returns {JSX.Element} SVG element for the History icon.
+ */
+const HistoryNavIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" width="24px" height="24px" fill="currentColor" viewBox="0 0 256 256">
+    <path d="M136,80v43.47l36.12,21.67a8,8,0,0,1-8.24,13.72l-40-24A8,8,0,0,1,120,128V80a8,8,0,0,1,16,0Zm-8-48A95.44,95.44,0,0,0,60.08,60.15C52.81,67.51,46.35,74.59,40,82V64a8,8,0,0,0-16,0v40a8,8,0,0,0,8,8H72a8,8,0,0,0,0-16H49c7.15-8.42,14.27-16.35,22.39-24.57a80,80,0,1,1,1.66,114.75,8,8,0,1,0-11,11.64A96,96,0,1,0,128,32Z"></path>
+  </svg>
+);
+
 /**
  * Icon for the 'Settings' navigation item.
  * Uses the "Gear" icon from the designer's HTML.
@@ -42,28 +65,42 @@ const SettingsNavIcon = () => (
  * @param {object} props - The component's props.
  * @param {string} props.currentScreen - The identifier of the currently active screen.
  * @param {function(string): void} props.onNavigate - Callback function invoked when a navigation item is clicked.
+ * @param {Object<string, number>} [props.badgeCounts] - Counts to show as a badge on items, by item ID
+ *     (e.g., unseen saved search matches on 'history'). Zero shows no badge.
  * @returns {JSX.Element} The rendered bottom navigation bar.
  */
-function BottomNavigationBar({currentScreen, onNavigate}) {
+function BottomNavigationBar({currentScreen, onNavigate, badgeCounts = {}}) {
   const navItems = [
     {id: 'playlists', label: 'Playlists', icon: <PlaylistsNavIcon />, screenName: 'playlists'},
     {id: 'chat', label: 'Chat', icon: <ChatNavIcon />, screenName: 'chat'},
+    {id: 'queue', label: 'Up Next', icon: <QueueNavIcon />, screenName: 'queue'},
+    {id: 'history', label: 'History', icon: <HistoryNavIcon />, screenName: 'history'},
     {id: 'settings', label: 'Settings', icon: <SettingsNavIcon />, screenName: 'settings'},
   ];
 
   return (
     <nav className="bottom-nav-bar">
-      {navItems.map((item) => (
-        <button
-          key={item.id}
-          className={`bottom-nav-item ${currentScreen === item.screenName ? 'active' : ''}`}
-          onClick={() => onNavigate(item.screenName)}
-          aria-label={item.label}
-        >
-          <div className="bottom-nav-icon">{item.icon}</div>
-          <span className="bottom-nav-label">{item.label}</span>
-        </button>
-      ))}
+      {navItems.map((item) => {
+        const badgeCount = badgeCounts[item.id] || 0;
+        return (
+          <button
+            key={item.id}
+            className={`bottom-nav-item ${currentScreen === item.screenName ? 'active' : ''}`}
+            onClick={() => onNavigate(item.screenName)}
+            aria-label={badgeCount > 0 ? `${item.label} (${badgeCount} new)` : item.label}
+          >
+            <div className="bottom-nav-icon">
+              {item.icon}
+              {badgeCount > 0 && (
+                <span className="bottom-nav-badge">
+                  {badgeCount > 99 ? '99+' : badgeCount}
+                </span>
+              )}
+            </div>
+            <span className="bottom-nav-label">{item.label}</span>
+          </button>
+        );
+      })}
     </nav>
   );
 }
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Defines the CategoryFilterChips React component, a row of
+ * toggleable chips for the AI-assigned categories of a playlist's videos,
+ * used to browse the playlist by category without typing a query.
+ */
+import React from 'react';
+
+/**
+ * Counts the videos in each category, most common first (ties alphabetically).
+ * @param {Array<{geminiCategories: (Array<string>|undefined)}>} videos -
+ *     The videos to count.
+ * @returns {Array<{category: string, count: number}>} The categories and
+ *     their video counts.
+ */
+function countCategories(videos) {
+  const counts = new Map();
+  videos.forEach((video) => {
+    (video.geminiCategories || []).forEach((category) => {
+      counts.set(category, (counts.get(category) || 0) + 1);
+    });
+  });
+  return Array.from(counts, ([category, count]) => ({category, count}))
+      .sort((a, b) =>
+        b.count - a.count || a.category.localeCompare(b.category));
+}
+
+/**
+ * Renders one chip per category found in the videos, plus an "All" chip that
+ * clears the selection. Renders nothing if no video has been categorised yet.
+ * @param {object} props - The component's props.
+ * @param {Array<{geminiCategories: (Array<string>|undefined)}>} props.videos -
+ *     The videos whose categories to offer.
+ * @param {Array<string>} props.selectedCategories - The categories currently
+ *     selected.
+ * @param {function(Array<string>): void} props.onChange - Called with the new
+ *     selection when a chip is toggled.
+ * @returns {JSX.Element|null} The rendered chips.
+ */
+function CategoryFilterChips({videos, selectedCategories, onChange}) {
+  const categories = countCategories(videos);
+  if (categories.length === 0) {
+    return null;
+  }
+
+  /**
+   * Adds a category to, or removes it from, the selection.
+   * @param {string} category - The category of the clicked chip.
+   */
+  const toggleCategory = (category) => {
+    onChange(selectedCategories.includes(category) ?
+      selectedCategories.filter((c) => c !== category) :
+      [...selectedCategories, category]);
+  };
+
+  return (
+    <div
+      className="category-filter-chips"
+      role="group"
+      aria-label="Filter by category"
+    >
+      <button
+        type="button"
+        className={selectedCategories.length === 0 ?
+          'category-chip selected' :
+          'category-chip'}
+        aria-pressed={selectedCategories.length === 0}
+        onClick={() => onChange([])}
+      >
+        All
+      </button>
+      {categories.map(({category, count}) => {
+        const isSelected = selectedCategories.includes(category);
+        return (
+          <button
+            type="button"
+            key={category}
+            className={isSelected ? 'category-chip selected' : 'category-chip'}
+            aria-pressed={isSelected}
+            onClick={() => toggleCategory(category)}
+          >
+            {category} ({count})
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export {CategoryFilterChips};
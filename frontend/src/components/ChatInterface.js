@@ -1,6 +1,7 @@
 /**
  * @fileoverview Defines the ChatInterface React component, which provides
  * a text input field and a submit button for users to interact with the AI chat.
+ * A query that starts with `/find` runs an instant keyword search instead.
  */
 import React, {useState} from 'react';
 
@@ -40,7 +41,8 @@ function ChatInterface({onQuerySubmit, disabled}) {
         type='text'
         value={query}
         onChange={(e) => setQuery(e.target.value)}
-        placeholder='Ask about your playlist...'
+        placeholder='Ask about your playlist, or /find channel:name...'
+        title='Ask the AI anything, or start with /find for an instant keyword search, e.g. /find rust duration:>20m before:2024'
         disabled={disabled}
       />
       <button type='submit' className='send-button' title='Send query' disabled={disabled}>➤</button>
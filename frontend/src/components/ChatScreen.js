@@ -1,10 +1,17 @@
 /**
  * @fileoverview Defines the ChatScreen React component, which serves as a container
- * for the chat interaction view (`ChatViewContent`).
+ * for the chat interaction view (`ChatViewContent`), the structured query
+ * filters (`QueryFiltersPanel`) and the optional time budget sent with each
+ * query.
  */
-import React from 'react';
+import React, {useState} from 'react';
 // ScreenHeader is now rendered by App.js
 import {ChatViewContent} from './ChatViewContent';
+import {
+  QueryFiltersPanel,
+  EMPTY_QUERY_FILTERS,
+  toQueryFilters,
+} from './QueryFiltersPanel';
 
 /**
  * Renders the content for the Chat screen for a selected playlist.
@@ -12,15 +19,28 @@ import {ChatViewContent} from './ChatViewContent';
  * @param {object} props - The component's props, passed down from App.js.
  * @param {string} props.selectedPlaylistId - The ID of the currently selected YouTube playlist.
  * @param {Array<object>} props.userPlaylists - The list of the user's YouTube playlists.
- * @param {function(string): void} props.onQuerySubmit - Handler for submitting a chat query.
+ * @param {function(string, object): void} props.onQuerySubmit - Handler for submitting a chat query
+ *     with the structured filters and time budget set on this screen.
  * @param {boolean} props.isStreaming - Whether the chat response is streaming.
- * @param {string} props.activeOutputTab - The active tab in the output section ('suggestions' or 'Thinking').
+ * @param {string} props.activeOutputTab - The active tab in the output section ('suggestions', 'Thinking' or 'videos').
  * @param {function(string): void} props.onSetOutputTab - Handler to set the active output tab.
  * @param {Array<{videoId: string, title: string, channelTitle: string, publishedAt: string, description: string, thumbnailUrl: string, duration: string, reason: string}>} props.suggestedVideos - Array of suggested video objects.
- * @param {string} props.lastQuery - The last submitted query.
+ * @param {Array<{query: string, suggestedVideos: Array<object>, answer: string, isPending: boolean, error: (string|undefined)}>} props.conversation - The turns of the current conversation, oldest first.
+ * @param {function(): void} props.onResetConversation - Handler to discard the conversation and start over.
+ * @param {function(string, object): void} props.onRetryQuery - Handler to resubmit the query of a turn
+ *     that failed to parse, with its filters and time budget.
  * @param {string} props.thinkingOutput - The AI's thinking process output (internal thoughts).
  * @param {string} props.dataReceptionIndicator - String of '#' indicating data chunks received.
  * @param {React.RefObject<HTMLDivElement>} props.thinkingOutputContainerRef - Ref for the thinking output container.
+ * @param {Array<object>} props.playlistVideos - The videos of the selected playlist, for the 'videos' tab.
+ * @param {function(string, File): Promise<boolean>} props.onUploadTranscript - Handler to upload a caption file for a video.
+ * @param {object} [props.playlistActions] - If given, listed videos can be removed from or moved out of the playlist.
+ * @param {object} [props.videoStateActions] - If given, listed videos can be marked watched, dismissed, snoozed or rated.
+ * @param {function(object): Promise<boolean>} [props.onExport] - If given, suggestions and the playlist can be downloaded as files.
+ * @param {function(object, number): Promise<object>} [props.onShare] - If given, each answer can be shared as a read-only link.
+ * @param {object} [props.watchQueueActions] - If given, listed videos can be added to the watch queue.
+ * @param {boolean} [props.includeSubscriptionFeed] - Whether the chat includes subscription feed videos,
+ *     which makes the source filter available.
  * @returns {JSX.Element} The rendered Chat screen.
  */
 function ChatScreen(props) {
@@ -37,29 +57,84 @@ function ChatScreen(props) {
     activeOutputTab,
     onSetOutputTab,
     suggestedVideos,
-    lastQuery,
+    conversation,
+    onResetConversation,
+    onRetryQuery,
     thinkingOutput,
     dataReceptionIndicator,
     thinkingOutputContainerRef,
     chatTabContentAreaRef,
+    playlistVideos,
+    onUploadTranscript,
+    playlistActions,
+    videoStateActions,
+    onExport,
+    onShare,
+    includeSubscriptionFeed,
+    watchQueueActions,
   } = props;
+  /** @state The filter form's values (see QueryFiltersPanel). @type {object} */
+  const [filterForm, setFilterForm] = useState(EMPTY_QUERY_FILTERS);
+  /** @state The time budget in minutes; empty for none. @type {string} */
+  const [budgetMinutes, setBudgetMinutes] = useState('');
+
+  /**
+   * Submits a query with the current filters and time budget.
+   * @param {string} query - The query.
+   */
+  const handleQuerySubmit = (query) => {
+    const minutes = parseFloat(budgetMinutes);
+    onQuerySubmit(query, {
+      filters: toQueryFilters(includeSubscriptionFeed ?
+        filterForm : {...filterForm, source: 'all'}),
+      budgetSeconds: minutes > 0 ? Math.round(minutes * 60) : null,
+    });
+  };
 
   return (
     <div className="chat-screen">
       <div className="chat-screen-content">
+        <QueryFiltersPanel
+          value={filterForm}
+          onChange={setFilterForm}
+          showSource={!!includeSubscriptionFeed}
+          disabled={isStreaming}
+        />
+        <label className="watch-budget">
+          I have
+          <input
+            type="number"
+            min="1"
+            placeholder="any"
+            value={budgetMinutes}
+            onChange={(e) => setBudgetMinutes(e.target.value)}
+            disabled={isStreaming}
+            title="Plan the suggestions that fit this many minutes"
+          />
+          minutes to watch
+        </label>
         <ChatViewContent
           selectedPlaylistId={selectedPlaylistId}
           userPlaylists={userPlaylists}
-          onQuerySubmit={onQuerySubmit}
+          onQuerySubmit={handleQuerySubmit}
           isStreaming={isStreaming}
           activeOutputTab={activeOutputTab}
           onSetOutputTab={onSetOutputTab}
           suggestedVideos={suggestedVideos}
-          lastQuery={lastQuery}
+          conversation={conversation}
+          onResetConversation={onResetConversation}
+          onRetryQuery={onRetryQuery}
           thinkingOutput={thinkingOutput}
           dataReceptionIndicator={dataReceptionIndicator}
           thinkingOutputContainerRef={thinkingOutputContainerRef}
           chatTabContentAreaRef={chatTabContentAreaRef}
+          playlistVideos={playlistVideos}
+          onUploadTranscript={onUploadTranscript}
+          playlistActions={playlistActions}
+          videoStateActions={videoStateActions}
+          onExport={onExport}
+          onShare={onShare}
+          watchQueueActions={watchQueueActions}
         />
       </div>
     </div>
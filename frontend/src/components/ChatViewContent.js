@@ -1,43 +1,79 @@
 /**
  * @fileoverview Defines the ChatViewContent React component, which manages
  * the user interface for chat interactions, including query input,
- * displaying AI thinking process, and showing suggested video results.
+ * displaying AI thinking process, showing the conversation thread of
+ * queries and their suggested video results (or, for playlist maintenance
+ * requests, the AI's action plan for review, and for queries with a time
+ * budget, the watch plan), and browsing the playlist's videos by category.
  */
 import React, {useState, useEffect, useRef} from 'react';
 import {VideoList} from './VideoList';
+import {CategoryFilterChips} from './CategoryFilterChips';
+import {ExportMenu} from './ExportMenu';
+import {ShareLinkButton} from './ShareLinkButton';
+import {ActionPlanReview} from './ActionPlanReview';
+import {WatchPlan} from './WatchPlan';
+import {describeQueryFilters} from './QueryFiltersPanel';
 
 /**
  * Renders the main content area for the chat view.
  * This includes the query input form, tabs for switching between
- * suggested videos and the AI's thinking process, and the content
- * for the active tab.
+ * the conversation thread, the AI's thinking process and the playlist's
+ * videos, and the content for the active tab.
  * @param {object} props - The component's props.
  * @param {function(string): void} props.onQuerySubmit - Callback function to submit a new query.
  * @param {boolean} props.isStreaming - Indicates if the AI is currently streaming a response.
- * @param {string} props.activeOutputTab - The currently active tab ('suggestions' or 'Thinking').
+ * @param {string} props.activeOutputTab - The currently active tab ('suggestions', 'Thinking' or 'videos').
  * @param {function(string): void} props.onSetOutputTab - Callback function to set the active output tab.
  * @param {Array<{videoId: string, title: string, channelTitle: string, publishedAt: string, description: string, thumbnailUrl: string, duration: string, reason: string}>} props.suggestedVideos - An array of video objects suggested by the AI.
- * @param {string} props.lastQuery - The most recent query submitted by the user.
+ * @param {Array<{query: string, suggestedVideos: Array<object>, actionPlan: (object|null), answer: string, isPending: boolean, error: (string|undefined)}>} props.conversation -
+ *     The turns of the current conversation, oldest first.
+ * @param {function(): void} props.onResetConversation - Callback function to discard the conversation and start over.
+ * @param {function(string, object): void} props.onRetryQuery - Callback function to resubmit the query of a turn that
+ *     failed to parse, with its filters and time budget.
  * @param {string} props.thinkingOutput - The text representing the AI's internal thoughts.
  * @param {string} props.dataReceptionIndicator - String of '#' indicating data chunks received.
  * @param {React.RefObject<HTMLDivElement>} props.thinkingOutputContainerRef - Ref for the scrollable container of the thinking output.
+ * @param {Array<{videoId: string, title: string, geminiCategories: (Array<string>|undefined)}>} props.playlistVideos - The videos of the selected playlist.
+ * @param {function(string, File): Promise<boolean>} props.onUploadTranscript - Callback function to upload a caption file for a playlist video.
+ * @param {object} [props.playlistActions] - If given, listed videos can be removed from or moved out of the playlist,
+ *     and action plans can be applied.
+ * @param {object} [props.videoStateActions] - If given, listed videos can be marked watched, dismissed, snoozed or rated.
+ * @param {object} [props.watchQueueActions] - If given, listed videos can be added to the watch queue.
+ * @param {function(object): Promise<boolean>} [props.onExport] - If given, suggestions and the
+ *     selected playlist can be downloaded as files; called with an export request (see useYouTube).
+ * @param {function(object, number): Promise<object>} [props.onShare] - If given, each answer can be
+ *     shared as a read-only link; called with the conversation turn and the days the link should work.
  * @returns {JSX.Element} The rendered chat view content.
  */
 function ChatViewContent(props) {
   const {
+    selectedPlaylistId,
+    userPlaylists,
     onQuerySubmit,
     isStreaming,
     activeOutputTab,
     onSetOutputTab,
     suggestedVideos,
-    lastQuery,
+    conversation,
+    onResetConversation,
+    onRetryQuery,
     thinkingOutput,
     dataReceptionIndicator,
     thinkingOutputContainerRef,
     chatTabContentAreaRef,
+    playlistVideos,
+    onUploadTranscript,
+    playlistActions,
+    videoStateActions,
+    onExport,
+    onShare,
+    watchQueueActions,
   } = props;
   const [waitingDots, setWaitingDots] = useState('');
+  const [selectedCategories, setSelectedCategories] = useState([]);
   const waitingIntervalRef = useRef(null);
+  const latestTurnRef = useRef(null);
   const waitingMessage = 'Query sent. Waiting for AI response';
   const WAITING_DOTS_INTERVAL = 700;
 
@@ -64,6 +100,78 @@ function ChatViewContent(props) {
     };
   }, [isStreaming, thinkingOutput, dataReceptionIndicator]);
 
+  useEffect(() => {
+    // A new playlist has its own categories; start unfiltered.
+    setSelectedCategories([]);
+  }, [playlistVideos]);
+
+  const filteredPlaylistVideos = selectedCategories.length === 0 ?
+    playlistVideos :
+    playlistVideos.filter((video) => (video.geminiCategories || [])
+        .some((category) => selectedCategories.includes(category)));
+
+  /**
+   * Downloads a list of suggestions.
+   * @param {Array<object>} videos - The suggested videos, with their reasons.
+   * @param {string} title - The export title.
+   * @param {string} format - The export format.
+   * @returns {Promise<boolean>} Resolves to success.
+   */
+  const exportSuggestions = (videos, title, format) => onExport({
+    format,
+    source: 'suggestions',
+    title,
+    suggestions: videos.map(({videoId, reason, title: videoTitle}) =>
+      ({videoId, reason, title: videoTitle})),
+  });
+
+  /**
+   * Downloads the whole selected playlist, whatever the category filter.
+   * @param {string} format - The export format.
+   * @returns {Promise<boolean>} Resolves to success.
+   */
+  const exportPlaylist = (format) => {
+    const playlist = (userPlaylists || [])
+        .find((p) => p.id === selectedPlaylistId);
+    return onExport({
+      format,
+      source: 'playlist',
+      playlistId: selectedPlaylistId,
+      title: playlist ? playlist.title : undefined,
+    });
+  };
+
+  /**
+   * Describes the filters and time budget a turn was sent with.
+   * @param {object} turn - The conversation turn.
+   * @returns {string} The description, or an empty string if it had neither.
+   */
+  const describeTurnOptions = (turn) => [
+    describeQueryFilters(turn.filters),
+    turn.budgetSeconds ? `${Math.round(turn.budgetSeconds / 60)} min budget` : '',
+  ].filter(Boolean).join(' · ');
+
+  /**
+   * Describes the results of a turn above its video list.
+   * @param {object} turn - The conversation turn.
+   * @returns {string} The description.
+   */
+  const describeTurnResults = (turn) => {
+    if (turn.source === 'keyword') return `Instant search: ${turn.answer}`;
+    if (turn.watchPlan) return turn.answer;
+    return `Showing ${turn.suggestedVideos.length} results`;
+  };
+
+  const latestTurn = conversation[conversation.length - 1];
+  const latestTurnIsPending = !!latestTurn && latestTurn.isPending;
+
+  useEffect(() => {
+    // Bring the newest turn into view once its results are shown.
+    if (activeOutputTab === 'suggestions' && !latestTurnIsPending && latestTurnRef.current) {
+      latestTurnRef.current.scrollIntoView({block: 'start'});
+    }
+  }, [activeOutputTab, conversation.length, latestTurnIsPending]);
+
   /**
    * Handles the submission of the chat query form.
    * It calls the `onQuerySubmit` prop with the query value and clears the input field.
@@ -84,7 +192,8 @@ function ChatViewContent(props) {
         <input
           type="text"
           name="query"
-          placeholder="Ask about your playlist..."
+          placeholder="Ask about your playlist, or /find channel:name..."
+          title="Ask the AI anything, or start with /find for an instant keyword search, e.g. /find rust duration:>20m before:2024"
           disabled={isStreaming}
         />
         <button type="submit" className="send-button" disabled={isStreaming} title="Send query">
@@ -92,12 +201,6 @@ function ChatViewContent(props) {
         </button>
       </form>
 
-      {lastQuery && (
-        <p className="last-query-display">
-          Showing {suggestedVideos ? suggestedVideos.length : 0} results for: <em>{lastQuery}</em>
-        </p>
-      )}
-
       <div className="tabs">
         <button
           onClick={() => {
@@ -116,11 +219,146 @@ function ChatViewContent(props) {
         >
           Thinking
         </button>
+        <button
+          onClick={() => {
+            const contentArea = chatTabContentAreaRef.current;
+            if (contentArea) contentArea.scrollTop = 0;
+            onSetOutputTab('videos');
+          }}
+          className={activeOutputTab === 'videos' ? 'active' : ''}
+          disabled={isStreaming}
+        >
+          Videos
+        </button>
+        <button
+          onClick={onResetConversation}
+          className="new-conversation-button"
+          disabled={isStreaming || conversation.length === 0}
+          title="Forget earlier queries and start a new conversation"
+        >
+          New Conversation
+        </button>
       </div>
 
       <div className="chat-tab-content-area" ref={chatTabContentAreaRef}>
-        {activeOutputTab === 'suggestions' && (
-          <VideoList videos={suggestedVideos} listType="suggestions" />
+        {activeOutputTab === 'suggestions' && conversation.length === 0 && (
+          <>
+            {onExport && suggestedVideos.length > 0 && (
+              <ExportMenu
+                onExport={(format) =>
+                  exportSuggestions(suggestedVideos, 'Suggested videos', format)}
+              />
+            )}
+            <VideoList
+              videos={suggestedVideos}
+              listType="suggestions"
+              playlistActions={playlistActions}
+              videoStateActions={videoStateActions}
+              watchQueueActions={watchQueueActions}
+            />
+          </>
+        )}
+        {activeOutputTab === 'suggestions' && conversation.length > 0 && (
+          <ol className="conversation-thread">
+            {conversation.map((turn, index) => (
+              <li
+                key={index}
+                className="conversation-turn"
+                ref={index === conversation.length - 1 ? latestTurnRef : null}
+              >
+                <p className="conversation-query"><strong>You:</strong> {turn.query}</p>
+                {describeTurnOptions(turn) && (
+                  <p className="conversation-filters">
+                    Filters: {describeTurnOptions(turn)}
+                  </p>
+                )}
+                {turn.isPending && (
+                  <p className="last-query-display">{waitingMessage}...</p>
+                )}
+                {!turn.isPending && turn.error && (
+                  <div className="conversation-error">
+                    <p>{turn.error}</p>
+                    {index === conversation.length - 1 && (
+                      <button
+                        onClick={() => onRetryQuery(turn.query, {
+                          filters: turn.filters,
+                          budgetSeconds: turn.budgetSeconds,
+                        })}
+                        className="retry-query-button"
+                        disabled={isStreaming}
+                      >
+                        Retry
+                      </button>
+                    )}
+                  </div>
+                )}
+                {!turn.isPending && !turn.error && turn.actionPlan && (
+                  <ActionPlanReview
+                    plan={turn.actionPlan}
+                    playlistActions={playlistActions}
+                  />
+                )}
+                {!turn.isPending && !turn.error && !turn.actionPlan && (
+                  <>
+                    <p className="last-query-display">
+                      {describeTurnResults(turn)}
+                    </p>
+                    {onExport && turn.suggestedVideos.length > 0 && (
+                      <ExportMenu
+                        onExport={(format) => exportSuggestions(
+                            turn.suggestedVideos, turn.query, format)}
+                      />
+                    )}
+                    {onShare && turn.suggestedVideos.length > 0 && (
+                      <ShareLinkButton
+                        onShare={(days) => onShare(turn, days)}
+                      />
+                    )}
+                    {turn.watchPlan ? (
+                      <WatchPlan
+                        plan={turn.watchPlan}
+                        videos={turn.suggestedVideos}
+                        playlistActions={playlistActions}
+                        videoStateActions={videoStateActions}
+                        watchQueueActions={watchQueueActions}
+                      />
+                    ) : (
+                      <VideoList
+                        videos={turn.suggestedVideos}
+                        listType="suggestions"
+                        playlistActions={playlistActions}
+                        videoStateActions={videoStateActions}
+                        watchQueueActions={watchQueueActions}
+                      />
+                    )}
+                  </>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+        {activeOutputTab === 'videos' && (
+          <>
+            <CategoryFilterChips
+              videos={playlistVideos}
+              selectedCategories={selectedCategories}
+              onChange={setSelectedCategories}
+            />
+            <p className="last-query-display">
+              Showing {filteredPlaylistVideos.length} of
+              {' '}{playlistVideos.length} videos
+            </p>
+            {onExport && selectedPlaylistId && playlistVideos.length > 0 && (
+              <ExportMenu onExport={exportPlaylist} />
+            )}
+            <VideoList
+              videos={filteredPlaylistVideos}
+              onUploadTranscript={onUploadTranscript}
+              playlistActions={playlistActions}
+              videoStateActions={videoStateActions}
+              watchQueueActions={watchQueueActions}
+            />
+          </>
         )}
         {activeOutputTab === 'Thinking' && (
           <div className="thinking-output-container" ref={thinkingOutputContainerRef}>
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Defines the ExportMenu React component, a row of buttons that
+ * download a list of videos as a CSV, JSON or Markdown file.
+ */
+import React, {useState} from 'react';
+
+const EXPORT_FORMATS = [
+  {format: 'csv', label: 'CSV'},
+  {format: 'json', label: 'JSON'},
+  {format: 'markdown', label: 'Markdown'},
+];
+
+/**
+ * Renders one button per export format. The buttons are disabled while an
+ * export is being downloaded.
+ * @param {object} props - The component's props.
+ * @param {function(string): Promise<boolean>} props.onExport - Downloads the
+ *     videos in the given format ('csv', 'json' or 'markdown').
+ * @param {boolean} [props.disabled] - Disables the buttons.
+ * @returns {JSX.Element} The rendered menu.
+ */
+function ExportMenu({onExport, disabled = false}) {
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  /**
+   * Downloads the videos in one format.
+   * @param {string} format - The export format.
+   */
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    await onExport(format);
+    setExportingFormat(null);
+  };
+
+  return (
+    <div className="export-menu" role="group" aria-label="Export">
+      <span className="export-menu-label">Export:</span>
+      {EXPORT_FORMATS.map(({format, label}) => (
+        <button
+          key={format}
+          type="button"
+          className="export-button"
+          onClick={() => handleExport(format)}
+          disabled={disabled || exportingFormat !== null}
+        >
+          {exportingFormat === format ? 'Exporting...' : label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export {ExportMenu};
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Defines the HistoryScreen React component, which lists the
+ * user's past chat queries, re-opens the results a query got at the time, and
+ * re-runs a query against the playlist as it is now. Above the history, it
+ * shows the user's saved searches and their matches from new subscription
+ * videos.
+ */
+import React, {useState, useEffect} from 'react';
+import {VideoList} from './VideoList';
+import {SavedSearchesPanel} from './SavedSearchesPanel';
+
+/**
+ * Formats an ISO timestamp as a short local date and time.
+ * @param {string} isoString - The timestamp.
+ * @returns {string} The formatted date and time.
+ */
+function formatWhen(isoString) {
+  return new Date(isoString).toLocaleString(undefined, {dateStyle: 'medium', timeStyle: 'short'});
+}
+
+/**
+ * Renders the History screen.
+ * @param {object} props - The component's props.
+ * @param {Array<object>} props.historyEntries - The user's past queries, newest first (see useQueryHistory).
+ * @param {boolean} props.isLoadingHistory - True while the history is being fetched.
+ * @param {function(): Promise<void>} props.onRefresh - Callback to reload the history.
+ * @param {Array<{id: string, title: string}>} props.userPlaylists - The user's playlists, for their titles.
+ * @param {function(object): void} props.onRerunQuery - Callback to ask an entry's query again, on its playlist.
+ * @param {SavedSearchActions} props.savedSearchActions - The user's saved searches and the callbacks that
+ *     change them.
+ * @returns {JSX.Element} The rendered History screen.
+ *
+ * @typedef {object} SavedSearchActions
+ * @property {Array<object>} searches - The user's saved searches (see useSavedSearches).
+ * @property {function(): Promise<void>} onRefresh - Reloads the searches.
+ * @property {function(string, ?object): Promise<boolean>} onCreate - Saves a search.
+ * @property {function(string): Promise<boolean>} onDelete - Deletes a search.
+ * @property {function(string): Promise<void>} onMarkSeen - Marks a search's matches as seen.
+ */
+function HistoryScreen({
+  historyEntries, isLoadingHistory, onRefresh, userPlaylists, onRerunQuery,
+  savedSearchActions,
+}) {
+  /** @state The entry whose results are open, or null to show the list. @type {object|null} */
+  const [openEntry, setOpenEntry] = useState(null);
+
+  useEffect(() => {
+    onRefresh();
+  }, [onRefresh]);
+
+  const refreshSavedSearches = savedSearchActions.onRefresh;
+  useEffect(() => {
+    refreshSavedSearches();
+  }, [refreshSavedSearches]);
+
+  /**
+   * Returns the title of one of the user's playlists.
+   * @param {string} playlistId - The playlist ID.
+   * @returns {string|null} The title, or null if the playlist no longer exists.
+   */
+  const playlistTitle = (playlistId) => {
+    const playlist = userPlaylists.find((p) => p.id === playlistId);
+    return playlist ? playlist.title : null;
+  };
+
+  /**
+   * Renders the button that asks an entry's query again.
+   * @param {object} entry - The history entry.
+   * @returns {JSX.Element} The rendered button.
+   */
+  const renderRerunButton = (entry) => (
+    <button
+      type="button"
+      className="history-rerun-button"
+      disabled={!playlistTitle(entry.playlistId)}
+      title={playlistTitle(entry.playlistId) ? 'Ask this again on the playlist as it is now' : 'This playlist no longer exists'}
+      onClick={() => onRerunQuery(entry)}
+    >
+      Re-run
+    </button>
+  );
+
+  if (openEntry) {
+    return (
+      <div className="history-screen">
+        <button type="button" className="history-back-button" onClick={() => setOpenEntry(null)}>
+          ← Back to history
+        </button>
+        <div className="history-entry-header">
+          <h3>{openEntry.query}</h3>
+          <p className="history-entry-meta">
+            {formatWhen(openEntry.createdAt)} · {playlistTitle(openEntry.playlistId) || 'Deleted playlist'}
+            {' · '}{openEntry.modelId.split('/').pop()}
+          </p>
+          {renderRerunButton(openEntry)}
+        </div>
+        {openEntry.actionPlanSummary && (
+          <p className="history-plan-summary">
+            <strong>Action plan:</strong> {openEntry.actionPlanSummary}
+          </p>
+        )}
+        <p className="last-query-display">{openEntry.answer}</p>
+        <VideoList videos={openEntry.results} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="history-screen">
+      <SavedSearchesPanel
+        savedSearches={savedSearchActions.searches}
+        onCreate={savedSearchActions.onCreate}
+        onDelete={savedSearchActions.onDelete}
+        onMarkSeen={savedSearchActions.onMarkSeen}
+      />
+      <h3>Recent queries</h3>
+      {isLoadingHistory && historyEntries.length === 0 && (
+        <p>Loading history...</p>
+      )}
+      {!isLoadingHistory && historyEntries.length === 0 && (
+        <p className="history-empty-message">
+          No queries yet. Ask something in Chat and it will show up here.
+        </p>
+      )}
+      <ul className="history-list">
+        {historyEntries.map((entry) => (
+          <li key={entry.id} className="history-list-item">
+            <button type="button" className="history-open-button" onClick={() => setOpenEntry(entry)}>
+              <span className="history-query">{entry.query}</span>
+              <span className="history-entry-meta">
+                {formatWhen(entry.createdAt)} · {playlistTitle(entry.playlistId) || 'Deleted playlist'}
+                {' · '}
+                {entry.actionPlanSummary ? 'Action plan' :
+                  `${entry.results.length} result${entry.results.length === 1 ? '' : 's'}`}
+              </span>
+            </button>
+            {renderRerunButton(entry)}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export {HistoryScreen};
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Defines the QueryFiltersPanel React component, the structured
+ * filters sent with each chat query: a duration range, a publish date range,
+ * channels to include or exclude, and the source of the videos. The chat
+ * service applies them before the AI sees the videos, so they hold exactly.
+ */
+import React, {useState} from 'react';
+
+/**
+ * @typedef {object} QueryFiltersForm
+ * @property {string} minMinutes - Shortest video, in minutes; empty for no limit.
+ * @property {string} maxMinutes - Longest video, in minutes; empty for no limit.
+ * @property {string} publishedFrom - Earliest publish day (`YYYY-MM-DD`); empty for no limit.
+ * @property {string} publishedTo - Latest publish day (`YYYY-MM-DD`); empty for no limit.
+ * @property {string} includeChannels - Comma-separated channel names to keep.
+ * @property {string} excludeChannels - Comma-separated channel names to leave out.
+ * @property {string} source - 'all', 'playlist' or 'subscriptions'.
+ */
+
+/** @type {QueryFiltersForm} */
+const EMPTY_QUERY_FILTERS = {
+  minMinutes: '',
+  maxMinutes: '',
+  publishedFrom: '',
+  publishedTo: '',
+  includeChannels: '',
+  excludeChannels: '',
+  source: 'all',
+};
+
+const SOURCE_LABELS = {
+  playlist: 'playlist only',
+  subscriptions: 'subscriptions only',
+};
+
+/**
+ * Splits a comma-separated list of channel names.
+ * @param {string} text - The list.
+ * @returns {Array<string>} The trimmed, non-empty names.
+ */
+function splitChannels(text) {
+  return text.split(',').map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Converts a number of minutes typed by the user to seconds.
+ * @param {string} minutes - The minutes.
+ * @returns {number|null} The seconds, or null if the field is empty or invalid.
+ */
+function minutesToSeconds(minutes) {
+  const value = parseFloat(minutes);
+  return minutes.trim() !== '' && value >= 0 ? Math.round(value * 60) : null;
+}
+
+/**
+ * Converts the form to the `filters` of a `USER_QUERY`.
+ * @param {QueryFiltersForm} form - The form's values.
+ * @returns {object|null} The filters, or null if the form restricts nothing.
+ */
+function toQueryFilters(form) {
+  const filters = {};
+  const minDurationSeconds = minutesToSeconds(form.minMinutes);
+  const maxDurationSeconds = minutesToSeconds(form.maxMinutes);
+  if (minDurationSeconds !== null) {
+    filters.minDurationSeconds = minDurationSeconds;
+  }
+  if (maxDurationSeconds !== null) {
+    filters.maxDurationSeconds = maxDurationSeconds;
+  }
+  if (form.publishedFrom) filters.publishedFrom = form.publishedFrom;
+  if (form.publishedTo) filters.publishedTo = form.publishedTo;
+  const includeChannels = splitChannels(form.includeChannels);
+  const excludeChannels = splitChannels(form.excludeChannels);
+  if (includeChannels.length > 0) filters.includeChannels = includeChannels;
+  if (excludeChannels.length > 0) filters.excludeChannels = excludeChannels;
+  if (form.source !== 'all') filters.source = form.source;
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Describes filters in a few words, e.g. "5–15 min · from 2025-01-01".
+ * @param {object|null} filters - The filters, as made by `toQueryFilters`.
+ * @returns {string} The description, or an empty string if there are no filters.
+ */
+function describeQueryFilters(filters) {
+  if (!filters) return '';
+  const parts = [];
+  const minMinutes = filters.minDurationSeconds / 60;
+  const maxMinutes = filters.maxDurationSeconds / 60;
+  if (filters.minDurationSeconds !== undefined &&
+      filters.maxDurationSeconds !== undefined) {
+    parts.push(`${minMinutes}–${maxMinutes} min`);
+  } else if (filters.minDurationSeconds !== undefined) {
+    parts.push(`at least ${minMinutes} min`);
+  } else if (filters.maxDurationSeconds !== undefined) {
+    parts.push(`at most ${maxMinutes} min`);
+  }
+  if (filters.publishedFrom) parts.push(`from ${filters.publishedFrom}`);
+  if (filters.publishedTo) parts.push(`until ${filters.publishedTo}`);
+  if (filters.includeChannels) {
+    parts.push(`channels: ${filters.includeChannels.join(', ')}`);
+  }
+  if (filters.excludeChannels) {
+    parts.push(`not: ${filters.excludeChannels.join(', ')}`);
+  }
+  if (filters.source) parts.push(SOURCE_LABELS[filters.source]);
+  return parts.join(' · ');
+}
+
+/**
+ * Renders a "Filters" toggle that opens the filter fields. The toggle shows
+ * the active filters while the fields are closed.
+ * @param {object} props - The component's props.
+ * @param {QueryFiltersForm} props.value - The form's values.
+ * @param {function(QueryFiltersForm): void} props.onChange - Called with the new values.
+ * @param {boolean} props.showSource - Whether to offer the source filter, which
+ *     only matters when the subscription feed is included.
+ * @param {boolean} [props.disabled] - Whether the fields are disabled.
+ * @returns {JSX.Element} The rendered panel.
+ */
+function QueryFiltersPanel({value, onChange, showSource, disabled}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const activeFilters = toQueryFilters(
+      showSource ? value : {...value, source: 'all'});
+
+  /**
+   * Updates one field of the form.
+   * @param {string} field - The field's name.
+   * @returns {function(React.ChangeEvent<HTMLInputElement>): void} The change handler.
+   */
+  const handleFieldChange = (field) => (e) => {
+    onChange({...value, [field]: e.target.value});
+  };
+
+  return (
+    <div className="query-filters">
+      <div className="query-filters-summary">
+        <button
+          type="button"
+          className="export-button"
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+        >
+          {isOpen ? 'Hide filters' : 'Filters'}
+        </button>
+        {activeFilters && (
+          <>
+            <span className="export-menu-label">
+              {describeQueryFilters(activeFilters)}
+            </span>
+            <button
+              type="button"
+              className="export-button"
+              onClick={() => onChange(EMPTY_QUERY_FILTERS)}
+              disabled={disabled}
+            >
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+      {isOpen && (
+        <div className="query-filters-fields">
+          <label>
+            Min minutes
+            <input
+              type="number"
+              min="0"
+              value={value.minMinutes}
+              onChange={handleFieldChange('minMinutes')}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Max minutes
+            <input
+              type="number"
+              min="0"
+              value={value.maxMinutes}
+              onChange={handleFieldChange('maxMinutes')}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Published from
+            <input
+              type="date"
+              value={value.publishedFrom}
+              onChange={handleFieldChange('publishedFrom')}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Published until
+            <input
+              type="date"
+              value={value.publishedTo}
+              onChange={handleFieldChange('publishedTo')}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Only channels
+            <input
+              type="text"
+              placeholder="e.g. Veritasium, Tom Scott"
+              value={value.includeChannels}
+              onChange={handleFieldChange('includeChannels')}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Leave out channels
+            <input
+              type="text"
+              placeholder="Comma-separated"
+              value={value.excludeChannels}
+              onChange={handleFieldChange('excludeChannels')}
+              disabled={disabled}
+            />
+          </label>
+          {showSource && (
+            <label>
+              Source
+              <select
+                value={value.source}
+                onChange={handleFieldChange('source')}
+                disabled={disabled}
+              >
+                <option value="all">Playlist and subscriptions</option>
+                <option value="playlist">Playlist only</option>
+                <option value="subscriptions">Subscriptions only</option>
+              </select>
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export {
+  QueryFiltersPanel,
+  EMPTY_QUERY_FILTERS,
+  toQueryFilters,
+  describeQueryFilters,
+};
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Defines the SavedSearchesPanel React component, shown on the
+ * History screen. It saves searches that run against new subscription videos,
+ * optionally with an email or webhook digest, and shows each search's matches,
+ * marking them seen when opened.
+ */
+import React, {useState} from 'react';
+import {VideoList} from './VideoList';
+
+const DIGEST_OPTIONS = [
+  {channel: '', label: 'In the app only'},
+  {channel: 'email', label: 'Also email me'},
+  {channel: 'webhook', label: 'Also call a webhook'},
+];
+
+/**
+ * Renders the saved searches panel.
+ * @param {object} props - The component's props.
+ * @param {Array<object>} props.savedSearches - The user's saved searches (see useSavedSearches).
+ * @param {function(string, ?object): Promise<boolean>} props.onCreate - Saves a
+ *     search, with an optional `{channel, target}` digest; resolves to success.
+ * @param {function(string): Promise<boolean>} props.onDelete - Deletes a search.
+ * @param {function(string): Promise<void>} props.onMarkSeen - Marks a search's matches as seen.
+ * @returns {JSX.Element} The rendered panel.
+ */
+function SavedSearchesPanel({savedSearches, onCreate, onDelete, onMarkSeen}) {
+  const [newQuery, setNewQuery] = useState('');
+  const [digestChannel, setDigestChannel] = useState('');
+  const [digestTarget, setDigestTarget] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  /** @state The ID of the search whose matches are open, or null. @type {string|null} */
+  const [openSearchId, setOpenSearchId] = useState(null);
+
+  /**
+   * Saves the search in the form, then clears the form.
+   * @param {React.FormEvent} event - The submit event.
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!newQuery.trim()) return;
+    setIsSaving(true);
+    const digest = digestChannel ?
+      {channel: digestChannel, target: digestTarget.trim()} : null;
+    const saved = await onCreate(newQuery.trim(), digest);
+    setIsSaving(false);
+    if (saved) {
+      setNewQuery('');
+      setDigestChannel('');
+      setDigestTarget('');
+    }
+  };
+
+  /**
+   * Opens or closes a search's matches, marking them seen when opened.
+   * @param {object} search - The saved search.
+   */
+  const toggleSearch = (search) => {
+    if (openSearchId === search.id) {
+      setOpenSearchId(null);
+      return;
+    }
+    setOpenSearchId(search.id);
+    if (search.unseenCount > 0) onMarkSeen(search.id);
+  };
+
+  /**
+   * Describes when a search last ran.
+   * @param {object} search - The saved search.
+   * @returns {string} The description.
+   */
+  const describeRun = (search) => {
+    if (!search.lastRunAt) return 'Runs when your subscriptions next refresh';
+    const count = search.matches.length;
+    return `${count} match${count === 1 ? '' : 'es'} · last run ` +
+      new Date(search.lastRunAt).toLocaleString(
+          undefined, {dateStyle: 'medium', timeStyle: 'short'});
+  };
+
+  return (
+    <section className="saved-searches-panel">
+      <h3>Saved searches</h3>
+      <form className="saved-search-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={newQuery}
+          onChange={(e) => setNewQuery(e.target.value)}
+          placeholder="e.g., new videos about home espresso"
+          aria-label="Saved search query"
+          disabled={isSaving}
+        />
+        <select
+          value={digestChannel}
+          onChange={(e) => setDigestChannel(e.target.value)}
+          aria-label="Digest"
+          disabled={isSaving}
+        >
+          {DIGEST_OPTIONS.map((option) => (
+            <option key={option.channel} value={option.channel}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {digestChannel && (
+          <input
+            type={digestChannel === 'email' ? 'email' : 'url'}
+            value={digestTarget}
+            onChange={(e) => setDigestTarget(e.target.value)}
+            placeholder={digestChannel === 'email' ? 'you@example.com' : 'https://...'}
+            aria-label={digestChannel === 'email' ? 'Digest email address' : 'Digest webhook URL'}
+            required
+            disabled={isSaving}
+          />
+        )}
+        <button type="submit" disabled={isSaving || !newQuery.trim()}>
+          {isSaving ? 'Saving...' : 'Save search'}
+        </button>
+      </form>
+      <ul className="saved-search-list">
+        {savedSearches.map((search) => (
+          <li key={search.id} className="saved-search-item">
+            <div className="saved-search-row">
+              <button
+                type="button"
+                className="history-open-button"
+                onClick={() => toggleSearch(search)}
+                aria-expanded={openSearchId === search.id}
+              >
+                <span className="history-query">
+                  {search.query}
+                  {search.unseenCount > 0 && (
+                    <span className="saved-search-unseen">{search.unseenCount} new</span>
+                  )}
+                </span>
+                <span className="history-entry-meta">
+                  {describeRun(search)}
+                  {search.digest && ` · digest to ${search.digest.target}`}
+                </span>
+              </button>
+              <button
+                type="button"
+                className="history-rerun-button"
+                onClick={() => onDelete(search.id)}
+              >
+                Delete
+              </button>
+            </div>
+            {openSearchId === search.id && (search.matches.length > 0 ?
+              <VideoList videos={search.matches.map((match) => ({
+                ...match, description: `From ${match.channelTitle}`,
+              }))} /> :
+              <p className="history-empty-message">No matches yet.</p>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export {SavedSearchesPanel};
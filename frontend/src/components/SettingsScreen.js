@@ -15,6 +15,10 @@ import React, {useState, useEffect, useCallback} from 'react';
  * @param {Array<{id: string, title: string}>} props.userPlaylists - Array of user's playlist objects, used for the default playlist selection.
  * @param {boolean} props.includeSubscriptionFeed - Current state of the 'include subscription feed' preference.
  * @param {function(boolean): void} props.onIncludeSubscriptionFeedChange - Callback when 'include subscription feed' preference changes.
+ * @param {boolean} props.includeTranscripts - Current state of the 'include transcript summaries' preference.
+ * @param {function(boolean): void} props.onIncludeTranscriptsChange - Callback when 'include transcript summaries' preference changes.
+ * @param {boolean} props.hasYouTubeWriteAccess - Whether the linked YouTube account lets the app change playlists.
+ * @param {function(): void} props.onGrantPlaylistWriteAccess - Callback to ask the user for permission to change playlists.
  * @returns {JSX.Element} The rendered Settings screen.
  */
 function SettingsScreen({
@@ -27,6 +31,10 @@ function SettingsScreen({
   onIncludeSubscriptionFeedChange,
   deepThinking,
   onDeepThinkingChange,
+  includeTranscripts,
+  onIncludeTranscriptsChange,
+  hasYouTubeWriteAccess,
+  onGrantPlaylistWriteAccess,
 }) {
   const [useDefaultPlaylistEnabled, setUseDefaultPlaylistEnabled] = useState(false);
   const [defaultPlaylistId, setDefaultPlaylistId] = useState('');
@@ -150,6 +158,41 @@ function SettingsScreen({
         </div>
       </div>
 
+      {/* Transcript Summaries Setting */}
+      <div className="settings-section transcripts-section">
+        <div className="settings-checkbox-container">
+          <label>
+            <input
+              type="checkbox"
+              checked={includeTranscripts}
+              onChange={(e) => onIncludeTranscriptsChange(e.target.checked)}
+              className="settings-checkbox"
+            />
+            Include video transcript summaries in AI suggestions
+          </label>
+        </div>
+      </div>
+
+      {/* Playlist Management Permission */}
+      <div className="settings-section playlist-write-access-section">
+        {hasYouTubeWriteAccess ? (
+          <p>
+            ReelWorthy can remove videos from and move videos between your
+            playlists.
+          </p>
+        ) : (
+          <>
+            <p>
+              Allow ReelWorthy to remove videos from and move videos between
+              your YouTube playlists.
+            </p>
+            <button onClick={onGrantPlaylistWriteAccess} className="btn">
+              Allow Playlist Changes
+            </button>
+          </>
+        )}
+      </div>
+
       {/* Deep Thinking Setting */}
       <div className="settings-section deep-thinking-section">
         <div className="settings-checkbox-container">
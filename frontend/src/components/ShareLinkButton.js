@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Defines the ShareLinkButton React component, which creates a
+ * read-only link to a chat answer that expires, and shows it for copying.
+ */
+import React, {useState} from 'react';
+
+const EXPIRY_OPTIONS = [
+  {days: 1, label: '1 day'},
+  {days: 7, label: '7 days'},
+  {days: 30, label: '30 days'},
+];
+
+/**
+ * Renders a "Share link" button. Once the user picks how long the link should
+ * work, the link is created and shown with a Copy button.
+ * @param {object} props - The component's props.
+ * @param {function(number): Promise<({url: string, expiresAt: string}|null)>} props.onShare -
+ *     Creates a link that works for the given number of days; resolves to the
+ *     link, or null on error.
+ * @returns {JSX.Element} The rendered button, expiry choice or link.
+ */
+function ShareLinkButton({onShare}) {
+  const [isChoosingExpiry, setIsChoosingExpiry] = useState(false);
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [isSharing, setIsSharing] = useState(false);
+  /** @state The created link, or null. @type {{url: string, expiresAt: string}|null} */
+  const [shareLink, setShareLink] = useState(null);
+  const [isCopied, setIsCopied] = useState(false);
+
+  /**
+   * Creates the link.
+   */
+  const handleCreate = async () => {
+    setIsSharing(true);
+    const link = await onShare(expiresInDays);
+    setIsSharing(false);
+    if (link) {
+      setShareLink(link);
+      setIsChoosingExpiry(false);
+    }
+  };
+
+  /**
+   * Copies the link to the clipboard.
+   */
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareLink.url);
+      setIsCopied(true);
+    } catch (err) {
+      // Without clipboard access the user can still select the link.
+      console.error('Error copying share link:', err);
+    }
+  };
+
+  if (shareLink) {
+    const expiresAt = new Date(shareLink.expiresAt).toLocaleDateString(
+        undefined, {dateStyle: 'medium'});
+    return (
+      <div className="share-link">
+        <input
+          type="text"
+          value={shareLink.url}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          aria-label="Share link"
+        />
+        <button type="button" className="export-button" onClick={handleCopy}>
+          {isCopied ? 'Copied' : 'Copy'}
+        </button>
+        <span className="export-menu-label">Expires {expiresAt}</span>
+      </div>
+    );
+  }
+
+  if (isChoosingExpiry) {
+    return (
+      <div className="share-link">
+        <select
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(Number(e.target.value))}
+          aria-label="Link expires after"
+          disabled={isSharing}
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.days} value={option.days}>
+              Expires after {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="export-button"
+          onClick={handleCreate}
+          disabled={isSharing}
+        >
+          {isSharing ? 'Creating...' : 'Create link'}
+        </button>
+        <button
+          type="button"
+          className="export-button"
+          onClick={() => setIsChoosingExpiry(false)}
+          disabled={isSharing}
+        >
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="share-link">
+      <button
+        type="button"
+        className="export-button"
+        onClick={() => setIsChoosingExpiry(true)}
+      >
+        Share link
+      </button>
+    </div>
+  );
+}
+
+export {ShareLinkButton};
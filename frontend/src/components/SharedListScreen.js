@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Defines the SharedListScreen React component, the public,
+ * read-only page for a shared chat answer. index.js renders it instead of the
+ * app for `?share=<shareId>` URLs, so it works without signing in.
+ */
+import React from 'react';
+import {ScreenHeader} from './ScreenHeader';
+import {VideoList} from './VideoList';
+import {useSharedSuggestionList} from '../hooks/useSuggestionShares';
+import '../App.css';
+
+/**
+ * Renders a shared list: the query, the answer and the suggested videos.
+ * @param {object} props - The component's props.
+ * @param {string} props.shareId - The share ID from the page path.
+ * @returns {JSX.Element} The rendered page.
+ */
+function SharedListScreen({shareId}) {
+  const {sharedList, isLoading, error} = useSharedSuggestionList(shareId);
+
+  /**
+   * Renders the page body for the current loading state.
+   * @returns {JSX.Element} The page body.
+   */
+  const renderBody = () => {
+    if (isLoading) {
+      return <p className="history-empty-message">Loading shared list...</p>;
+    }
+    if (error) {
+      return <p className="history-empty-message">{error}</p>;
+    }
+    const expiresAt = new Date(sharedList.expiresAt).toLocaleDateString(
+        undefined, {dateStyle: 'medium'});
+    return (
+      <>
+        <p className="conversation-query">
+          <strong>Asked:</strong> {sharedList.query}
+        </p>
+        {sharedList.answer && (
+          <p className="shared-list-answer">{sharedList.answer}</p>
+        )}
+        <p className="last-query-display">
+          {sharedList.videos.length} videos · link expires {expiresAt}
+        </p>
+        <VideoList
+          videos={sharedList.videos.map((video) => ({
+            ...video, description: `From ${video.channelTitle}`,
+          }))}
+          listType="suggestions"
+        />
+      </>
+    );
+  };
+
+  return (
+    <div className="App">
+      <ScreenHeader title="Shared Videos" />
+      <div className="screen-content-wrapper">
+        <div className="shared-list-screen">
+          {renderBody()}
+          <p className="shared-list-footer">
+            Shared from <a href="/">ReelWorthy</a>.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export {SharedListScreen};
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Defines the SyncProgressIndicator React component, which replaces
+ * the generic loading overlay while a playlist is being synced and shows how many
+ * of its items have been synced so far (e.g., "Synced 1450 / 3200").
+ */
+import React from 'react';
+
+/**
+ * @typedef {object} PlaylistSyncProgress
+ * @property {number} synced - Number of playlist items synced so far.
+ * @property {number} total - Total number of items in the playlist, or 0 if not yet known.
+ */
+
+/**
+ * Renders a blocking overlay with a progress bar for a playlist sync.
+ * @param {object} props - The component's props.
+ * @param {PlaylistSyncProgress} props.progress - The sync progress so far.
+ * @returns {JSX.Element} The rendered progress indicator.
+ */
+function SyncProgressIndicator({progress}) {
+  const {synced, total} = progress;
+  const known = total > 0;
+  const percent = known ? Math.min(100, Math.round((synced / total) * 100)) : 0;
+  return (
+    <div className="loading-overlay">
+      <div
+        className="sync-progress"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={known ? total : undefined}
+        aria-valuenow={known ? synced : undefined}
+      >
+        <div
+          className={known ? 'sync-progress-bar' : 'sync-progress-bar indeterminate'}
+          style={known ? {width: `${percent}%`} : undefined}
+        ></div>
+      </div>
+      <p>{known ? `Synced ${synced} / ${total}` : 'Syncing playlist...'}</p>
+    </div>
+  );
+}
+
+export {SyncProgressIndicator};
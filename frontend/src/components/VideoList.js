@@ -1,7 +1,12 @@
 /**
  * @fileoverview Defines the VideoList React component, which displays a list of
  * YouTube videos with their thumbnails, titles, durations, descriptions (expandable),
- * and a link to watch on YouTube.
+ * and a link to watch on YouTube. AI suggestions that point at a moment in a
+ * video open it at that moment and show the matched excerpt. When the user has
+ * allowed playlist changes, videos can be removed from the playlist or moved to
+ * another one, singly or all results at once, after a confirmation and with undo.
+ * Each video can also be marked watched, dismissed, snoozed or rated, and
+ * added to the user's watch queue.
  */
 import React, {useState} from 'react';
 // Removed memo and FixedSizeList as we are removing virtualization
@@ -10,8 +15,36 @@ import React, {useState} from 'react';
  * Renders a list of videos.
  * @param {object} props - The component's props.
  * @param {Array<VideoItemShape>} props.videos - Array of video objects to display.
+ * @param {function(string, File): Promise<boolean>} [props.onUploadTranscript] - If given, each
+ *     video offers an "Upload transcript" button that passes the chosen `.srt` or `.vtt` file here.
+ * @param {string} [props.listType] - 'suggestions' for a set of AI results, which can be changed all at once.
+ * @param {PlaylistActions} [props.playlistActions] - If given, videos can be removed from or moved
+ *     out of the current playlist.
+ * @param {VideoStateActions} [props.videoStateActions] - If given, each video can be marked watched,
+ *     dismissed, snoozed or rated.
+ * @param {WatchQueueActions} [props.watchQueueActions] - If given, each video can be added to
+ *     the watch queue.
+ * @param {function(VideoItemShape): JSX.Element} [props.renderItemActions] - If given, renders
+ *     extra controls for each video, such as a watch plan's swap buttons.
  * @returns {JSX.Element} The rendered video list.
  *
+ * @typedef {object} PlaylistActions
+ * @property {Array<{id: string, title: string}>} playlists - The user's playlists, the targets of a move.
+ * @property {string} currentPlaylistId - The playlist the videos are removed from or moved out of.
+ * @property {function(import('../hooks/useYouTube').PlaylistModification, Array<VideoItemShape>):
+ *     Promise<Array<import('../hooks/useYouTube').PlaylistModificationResult>|null>} onModify - Applies
+ *     a change; resolves to the per-video results, or null if the change failed.
+ *
+ * @typedef {object} VideoStateActions
+ * @property {Object<string, object>} states - The user's stored video states, keyed by video ID.
+ * @property {function(string, object): Promise<boolean>} onChange - Changes some of a video's state
+ *     fields (`watched`, `dismissed`, `snoozedUntil`, `rating`); resolves to success.
+ *
+ * @typedef {object} WatchQueueActions
+ * @property {Set<string>} queuedIds - The IDs of the videos already in the watch queue.
+ * @property {function(Array<VideoItemShape>): Promise<boolean>} onAdd - Appends videos to the
+ *     queue; resolves to success.
+ *
  * @typedef {object} VideoItemShape
  * @property {string} [id] - Optional ID, fallback if videoId is not present.
  * @property {string} [videoId] - The YouTube video ID.
@@ -20,21 +53,301 @@ import React, {useState} from 'react';
  * @property {string} [duration] - Optional formatted duration string (e.g., "HH:MM:SS").
  * @property {string} [description] - Optional video description.
  * @property {string} [reason] - Optional reason why the video was suggested by AI.
+ * @property {number} [confidence] - Optional AI confidence (0 to 1) that the video matches the query.
+ * @property {Array<string>} [geminiCategories] - Optional AI-assigned categories of the video.
+ * @property {number} [startSeconds] - Optional second at which the part the AI matched starts.
+ * @property {string|null} [quote] - Optional chapter title or transcript excerpt at `startSeconds`.
  */
 
 const DESCRIPTION_MAX_LENGTH = 150;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Snooze lengths offered on each video, in days.
+const SNOOZE_OPTIONS = [
+  {days: 1, label: '1 day'},
+  {days: 7, label: '1 week'},
+  {days: 30, label: '1 month'},
+];
+const RATINGS = [1, 2, 3, 4, 5];
+
+/**
+ * Formats a number of seconds as a video timestamp (e.g., "7:05" or "1:02:03").
+ * @param {number} totalSeconds - The number of seconds.
+ * @returns {string} The timestamp.
+ */
+function formatTimestamp(totalSeconds) {
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = String(Math.floor(totalSeconds % 60)).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
 
-function VideoList({videos}) {
+/**
+ * Describes a number of videos, e.g. "1 video" or "3 videos".
+ * @param {number} count - The number of videos.
+ * @returns {string} The description.
+ */
+function describeCount(count) {
+  return count === 1 ? '1 video' : `${count} videos`;
+}
+
+function VideoList({
+  videos, onUploadTranscript, listType, playlistActions, videoStateActions,
+  watchQueueActions, renderItemActions,
+}) {
   /**
    * @state Manages the expanded/collapsed state of video descriptions, keyed by video ID.
    * @type {Object<string, boolean>}
    */
   const [expandedDescriptions, setExpandedDescriptions] = useState({});
+  /**
+   * @state The playlist change awaiting the user's confirmation, or null.
+   * @type {import('../hooks/useYouTube').PlaylistModification|null}
+   */
+  const [pendingChange, setPendingChange] = useState(null);
+  /**
+   * @state The last confirmed change, its results and the videos it affected, for undo; or null.
+   * @type {{modification: object, results: Array<object>, videos: Array<VideoItemShape>}|null}
+   */
+  const [lastChange, setLastChange] = useState(null);
+  /** @state What happened to each changed video (e.g. 'Moved to "Music"'), keyed by video ID. @type {Object<string, string>} */
+  const [changedVideos, setChangedVideos] = useState({});
+  /** @state The outcome of the last change or undo, shown above the list. @type {string} */
+  const [changeNotice, setChangeNotice] = useState('');
+  /** @state True while a change or undo is being applied. @type {boolean} */
+  const [isChanging, setIsChanging] = useState(false);
 
-  if (!videos || videos.length === 0) {
+  if ((!videos || videos.length === 0) && !lastChange) {
     return <p>No videos to display.</p>;
   }
 
+  /**
+   * Returns the title of one of the user's playlists.
+   * @param {string} playlistId - The playlist ID.
+   * @returns {string} The title, or a generic name if the playlist is not known.
+   */
+  const playlistTitle = (playlistId) =>
+    (playlistActions.playlists.find((p) => p.id === playlistId) || {title: 'playlist'}).title;
+
+  /**
+   * Describes a change for its confirmation prompt.
+   * @param {object} change - The change, as passed to `playlistActions.onModify`.
+   * @returns {string} The question to confirm.
+   */
+  const describeChange = ({action, videoIds, sourcePlaylistId, targetPlaylistId}) => (action === 'move' ?
+    `Move ${describeCount(videoIds.length)} from "${playlistTitle(sourcePlaylistId)}" to "${playlistTitle(targetPlaylistId)}"?` :
+    `Remove ${describeCount(videoIds.length)} from "${playlistTitle(sourcePlaylistId)}"?`);
+
+  /**
+   * Asks the user to confirm removing videos from, or moving them out of, the current playlist.
+   * @param {Array<string>} videoIds - The videos to change.
+   * @param {string} [targetPlaylistId] - The playlist to move them to; omitted to remove them.
+   */
+  const requestChange = (videoIds, targetPlaylistId) => {
+    setPendingChange(targetPlaylistId ?
+      {action: 'move', videoIds, sourcePlaylistId: playlistActions.currentPlaylistId, targetPlaylistId} :
+      {action: 'remove', videoIds, sourcePlaylistId: playlistActions.currentPlaylistId});
+  };
+
+  /**
+   * Applies the confirmed change and offers to undo it.
+   * @returns {Promise<void>} Resolves once the change has been applied or has failed.
+   */
+  const confirmChange = async () => {
+    const change = pendingChange;
+    const affectedVideos = videos.filter((v) =>
+      change.videoIds.includes(v.videoId || v.id));
+    setPendingChange(null);
+    setIsChanging(true);
+    const results = await playlistActions.onModify(change, affectedVideos);
+    setIsChanging(false);
+    if (!results) return;
+    const done = results.filter((r) => r.status === 'done');
+    const label = change.action === 'move' ?
+      `Moved to "${playlistTitle(change.targetPlaylistId)}"` :
+      `Removed from "${playlistTitle(change.sourcePlaylistId)}"`;
+    const doneLabels = Object.fromEntries(done.map((r) => [r.videoId, label]));
+    setChangedVideos((prev) => ({...prev, ...doneLabels}));
+    const skipped = results.filter((r) => r.status === 'not_in_playlist').length;
+    const failed = results.filter((r) => r.status === 'failed').length;
+    setChangeNotice([
+      `${label}: ${describeCount(done.length)}.`,
+      skipped > 0 ? `${describeCount(skipped)} not in the playlist.` : '',
+      failed > 0 ? `${describeCount(failed)} could not be changed.` : '',
+    ].filter(Boolean).join(' '));
+    setLastChange(done.length > 0 ?
+      {modification: change, results: done, videos: affectedVideos} :
+      null);
+  };
+
+  /**
+   * Reverts the last change: videos go back to the current playlist, at their former positions.
+   * @returns {Promise<void>} Resolves once the undo has been applied or has failed.
+   */
+  const undoLastChange = async () => {
+    const {modification, results, videos: affectedVideos} = lastChange;
+    // Re-added in ascending order of their former positions, which restores the playlist's order.
+    const byPosition = results.slice().sort((a, b) => a.position - b.position);
+    const videoIds = byPosition.map((r) => r.videoId);
+    const positions = Object.fromEntries(
+        byPosition.map((r) => [r.videoId, r.position]));
+    const undo = modification.action === 'move' ?
+      {action: 'move', videoIds, sourcePlaylistId: modification.targetPlaylistId, targetPlaylistId: modification.sourcePlaylistId, positions} :
+      {action: 'add', videoIds, targetPlaylistId: modification.sourcePlaylistId, positions};
+    setIsChanging(true);
+    const undoResults = await playlistActions.onModify(undo, affectedVideos);
+    setIsChanging(false);
+    if (!undoResults) return;
+    const restoredIds = undoResults.filter((r) => r.status !== 'failed').map((r) => r.videoId);
+    setChangedVideos((prev) => Object.fromEntries(
+        Object.entries(prev).filter(([id]) => !restoredIds.includes(id))));
+    setChangeNotice(restoredIds.length === videoIds.length ?
+      'Undone.' :
+      `Undone for ${describeCount(restoredIds.length)}; ${describeCount(videoIds.length - restoredIds.length)} could not be restored.`);
+    setLastChange(null);
+  };
+
+  /**
+   * Renders a "Move to…" menu of the user's other playlists.
+   * @param {Array<string>} videoIds - The videos to move when a playlist is picked.
+   * @param {string} label - The accessible name of the menu.
+   * @returns {JSX.Element} The rendered menu.
+   */
+  const renderMoveMenu = (videoIds, label) => (
+    <select
+      className="playlist-move-select"
+      aria-label={label}
+      value=""
+      disabled={isChanging || !!pendingChange}
+      onChange={(e) => {
+        if (e.target.value) requestChange(videoIds, e.target.value);
+      }}
+    >
+      <option value="">Move to…</option>
+      {playlistActions.playlists
+          .filter((p) => p.id !== playlistActions.currentPlaylistId)
+          .map((p) => <option key={p.id} value={p.id}>{p.title}</option>)}
+    </select>
+  );
+
+  /**
+   * Renders the confirmation prompt, the outcome of the last change and, for a set of
+   * AI results, the controls that change all of them at once.
+   * @returns {JSX.Element|null} The rendered controls.
+   */
+  const renderPlaylistActionBar = () => {
+    const unchangedIds = (videos || []).map((v) => v.videoId || v.id)
+        .filter((id) => !changedVideos[id]);
+    return (
+      <>
+        {listType === 'suggestions' && unchangedIds.length > 1 && !pendingChange && (
+          <div className="playlist-bulk-actions">
+            <span>All {unchangedIds.length} results:</span>
+            <button
+              type="button"
+              className="playlist-action-button"
+              disabled={isChanging}
+              onClick={() => requestChange(unchangedIds)}
+            >
+              Remove all
+            </button>
+            {renderMoveMenu(unchangedIds, 'Move all results to playlist')}
+          </div>
+        )}
+        {pendingChange && (
+          <div className="playlist-action-confirm" role="alertdialog" aria-label="Confirm playlist change">
+            <span>{describeChange(pendingChange)}</span>
+            <button type="button" className="playlist-action-button" onClick={confirmChange}>Confirm</button>
+            <button type="button" className="playlist-action-button" onClick={() => setPendingChange(null)}>Cancel</button>
+          </div>
+        )}
+        {isChanging && <p className="playlist-action-notice">Updating YouTube...</p>}
+        {!isChanging && changeNotice && (
+          <p className="playlist-action-notice" role="status">
+            {changeNotice}
+            {lastChange && (
+              <button type="button" className="playlist-action-button" onClick={undoLastChange}>Undo</button>
+            )}
+          </p>
+        )}
+      </>
+    );
+  };
+
+  /**
+   * Renders the watched, dismiss, snooze and rating controls of a video.
+   * @param {string} videoId - The video ID.
+   * @param {string} title - The video title, for the controls' accessible names.
+   * @returns {JSX.Element} The rendered controls.
+   */
+  const renderVideoStateControls = (videoId, title) => {
+    const state = videoStateActions.states[videoId] || {};
+    const snoozedUntil = state.snoozedUntil &&
+      new Date(state.snoozedUntil) > new Date() ?
+      new Date(state.snoozedUntil) : null;
+    const {onChange} = videoStateActions;
+    return (
+      <div className="video-state-actions">
+        <button
+          type="button"
+          className="video-state-button"
+          aria-pressed={!!state.watched}
+          onClick={() => onChange(videoId, {watched: !state.watched})}
+        >
+          {state.watched ? 'Watched ✓' : 'Mark watched'}
+        </button>
+        <button
+          type="button"
+          className="video-state-button"
+          aria-pressed={!!state.dismissed}
+          onClick={() => onChange(videoId, {dismissed: !state.dismissed})}
+        >
+          {state.dismissed ? 'Dismissed (undo)' : 'Dismiss'}
+        </button>
+        {snoozedUntil ? (
+          <span className="video-state-snoozed">
+            Snoozed until {snoozedUntil.toLocaleDateString()}
+            <button
+              type="button"
+              className="video-state-button"
+              onClick={() => onChange(videoId, {snoozedUntil: null})}
+            >
+              Unsnooze
+            </button>
+          </span>
+        ) : (
+          <select
+            className="video-state-select"
+            aria-label={`Snooze "${title}"`}
+            value=""
+            onChange={(e) => {
+              const days = Number(e.target.value);
+              if (!days) return;
+              const until = new Date(Date.now() + days * DAY_MS);
+              onChange(videoId, {snoozedUntil: until.toISOString()});
+            }}
+          >
+            <option value="">Snooze…</option>
+            {SNOOZE_OPTIONS.map((o) => (
+              <option key={o.days} value={o.days}>{o.label}</option>
+            ))}
+          </select>
+        )}
+        <select
+          className="video-state-select"
+          aria-label={`Rate "${title}"`}
+          value={state.rating || ''}
+          onChange={(e) => onChange(videoId,
+              {rating: e.target.value ? Number(e.target.value) : null})}
+        >
+          <option value="">{state.rating ? 'No rating' : 'Rate…'}</option>
+          {RATINGS.map((r) => (
+            <option key={r} value={r}>{'★'.repeat(r)}</option>
+          ))}
+        </select>
+      </div>
+    );
+  };
+
   /**
    * Toggles the expanded state of a video's description.
    * @param {string} videoId - The ID of the video whose description state to toggle.
@@ -73,55 +386,139 @@ function VideoList({videos}) {
   /**
    * Opens the specified YouTube video in a new browser tab.
    * @param {string} vidId - The YouTube video ID to open.
+   * @param {number} [startSeconds] - If given, the video starts playing at this second.
    */
-  const handleOpenVideo = (vidId) => {
-    window.open(`https://www.youtube.com/watch?v=${vidId}`, '_blank', 'noopener,noreferrer');
+  const handleOpenVideo = (vidId, startSeconds) => {
+    const timeParam = typeof startSeconds === 'number' ? `&t=${startSeconds}s` : '';
+    window.open(`https://www.youtube.com/watch?v=${vidId}${timeParam}`, '_blank', 'noopener,noreferrer');
   };
 
   return (
-    <ul className="video-list">
-      {videos.map((video) => {
-        const videoId = video.videoId || video.id;
-        return (
-          <li key={videoId} className="video-list-item">
-            <div
-              className="video-item-header"
-              onClick={() => handleOpenVideo(videoId)}
-              role="button"
-              tabIndex={0}
-              onKeyPress={(e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                  handleOpenVideo(videoId);
-                }
-              }}
+    <>
+      {playlistActions && renderPlaylistActionBar()}
+      <ul className="video-list">
+        {(videos || []).map((video) => {
+          const videoId = video.videoId || video.id;
+          return (
+            <li
+              key={videoId}
+              className={videoStateActions?.states[videoId]?.dismissed ?
+                'video-list-item dismissed' : 'video-list-item'}
             >
-              {video.thumbnailUrl && (
-                <img
-                  src={video.thumbnailUrl}
-                  alt={`Thumbnail for ${video.title}`}
-                  loading="lazy"
-                  className="video-thumbnail"
-                />
-              )}
-              <span className="watch-icon-enlarged">
-                <img
-                  src={process.env.PUBLIC_URL + '/icons/youtube_button.webp'}
-                  alt="Watch on YouTube"
-                  className="youtube-logo-icon"
-                />
-              </span>
-              {/* "Watch" text span is removed */}
-            </div>
-            <div className="video-details-content">
-              <h4>{video.title}</h4>
-              {video.duration && <p><strong>Duration:</strong> {video.duration}</p>}
-              {renderDescription(video, videoId)}
-              {video.reason && <p className="video-reason"><strong>Reason:</strong> {video.reason}</p>}
-            </div>
-          </li>
-        );
-      })}
-    </ul>
+              <div
+                className="video-item-header"
+                onClick={() => handleOpenVideo(videoId, video.startSeconds)}
+                role="button"
+                tabIndex={0}
+                onKeyPress={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    handleOpenVideo(videoId, video.startSeconds);
+                  }
+                }}
+              >
+                {video.thumbnailUrl && (
+                  <img
+                    src={video.thumbnailUrl}
+                    alt={`Thumbnail for ${video.title}`}
+                    loading="lazy"
+                    className="video-thumbnail"
+                  />
+                )}
+                <span className="watch-icon-enlarged">
+                  <img
+                    src={process.env.PUBLIC_URL + '/icons/youtube_button.webp'}
+                    alt="Watch on YouTube"
+                    className="youtube-logo-icon"
+                  />
+                </span>
+                {/* "Watch" text span is removed */}
+              </div>
+              <div className="video-details-content">
+                <h4>{video.title}</h4>
+                {video.duration && (
+                  <p><strong>Duration:</strong> {video.duration}</p>
+                )}
+                {renderDescription(video, videoId)}
+                {video.geminiCategories?.length > 0 && (
+                  <p className="video-categories"><strong>Categories:</strong> {video.geminiCategories.join(', ')}</p>
+                )}
+                {onUploadTranscript && (
+                  <label className="transcript-upload-button">
+                    Upload transcript (.srt/.vtt)
+                    <input
+                      type="file"
+                      accept=".srt,.vtt"
+                      onChange={(e) => {
+                        const [file] = e.target.files;
+                        e.target.value = '';
+                        if (file) onUploadTranscript(videoId, file);
+                      }}
+                    />
+                  </label>
+                )}
+                {playlistActions && (
+                  <div className="video-playlist-actions">
+                    {changedVideos[videoId] ? (
+                      <span className="video-playlist-change">{changedVideos[videoId]}</span>
+                    ) : (
+                      <>
+                        <button
+                          type="button"
+                          className="playlist-action-button"
+                          disabled={isChanging || !!pendingChange}
+                          onClick={() => requestChange([videoId])}
+                        >
+                          Remove from playlist
+                        </button>
+                        {renderMoveMenu([videoId], `Move "${video.title}" to playlist`)}
+                      </>
+                    )}
+                  </div>
+                )}
+                {videoStateActions &&
+                  renderVideoStateControls(videoId, video.title)}
+                {watchQueueActions && (
+                  <div className="video-state-actions">
+                    <button
+                      type="button"
+                      className="video-state-button"
+                      aria-pressed={watchQueueActions.queuedIds.has(videoId)}
+                      disabled={watchQueueActions.queuedIds.has(videoId)}
+                      onClick={() =>
+                        watchQueueActions.onAdd([{...video, videoId}])}
+                    >
+                      {watchQueueActions.queuedIds.has(videoId) ?
+                        'In Up Next ✓' : 'Add to Up Next'}
+                    </button>
+                  </div>
+                )}
+                {renderItemActions && renderItemActions(video)}
+                {video.reason && <p className="video-reason"><strong>Reason:</strong> {video.reason}</p>}
+                {typeof video.startSeconds === 'number' && (
+                  <p className="video-moment">
+                    <button
+                      type="button"
+                      className="video-moment-link"
+                      onClick={() =>
+                        handleOpenVideo(videoId, video.startSeconds)}
+                    >
+                      Watch from {formatTimestamp(video.startSeconds)}
+                    </button>
+                    {video.quote && <q className="video-moment-quote">{video.quote}</q>}
+                  </p>
+                )}
+                {typeof video.confidence === 'number' && (
+                  <p className="video-confidence">
+                    <strong>Confidence:</strong>
+                    {' '}{Math.round(video.confidence * 100)}%
+                  </p>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </>
   );
 }
 
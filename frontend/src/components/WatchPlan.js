@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Defines the WatchPlan React component, which shows the
+ * suggestions the chat service picked to fit the user's time budget with a
+ * running total, and the other results as alternatives the user can add or
+ * swap in while they fit.
+ */
+import React, {useState} from 'react';
+import {VideoList} from './VideoList';
+
+/**
+ * @typedef {object} WatchPlanShape
+ * @property {number} budgetSeconds - The time budget the plan was made for.
+ * @property {Array<string>} videoIds - The planned videos, most relevant first.
+ * @property {number} totalSeconds - The planned videos' total duration.
+ */
+
+/**
+ * Formats a number of seconds as whole minutes, e.g. "42 min".
+ * @param {number} seconds - The number of seconds.
+ * @returns {string} The formatted minutes.
+ */
+function formatMinutes(seconds) {
+  return `${Math.round(seconds / 60)} min`;
+}
+
+/**
+ * Renders a watch plan: the planned videos with a running total against the
+ * budget, then the other results. Planned videos can be removed or swapped
+ * for another result; other results can be added if they fit.
+ * @param {object} props - The component's props.
+ * @param {WatchPlanShape} props.plan - The plan returned by the chat service.
+ * @param {Array<object>} props.videos - All the results of the query, most relevant first.
+ * @param {object} [props.playlistActions] - Passed on to the video lists (see VideoList).
+ * @param {object} [props.videoStateActions] - Passed on to the video lists (see VideoList).
+ * @param {object} [props.watchQueueActions] - Passed on to the video lists (see VideoList); also
+ *     lets the whole plan be added to the watch queue.
+ * @returns {JSX.Element} The rendered plan.
+ */
+function WatchPlan({
+  plan, videos, playlistActions, videoStateActions, watchQueueActions,
+}) {
+  /** @state The IDs of the planned videos. @type {Array<string>} */
+  const [plannedIds, setPlannedIds] = useState(plan.videoIds);
+
+  /**
+   * Gives a video's duration.
+   * @param {object} video - The video.
+   * @returns {number} Its duration in seconds, or 0 if unknown.
+   */
+  const durationOf = (video) => video.durationSeconds || 0;
+
+  const plannedVideos = videos.filter((v) => plannedIds.includes(v.videoId));
+  const otherVideos = videos.filter((v) => !plannedIds.includes(v.videoId));
+  const totalSeconds = plannedVideos
+      .reduce((total, video) => total + durationOf(video), 0);
+  const remainingSeconds = plan.budgetSeconds - totalSeconds;
+
+  /**
+   * Tells whether a video fits in the remaining time, optionally after
+   * removing a planned one.
+   * @param {object} video - The video to add.
+   * @param {object} [replaced] - The planned video it would replace.
+   * @returns {boolean} Whether it fits.
+   */
+  const fits = (video, replaced) => {
+    const available = remainingSeconds + (replaced ? durationOf(replaced) : 0);
+    return durationOf(video) > 0 && durationOf(video) <= available;
+  };
+
+  /**
+   * Replaces a planned video with another result.
+   * @param {string} plannedId - The planned video's ID.
+   * @param {string} otherId - The ID of the result to plan instead.
+   */
+  const swap = (plannedId, otherId) => {
+    setPlannedIds(plannedIds.map((id) => id === plannedId ? otherId : id));
+  };
+
+  /**
+   * Renders the remove button and the swap menu of a planned video.
+   * @param {object} video - The planned video.
+   * @returns {JSX.Element} The controls.
+   */
+  const renderPlannedActions = (video) => {
+    const swaps = otherVideos.filter((other) => fits(other, video));
+    return (
+      <div className="video-playlist-actions">
+        <button
+          type="button"
+          className="playlist-action-button"
+          onClick={() => setPlannedIds(
+              plannedIds.filter((id) => id !== video.videoId))}
+        >
+          Remove from plan
+        </button>
+        {swaps.length > 0 && (
+          <select
+            className="playlist-move-select"
+            value=""
+            onChange={(e) => swap(video.videoId, e.target.value)}
+            aria-label={`Swap "${video.title}" for another video`}
+          >
+            <option value="" disabled>Swap for…</option>
+            {swaps.map((other) => (
+              <option key={other.videoId} value={other.videoId}>
+                {other.title} ({formatMinutes(durationOf(other))})
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Renders the add button of a result outside the plan.
+   * @param {object} video - The result.
+   * @returns {JSX.Element} The controls.
+   */
+  const renderOtherActions = (video) => (
+    <div className="video-playlist-actions">
+      <button
+        type="button"
+        className="playlist-action-button"
+        disabled={!fits(video)}
+        title={fits(video) ? '' : 'Does not fit in the time left'}
+        onClick={() => setPlannedIds([...plannedIds, video.videoId])}
+      >
+        Add to plan
+      </button>
+    </div>
+  );
+
+  const isChanged = plannedIds.join() !== plan.videoIds.join();
+
+  return (
+    <div className="watch-plan">
+      <div className="watch-plan-total">
+        <span className={remainingSeconds < 0 ? 'over-budget' : ''}>
+          {formatMinutes(totalSeconds)} of {formatMinutes(plan.budgetSeconds)}
+          {remainingSeconds >= 0 ?
+            `, ${formatMinutes(remainingSeconds)} left` :
+            `, ${formatMinutes(-remainingSeconds)} over`}
+        </span>
+        {watchQueueActions && plannedVideos.length > 0 && (
+          <button
+            type="button"
+            className="export-button"
+            onClick={() => watchQueueActions.onAdd(plannedVideos)}
+          >
+            Add plan to Up Next
+          </button>
+        )}
+        {isChanged && (
+          <button
+            type="button"
+            className="export-button"
+            onClick={() => setPlannedIds(plan.videoIds)}
+          >
+            Reset plan
+          </button>
+        )}
+      </div>
+      <VideoList
+        videos={plannedVideos}
+        listType="suggestions"
+        playlistActions={playlistActions}
+        videoStateActions={videoStateActions}
+        watchQueueActions={watchQueueActions}
+        renderItemActions={renderPlannedActions}
+      />
+      {otherVideos.length > 0 && (
+        <>
+          <h4 className="watch-plan-heading">Other suggestions</h4>
+          <VideoList
+            videos={otherVideos}
+            videoStateActions={videoStateActions}
+            watchQueueActions={watchQueueActions}
+            renderItemActions={renderOtherActions}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+export {WatchPlan};
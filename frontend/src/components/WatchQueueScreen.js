@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Defines the WatchQueueScreen React component, the "Up Next"
+ * screen. It lists the user's watch queue, which can be reordered by dragging
+ * (or with the arrow buttons on touch screens), and plays through it in an
+ * embedded player, marking each video done and moving on when it ends.
+ */
+import React, {useState} from 'react';
+import {YouTubePlayer} from './YouTubePlayer';
+
+/**
+ * Renders the Up Next screen.
+ * @param {object} props - The component's props.
+ * @param {Array<object>} props.items - The queued videos, in order (see useWatchQueue).
+ * @param {boolean} props.isLoading - True while the queue is being fetched.
+ * @param {function(string): Promise<boolean>} props.onRemove - Removes a video from the queue.
+ * @param {function(Array<string>): Promise<boolean>} props.onReorder - Puts the queue in the
+ *     order of the given video IDs.
+ * @param {function(string, boolean): Promise<boolean>} props.onSetDone - Marks a video done or not done.
+ * @param {function(): Promise<boolean>} props.onClearDone - Removes the videos marked done.
+ * @returns {JSX.Element} The rendered Up Next screen.
+ */
+function WatchQueueScreen({
+  items, isLoading, onRemove, onReorder, onSetDone, onClearDone,
+}) {
+  /** @state The video in the player, or null if nothing is playing. @type {string|null} */
+  const [playingId, setPlayingId] = useState(null);
+  /** @state The video being dragged, or null. @type {string|null} */
+  const [draggedId, setDraggedId] = useState(null);
+  /** @state The video the dragged one would be dropped on, or null. @type {string|null} */
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  const remainingItems = items.filter((item) => !item.done);
+  const playingItem = items.find((item) => item.videoId === playingId);
+
+  /**
+   * Finds the next video to play: the first one after the given video that
+   * is not done, or else the first one that is not done.
+   * @param {string|null} videoId - The video that is playing, if any.
+   * @returns {string|null} The next video's ID, or null if all are done.
+   */
+  const nextVideoId = (videoId) => {
+    const index = items.findIndex((item) => item.videoId === videoId);
+    const next = items.slice(index + 1).find((item) => !item.done) ||
+      remainingItems.find((item) => item.videoId !== videoId);
+    return next ? next.videoId : null;
+  };
+
+  /**
+   * Marks the playing video done and plays the next one, when it ends.
+   */
+  const handleVideoEnded = () => {
+    const finishedId = playingId;
+    setPlayingId(nextVideoId(finishedId));
+    onSetDone(finishedId, true);
+  };
+
+  /**
+   * Moves a video to another position in the queue.
+   * @param {string} videoId - The video to move.
+   * @param {number} toIndex - Its new position.
+   */
+  const moveItem = (videoId, toIndex) => {
+    const ids = items.map((item) => item.videoId)
+        .filter((id) => id !== videoId);
+    ids.splice(toIndex, 0, videoId);
+    onReorder(ids);
+  };
+
+  /**
+   * Drops the dragged video in the place of another one.
+   * @param {React.DragEvent<HTMLLIElement>} e - The drop event.
+   * @param {number} index - The position of the video it was dropped on.
+   */
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (draggedId && draggedId !== items[index].videoId) {
+      moveItem(draggedId, index);
+    }
+    setDraggedId(null);
+    setDropTargetId(null);
+  };
+
+  /**
+   * Returns the class names of a queue item.
+   * @param {object} item - The queued video.
+   * @returns {string} The class names.
+   */
+  const itemClassName = (item) => [
+    'watch-queue-item',
+    item.done ? 'done' : '',
+    item.videoId === playingId ? 'playing' : '',
+    item.videoId === dropTargetId ? 'drop-target' : '',
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div className="watch-queue-screen">
+      {playingItem ? (
+        <div className="watch-queue-player">
+          <YouTubePlayer
+            videoId={playingItem.videoId}
+            onEnded={handleVideoEnded}
+          />
+          <div className="watch-queue-now-playing">
+            <span>Now playing: <strong>{playingItem.title}</strong></span>
+            <button
+              type="button"
+              className="watch-queue-button"
+              onClick={() => setPlayingId(nextVideoId(playingId))}
+            >
+              Skip
+            </button>
+            <button
+              type="button"
+              className="watch-queue-button"
+              onClick={() => setPlayingId(null)}
+            >
+              Stop
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="watch-queue-toolbar">
+          <button
+            type="button"
+            className="watch-queue-button"
+            disabled={remainingItems.length === 0}
+            onClick={() => setPlayingId(remainingItems[0].videoId)}
+          >
+            ▶ Play Up Next
+          </button>
+        </div>
+      )}
+      <div className="watch-queue-toolbar">
+        <span className="watch-queue-meta">
+          {remainingItems.length} to watch
+          {items.length > remainingItems.length &&
+            `, ${items.length - remainingItems.length} done`}
+        </span>
+        {items.length > remainingItems.length && (
+          <button
+            type="button"
+            className="watch-queue-button"
+            onClick={onClearDone}
+          >
+            Clear done
+          </button>
+        )}
+      </div>
+      {isLoading && items.length === 0 && <p>Loading Up Next...</p>}
+      {!isLoading && items.length === 0 && (
+        <p className="watch-queue-empty-message">
+          Nothing queued yet. Tap &quot;Add to Up Next&quot; on a video in
+          Chat to line it up here.
+        </p>
+      )}
+      <ol className="watch-queue-list">
+        {items.map((item, index) => (
+          <li
+            key={item.videoId}
+            className={itemClassName(item)}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move';
+              setDraggedId(item.videoId);
+            }}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDropTargetId(item.videoId);
+            }}
+            onDragEnd={() => {
+              setDraggedId(null);
+              setDropTargetId(null);
+            }}
+            onDrop={(e) => handleDrop(e, index)}
+          >
+            <span className="watch-queue-handle" aria-hidden="true">⠿</span>
+            {item.thumbnailUrl && (
+              <img
+                src={item.thumbnailUrl}
+                alt=""
+                loading="lazy"
+                className="watch-queue-thumbnail"
+              />
+            )}
+            <div className="watch-queue-details">
+              <span className="watch-queue-title">{item.title}</span>
+              <span className="watch-queue-meta">
+                {item.channelTitle}
+                {item.duration && ` · ${item.duration}`}
+              </span>
+              <div className="video-state-actions">
+                <button
+                  type="button"
+                  className="video-state-button"
+                  onClick={() => setPlayingId(item.videoId)}
+                  disabled={item.videoId === playingId}
+                >
+                  Play
+                </button>
+                <button
+                  type="button"
+                  className="video-state-button"
+                  aria-pressed={item.done}
+                  onClick={() => onSetDone(item.videoId, !item.done)}
+                >
+                  {item.done ? 'Done ✓' : 'Mark done'}
+                </button>
+                <button
+                  type="button"
+                  className="video-state-button"
+                  aria-label={`Move "${item.title}" up`}
+                  disabled={index === 0}
+                  onClick={() => moveItem(item.videoId, index - 1)}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="video-state-button"
+                  aria-label={`Move "${item.title}" down`}
+                  disabled={index === items.length - 1}
+                  onClick={() => moveItem(item.videoId, index + 1)}
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="video-state-button"
+                  onClick={() => onRemove(item.videoId)}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export {WatchQueueScreen};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Defines the YouTubePlayer React component, which embeds a
+ * video with the YouTube IFrame Player API and reports when it ends, so the
+ * "Up Next" screen can move on to the next video in the watch queue.
+ */
+import React, {useState, useEffect, useRef} from 'react';
+
+const IFRAME_API_URL = 'https://www.youtube.com/iframe_api';
+
+// Shared by every player, so the API script is only added to the page once.
+let iframeApiPromise = null;
+
+/**
+ * Loads the YouTube IFrame Player API.
+ * @returns {Promise<object>} Resolves to the API's `YT` namespace.
+ */
+function loadIframeApi() {
+  if (!iframeApiPromise) {
+    iframeApiPromise = new Promise((resolve, reject) => {
+      if (window.YT && window.YT.Player) {
+        resolve(window.YT);
+        return;
+      }
+      // The API calls this global once it is ready.
+      const previousCallback = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        if (previousCallback) previousCallback();
+        resolve(window.YT);
+      };
+      const script = document.createElement('script');
+      script.src = IFRAME_API_URL;
+      script.async = true;
+      script.onerror = () => {
+        // Let a later player try again.
+        iframeApiPromise = null;
+        script.remove();
+        reject(new Error('Could not load the YouTube player.'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return iframeApiPromise;
+}
+
+/**
+ * Renders an embedded YouTube player. Changing `videoId` loads and plays the
+ * new video in the same player.
+ * @param {object} props - The component's props.
+ * @param {string} props.videoId - The video to play.
+ * @param {function(): void} props.onEnded - Called when the video has played to the end.
+ * @returns {JSX.Element} The rendered player.
+ */
+function YouTubePlayer({videoId, onEnded}) {
+  /** @state Why the player could not be shown, or null. @type {string|null} */
+  const [loadError, setLoadError] = useState(null);
+  const containerRef = useRef(null);
+  const playerRef = useRef(null);
+  const isReadyRef = useRef(false);
+  // The latest props, for the player's event handlers, which are set only once.
+  const videoIdRef = useRef(videoId);
+  const onEndedRef = useRef(onEnded);
+  const loadedVideoIdRef = useRef(null);
+
+  useEffect(() => {
+    onEndedRef.current = onEnded;
+  }, [onEnded]);
+
+  useEffect(() => {
+    let isCancelled = false;
+    loadIframeApi().then((YT) => {
+      if (isCancelled) return;
+      loadedVideoIdRef.current = videoIdRef.current;
+      playerRef.current = new YT.Player(containerRef.current, {
+        videoId: videoIdRef.current,
+        playerVars: {autoplay: 1, playsinline: 1, rel: 0},
+        events: {
+          onReady: (event) => {
+            isReadyRef.current = true;
+            // The video may have changed while the player was loading.
+            if (loadedVideoIdRef.current !== videoIdRef.current) {
+              loadedVideoIdRef.current = videoIdRef.current;
+              event.target.loadVideoById(videoIdRef.current);
+            }
+          },
+          onStateChange: (event) => {
+            if (event.data === YT.PlayerState.ENDED) onEndedRef.current();
+          },
+        },
+      });
+    }).catch((err) => {
+      if (!isCancelled) setLoadError(err.message);
+    });
+    return () => {
+      isCancelled = true;
+      isReadyRef.current = false;
+      if (playerRef.current) {
+        playerRef.current.destroy();
+        playerRef.current = null;
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    videoIdRef.current = videoId;
+    if (isReadyRef.current && loadedVideoIdRef.current !== videoId) {
+      loadedVideoIdRef.current = videoId;
+      playerRef.current.loadVideoById(videoId);
+    }
+  }, [videoId]);
+
+  if (loadError) {
+    return <p className="youtube-player-error">{loadError}</p>;
+  }
+  return (
+    <div className="youtube-player">
+      {/* The API replaces this element with the player's iframe. */}
+      <div ref={containerRef} />
+    </div>
+  );
+}
+
+export {YouTubePlayer};
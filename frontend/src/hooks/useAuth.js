@@ -30,6 +30,7 @@ const CLOUD_FUNCTIONS_BASE_URL = {
  * @property {boolean} isLoggedIn - Whether the user is currently logged in.
  * @property {boolean} isAuthorizedUser - Whether the user is authorized to use the application.
  * @property {boolean} isYouTubeLinkedByAuthCheck - True if YouTube was linked based on the initial backend check.
+ * @property {boolean} hasYouTubeWriteAccess - True if the linked YouTube account lets the app change playlists.
  * @property {boolean} isSubscriptionFeedReady - True if the user's subscription feed is ready.
  * @property {string[]} availableModels - List of available AI model IDs.
  * @property {boolean} authChecked - True once the initial Firebase auth state check has completed.
@@ -51,6 +52,8 @@ function useAuth(setAppPopup) {
    * @type {boolean}
    */
   const [isYouTubeLinkedByAuthCheck, setIsYouTubeLinkedByAuthCheck] = useState(false);
+  /** @state True if the linked YouTube account granted the scope needed to change playlists. @type {boolean} */
+  const [hasYouTubeWriteAccess, setHasYouTubeWriteAccess] = useState(false);
   /** @state True if the user's subscription feed is ready based on backend check. @type {boolean} */
   const [isSubscriptionFeedReady, setIsSubscriptionFeedReady] = useState(false);
   /** @state List of available Gemini model IDs fetched from the backend. @type {string[]} */
@@ -92,6 +95,7 @@ function useAuth(setAppPopup) {
             const youtubeLinked = !!authZData.youtubeLinked;
             const subscriptionFeedReady = !!authZData.isSubscriptionFeedReady;
             setIsYouTubeLinkedByAuthCheck(youtubeLinked);
+            setHasYouTubeWriteAccess(!!authZData.youtubeWriteAccess);
             setIsSubscriptionFeedReady(subscriptionFeedReady);
             setAvailableModels(authZData.availableModels || []);
             console.log('User is authorized. YouTube linked:', youtubeLinked, 'Feed Ready:', subscriptionFeedReady, 'Models:', authZData.availableModels);
@@ -113,6 +117,7 @@ function useAuth(setAppPopup) {
           } else {
             setIsAuthorizedUser(false);
             setIsYouTubeLinkedByAuthCheck(false);
+            setHasYouTubeWriteAccess(false);
             setIsSubscriptionFeedReady(false);
             setAppAuthorizationError(authZData.error || 'User not on allow-list.');
             console.warn('User not on allow-list or backend error:', user.email, authZData.error);
@@ -121,6 +126,7 @@ function useAuth(setAppPopup) {
           console.error('Error checking user authorization (allow-list) or fetching models:', err);
           setIsAuthorizedUser(false);
           setIsYouTubeLinkedByAuthCheck(false);
+          setHasYouTubeWriteAccess(false);
           setIsSubscriptionFeedReady(false);
           setAppAuthorizationError('Failed to verify app authorization status.');
         }
@@ -129,6 +135,7 @@ function useAuth(setAppPopup) {
         setIsLoggedIn(false);
         setIsAuthorizedUser(false);
         setIsYouTubeLinkedByAuthCheck(false);
+        setHasYouTubeWriteAccess(false);
         setIsSubscriptionFeedReady(false);
         setAppAuthorizationError(null);
         // setAvailableModels([]); // Already reset at the start of onAuthStateChanged callback
@@ -202,6 +209,7 @@ function useAuth(setAppPopup) {
     isLoggedIn,
     isAuthorizedUser,
     isYouTubeLinkedByAuthCheck,
+    hasYouTubeWriteAccess,
     isSubscriptionFeedReady, // Expose new state
     availableModels, // Expose available models
     authChecked,
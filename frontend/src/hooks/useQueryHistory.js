@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Custom React hook that loads the user's chat query history,
+ * which the chat service saves server-side for every answered query.
+ */
+import {useState, useCallback} from 'react';
+
+const LIST_QUERY_HISTORY_URL = process.env.REACT_APP_LIST_QUERY_HISTORY_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/listQueryHistory';
+
+/**
+ * @typedef {object} QueryHistoryEntry
+ * @property {string} id - The entry ID.
+ * @property {string} query - The query the user asked.
+ * @property {string} playlistId - The playlist the query was asked about.
+ * @property {string} modelId - The AI model that answered.
+ * @property {string} answer - The answer text shown with the results.
+ * @property {Array<object>} results - The suggested videos, as shown then (see VideoList).
+ * @property {string|null} actionPlanSummary - The summary of the action plan the query got, if any.
+ * @property {string} createdAt - When the query was answered (ISO string).
+ */
+
+/**
+ * @typedef {object} QueryHistoryHookReturn
+ * @property {Array<QueryHistoryEntry>} historyEntries - The user's recent queries, newest first.
+ * @property {boolean} isLoadingHistory - True while the history is being fetched.
+ * @property {function(): Promise<void>} fetchQueryHistory - Function to (re)load the history.
+ */
+
+/**
+ * Custom hook to load the signed-in user's query history from the `listQueryHistory` Cloud Function.
+ * @param {object|null} currentUser - The signed-in Firebase user.
+ * @param {function(object): void} setAppPopup - Callback to show app-level popups.
+ * @returns {QueryHistoryHookReturn} The history and the function that loads it.
+ */
+function useQueryHistory(currentUser, setAppPopup) {
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+
+  const fetchQueryHistory = useCallback(async () => {
+    if (!currentUser) return;
+    setIsLoadingHistory(true);
+    try {
+      const idToken = await currentUser.getIdToken();
+      const response = await fetch(LIST_QUERY_HISTORY_URL, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+      }
+      setHistoryEntries(data.entries);
+    } catch (err) {
+      if (setAppPopup) setAppPopup({visible: true, message: `Error loading history: ${err.message}`, type: 'error'});
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  }, [currentUser, setAppPopup]);
+
+  return {historyEntries, isLoadingHistory, fetchQueryHistory};
+}
+
+export {useQueryHistory};
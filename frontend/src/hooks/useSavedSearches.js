@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Custom React hook that manages the user's saved searches. The
+ * backend runs each saved search against the user's subscription feed whenever
+ * the feed is refreshed, and keeps the new matches until the user has seen them.
+ */
+import {useState, useCallback, useEffect} from 'react';
+
+const MANAGE_SAVED_SEARCHES_URL = process.env.REACT_APP_MANAGE_SAVED_SEARCHES_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/manageSavedSearches';
+
+/**
+ * @typedef {object} SavedSearchMatch
+ * @property {string} videoId - The matching video.
+ * @property {string} title - The video title.
+ * @property {string} channelTitle - The channel that uploaded the video.
+ * @property {string|null} thumbnailUrl - The video thumbnail.
+ * @property {string|null} publishedAt - When the video was published (ISO string).
+ * @property {string} reason - Why the AI matched the video to the search.
+ * @property {string} matchedAt - When the video was matched (ISO string).
+ */
+
+/**
+ * @typedef {object} SavedSearch
+ * @property {string} id - The search ID.
+ * @property {string} query - What the search looks for.
+ * @property {{channel: string, target: string}|null} digest - Where new matches are also sent, if anywhere.
+ * @property {Array<SavedSearchMatch>} matches - The most recent matches, newest first.
+ * @property {number} unseenCount - How many of the matches the user has not seen yet.
+ * @property {string|null} lastRunAt - When the search last ran (ISO string), or null if it has not yet.
+ * @property {string} createdAt - When the search was saved (ISO string).
+ */
+
+/**
+ * @typedef {object} SavedSearchesHookReturn
+ * @property {Array<SavedSearch>} savedSearches - The user's saved searches, newest first.
+ * @property {boolean} isLoadingSavedSearches - True while the searches are being fetched.
+ * @property {number} unseenMatchCount - The number of unseen matches across all searches.
+ * @property {function(): Promise<void>} fetchSavedSearches - Function to (re)load the searches.
+ * @property {function(string, ({channel: string, target: string}|null)): Promise<boolean>}
+ *     createSavedSearch - Saves a search, with an optional digest; resolves to success.
+ * @property {function(string): Promise<boolean>} deleteSavedSearch - Deletes a search; resolves to success.
+ * @property {function(string): Promise<void>} markSavedSearchSeen - Marks a search's matches as seen.
+ */
+
+/**
+ * Custom hook to manage the signed-in user's saved searches through the
+ * `manageSavedSearches` Cloud Function. The searches are loaded on sign-in, so
+ * the unseen match count is known before the user opens them.
+ * @param {object|null} currentUser - The signed-in Firebase user.
+ * @param {function(object): void} setAppPopup - Callback to show app-level popups.
+ * @returns {SavedSearchesHookReturn} The searches and the functions that change them.
+ */
+function useSavedSearches(currentUser, setAppPopup) {
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [isLoadingSavedSearches, setIsLoadingSavedSearches] = useState(false);
+
+  const callManageSavedSearches = useCallback(async (body) => {
+    const idToken = await currentUser.getIdToken();
+    const response = await fetch(MANAGE_SAVED_SEARCHES_URL, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || response.statusText);
+    }
+    return data;
+  }, [currentUser]);
+
+  const fetchSavedSearches = useCallback(async () => {
+    if (!currentUser) return;
+    setIsLoadingSavedSearches(true);
+    try {
+      const data = await callManageSavedSearches({action: 'list'});
+      setSavedSearches(data.searches);
+    } catch (err) {
+      console.error('Error loading saved searches:', err);
+    } finally {
+      setIsLoadingSavedSearches(false);
+    }
+  }, [currentUser, callManageSavedSearches]);
+
+  useEffect(() => {
+    if (currentUser) {
+      fetchSavedSearches();
+    } else {
+      setSavedSearches([]);
+    }
+  }, [currentUser, fetchSavedSearches]);
+
+  const createSavedSearch = useCallback(async (query, digest) => {
+    if (!currentUser) return false;
+    try {
+      const data = await callManageSavedSearches({action: 'create', query, digest});
+      setSavedSearches((prev) => [data.search, ...prev]);
+      if (setAppPopup) setAppPopup({visible: true, message: 'Search saved. It runs when your subscriptions next refresh.', type: 'success'});
+      return true;
+    } catch (err) {
+      if (setAppPopup) setAppPopup({visible: true, message: `Error saving search: ${err.message}`, type: 'error'});
+      return false;
+    }
+  }, [currentUser, callManageSavedSearches, setAppPopup]);
+
+  const deleteSavedSearch = useCallback(async (searchId) => {
+    if (!currentUser) return false;
+    try {
+      await callManageSavedSearches({action: 'delete', searchId});
+      setSavedSearches((prev) => prev.filter((s) => s.id !== searchId));
+      return true;
+    } catch (err) {
+      if (setAppPopup) setAppPopup({visible: true, message: `Error deleting search: ${err.message}`, type: 'error'});
+      return false;
+    }
+  }, [currentUser, callManageSavedSearches, setAppPopup]);
+
+  const markSavedSearchSeen = useCallback(async (searchId) => {
+    if (!currentUser) return;
+    // Cleared right away so the badge does not linger; if the request fails,
+    // the count only comes back on the next load.
+    setSavedSearches((prev) => prev.map((s) =>
+      (s.id === searchId ? {...s, unseenCount: 0} : s)));
+    try {
+      await callManageSavedSearches({action: 'markSeen', searchId});
+    } catch (err) {
+      console.error('Error marking saved search seen:', err);
+    }
+  }, [currentUser, callManageSavedSearches]);
+
+  const unseenMatchCount =
+    savedSearches.reduce((sum, s) => sum + s.unseenCount, 0);
+
+  return {
+    savedSearches,
+    isLoadingSavedSearches,
+    unseenMatchCount,
+    fetchSavedSearches,
+    createSavedSearch,
+    deleteSavedSearch,
+    markSavedSearchSeen,
+  };
+}
+
+export {useSavedSearches};
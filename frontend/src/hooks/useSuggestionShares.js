@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Custom React hooks for shared suggestion lists: one creates a
+ * read-only link to a chat answer, the other loads a shared answer for the
+ * public share page, which needs no sign-in.
+ */
+import {useState, useCallback, useEffect} from 'react';
+
+const CREATE_SUGGESTION_SHARE_URL = process.env.REACT_APP_CREATE_SUGGESTION_SHARE_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/createSuggestionShare';
+const GET_SUGGESTION_SHARE_URL = process.env.REACT_APP_GET_SUGGESTION_SHARE_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/getSuggestionShare';
+// The query parameter that names a shared list; index.js renders
+// SharedListScreen for it. A query string rather than a `/share/<id>` path
+// keeps the page at the app's own URL, so the relative script paths of the
+// build (`"homepage": "."`) still resolve.
+const SHARE_QUERY_PARAM = 'share';
+
+/**
+ * @typedef {object} SharedList
+ * @property {string} query - The query that was answered.
+ * @property {string|null} answer - The answer text.
+ * @property {Array<object>} videos - The suggested videos, with `videoId`, `title`,
+ *     `channelTitle`, `thumbnailUrl`, `duration`, `publishedAt`, `reason`,
+ *     `startSeconds` and `quote`.
+ * @property {string} createdAt - When the list was shared (ISO string).
+ * @property {string} expiresAt - When the link stops working (ISO string).
+ */
+
+/**
+ * Returns the share ID in a share page query string, e.g. `?share=AbC...`.
+ * @param {string} search - The page's query string (`window.location.search`).
+ * @returns {string|null} The share ID, or null if the page is not a share page.
+ */
+function getShareIdFromSearch(search) {
+  const shareId = new URLSearchParams(search).get(SHARE_QUERY_PARAM);
+  return shareId && /^[A-Za-z0-9_-]+$/.test(shareId) ? shareId : null;
+}
+
+/**
+ * Builds the link to a shared list: the app's page with the share ID in its
+ * query string, and without the current query string or hash.
+ * @param {string} pageUrl - The app's current URL (`window.location.href`).
+ * @param {string} shareId - The share ID.
+ * @returns {string} The share link.
+ */
+function buildShareUrl(pageUrl, shareId) {
+  const url = new URL(pageUrl);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(SHARE_QUERY_PARAM, shareId);
+  return url.toString();
+}
+
+/**
+ * Custom hook to share chat answers through the `createSuggestionShare` Cloud
+ * Function.
+ * @param {object|null} currentUser - The signed-in Firebase user.
+ * @param {function(object): void} setAppPopup - Callback to show app-level popups.
+ * @returns {{shareSuggestions: function(object, number): Promise<({url: string, expiresAt: string}|null)>}}
+ *     `shareSuggestions` shares a conversation turn for the given number of days
+ *     and resolves to the link, or null on error.
+ */
+function useSuggestionShares(currentUser, setAppPopup) {
+  const shareSuggestions = useCallback(async (turn, expiresInDays) => {
+    if (!currentUser) return null;
+    try {
+      const idToken = await currentUser.getIdToken();
+      const response = await fetch(CREATE_SUGGESTION_SHARE_URL, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+        body: JSON.stringify({
+          query: turn.query,
+          answer: turn.answer || null,
+          videos: turn.suggestedVideos,
+          expiresInDays,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+      }
+      return {
+        url: buildShareUrl(window.location.href, data.shareId),
+        expiresAt: data.expiresAt,
+      };
+    } catch (err) {
+      if (setAppPopup) setAppPopup({visible: true, message: `Error creating share link: ${err.message}`, type: 'error'});
+      return null;
+    }
+  }, [currentUser, setAppPopup]);
+
+  return {shareSuggestions};
+}
+
+/**
+ * Custom hook that loads a shared list from the `getSuggestionShare` Cloud
+ * Function. It sends no credentials.
+ * @param {string} shareId - The share ID from the page's query string.
+ * @returns {{sharedList: (SharedList|null), isLoading: boolean, error: (string|null)}}
+ *     The list once loaded, and the error message if it could not be loaded
+ *     (e.g. the link has expired).
+ */
+function useSharedSuggestionList(shareId) {
+  const [sharedList, setSharedList] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    setIsLoading(true);
+    setError(null);
+    fetch(GET_SUGGESTION_SHARE_URL, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({shareId}),
+    })
+        .then(async (response) => {
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.error || response.statusText);
+          }
+          if (isCurrent) setSharedList(data.share);
+        })
+        .catch((err) => {
+          if (isCurrent) setError(err.message);
+        })
+        .finally(() => {
+          if (isCurrent) setIsLoading(false);
+        });
+    return () => {
+      isCurrent = false;
+    };
+  }, [shareId]);
+
+  return {sharedList, isLoading, error};
+}
+
+export {
+  useSuggestionShares,
+  useSharedSuggestionList,
+  getShareIdFromSearch,
+  buildShareUrl,
+};
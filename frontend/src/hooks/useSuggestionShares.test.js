@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Tests for the share link helpers in useSuggestionShares.
+ */
+import {getShareIdFromSearch, buildShareUrl} from './useSuggestionShares';
+
+describe('getShareIdFromSearch', () => {
+  test('returns the share ID from the query string', () => {
+    expect(getShareIdFromSearch('?share=AbC-12_x')).toBe('AbC-12_x');
+    expect(getShareIdFromSearch('?utm_source=mail&share=AbC')).toBe('AbC');
+  });
+
+  test('returns null when the page is not a share page', () => {
+    expect(getShareIdFromSearch('')).toBeNull();
+    expect(getShareIdFromSearch('?other=AbC')).toBeNull();
+    expect(getShareIdFromSearch('?share=')).toBeNull();
+  });
+
+  test('rejects share IDs with characters outside base64url', () => {
+    expect(getShareIdFromSearch('?share=..%2Fetc')).toBeNull();
+    expect(getShareIdFromSearch('?share=a%20b')).toBeNull();
+  });
+});
+
+describe('buildShareUrl', () => {
+  test('keeps the app page and replaces its query string and hash', () => {
+    expect(buildShareUrl('https://app.example/?tab=chat#x', 'AbC'))
+        .toBe('https://app.example/?share=AbC');
+  });
+
+  test('keeps a sub-path the app is served from', () => {
+    expect(buildShareUrl('https://host.example/reelworthy/', 'AbC'))
+        .toBe('https://host.example/reelworthy/?share=AbC');
+  });
+
+  test('builds links that getShareIdFromSearch reads back', () => {
+    const url = new URL(buildShareUrl('https://app.example/', 'AbC_1-2'));
+    expect(getShareIdFromSearch(url.search)).toBe('AbC_1-2');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Custom React hook that manages the user's watch queue: the
+ * videos they have lined up to watch, in order, which the "Up Next" screen
+ * plays through. The queue is stored by the backend, so it follows the user
+ * between devices.
+ */
+import {useState, useCallback, useEffect} from 'react';
+
+const MANAGE_WATCH_QUEUE_URL = process.env.REACT_APP_MANAGE_WATCH_QUEUE_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/manageWatchQueue';
+
+/**
+ * @typedef {object} WatchQueueItem
+ * @property {string} videoId - The queued video.
+ * @property {string} title - The video title.
+ * @property {string} channelTitle - The channel that uploaded the video.
+ * @property {string|null} thumbnailUrl - The video thumbnail.
+ * @property {string|null} duration - The formatted duration (e.g., "00:12:34").
+ * @property {boolean} done - Whether the user has watched it.
+ * @property {string} addedAt - When it was queued (ISO string).
+ * @property {string|null} doneAt - When it was marked done (ISO string), or null.
+ */
+
+/**
+ * @typedef {object} WatchQueueHookReturn
+ * @property {Array<WatchQueueItem>} watchQueue - The queued videos, in order.
+ * @property {boolean} isLoadingWatchQueue - True while the queue is being fetched.
+ * @property {function(): Promise<void>} fetchWatchQueue - Function to (re)load the queue.
+ * @property {function(Array<object>): Promise<boolean>} addToWatchQueue - Appends videos that
+ *     are not queued yet; resolves to success.
+ * @property {function(string): Promise<boolean>} removeFromWatchQueue - Removes a video; resolves to success.
+ * @property {function(Array<string>): Promise<boolean>} reorderWatchQueue - Puts the queue in the
+ *     order of the given video IDs; resolves to success.
+ * @property {function(string, boolean): Promise<boolean>} setWatchQueueItemDone - Marks a video
+ *     done or not done; resolves to success.
+ * @property {function(): Promise<boolean>} clearDoneFromWatchQueue - Removes the videos marked
+ *     done; resolves to success.
+ */
+
+/**
+ * Custom hook to manage the signed-in user's watch queue through the
+ * `manageWatchQueue` Cloud Function. Every change responds with the whole
+ * queue, which replaces the local copy.
+ * @param {object|null} currentUser - The signed-in Firebase user.
+ * @param {function(object): void} setAppPopup - Callback to show app-level popups.
+ * @returns {WatchQueueHookReturn} The queue and the functions that change it.
+ */
+function useWatchQueue(currentUser, setAppPopup) {
+  const [watchQueue, setWatchQueue] = useState([]);
+  const [isLoadingWatchQueue, setIsLoadingWatchQueue] = useState(false);
+
+  const callManageWatchQueue = useCallback(async (body) => {
+    const idToken = await currentUser.getIdToken();
+    const response = await fetch(MANAGE_WATCH_QUEUE_URL, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || response.statusText);
+    }
+    return data;
+  }, [currentUser]);
+
+  const fetchWatchQueue = useCallback(async () => {
+    if (!currentUser) return;
+    setIsLoadingWatchQueue(true);
+    try {
+      const data = await callManageWatchQueue({action: 'list'});
+      setWatchQueue(data.queue.items);
+    } catch (err) {
+      console.error('Error loading watch queue:', err);
+    } finally {
+      setIsLoadingWatchQueue(false);
+    }
+  }, [currentUser, callManageWatchQueue]);
+
+  useEffect(() => {
+    if (currentUser) {
+      fetchWatchQueue();
+    } else {
+      setWatchQueue([]);
+    }
+  }, [currentUser, fetchWatchQueue]);
+
+  /**
+   * Sends a change and replaces the local queue with the result.
+   * @param {object} body - The request body.
+   * @param {string} errorPrefix - What the error popup starts with.
+   * @returns {Promise<boolean>} Resolves to success.
+   */
+  const changeWatchQueue = useCallback(async (body, errorPrefix) => {
+    if (!currentUser) return false;
+    try {
+      const data = await callManageWatchQueue(body);
+      setWatchQueue(data.queue.items);
+      return true;
+    } catch (err) {
+      if (setAppPopup) {
+        setAppPopup({visible: true, message: `${errorPrefix}: ${err.message}`, type: 'error'});
+        setTimeout(() => setAppPopup((p) => ({...p, visible: false})), 3000);
+      }
+      return false;
+    }
+  }, [currentUser, callManageWatchQueue, setAppPopup]);
+
+  const addToWatchQueue = useCallback(async (videos) => {
+    const added = await changeWatchQueue({
+      action: 'add',
+      videos: videos.map((video) => ({
+        videoId: video.videoId,
+        title: video.title,
+        channelTitle: video.channelTitle,
+        thumbnailUrl: video.thumbnailUrl,
+        duration: video.duration,
+      })),
+    }, 'Error adding to watch queue');
+    if (added && setAppPopup) {
+      const message = videos.length === 1 ? 'Added to Up Next.' : `Added ${videos.length} videos to Up Next.`;
+      setAppPopup({visible: true, message, type: 'success'});
+      setTimeout(() => setAppPopup((p) => ({...p, visible: false})), 2000);
+    }
+    return added;
+  }, [changeWatchQueue, setAppPopup]);
+
+  const removeFromWatchQueue = useCallback((videoId) =>
+    changeWatchQueue({action: 'remove', videoId}, 'Error removing from watch queue'),
+  [changeWatchQueue]);
+
+  const reorderWatchQueue = useCallback(async (videoIds) => {
+    // Shown in the new order right away, so a drag does not snap back while the request is in flight.
+    const byId = new Map(watchQueue.map((item) => [item.videoId, item]));
+    setWatchQueue(videoIds.map((id) => byId.get(id)).filter(Boolean));
+    const reordered = await changeWatchQueue({action: 'reorder', videoIds}, 'Error reordering watch queue');
+    if (!reordered) {
+      // The queue may have changed elsewhere; show it as stored.
+      await fetchWatchQueue();
+    }
+    return reordered;
+  }, [watchQueue, changeWatchQueue, fetchWatchQueue]);
+
+  const setWatchQueueItemDone = useCallback((videoId, done) =>
+    changeWatchQueue({action: 'setDone', videoId, done}, 'Error updating watch queue'),
+  [changeWatchQueue]);
+
+  const clearDoneFromWatchQueue = useCallback(() =>
+    changeWatchQueue({action: 'clearDone'}, 'Error clearing watch queue'),
+  [changeWatchQueue]);
+
+  return {
+    watchQueue,
+    isLoadingWatchQueue,
+    fetchWatchQueue,
+    addToWatchQueue,
+    removeFromWatchQueue,
+    reorderWatchQueue,
+    setWatchQueueItemDone,
+    clearDoneFromWatchQueue,
+  };
+}
+
+export {useWatchQueue};
@@ -7,6 +7,8 @@ const WEBSOCKET_SERVICE_URL = process.env.REACT_APP_WEBSOCKET_SERVICE_URL || 'ws
 const MAX_RECONNECT_ATTEMPTS = 5;
 const INITIAL_RECONNECT_DELAY_MS = 1000;
 const MAX_RECONNECT_DELAY_MS = 30000;
+// Queries the chat service answers with its instant keyword search.
+const FIND_QUERY_PATTERN = /^\s*\/find(\s|$)/i;
 
 /**
  * @typedef {object} SuggestedVideo
@@ -17,20 +19,61 @@ const MAX_RECONNECT_DELAY_MS = 30000;
  * @property {string} description - A snippet of the video's description.
  * @property {string} thumbnailUrl - URL of the video's thumbnail image.
  * @property {string} [reason] - Optional reason why the video was suggested.
+ * @property {number} [confidence] - The model's confidence (0 to 1) that the video matches the query.
+ */
+
+/**
+ * @typedef {object} ConversationTurn
+ * @property {string} query - The query the user submitted for this turn.
+ * @property {object|null} [filters] - The structured filters sent with the query (see
+ *     QueryFiltersPanel's `toQueryFilters`), or null.
+ * @property {number|null} [budgetSeconds] - The time budget sent with the query, or null.
+ * @property {{budgetSeconds: number, videoIds: Array<string>, totalSeconds: number}|null} [watchPlan] - The
+ *     suggestions the chat service picked to fit the time budget (see WatchPlan), or null.
+ * @property {Array<SuggestedVideo>} suggestedVideos - The videos suggested in response to the query.
+ * @property {object|null} [actionPlan] - The AI's proposed playlist changes, for a maintenance request
+ *     (see ActionPlanReview); null for a recommendation.
+ * @property {string} [answer] - The summary answer text returned by the chat service.
+ * @property {string} [source] - 'keyword' for a `/find` query, which the chat service answers
+ *     from its keyword index without the AI; 'ai' otherwise.
+ * @property {boolean} isPending - True while the response for this turn is still streaming.
+ * @property {string} [error] - Set when the server could not parse the AI response for this turn; the turn can be retried.
+ */
+
+/**
+ * @typedef {object} QueryOptions
+ * @property {object|null} [filters] - Structured filters the chat service applies before the AI sees the videos.
+ * @property {number|null} [budgetSeconds] - A time budget; the chat service plans the suggestions that fit it.
  */
 
 /**
  * @typedef {object} WebSocketChatHookReturn
- * @property {Array<SuggestedVideo>} suggestedVideos - Suggested videos from the chat.
- * @property {string} lastQuery - The last query submitted by the user.
+ * @property {Array<SuggestedVideo>} suggestedVideos - Suggested videos from the most recent turn.
+ * @property {Array<ConversationTurn>} conversation - All turns of the current conversation, oldest first.
  * @property {string} thinkingOutput - The raw output from the AI as it 'thinks'.
  * @property {string} dataReceptionIndicator - String of '#' indicating data chunks received.
  * @property {string} activeOutputTab - The currently active output tab ('Results' or 'Thinking').
  * @property {(tabName: string) => void} setActiveOutputTab - Setter for `activeOutputTab`.
  * @property {boolean} isStreaming - True if the AI is currently streaming a response.
- * @property {(query: string) => Promise<void>} handleQuerySubmit - Function to submit a new query to the chat.
+ * @property {boolean} isChatReady - True once the chat service has initialized the session for the
+ *     selected playlist, until the connection closes.
+ * @property {(query: string, options: (QueryOptions|undefined)) => Promise<void>} handleQuerySubmit - Function to submit
+ *     a new query to the chat.
+ * @property {() => void} handleResetConversation - Function to discard the conversation and start over.
+ * @property {(query: string, options: (QueryOptions|undefined)) => Promise<void>} handleRetryQuery - Function to discard
+ *     failed turns and resubmit a query with its options.
  */
 
+/**
+ * Checks whether a query is a `/find` query, which the chat service answers with
+ * its instant keyword search instead of the AI.
+ * @param {string} query - The query.
+ * @returns {boolean} True for a `/find` query.
+ */
+function isFindQuery(query) {
+  return FIND_QUERY_PATTERN.test(query);
+}
+
 /**
  * Custom hook to manage WebSocket connection, message handling, and chat state for AI interactions.
  * It handles connecting to a WebSocket service, sending queries, receiving streamed responses
@@ -42,24 +85,45 @@ const MAX_RECONNECT_DELAY_MS = 30000;
  * @param {function(object): void} setAppPopup - Callback to show app-level popups.
  * @param {function(string | null): void} setAppError - Callback to set app-level error messages.
  * @param {string} selectedModelId - The ID of the user-selected Gemini model to be used for chat.
- * @param {string | null | undefined} userId - The Firebase UID of the current user.
+ * @param {import('firebase/auth').User | null} currentUser - The signed-in Firebase user, whose ID token authenticates the chat session.
  * @param {boolean} currentIncludeSubscriptionFeed - The current preference for including subscription feed videos.
  * @param {boolean} deepThinking - The current preference for the deep thinking feature.
+ * @param {boolean} includeTranscripts - The current preference for including transcript summaries in the AI context.
+ * @param {Array<{id: string, title: string}>|null} actionPlanPlaylists - The user's playlists if they have allowed
+ *     playlist changes, which lets the AI answer maintenance requests with an action plan; otherwise null.
  * @returns {WebSocketChatHookReturn} An object containing chat state and handler functions.
  */
-function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup, setAppError, selectedModelId, userId, currentIncludeSubscriptionFeed, deepThinking) {
+function useWebSocketChat(
+    selectedPlaylistId, isPlaylistDataReady, setAppPopup, setAppError,
+    selectedModelId, currentUser, currentIncludeSubscriptionFeed, deepThinking,
+    includeTranscripts, actionPlanPlaylists) {
   const ws = useRef(null);
   const pingIntervalRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
+  // Set when the server rejects our ID token, so the next (re)connect fetches a fresh one.
+  const forceTokenRefreshRef = useRef(false);
 
   const [suggestedVideos, setSuggestedVideos] = useState([]);
-  const [lastQuery, setLastQuery] = useState('');
+  const [conversation, setConversation] = useState([]);
+  // Mirrors `conversation` so a reconnect can replay completed turns to the server in INIT_CHAT.
+  const conversationRef = useRef([]);
+  // Read when INIT_CHAT is sent; a ref so that playlist count updates do not reconnect the chat.
+  const actionPlanPlaylistsRef = useRef(actionPlanPlaylists);
   const [thinkingOutput, setThinkingOutput] = useState('');
   const [dataReceptionIndicator, setDataReceptionIndicator] = useState(''); // New state for "###"
   const [activeOutputTab, setActiveOutputTab] = useState('Results');
   const [isStreaming, setIsStreaming] = useState(false);
+  const [isChatReady, setIsChatReady] = useState(false);
   const [reconnectAttempt, setReconnectAttempt] = useState(0);
 
+  useEffect(() => {
+    conversationRef.current = conversation;
+  }, [conversation]);
+
+  useEffect(() => {
+    actionPlanPlaylistsRef.current = actionPlanPlaylists;
+  }, [actionPlanPlaylists]);
+
   const clearWebSocketTimers = useCallback(() => {
     if (pingIntervalRef.current) clearInterval(pingIntervalRef.current);
     pingIntervalRef.current = null;
@@ -76,6 +140,7 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
       ws.current.onerror = null;
       ws.current.close();
       ws.current = null;
+      setIsChatReady(false);
       console.log('WebSocket connection intentionally closed.');
     }
   }, [clearWebSocketTimers]);
@@ -91,21 +156,60 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
     closeWebSocket();
     ws.current = new WebSocket(WEBSOCKET_SERVICE_URL);
     setIsStreaming(false);
+    setIsChatReady(false);
     setThinkingOutput('');
     setDataReceptionIndicator(''); // Clear on new connection
 
-    ws.current.onopen = () => {
+    ws.current.onopen = async () => {
+      const socket = ws.current;
       setReconnectAttempt(0);
       clearWebSocketTimers();
 
-      ws.current.send(JSON.stringify({
+      let idToken;
+      try {
+        // Fetched on every (re)connect; the SDK returns a cached token until it nears expiry.
+        idToken = await currentUser.getIdToken(forceTokenRefreshRef.current);
+        forceTokenRefreshRef.current = false;
+      } catch (err) {
+        console.error('Failed to get Firebase ID token for chat session:', err);
+        if (setAppError) setAppError('Could not authenticate chat session. Please sign in again.');
+        return;
+      }
+      if (ws.current !== socket || socket.readyState !== WebSocket.OPEN) {
+        return; // Connection was replaced or closed while the token was being fetched.
+      }
+
+      socket.send(JSON.stringify({
         type: 'INIT_CHAT',
         payload: {
           playlistId: playlistIdToConnect,
           modelId: selectedModelId,
           includeSubscriptionFeed: currentIncludeSubscriptionFeed,
-          userId: userId,
+          includeTranscripts: includeTranscripts,
+          idToken: idToken,
           deepThinking: deepThinking,
+          playlists: actionPlanPlaylistsRef.current ?
+            actionPlanPlaylistsRef.current
+                .map((p) => ({id: p.id, title: p.title})) :
+            undefined,
+          conversationHistory: conversationRef.current
+              .filter((turn) => !turn.isPending && !turn.error)
+              .map((turn) => ({
+                query: turn.query,
+                suggestedVideos: turn.suggestedVideos.map((v) => ({
+                  videoId: v.videoId,
+                  reason: v.reason,
+                })),
+                actionPlan: turn.actionPlan ? {
+                  summary: turn.actionPlan.summary,
+                  steps: turn.actionPlan.steps.map((step) => ({
+                    action: step.action,
+                    targetPlaylistId: step.targetPlaylistId,
+                    videoIds: step.videos.map((v) => v.videoId),
+                    reason: step.reason,
+                  })),
+                } : undefined,
+              })),
         },
       }));
       if (setAppPopup) setAppPopup({visible: true, message: 'Chat service connected.', type: 'info'});
@@ -129,6 +233,7 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
             if (setAppPopup) setAppPopup((p) => ({...p, visible: false}));
           }, 2000);
           setIsStreaming(false);
+          setIsChatReady(true);
           break;
         case 'THINKING_CHUNK':
           if (message.payload && message.payload.textChunk) {
@@ -144,16 +249,37 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
           break;
         case 'STREAM_END':
           setSuggestedVideos(message.payload.suggestedVideos || []);
+          setConversation((prev) => prev.map((turn, index) => (
+            index === prev.length - 1 && turn.isPending ? {
+              ...turn,
+              suggestedVideos: message.payload.suggestedVideos || [],
+              actionPlan: message.payload.actionPlan || null,
+              answer: message.payload.answer,
+              source: message.payload.source || 'ai',
+              watchPlan: message.payload.watchPlan || null,
+              isPending: false,
+            } : turn
+          )));
           setDataReceptionIndicator(''); // Clear indicator
-          if (setAppPopup) setAppPopup({visible: true, message: 'Suggestions received!', type: 'success'});
+          // Keyword results arrive at once, so they need no announcement.
+          if (setAppPopup && message.payload.source !== 'keyword') {
+            const received = message.payload.actionPlan ? 'Action plan received!' : 'Suggestions received!';
+            setAppPopup({visible: true, message: received, type: 'success'});
+          }
           setTimeout(() => {
             if (setAppPopup) setAppPopup((p) => ({...p, visible: false}));
           }, 2000);
-          setActiveOutputTab('Results');
+          // A /find query never left the results.
+          if (message.payload.source !== 'keyword') setActiveOutputTab('Results');
           setIsStreaming(false);
           break;
         case 'ERROR':
+          if (message.code === 'UNAUTHENTICATED') {
+            forceTokenRefreshRef.current = true;
+          }
           setDataReceptionIndicator(''); // Clear indicator
+          // Drop the turn that failed so it is not replayed as context.
+          setConversation((prev) => prev.filter((turn) => !turn.isPending));
           if (setAppError) setAppError(`Chat Error: ${message.error}`);
           if (setAppPopup) setAppPopup({visible: true, message: `Chat Error: ${message.error}`, type: 'error'});
           setTimeout(() => {
@@ -162,6 +288,26 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
           setActiveOutputTab('Results');
           setIsStreaming(false);
           break;
+        case 'PARSE_ERROR':
+          setDataReceptionIndicator(''); // Clear indicator
+          // Keep the failed turn, marked with the error, so it can be retried from the thread.
+          setConversation((prev) => prev.map((turn, index) => (
+            index === prev.length - 1 && turn.isPending ? {
+              ...turn,
+              isPending: false,
+              error: message.payload.error,
+            } : turn
+          )));
+          if (setAppPopup) setAppPopup({visible: true, message: 'The AI response could not be read. You can retry the query.', type: 'error'});
+          setTimeout(() => {
+            if (setAppPopup) setAppPopup((p) => ({...p, visible: false}));
+          }, 5000);
+          setActiveOutputTab('Results');
+          setIsStreaming(false);
+          break;
+        case 'CONVERSATION_RESET':
+          console.log('Chat service confirmed conversation reset.');
+          break;
         default:
           console.warn('Received unknown WebSocket message type:', message.type);
       }
@@ -176,6 +322,7 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
       console.log('WebSocket closed or error:', event.type);
       clearWebSocketTimers();
       setDataReceptionIndicator(''); // Clear indicator on close/error too
+      setIsChatReady(false);
 
       if (selectedPlaylistId && ws.current && !ws.current.onclose) {
         return;
@@ -206,9 +353,10 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
   }, [
     selectedPlaylistId,
     selectedModelId,
-    userId,
+    currentUser,
     currentIncludeSubscriptionFeed,
     deepThinking,
+    includeTranscripts,
     reconnectAttempt,
     closeWebSocket,
     clearWebSocketTimers,
@@ -221,7 +369,7 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
   const prevSelectedPlaylistIdRef = useRef(selectedPlaylistId);
 
   useEffect(() => {
-    if (selectedPlaylistId && isPlaylistDataReady) {
+    if (selectedPlaylistId && isPlaylistDataReady && currentUser) {
       let needsToClearData = false;
       if (selectedPlaylistId !== prevSelectedPlaylistIdRef.current) {
         needsToClearData = true;
@@ -234,7 +382,9 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
         setThinkingOutput('');
         setDataReceptionIndicator(''); // Clear indicator
         setSuggestedVideos([]);
-        setLastQuery('');
+        setConversation([]);
+        // Cleared eagerly so the INIT_CHAT below does not replay the previous playlist's conversation.
+        conversationRef.current = [];
         setActiveOutputTab('Results');
       }
       startWebSocketConnection(selectedPlaylistId);
@@ -246,9 +396,17 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
     return () => {
       closeWebSocket();
     };
-  }, [selectedPlaylistId, isPlaylistDataReady, startWebSocketConnection, closeWebSocket, setActiveOutputTab]);
+  }, [
+    selectedPlaylistId,
+    isPlaylistDataReady,
+    currentUser,
+    startWebSocketConnection,
+    closeWebSocket,
+    setActiveOutputTab,
+  ]);
 
-  const handleQuerySubmit = useCallback(async (query) => {
+  const handleQuerySubmit = useCallback(async (query, options = {}) => {
+    const {filters = null, budgetSeconds = null} = options;
     if (!selectedPlaylistId) {
       if (setAppPopup) setAppPopup({visible: true, message: 'Please select a playlist.', type: 'error'});
       setTimeout(() => {
@@ -264,17 +422,22 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
       return;
     }
 
-    setLastQuery(query);
+    setConversation((prev) => [...prev, {query, filters, budgetSeconds, suggestedVideos: [], answer: '', isPending: true}]);
     if (setAppError) setAppError(null);
     setSuggestedVideos([]);
     setThinkingOutput('');
     setDataReceptionIndicator(''); // Reset indicator
 
-    setActiveOutputTab('Thinking');
+    // A /find query is answered without the AI, so there is no thinking to show.
+    if (!isFindQuery(query)) setActiveOutputTab('Thinking');
     setIsStreaming(true);
 
     try {
-      ws.current.send(JSON.stringify({type: 'USER_QUERY', payload: {query}}));
+      ws.current.send(JSON.stringify({type: 'USER_QUERY', payload: {
+        query,
+        ...(filters ? {filters} : {}),
+        ...(budgetSeconds ? {budgetSeconds} : {}),
+      }}));
     } catch (err) {
       console.error('Error sending query via WebSocket:', err);
       if (setAppError) setAppError(err.message);
@@ -285,6 +448,7 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
       setActiveOutputTab('Results');
       setIsStreaming(false);
       setDataReceptionIndicator(''); // Clear on error too
+      setConversation((prev) => prev.filter((turn) => !turn.isPending));
     }
   }, [
     selectedPlaylistId,
@@ -293,16 +457,36 @@ function useWebSocketChat(selectedPlaylistId, isPlaylistDataReady, setAppPopup,
     setActiveOutputTab,
   ]);
 
+  const handleRetryQuery = useCallback(async (query, options) => {
+    setConversation((prev) => prev.filter((turn) => !turn.error));
+    await handleQuerySubmit(query, options);
+  }, [handleQuerySubmit]);
+
+  const handleResetConversation = useCallback(() => {
+    setConversation([]);
+    conversationRef.current = [];
+    setSuggestedVideos([]);
+    setThinkingOutput('');
+    setDataReceptionIndicator('');
+    setActiveOutputTab('Results');
+    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
+      ws.current.send(JSON.stringify({type: 'RESET_CONVERSATION'}));
+    }
+  }, [setActiveOutputTab]);
+
   return {
     suggestedVideos,
-    lastQuery,
+    conversation,
     thinkingOutput,
     dataReceptionIndicator, // Return new indicator
     activeOutputTab,
     setActiveOutputTab,
     isStreaming,
+    isChatReady,
     handleQuerySubmit,
+    handleResetConversation,
+    handleRetryQuery,
   };
 }
 
-export {useWebSocketChat};
+export {useWebSocketChat, isFindQuery};
@@ -10,8 +10,19 @@ const CLOUD_FUNCTIONS_BASE_URL = {
   listUserPlaylists: process.env.REACT_APP_LIST_USER_PLAYLISTS_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/listUserPlaylists',
   handleYouTubeAuth: process.env.REACT_APP_HANDLE_YOUTUBE_AUTH_URL_FOR_HOOK || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/handleYouTubeAuth',
   requestSubscriptionFeedUpdate: process.env.REACT_APP_REQUEST_SUBSCRIPTION_FEED_UPDATE_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/requestSubscriptionFeedUpdate',
+  ingestVideoTranscripts: process.env.REACT_APP_INGEST_VIDEO_TRANSCRIPTS_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/ingestVideoTranscripts',
+  modifyPlaylistItems: process.env.REACT_APP_MODIFY_PLAYLIST_ITEMS_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/modifyPlaylistItems',
+  setUserVideoState: process.env.REACT_APP_SET_USER_VIDEO_STATE_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/setUserVideoState',
+  listUserVideoStates: process.env.REACT_APP_LIST_USER_VIDEO_STATES_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/listUserVideoStates',
+  exportVideos: process.env.REACT_APP_EXPORT_VIDEOS_URL || 'https://us-central1-watchlaterai-460918.cloudfunctions.net/exportVideos',
 };
 
+const YOUTUBE_READONLY_SCOPE = 'https://www.googleapis.com/auth/youtube.readonly';
+// Needed to change playlists (and to download captions); only requested when the user opts in.
+const YOUTUBE_WRITE_SCOPE = 'https://www.googleapis.com/auth/youtube.force-ssl';
+// modifyPlaylistItems changes at most this many videos per request.
+const MAX_VIDEOS_PER_MODIFY_REQUEST = 50;
+
 /**
  * @typedef {object} YouTubePlaylist
  * @property {string} id - The ID of the playlist.
@@ -30,6 +41,65 @@ const CLOUD_FUNCTIONS_BASE_URL = {
  * @property {string} [description] - Snippet of the video's description.
  * @property {string} [channelTitle] - The title of the channel that uploaded the video.
  * @property {string} [publishedAt] - The publication date of the video (ISO string).
+ * @property {Array<string>} [geminiCategories] - AI-assigned categories; empty until the video has been categorised.
+ */
+
+/**
+ * @typedef {object} PlaylistSyncChanges
+ * @property {boolean} firstSync - True if the user had never synced this playlist before.
+ * @property {boolean} unchanged - True if YouTube reported no changes since the last sync.
+ * @property {Array<string>} added - IDs of videos added since the last sync.
+ * @property {Array<string>} removed - IDs of videos removed since the last sync.
+ */
+
+/**
+ * Summarizes what a playlist sync changed, e.g. "3 new, 1 removed".
+ * @param {PlaylistSyncChanges|undefined} changes - The `changes` reported by getWatchLaterPlaylist.
+ * @returns {string} The summary, or an empty string for a first sync or an unknown result.
+ */
+function describePlaylistChanges(changes) {
+  if (!changes || changes.firstSync) return '';
+  const added = changes.added?.length || 0;
+  const removed = changes.removed?.length || 0;
+  if (added === 0 && removed === 0) return 'no changes';
+  const parts = [];
+  if (added > 0) parts.push(`${added} new`);
+  if (removed > 0) parts.push(`${removed} removed`);
+  return parts.join(', ');
+}
+
+/**
+ * @typedef {object} PlaylistModification
+ * @property {('remove'|'move'|'add')} action - What to do with the videos.
+ * @property {Array<string>} videoIds - The IDs of the videos to change.
+ * @property {string} [sourcePlaylistId] - The playlist to remove the videos from (`remove` and `move`).
+ * @property {string} [targetPlaylistId] - The playlist to add the videos to (`move` and `add`).
+ * @property {Object<string, number>} [positions] - Where to insert each video in the target playlist, by video ID.
+ */
+
+/**
+ * @typedef {object} PlaylistModificationResult
+ * @property {string} videoId - The video ID.
+ * @property {('done'|'not_in_playlist'|'already_in_playlist'|'failed')} status - What happened to the video.
+ * @property {number} [position] - The video's former position in the source playlist, if it was removed from it.
+ */
+
+/**
+ * @typedef {object} UserVideoState
+ * @property {string} videoId - The video ID.
+ * @property {boolean} watched - True if the user marked the video as watched.
+ * @property {boolean} dismissed - True if the user never wants the video suggested.
+ * @property {string|null} snoozedUntil - Until when (ISO string) the video is not suggested, or null.
+ * @property {number|null} rating - The user's rating, from 1 to 5, or null.
+ */
+
+/**
+ * @typedef {object} ExportRequest
+ * @property {('csv'|'json'|'markdown')} format - The file format; `markdown` is a reading list.
+ * @property {('playlist'|'suggestions')} source - Whether to export a whole synced playlist or a list of suggestions.
+ * @property {string} [playlistId] - The playlist to export (`playlist`).
+ * @property {Array<{videoId: string, reason: string, title: string}>} [suggestions] - The suggestions to export (`suggestions`).
+ * @property {string} [title] - The export title, used as the Markdown heading and in the file name.
  */
 
 /**
@@ -47,10 +117,23 @@ const CLOUD_FUNCTIONS_BASE_URL = {
  * @property {Array<YouTubeVideo>} videos - List of videos for the selected playlist.
  * @property {function(): Promise<boolean>} fetchUserPlaylists - Function to fetch user playlists.
  * @property {function(string): Promise<boolean>} fetchPlaylistItems - Function to fetch items for a playlist.
+ * @property {function(string, File): Promise<boolean>} uploadTranscript - Function to upload a
+ *     `.srt` or `.vtt` caption file as the transcript of a video.
+ * @property {function(PlaylistModification, Array<YouTubeVideo>): Promise<Array<PlaylistModificationResult>>} modifyPlaylistItems -
+ *     Function to remove, move or add videos; resolves to the per-video results, or null on error.
+ * @property {Object<string, UserVideoState>} videoStates - The user's video states, keyed by video ID.
+ * @property {function(string, object): Promise<boolean>} updateVideoState - Function to change some of
+ *     a video's state fields (`watched`, `dismissed`, `snoozedUntil`, `rating`); resolves to success.
+ * @property {function(ExportRequest): Promise<boolean>} exportVideos - Function to download a playlist
+ *     or a list of suggestions as a file; resolves to success.
  * @property {function(): Promise<void>} handleConnectYouTube - Function to initiate YouTube OAuth connection.
+ * @property {function(): Promise<void>} handleGrantPlaylistWriteAccess - Function to ask the user for the
+ *     additional permission needed to change playlists.
  * @property {boolean} isYouTubeLinked - True if YouTube account is considered linked by this hook.
  * @property {string|null} youtubeSpecificError - Error message for YouTube specific operations.
  * @property {boolean} isLoadingYouTube - True if YouTube operations are in progress.
+ * @property {{synced: number, total: number}|null} syncProgress - Progress of the playlist
+ *     sync in progress, or null when no playlist is being synced.
  * @property {React.Dispatch<React.SetStateAction<Array<YouTubeVideo>>>} setVideos - Setter for `videos`.
  * @property {React.Dispatch<React.SetStateAction<Array<YouTubePlaylist>>>} setUserPlaylists - Setter for `userPlaylists`.
  * @property {React.Dispatch<React.SetStateAction<boolean>>} setIsYouTubeLinked - Setter for `isYouTubeLinked`.
@@ -66,15 +149,19 @@ const CLOUD_FUNCTIONS_BASE_URL = {
  * @param {boolean} isAuthorizedUser - Whether the user is authorized by the app's allow-list.
  * @param {function(PopupConfig): void} setAppPopup - Function from the main app to show popups.
  * @param {boolean} initialYouTubeLinkedStatus - Initial YouTube linked status from useAuth (isYouTubeLinkedByAuthCheck).
+ * @param {boolean} includeTranscripts - Whether the user wants transcript summaries in the chat
+ *     context; captions are only fetched after a sync when it is on.
  * @returns {YouTubeHookReturn} An object containing YouTube related state and handler functions.
  */
-function useYouTube(currentUser, isLoggedIn, isAuthorizedUser, setAppPopup, initialYouTubeLinkedStatus) {
+function useYouTube(currentUser, isLoggedIn, isAuthorizedUser, setAppPopup, initialYouTubeLinkedStatus, includeTranscripts) {
   const [isYouTubeLinked, setIsYouTubeLinked] = useState(initialYouTubeLinkedStatus);
   const [userPlaylists, setUserPlaylists] = useState([]);
   const [selectedPlaylistId, setSelectedPlaylistId] = useState('');
   const [videos, setVideos] = useState([]);
   const [youtubeSpecificError, setYoutubeSpecificError] = useState(null);
   const [isLoadingYouTube, setIsLoadingYouTube] = useState(false);
+  const [syncProgress, setSyncProgress] = useState(null);
+  const [videoStates, setVideoStates] = useState({});
 
   useEffect(() => {
     setIsYouTubeLinked(initialYouTubeLinkedStatus);
@@ -148,28 +235,52 @@ function useYouTube(currentUser, isLoggedIn, isAuthorizedUser, setAppPopup, init
       return false;
     }
     setIsLoadingYouTube(true); setYoutubeSpecificError(null);
+    const playlist = userPlaylists.find((p) => p.id === playlistId);
+    setSyncProgress({synced: 0, total: playlist?.itemCount || 0});
     try {
-      const idToken = await currentUser.getIdToken();
-      const response = await fetch(CLOUD_FUNCTIONS_BASE_URL.getWatchLaterPlaylist, {
-        method: 'POST',
-        headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
-        body: JSON.stringify({playlistId}),
-      });
-      const data = await response.json();
-      if (!response.ok) {
-        if (data.code === 'YOUTUBE_AUTH_REQUIRED' || data.code === 'YOUTUBE_REAUTH_REQUIRED') {
-          setIsYouTubeLinked(false);
-          setYoutubeSpecificError(data.error || 'YouTube authorization required for this playlist.');
-        } else {
-          setYoutubeSpecificError(data.message || response.statusText || 'Failed to fetch playlist items.');
+      // Large playlists are synced over several requests; each one reports the progress so far,
+      // and the request is repeated until the sync is complete.
+      const url = CLOUD_FUNCTIONS_BASE_URL.getWatchLaterPlaylist;
+      let data;
+      do {
+        const idToken = await currentUser.getIdToken();
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+          body: JSON.stringify({playlistId}),
+        });
+        data = await response.json();
+        if (!response.ok) {
+          if (data.code === 'YOUTUBE_AUTH_REQUIRED' || data.code === 'YOUTUBE_REAUTH_REQUIRED') {
+            setIsYouTubeLinked(false);
+            setYoutubeSpecificError(data.error || 'YouTube authorization required for this playlist.');
+          } else {
+            setYoutubeSpecificError(data.message || response.statusText || 'Failed to fetch playlist items.');
+          }
+          setVideos([]); return false;
         }
-        setVideos([]); return false;
-      }
+        if (data.progress) setSyncProgress(data.progress);
+      } while (data.complete === false);
       setVideos(data.videos || []);
       setIsYouTubeLinked(true);
       setYoutubeSpecificError(null);
-      const playlistTitle = userPlaylists.find((p) => p.id === playlistId)?.title || 'selected playlist';
-      if (setAppPopup) setAppPopup({visible: true, message: `Loaded ${data.videos?.length || 0} videos from "${playlistTitle}".`, type: 'success'});
+      // Fire-and-forget: summarises the captions of a few more of the user's own videos for
+      // the chat context. Only when transcripts are used, as each video costs YouTube quota;
+      // fails harmlessly (403) unless the account granted access to captions.
+      if (includeTranscripts) {
+        const transcriptsUrl = CLOUD_FUNCTIONS_BASE_URL.ingestVideoTranscripts;
+        currentUser.getIdToken().then((token) => fetch(transcriptsUrl, {
+          method: 'POST',
+          headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`},
+          body: JSON.stringify({playlistId}),
+        })).catch((transcriptError) => {
+          console.error('Error requesting transcript ingestion:', transcriptError);
+        });
+      }
+      const playlistTitle = playlist?.title || 'selected playlist';
+      const changeSummary = describePlaylistChanges(data.changes);
+      const loadedMessage = `Loaded ${data.videos?.length || 0} videos from "${playlistTitle}"`;
+      if (setAppPopup) setAppPopup({visible: true, message: changeSummary ? `${loadedMessage} (${changeSummary}).` : `${loadedMessage}.`, type: 'success'});
       return true;
     } catch (err) {
       setVideos([]);
@@ -178,8 +289,169 @@ function useYouTube(currentUser, isLoggedIn, isAuthorizedUser, setAppPopup, init
       return false;
     } finally {
       setIsLoadingYouTube(false);
+      setSyncProgress(null);
     }
-  }, [currentUser, userPlaylists, setAppPopup]);
+  }, [currentUser, userPlaylists, setAppPopup, includeTranscripts]);
+
+  const uploadTranscript = useCallback(async (videoId, file) => {
+    if (!currentUser || !file) return false;
+    try {
+      const idToken = await currentUser.getIdToken();
+      const content = await file.text();
+      const url = CLOUD_FUNCTIONS_BASE_URL.ingestVideoTranscripts;
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+        body: JSON.stringify({videoId, fileName: file.name, content}),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+      }
+      if (setAppPopup) setAppPopup({visible: true, message: `Transcript "${file.name}" added.`, type: 'success'});
+      return true;
+    } catch (err) {
+      if (setAppPopup) setAppPopup({visible: true, message: `Error uploading transcript: ${err.message}`, type: 'error'});
+      return false;
+    }
+  }, [currentUser, setAppPopup]);
+
+  useEffect(() => {
+    if (!currentUser || !isLoggedIn || !isAuthorizedUser) {
+      setVideoStates({});
+      return;
+    }
+    // Loaded once per sign-in; updateVideoState keeps it current afterwards.
+    (async () => {
+      try {
+        const idToken = await currentUser.getIdToken();
+        const url = CLOUD_FUNCTIONS_BASE_URL.listUserVideoStates;
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || response.statusText);
+        setVideoStates(Object.fromEntries(
+            data.states.map((state) => [state.videoId, state])));
+      } catch (err) {
+        console.error('Error fetching video states:', err);
+      }
+    })();
+  }, [currentUser, isLoggedIn, isAuthorizedUser]);
+
+  const updateVideoState = useCallback(async (videoId, changes) => {
+    if (!currentUser) return false;
+    try {
+      const idToken = await currentUser.getIdToken();
+      const response = await fetch(CLOUD_FUNCTIONS_BASE_URL.setUserVideoState, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+        body: JSON.stringify({videoId, ...changes}),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+      }
+      setVideoStates((prev) => ({...prev, [videoId]: data.state}));
+      return true;
+    } catch (err) {
+      if (setAppPopup) setAppPopup({visible: true, message: `Error updating video: ${err.message}`, type: 'error'});
+      return false;
+    }
+  }, [currentUser, setAppPopup]);
+
+  const exportVideos = useCallback(async (exportRequest) => {
+    if (!currentUser) return false;
+    try {
+      const idToken = await currentUser.getIdToken();
+      const response = await fetch(CLOUD_FUNCTIONS_BASE_URL.exportVideos, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+        body: JSON.stringify(exportRequest),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || response.statusText);
+      }
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const fileNameMatch = disposition.match(/filename="([^"]+)"/);
+      // The browser only downloads a fetched file through a temporary object URL and link.
+      const objectUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = fileNameMatch ? fileNameMatch[1] : `export.${exportRequest.format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(objectUrl);
+      return true;
+    } catch (err) {
+      if (setAppPopup) setAppPopup({visible: true, message: `Error exporting videos: ${err.message}`, type: 'error'});
+      return false;
+    }
+  }, [currentUser, setAppPopup]);
+
+  const modifyPlaylistItems = useCallback(async (modification, affected) => {
+    if (!currentUser) return null;
+    const batchSize = MAX_VIDEOS_PER_MODIFY_REQUEST;
+    try {
+      const results = [];
+      for (let i = 0; i < modification.videoIds.length; i += batchSize) {
+        const videoIds = modification.videoIds.slice(i, i + batchSize);
+        const idToken = await currentUser.getIdToken();
+        const url = CLOUD_FUNCTIONS_BASE_URL.modifyPlaylistItems;
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}`},
+          body: JSON.stringify({...modification, videoIds}),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          if (data.code === 'YOUTUBE_AUTH_REQUIRED' || data.code === 'YOUTUBE_REAUTH_REQUIRED') {
+            setIsYouTubeLinked(false);
+          }
+          throw new Error(data.error || response.statusText);
+        }
+        results.push(...data.results);
+      }
+      const {sourcePlaylistId, targetPlaylistId, positions = {}} = modification;
+      const doneIds = results.filter((r) => r.status === 'done').map((r) => r.videoId);
+      // Keeps the loaded playlist and the playlist counts in step without a re-sync.
+      setVideos((currentVideos) => {
+        let updated = currentVideos;
+        if (sourcePlaylistId && sourcePlaylistId === selectedPlaylistId) {
+          updated = updated.filter((v) => !doneIds.includes(v.videoId));
+        }
+        if (targetPlaylistId && targetPlaylistId === selectedPlaylistId) {
+          const restored = (affected || [])
+              .filter((v) => doneIds.includes(v.videoId))
+              .sort((a, b) => positions[a.videoId] - positions[b.videoId]);
+          restored.forEach((video) => {
+            if (updated.some((u) => u.videoId === video.videoId)) return;
+            const position = positions[video.videoId] ?? updated.length;
+            updated = [
+              ...updated.slice(0, position), video, ...updated.slice(position),
+            ];
+          });
+        }
+        return updated;
+      });
+      setUserPlaylists((playlists) => playlists.map((p) => {
+        if (p.id === sourcePlaylistId) {
+          return {...p, itemCount: Math.max(0, p.itemCount - doneIds.length)};
+        }
+        if (p.id === targetPlaylistId) {
+          return {...p, itemCount: p.itemCount + doneIds.length};
+        }
+        return p;
+      }));
+      return results;
+    } catch (err) {
+      if (setAppPopup) setAppPopup({visible: true, message: `Error changing playlist: ${err.message}`, type: 'error'});
+      return null;
+    }
+  }, [currentUser, selectedPlaylistId, setAppPopup]);
 
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
@@ -244,7 +516,7 @@ function useYouTube(currentUser, isLoggedIn, isAuthorizedUser, setAppPopup, init
     }
   }, [isLoggedIn, isAuthorizedUser, fetchUserPlaylistsInternal, setAppPopup, currentUser]); // Added currentUser
 
-  const handleConnectYouTube = useCallback(async () => {
+  const redirectToYouTubeConsent = useCallback((scopes, extraParams = {}) => {
     if (!currentUser) {
       if (setAppPopup) setAppPopup({visible: true, message: 'Please log in with Firebase first.', type: 'error'});
       return;
@@ -254,7 +526,6 @@ function useYouTube(currentUser, isLoggedIn, isAuthorizedUser, setAppPopup, init
     const finalRedirectUri = window.location.origin + window.location.pathname;
     const stateObject = {uid: currentUser.uid, nonce: nonce, finalRedirectUri: finalRedirectUri};
     const encodedState = btoa(JSON.stringify(stateObject));
-    const scopes = 'https://www.googleapis.com/auth/youtube.readonly';
     const youtubeClientId = process.env.REACT_APP_YOUTUBE_CLIENT_ID;
 
     if (!youtubeClientId) {
@@ -266,10 +537,20 @@ function useYouTube(currentUser, isLoggedIn, isAuthorizedUser, setAppPopup, init
       client_id: youtubeClientId,
       redirect_uri: CLOUD_FUNCTIONS_BASE_URL.handleYouTubeAuth,
       response_type: 'code', scope: scopes, access_type: 'offline', prompt: 'consent', state: encodedState,
+      ...extraParams,
     };
     window.location.href = `https://accounts.google.com/o/oauth2/v2/auth?${new URLSearchParams(params).toString()}`;
   }, [currentUser, setAppPopup]);
 
+  const handleConnectYouTube = useCallback(async () => {
+    redirectToYouTubeConsent(YOUTUBE_READONLY_SCOPE);
+  }, [redirectToYouTubeConsent]);
+
+  // An incremental authorization: the new token covers the scopes already granted as well.
+  const handleGrantPlaylistWriteAccess = useCallback(async () => {
+    redirectToYouTubeConsent(`${YOUTUBE_READONLY_SCOPE} ${YOUTUBE_WRITE_SCOPE}`, {include_granted_scopes: 'true'});
+  }, [redirectToYouTubeConsent]);
+
   return {
     userPlaylists,
     selectedPlaylistId,
@@ -277,10 +558,17 @@ function useYouTube(currentUser, isLoggedIn, isAuthorizedUser, setAppPopup, init
     videos,
     fetchUserPlaylists: fetchUserPlaylistsInternal,
     fetchPlaylistItems: fetchPlaylistItemsInternal,
+    uploadTranscript,
+    modifyPlaylistItems,
+    videoStates,
+    updateVideoState,
+    exportVideos,
     handleConnectYouTube,
+    handleGrantPlaylistWriteAccess,
     isYouTubeLinked,
     youtubeSpecificError,
     isLoadingYouTube,
+    syncProgress,
     setVideos,
     setUserPlaylists,
     setIsYouTubeLinked,
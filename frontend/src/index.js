@@ -6,12 +6,18 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import {SharedListScreen} from './components/SharedListScreen';
+import {getShareIdFromSearch} from './hooks/useSuggestionShares';
 import {reportWebVitals} from './reportWebVitals';
 
+// Shared lists are public: their page is rendered without the app, so
+// opening one needs no sign-in.
+const shareId = getShareIdFromSearch(window.location.search);
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
     <React.StrictMode>
-      <App />
+      {shareId ? <SharedListScreen shareId={shareId} /> : <App />}
     </React.StrictMode>,
 );
 
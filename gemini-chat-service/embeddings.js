@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Pluggable text embedding providers used for the semantic
+ * pre-filter that ranks videos against a chat query before the LLM call.
+ *
+ * This file is kept identical in `gemini-chat-service/` and
+ * `backend/getWatchLaterPlaylist/`, since both must produce comparable
+ * embeddings: the Cloud Function caches one per `Videos` entity at sync time
+ * and the chat service embeds each query with the same provider.
+ *
+ * Select a provider with the `EMBEDDING_PROVIDER` environment variable:
+ *   - `gemini`: Gemini embedding model over REST (needs `GEMINI_API_KEY`).
+ *   - `local`: Deterministic feature-hashed bag of words. No network calls;
+ *     intended for tests and offline development.
+ * When unset, `gemini` is used if `GEMINI_API_KEY` is available, else `local`.
+ */
+const https = require('https');
+
+const GEMINI_EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+// batchEmbedContents accepts at most 100 requests per call.
+const GEMINI_MAX_BATCH_SIZE = 100;
+const LOCAL_EMBEDDING_DIMENSIONS = 256;
+// Descriptions are truncated so one very long description cannot dominate the embedding (or the request size).
+const MAX_DESCRIPTION_CHARS = 2000;
+
+/**
+ * @typedef {object} EmbeddingProvider
+ * @property {string} id - Identifies the provider and model. Stored next to each cached
+ *     embedding so vectors from different providers are never compared.
+ * @property {function(Array<string>): Promise<Array<Array<number>>>} embedBatch - Embeds
+ *     each text, returning one vector per input in the same order.
+ */
+
+/**
+ * Builds the text that is embedded for a video.
+ * @param {object} video A video entity (from `Videos` or the subscription feed cache).
+ * @return {string} The text representation of the video.
+ */
+function videoToEmbeddingText(video) {
+  const topics = Array.isArray(video.topicCategories) ? video.topicCategories.join(', ') : '';
+  return [
+    video.title || '',
+    video.channelTitle || '',
+    topics,
+    (video.description || '').substring(0, MAX_DESCRIPTION_CHARS),
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Computes the cosine similarity between two vectors of the same length.
+ * @param {Array<number>} a The first vector.
+ * @param {Array<number>} b The second vector.
+ * @return {number} The similarity in [-1, 1], or 0 if either vector is empty or zero.
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Hashes a string to a 32-bit unsigned integer (FNV-1a).
+ * @param {string} str The string to hash.
+ * @return {number} The hash.
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Creates the deterministic local provider. Each lower-cased word is hashed into
+ * one of a fixed number of buckets with a hash-derived sign; the result is L2 normalized.
+ * @return {EmbeddingProvider} The provider.
+ */
+function createLocalEmbeddingProvider() {
+  return {
+    id: `local-hash-${LOCAL_EMBEDDING_DIMENSIONS}`,
+    async embedBatch(texts) {
+      return texts.map((text) => {
+        const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+        const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        for (const word of words) {
+          const hash = fnv1a(word);
+          vector[hash % LOCAL_EMBEDDING_DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+        }
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        return norm === 0 ? vector : vector.map(v => v / norm);
+      });
+    },
+  };
+}
+
+/**
+ * Creates the Gemini provider, which calls the `batchEmbedContents` REST endpoint.
+ * @param {string} apiKey The Gemini API key.
+ * @return {EmbeddingProvider} The provider.
+ */
+function createGeminiEmbeddingProvider(apiKey) {
+  /**
+   * Embeds one batch of at most GEMINI_MAX_BATCH_SIZE texts.
+   * @param {Array<string>} texts The texts to embed.
+   * @return {Promise<Array<Array<number>>>} One vector per text.
+   */
+  const embedOneBatch = (texts) => new Promise((resolve, reject) => {
+    const body = JSON.stringify({
+      requests: texts.map(text => ({
+        model: `models/${GEMINI_EMBEDDING_MODEL}`,
+        content: {parts: [{text: text || ' '}]},
+      })),
+    });
+    const options = {
+      hostname: 'generativelanguage.googleapis.com',
+      path: `/v1beta/models/${GEMINI_EMBEDDING_MODEL}:batchEmbedContents?key=${apiKey}`,
+      method: 'POST',
+      headers: {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body)},
+    };
+    const req = https.request(options, (apiRes) => {
+      let data = '';
+      apiRes.on('data', (chunk) => { data += chunk; });
+      apiRes.on('end', () => {
+        if (apiRes.statusCode !== 200) {
+          return reject(new Error(`Gemini embedding request failed: ${apiRes.statusCode} ${data}`));
+        }
+        try {
+          const embeddings = JSON.parse(data).embeddings || [];
+          if (embeddings.length !== texts.length) {
+            return reject(new Error(`Gemini returned ${embeddings.length} embeddings for ${texts.length} texts.`));
+          }
+          resolve(embeddings.map(e => e.values));
+        } catch (e) {
+          reject(new Error(`Error parsing Gemini embedding response: ${e.message}`));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.write(body);
+    req.end();
+  });
+
+  return {
+    id: `gemini-${GEMINI_EMBEDDING_MODEL}`,
+    async embedBatch(texts) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += GEMINI_MAX_BATCH_SIZE) {
+        vectors.push(...await embedOneBatch(texts.slice(i, i + GEMINI_MAX_BATCH_SIZE)));
+      }
+      return vectors;
+    },
+  };
+}
+
+/**
+ * Returns the embedding provider selected by the environment.
+ * @return {EmbeddingProvider} The configured provider.
+ * @throws {Error} If `EMBEDDING_PROVIDER` names an unknown provider, or `gemini` is
+ *     selected without a `GEMINI_API_KEY`.
+ */
+function getEmbeddingProvider() {
+  const providerName = process.env.EMBEDDING_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'local');
+  switch (providerName) {
+    case 'gemini':
+      if (!process.env.GEMINI_API_KEY) {
+        throw new Error('EMBEDDING_PROVIDER is "gemini" but GEMINI_API_KEY is not set.');
+      }
+      return createGeminiEmbeddingProvider(process.env.GEMINI_API_KEY);
+    case 'local':
+      return createLocalEmbeddingProvider();
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER: ${providerName}`);
+  }
+}
+
+module.exports = {
+  getEmbeddingProvider,
+  createLocalEmbeddingProvider,
+  createGeminiEmbeddingProvider,
+  videoToEmbeddingText,
+  cosineSimilarity,
+};
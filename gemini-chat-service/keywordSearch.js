@@ -0,0 +1,395 @@
+/**
+ * @fileoverview Instant keyword search over a chat session's videos, used for
+ * queries that start with `/find` instead of asking the model. Builds an
+ * inverted index over each video's title, channel, categories and description,
+ * and understands a small fielded query syntax:
+ *   - `rust async`: videos matching every word (a word of 3+ characters also
+ *     matches longer words it starts, e.g. `program` matches `programming`).
+ *   - `"machine learning"`: the exact phrase.
+ *   - `-shorts`: leaves out videos matching the word.
+ *   - `channel:veritasium`, `category:cooking`, `title:review`: the word, or a
+ *     quoted phrase, must match that field.
+ *   - `duration:>20m`, `duration:<=1h30m`: length, with `<`, `<=`, `>` or `>=`
+ *     and `s`, `m` or `h` units (a bare number is minutes).
+ *   - `before:2023`, `after:2024-06`: published before the start or after the
+ *     end of a year, month (`YYYY-MM`) or day (`YYYY-MM-DD`).
+ */
+
+// The prefix that sends a chat query to keyword search.
+const FIND_COMMAND = '/find';
+// How much a match in each field counts towards a video's score.
+const FIELD_WEIGHTS = { title: 3, channel: 2, category: 2, description: 1 };
+// Words shorter than this only match whole words, since short prefixes match too much.
+const MIN_PREFIX_LENGTH = 3;
+const MAX_DESCRIPTION_CHARS = 5000;
+const DURATION_PATTERN = /^(<=|>=|<|>)((?:\d+(?:\.\d+)?[hms]?)+)$/;
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/;
+// A query token: an optional `-` or `field:`, then a quoted phrase or a bare word.
+const QUERY_TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const TEXT_FIELDS = new Set(['title', 'channel', 'category']);
+
+/**
+ * Returns the search text of a `/find` query.
+ * @param {string} query The user's chat query.
+ * @return {string|null} The text after `/find`, or null if the query is not a `/find` query.
+ */
+function parseFindCommand(query) {
+  const trimmed = String(query || '').trim();
+  if (trimmed.toLowerCase() !== FIND_COMMAND && !trimmed.toLowerCase().startsWith(`${FIND_COMMAND} `)) {
+    return null;
+  }
+  return trimmed.substring(FIND_COMMAND.length).trim();
+}
+
+/**
+ * Splits text into lowercase words without diacritics, so `Café` matches `cafe`.
+ * @param {string} text The text.
+ * @return {Array<string>} The words, in order.
+ */
+function tokenize(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Converts a duration such as `20m`, `1h30m` or `90s` to seconds.
+ * @param {string} text The duration; a number without a unit is minutes.
+ * @return {number|null} The number of seconds, or null if the duration is invalid.
+ */
+function parseDuration(text) {
+  const parts = text.match(/\d+(?:\.\d+)?[hms]?/g) || [];
+  if (parts.join('') !== text) return null;
+  const unitSeconds = { h: 3600, m: 60, s: 1 };
+  return parts.reduce((total, part) => {
+    const unit = /[hms]$/.test(part) ? part.slice(-1) : 'm';
+    return total + parseFloat(part) * unitSeconds[unit];
+  }, 0);
+}
+
+/**
+ * Converts a year, month or day to the range of time it covers.
+ * @param {string} text `YYYY`, `YYYY-MM` or `YYYY-MM-DD`.
+ * @return {{start: number, end: number}|null} The start (inclusive) and end (exclusive) in
+ *     UTC milliseconds, or null if the date is invalid.
+ */
+function parseDateRange(text) {
+  const match = text.match(DATE_PATTERN);
+  if (!match) return null;
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+  const day = match[3] ? parseInt(match[3], 10) : null;
+  if (month !== null && (month < 0 || month > 11)) return null;
+  if (day === null) {
+    return month === null
+      ? { start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1) }
+      : { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+  }
+  const start = Date.UTC(year, month, day);
+  if (day < 1 || new Date(start).getUTCMonth() !== month) return null;
+  return { start, end: Date.UTC(year, month, day + 1) };
+}
+
+/**
+ * Parses the search text of a `/find` query. Parts that cannot be understood are
+ * reported in `errors` and otherwise ignored, so the rest of the query still runs.
+ * @param {string} text The search text.
+ * @return {{terms: Array<{field: (string|null), words: Array<string>}>, excluded: Array<Array<string>>,
+ *     minDurationSeconds: (number|null), maxDurationSeconds: (number|null), publishedAfter: (number|null),
+ *     publishedBefore: (number|null), errors: Array<string>}} The parsed query. Each term is a word or
+ *     phrase (a list of words) a video must match, in `field` or anywhere if it is null; each excluded
+ *     entry is a word or phrase a video must not match. Duration bounds are inclusive and date bounds
+ *     exclusive, in UTC milliseconds.
+ */
+function parseSearchQuery(text) {
+  const parsed = {
+    terms: [], excluded: [], minDurationSeconds: null, maxDurationSeconds: null,
+    publishedAfter: null, publishedBefore: null, errors: [],
+  };
+  for (const match of String(text || '').matchAll(QUERY_TOKEN_PATTERN)) {
+    const [token, negation, rawField, phrase, word] = match;
+    const field = rawField ? rawField.toLowerCase() : null;
+    const value = phrase !== undefined ? phrase : word;
+
+    if (field === 'duration') {
+      const durationMatch = value.match(DURATION_PATTERN);
+      const seconds = durationMatch && parseDuration(durationMatch[2]);
+      if (!seconds && seconds !== 0) {
+        parsed.errors.push(`Could not understand "${token}"; try duration:>20m or duration:<1h.`);
+      } else if (durationMatch[1].startsWith('>')) {
+        parsed.minDurationSeconds = durationMatch[1] === '>' ? Math.floor(seconds) + 1 : Math.ceil(seconds);
+      } else {
+        parsed.maxDurationSeconds = durationMatch[1] === '<' ? Math.ceil(seconds) - 1 : Math.floor(seconds);
+      }
+      continue;
+    }
+    if (field === 'before' || field === 'after') {
+      const range = parseDateRange(value);
+      if (!range) {
+        parsed.errors.push(`Could not understand "${token}"; use a year, YYYY-MM or YYYY-MM-DD.`);
+      } else if (field === 'before') {
+        parsed.publishedBefore = range.start;
+      } else {
+        parsed.publishedAfter = range.end - 1;
+      }
+      continue;
+    }
+
+    // Any other `field:` is searched as ordinary words, so e.g. `note:` or a URL still works.
+    const isTextField = TEXT_FIELDS.has(field);
+    const words = tokenize(isTextField ? value : token.replace(/^-/, ''));
+    if (words.length === 0) continue;
+    if (negation) {
+      parsed.excluded.push(words);
+    } else {
+      parsed.terms.push({ field: isTextField ? field : null, words });
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Returns the readable names of a video's categories: the ones Gemini assigned at
+ * sync time, and YouTube's topic categories (Wikipedia URLs) by their article name.
+ * @param {object} video A video from the session context.
+ * @return {Array<string>} The category names.
+ */
+function videoCategoryNames(video) {
+  const geminiCategories = Array.isArray(video.geminiCategories) ? video.geminiCategories : [];
+  const topics = (Array.isArray(video.topicCategories) ? video.topicCategories : [])
+    .map(url => (String(url).split('/').pop() || '').replace(/_/g, ' '));
+  return [...geminiCategories, ...topics].filter(Boolean);
+}
+
+/**
+ * Builds the keyword index of a session's videos. Building it is cheap enough to
+ * do on a session's first `/find` query.
+ * @param {Array<object>} videos The videos from the session context.
+ * @return {object} The index, for searchKeywordIndex.
+ */
+function buildKeywordIndex(videos) {
+  // word -> Map(videoIndex -> Map(field -> number of occurrences))
+  const postings = new Map();
+  // Each video's words per field, in order, for phrase matching.
+  const documents = videos.map((video, videoIndex) => {
+    const fields = {
+      title: tokenize(video.title),
+      channel: tokenize(video.channelTitle),
+      category: tokenize(videoCategoryNames(video).join(' | ')),
+      description: tokenize(String(video.description || '').substring(0, MAX_DESCRIPTION_CHARS)),
+    };
+    for (const [field, words] of Object.entries(fields)) {
+      for (const word of words) {
+        if (!postings.has(word)) postings.set(word, new Map());
+        const videoPostings = postings.get(word);
+        if (!videoPostings.has(videoIndex)) videoPostings.set(videoIndex, new Map());
+        const fieldCounts = videoPostings.get(videoIndex);
+        fieldCounts.set(field, (fieldCounts.get(field) || 0) + 1);
+      }
+    }
+    return fields;
+  });
+  return { videos, documents, postings, vocabulary: [...postings.keys()].sort() };
+}
+
+/**
+ * Returns the indexed words a query word matches: itself, and, if it is long
+ * enough, every word it is the start of.
+ * @param {object} index The keyword index.
+ * @param {string} word The query word.
+ * @return {Array<string>} The matching indexed words.
+ */
+function expandWord(index, word) {
+  if (word.length < MIN_PREFIX_LENGTH) {
+    return index.postings.has(word) ? [word] : [];
+  }
+  const { vocabulary } = index;
+  // Binary search for the first word that is not before `word`.
+  let low = 0;
+  let high = vocabulary.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (vocabulary[middle] < word) low = middle + 1; else high = middle;
+  }
+  const matches = [];
+  for (let i = low; i < vocabulary.length && vocabulary[i].startsWith(word); i++) {
+    matches.push(vocabulary[i]);
+  }
+  return matches;
+}
+
+/**
+ * Scores how well one video matches a single word: the weighted number of fields
+ * it appears in, scaled by how rare the word is among the indexed videos.
+ * @param {object} index The keyword index.
+ * @param {number} videoIndex The video's position in the index.
+ * @param {string} word The query word.
+ * @param {string|null} field The only field to look in, or null for all of them.
+ * @return {{score: number, fields: Set<string>}} The score (0 if the word does not match)
+ *     and the fields it matched.
+ */
+function scoreWord(index, videoIndex, word, field) {
+  let score = 0;
+  const fields = new Set();
+  for (const indexedWord of expandWord(index, word)) {
+    const videoPostings = index.postings.get(indexedWord);
+    const fieldCounts = videoPostings.get(videoIndex);
+    if (!fieldCounts) continue;
+    const inverseFrequency = Math.log(1 + index.videos.length / videoPostings.size);
+    // A prefix match counts for less than the whole word.
+    const exactness = indexedWord === word ? 1 : 0.5;
+    for (const [matchedField, count] of fieldCounts) {
+      if (field && matchedField !== field) continue;
+      fields.add(matchedField);
+      score += FIELD_WEIGHTS[matchedField] * (1 + Math.log(count)) * inverseFrequency * exactness;
+    }
+  }
+  return { score, fields };
+}
+
+/**
+ * Checks whether a phrase appears, word for word, in one of a video's fields. The
+ * last word of the phrase may be the start of a longer word.
+ * @param {object} index The keyword index.
+ * @param {number} videoIndex The video's position in the index.
+ * @param {Array<string>} words The phrase's words.
+ * @param {string|null} field The only field to look in, or null for all of them.
+ * @return {Set<string>} The fields the phrase appears in.
+ */
+function findPhrase(index, videoIndex, words, field) {
+  const fields = new Set();
+  for (const [documentField, documentWords] of Object.entries(index.documents[videoIndex])) {
+    if (field && documentField !== field) continue;
+    for (let start = 0; start + words.length <= documentWords.length; start++) {
+      const matches = words.every((word, i) => (i === words.length - 1
+        ? documentWords[start + i].startsWith(word)
+        : documentWords[start + i] === word));
+      if (matches) {
+        fields.add(documentField);
+        break;
+      }
+    }
+  }
+  return fields;
+}
+
+/**
+ * Scores one video against one query term.
+ * @param {object} index The keyword index.
+ * @param {number} videoIndex The video's position in the index.
+ * @param {{field: (string|null), words: Array<string>}} term The word or phrase.
+ * @return {{score: number, fields: Set<string>}} The score (0 if the term does not match)
+ *     and the fields it matched.
+ */
+function scoreTerm(index, videoIndex, term) {
+  if (term.words.length === 1) {
+    return scoreWord(index, videoIndex, term.words[0], term.field);
+  }
+  const fields = findPhrase(index, videoIndex, term.words, term.field);
+  if (fields.size === 0) return { score: 0, fields };
+  // A phrase scores as the sum of its words, restricted to the fields it appears in.
+  let score = 0;
+  for (const word of term.words) {
+    for (const field of fields) {
+      score += scoreWord(index, videoIndex, word, field).score;
+    }
+  }
+  return { score, fields };
+}
+
+/**
+ * Describes why a video matched, e.g. `Matched "rust" in title and description`.
+ * @param {Array<{text: string, fields: Set<string>}>} matches Each matched term and its fields.
+ * @param {object} video The video.
+ * @param {object} parsed The parsed query.
+ * @return {string} The reason shown with the result.
+ */
+function describeMatch(matches, video, parsed) {
+  const parts = matches.map(({ text, fields }) => {
+    const fieldNames = [...fields].sort((a, b) => FIELD_WEIGHTS[b] - FIELD_WEIGHTS[a]);
+    const fieldList = fieldNames.length > 1
+      ? `${fieldNames.slice(0, -1).join(', ')} and ${fieldNames[fieldNames.length - 1]}`
+      : fieldNames[0];
+    return `"${text}" in ${fieldList}`;
+  });
+  const reason = parts.length > 0 ? `Matched ${parts.join('; ')}` : 'Matched the filters';
+  const details = [];
+  if (parsed.minDurationSeconds !== null || parsed.maxDurationSeconds !== null) {
+    details.push(`${Math.round(video.durationSeconds / 60)} min`);
+  }
+  if ((parsed.publishedAfter !== null || parsed.publishedBefore !== null) && video.publishedAt) {
+    details.push(`published ${new Date(video.publishedAt).toISOString().substring(0, 10)}`);
+  }
+  return details.length > 0 ? `${reason} (${details.join(', ')}).` : `${reason}.`;
+}
+
+/**
+ * Checks a video against the duration and publish date filters of a query.
+ * @param {object} video The video.
+ * @param {object} parsed The parsed query.
+ * @return {boolean} True if the video passes every filter.
+ */
+function passesFilters(video, parsed) {
+  if (parsed.minDurationSeconds !== null || parsed.maxDurationSeconds !== null) {
+    const duration = video.durationSeconds;
+    if (typeof duration !== 'number' || isNaN(duration)) return false;
+    if (parsed.minDurationSeconds !== null && duration < parsed.minDurationSeconds) return false;
+    if (parsed.maxDurationSeconds !== null && duration > parsed.maxDurationSeconds) return false;
+  }
+  if (parsed.publishedAfter !== null || parsed.publishedBefore !== null) {
+    const published = video.publishedAt ? new Date(video.publishedAt).getTime() : NaN;
+    if (isNaN(published)) return false;
+    if (parsed.publishedAfter !== null && published <= parsed.publishedAfter) return false;
+    if (parsed.publishedBefore !== null && published >= parsed.publishedBefore) return false;
+  }
+  return true;
+}
+
+/**
+ * Finds the videos that match a parsed query: every term, no excluded word or
+ * phrase, and every filter. Results are ranked by score, or newest first if the
+ * query has only filters.
+ * @param {object} index The keyword index, from buildKeywordIndex.
+ * @param {object} parsed The query, from parseSearchQuery.
+ * @param {number} limit The maximum number of results.
+ * @return {{results: Array<{video: object, reason: string}>, totalMatches: number}} The best
+ *     results, and how many videos matched in all.
+ */
+function searchKeywordIndex(index, parsed, limit) {
+  const hasCriteria = parsed.terms.length > 0 || parsed.excluded.length > 0 ||
+    parsed.minDurationSeconds !== null || parsed.maxDurationSeconds !== null ||
+    parsed.publishedAfter !== null || parsed.publishedBefore !== null;
+  if (!hasCriteria) return { results: [], totalMatches: 0 };
+
+  const scored = [];
+  index.videos.forEach((video, videoIndex) => {
+    if (!passesFilters(video, parsed)) return;
+    const isExcluded = parsed.excluded.some(words => (words.length === 1
+      ? scoreWord(index, videoIndex, words[0], null).score > 0
+      : findPhrase(index, videoIndex, words, null).size > 0));
+    if (isExcluded) return;
+
+    let score = 0;
+    const matches = [];
+    for (const term of parsed.terms) {
+      const termScore = scoreTerm(index, videoIndex, term);
+      if (termScore.score === 0) return;
+      score += termScore.score;
+      matches.push({ text: term.words.join(' '), fields: termScore.fields });
+    }
+    scored.push({ video, score, reason: describeMatch(matches, video, parsed) });
+  });
+
+  const publishedTime = video => (video.publishedAt ? new Date(video.publishedAt).getTime() || 0 : 0);
+  scored.sort((a, b) => b.score - a.score || publishedTime(b.video) - publishedTime(a.video));
+  return {
+    results: scored.slice(0, limit).map(({ video, reason }) => ({ video, reason })),
+    totalMatches: scored.length,
+  };
+}
+
+module.exports = {
+  parseFindCommand,
+  parseSearchQuery,
+  buildKeywordIndex,
+  searchKeywordIndex,
+};
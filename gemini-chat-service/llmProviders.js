@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Pluggable LLM providers for the chat service.
+ *
+ * Every provider exposes the same small interface, so `server.js` can stream
+ * "thinking" and content chunks and log token usage without knowing which
+ * backend produced them. Two providers are available:
+ *   - `gemini`: Google Gemini via `@google/generative-ai` (needs `GEMINI_API_KEY`).
+ *   - `openai-compatible`: Any OpenAI-compatible `/v1/chat/completions` endpoint,
+ *     e.g. a local Ollama or llama.cpp server (needs `OPENAI_COMPAT_BASE_URL`).
+ *
+ * Model IDs select the provider: IDs prefixed with `openai-compatible/` go to the
+ * OpenAI-compatible endpoint (the prefix is stripped), everything else goes to Gemini.
+ */
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const OPENAI_COMPAT_MODEL_PREFIX = 'openai-compatible/';
+// How long a query waits for the OpenAI-compatible endpoint to start its response, so an unreachable
+// endpoint cannot stall it. Generous because a local server may first have to load the model.
+const OPENAI_COMPAT_RESPONSE_TIMEOUT_MS = parseInt(process.env.OPENAI_COMPAT_RESPONSE_TIMEOUT_MS, 10) || 120000;
+
+// The service's queries are not expected to touch these categories, and blocking would silently drop suggestions.
+const GEMINI_SAFETY_SETTINGS = [
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
+];
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {'user'|'model'} role - Who authored the message.
+ * @property {string} text - The message text.
+ */
+
+/**
+ * @typedef {object} ChatRequest
+ * @property {string} modelName - The provider-specific model name (without any routing prefix).
+ * @property {Array<ChatMessage>} messages - The conversation, oldest first.
+ * @property {boolean} deepThinking - Whether to give the model an unlimited thinking budget.
+ * @property {object} responseSchema - JSON schema the response must conform to.
+ */
+
+/**
+ * @typedef {object} TokenUsage
+ * @property {number|null} promptTokens - Tokens in the request.
+ * @property {number|null} completionTokens - Tokens in the response content.
+ * @property {number|null} thoughtTokens - Tokens spent on thinking, if reported.
+ * @property {number|null} totalTokens - Total tokens billed or processed.
+ */
+
+/**
+ * @typedef {object} StreamEvent
+ * @property {'thought'|'content'|'usage'} type - The kind of event.
+ * @property {string} [text] - The text chunk, for `thought` and `content` events.
+ * @property {TokenUsage} [usage] - Token counts, for the final `usage` event.
+ */
+
+/**
+ * @typedef {object} LlmProvider
+ * @property {string} name - The provider name.
+ * @property {function(ChatRequest): AsyncGenerator<StreamEvent>} streamChat - Streams a
+ *     schema-constrained JSON chat completion as thought, content and usage events.
+ */
+
+/**
+ * Creates the Gemini provider.
+ * @param {string} apiKey The Gemini API key.
+ * @return {LlmProvider} The provider.
+ */
+function createGeminiProvider(apiKey) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  return {
+    name: 'gemini',
+    async *streamChat({ modelName, messages, deepThinking, responseSchema }) {
+      const model = genAI.getGenerativeModel({ model: modelName });
+      const streamResult = await model.generateContentStream({
+        contents: messages.map(m => ({ role: m.role, parts: [{ text: m.text }] })),
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema,
+          thinkingConfig: {
+            includeThoughts: true,
+            thinkingBudget: deepThinking ? -1 : 256,
+          },
+          temperature: 0,
+        },
+        safetySettings: GEMINI_SAFETY_SETTINGS,
+      });
+
+      for await (const chunk of streamResult.stream) {
+        const parts = chunk.candidates?.[0]?.content?.parts || [];
+        for (const part of parts) {
+          if (part.text === null || part.text === undefined) continue;
+          yield { type: part.thought ? 'thought' : 'content', text: part.text };
+        }
+      }
+
+      const aggregatedResponse = await streamResult.response;
+      const usageMetadata = aggregatedResponse && aggregatedResponse.usageMetadata;
+      if (usageMetadata) {
+        yield {
+          type: 'usage',
+          usage: {
+            promptTokens: usageMetadata.promptTokenCount ?? null,
+            completionTokens: usageMetadata.candidatesTokenCount ?? null,
+            thoughtTokens: usageMetadata.thoughtsTokenCount ?? null,
+            totalTokens: usageMetadata.totalTokenCount ?? null,
+          },
+        };
+      }
+    },
+  };
+}
+
+/**
+ * Creates the provider for an OpenAI-compatible chat completions endpoint.
+ * Reasoning is read from `delta.reasoning_content` (llama.cpp), `delta.reasoning`
+ * (Ollama), or `<think>` tags inside the content, and reported as thoughts.
+ * @param {string} baseUrl The API base URL, e.g. `http://localhost:11434/v1`.
+ * @param {string} [apiKey] Optional bearer token; local servers usually need none.
+ * @return {LlmProvider} The provider.
+ */
+function createOpenAiCompatibleProvider(baseUrl, apiKey) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  return {
+    name: 'openai-compatible',
+    async *streamChat({ modelName, messages, responseSchema }) {
+      // Only the wait for the response headers is limited; the stream itself may take longer.
+      const abortController = new AbortController();
+      const responseTimer = setTimeout(() => abortController.abort(), OPENAI_COMPAT_RESPONSE_TIMEOUT_MS);
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        signal: abortController.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model: modelName,
+          messages: messages.map(m => ({ role: m.role === 'model' ? 'assistant' : 'user', content: m.text })),
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'video_suggestions', schema: responseSchema },
+          },
+          temperature: 0,
+          stream: true,
+          stream_options: { include_usage: true },
+        }),
+      }).catch(error => {
+        if (abortController.signal.aborted) {
+          throw new Error(`OpenAI-compatible endpoint did not respond within ${OPENAI_COMPAT_RESPONSE_TIMEOUT_MS} ms.`);
+        }
+        throw error;
+      }).finally(() => clearTimeout(responseTimer));
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${await response.text()}`);
+      }
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let insideThinkTag = false;
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep any partial line for the next read.
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+          const data = trimmed.substring(5).trim();
+          if (data === '[DONE]') continue;
+
+          let chunk;
+          try {
+            chunk = JSON.parse(data);
+          } catch (parseError) {
+            console.warn(`[LLM][openai-compatible] Skipping malformed stream line: ${data.substring(0, 200)}`);
+            continue;
+          }
+
+          const delta = chunk.choices?.[0]?.delta || {};
+          const reasoning = delta.reasoning_content || delta.reasoning;
+          if (reasoning) yield { type: 'thought', text: reasoning };
+
+          if (delta.content) {
+            // Some models inline their reasoning as <think>...</think> before the answer.
+            let remaining = delta.content;
+            while (remaining) {
+              const tag = insideThinkTag ? '</think>' : '<think>';
+              const tagIndex = remaining.indexOf(tag);
+              const segment = tagIndex === -1 ? remaining : remaining.substring(0, tagIndex);
+              if (segment) yield { type: insideThinkTag ? 'thought' : 'content', text: segment };
+              if (tagIndex === -1) break;
+              insideThinkTag = !insideThinkTag;
+              remaining = remaining.substring(tagIndex + tag.length);
+            }
+          }
+
+          if (chunk.usage) {
+            yield {
+              type: 'usage',
+              usage: {
+                promptTokens: chunk.usage.prompt_tokens ?? null,
+                completionTokens: chunk.usage.completion_tokens ?? null,
+                thoughtTokens: chunk.usage.completion_tokens_details?.reasoning_tokens ?? null,
+                totalTokens: chunk.usage.total_tokens ?? null,
+              },
+            };
+          }
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Creates the providers enabled by the environment.
+ * @return {{gemini: (LlmProvider|undefined), openAiCompatible: (LlmProvider|undefined)}} The configured providers.
+ */
+function createConfiguredProviders() {
+  return {
+    gemini: process.env.GEMINI_API_KEY ? createGeminiProvider(process.env.GEMINI_API_KEY) : undefined,
+    openAiCompatible: process.env.OPENAI_COMPAT_BASE_URL ?
+      createOpenAiCompatibleProvider(process.env.OPENAI_COMPAT_BASE_URL, process.env.OPENAI_COMPAT_API_KEY) :
+      undefined,
+  };
+}
+
+/**
+ * Maps a client-facing model ID to the provider that serves it.
+ * @param {object} providers The result of createConfiguredProviders().
+ * @param {string} modelId The model ID, e.g. `models/gemini-2.5-flash` or `openai-compatible/llama3.1:8b`.
+ * @return {{provider: LlmProvider, modelName: string}} The provider and its model name.
+ * @throws {Error} If the provider for the model ID is not configured.
+ */
+function resolveModel(providers, modelId) {
+  if (modelId.startsWith(OPENAI_COMPAT_MODEL_PREFIX)) {
+    if (!providers.openAiCompatible) {
+      throw new Error(`Model ${modelId} requires OPENAI_COMPAT_BASE_URL to be configured.`);
+    }
+    return { provider: providers.openAiCompatible, modelName: modelId.substring(OPENAI_COMPAT_MODEL_PREFIX.length) };
+  }
+  if (!providers.gemini) {
+    throw new Error(`Model ${modelId} requires GEMINI_API_KEY to be configured.`);
+  }
+  return { provider: providers.gemini, modelName: modelId };
+}
+
+module.exports = {
+  OPENAI_COMPAT_MODEL_PREFIX,
+  createGeminiProvider,
+  createOpenAiCompatibleProvider,
+  createConfiguredProviders,
+  resolveModel,
+};
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Structured filters a client can send with a USER_QUERY: a
+ * duration range, a publish date range, channels to include or exclude, and
+ * the source of the videos (the playlist or the subscription feed). They are
+ * applied to the session's videos before the model sees them, so constraints
+ * such as "under 15 minutes" hold exactly instead of depending on the model.
+ */
+
+const SOURCE_OPTIONS = ['all', 'playlist', 'subscriptions'];
+const MAX_CHANNELS = 20;
+const MAX_CHANNEL_LENGTH = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} QueryFilters
+ * @property {number|null} minDurationSeconds - Shortest allowed video, inclusive.
+ * @property {number|null} maxDurationSeconds - Longest allowed video, inclusive.
+ * @property {string|null} publishedFrom - Earliest allowed publish day (`YYYY-MM-DD`, UTC), inclusive.
+ * @property {string|null} publishedTo - Latest allowed publish day (`YYYY-MM-DD`, UTC), inclusive.
+ * @property {Array<string>} includeChannels - If not empty, a video's channel must contain one of these.
+ * @property {Array<string>} excludeChannels - A video's channel must contain none of these.
+ * @property {string} source - 'all', 'playlist' or 'subscriptions'.
+ */
+
+/**
+ * Parses a `YYYY-MM-DD` day.
+ * @param {string} day The day.
+ * @return {number|null} The start of the day in UTC milliseconds, or null if it is not a valid day.
+ */
+function parseDay(day) {
+  if (typeof day !== 'string' || !DATE_PATTERN.test(day)) return null;
+  const time = Date.parse(`${day}T00:00:00Z`);
+  // Date.parse rolls e.g. February 30 over to March; such days are rejected.
+  return !isNaN(time) && new Date(time).toISOString().startsWith(day) ? time : null;
+}
+
+/**
+ * Validates a list of channel names.
+ * @param {*} channels The list sent by the client.
+ * @param {string} name The filter's name, for the error message.
+ * @return {{channels: Array<string>, error: (string|null)}} The trimmed, lowercased, non-empty
+ *     names, or an error.
+ */
+function normalizeChannels(channels, name) {
+  if (channels === undefined || channels === null) return { channels: [], error: null };
+  if (!Array.isArray(channels) || channels.length > MAX_CHANNELS ||
+      !channels.every(c => typeof c === 'string' && c.length <= MAX_CHANNEL_LENGTH)) {
+    return { channels: [], error: `${name} must be a list of at most ${MAX_CHANNELS} channel names.` };
+  }
+  return { channels: channels.map(c => c.trim().toLowerCase()).filter(Boolean), error: null };
+}
+
+/**
+ * Validates the filters of a USER_QUERY.
+ * @param {*} filters The `filters` of the payload; may be missing.
+ * @return {{filters: (QueryFilters|null), error: (string|null)}} The filters, or null if they
+ *     restrict nothing; or an error describing the first invalid filter.
+ */
+function normalizeQueryFilters(filters) {
+  if (filters === undefined || filters === null) return { filters: null, error: null };
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { filters: null, error: 'filters must be an object.' };
+  }
+
+  const normalized = {
+    minDurationSeconds: null, maxDurationSeconds: null, publishedFrom: null, publishedTo: null,
+    includeChannels: [], excludeChannels: [], source: 'all',
+  };
+  for (const field of ['minDurationSeconds', 'maxDurationSeconds']) {
+    const value = filters[field];
+    if (value === undefined || value === null) continue;
+    if (!Number.isFinite(value) || value < 0) {
+      return { filters: null, error: `${field} must be a non-negative number.` };
+    }
+    normalized[field] = value;
+  }
+  if (normalized.minDurationSeconds !== null && normalized.maxDurationSeconds !== null &&
+      normalized.minDurationSeconds > normalized.maxDurationSeconds) {
+    return { filters: null, error: 'minDurationSeconds must not be greater than maxDurationSeconds.' };
+  }
+
+  for (const field of ['publishedFrom', 'publishedTo']) {
+    const value = filters[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (parseDay(value) === null) {
+      return { filters: null, error: `${field} must be a date in the form YYYY-MM-DD.` };
+    }
+    normalized[field] = value;
+  }
+  if (normalized.publishedFrom && normalized.publishedTo && normalized.publishedFrom > normalized.publishedTo) {
+    return { filters: null, error: 'publishedFrom must not be after publishedTo.' };
+  }
+
+  for (const field of ['includeChannels', 'excludeChannels']) {
+    const { channels, error } = normalizeChannels(filters[field], field);
+    if (error) return { filters: null, error };
+    normalized[field] = channels;
+  }
+
+  if (filters.source !== undefined && filters.source !== null) {
+    if (!SOURCE_OPTIONS.includes(filters.source)) {
+      return { filters: null, error: `source must be one of ${SOURCE_OPTIONS.join(', ')}.` };
+    }
+    normalized.source = filters.source;
+  }
+
+  const restrictsNothing = normalized.minDurationSeconds === null && normalized.maxDurationSeconds === null &&
+    !normalized.publishedFrom && !normalized.publishedTo && normalized.includeChannels.length === 0 &&
+    normalized.excludeChannels.length === 0 && normalized.source === 'all';
+  return { filters: restrictsNothing ? null : normalized, error: null };
+}
+
+/**
+ * Keeps the videos that pass every filter. A video whose duration or publish date
+ * is unknown does not pass a filter on it.
+ * @param {Array<object>} videos The session's videos.
+ * @param {QueryFilters} filters The filters, from normalizeQueryFilters.
+ * @param {Set<string>} playlistVideoIds The IDs of the videos in the session's playlist; every
+ *     other video came from the subscription feed.
+ * @return {Array<object>} The videos that pass, in their original order.
+ */
+function applyQueryFilters(videos, filters, playlistVideoIds) {
+  const publishedFrom = filters.publishedFrom ? parseDay(filters.publishedFrom) : null;
+  // publishedTo includes the whole day.
+  const publishedBefore = filters.publishedTo ? parseDay(filters.publishedTo) + DAY_IN_MS : null;
+  return videos.filter(video => {
+    if (filters.source === 'playlist' && !playlistVideoIds.has(video.videoId)) return false;
+    if (filters.source === 'subscriptions' && playlistVideoIds.has(video.videoId)) return false;
+
+    if (filters.minDurationSeconds !== null || filters.maxDurationSeconds !== null) {
+      const duration = video.durationSeconds;
+      if (typeof duration !== 'number' || isNaN(duration)) return false;
+      if (filters.minDurationSeconds !== null && duration < filters.minDurationSeconds) return false;
+      if (filters.maxDurationSeconds !== null && duration > filters.maxDurationSeconds) return false;
+    }
+
+    if (publishedFrom !== null || publishedBefore !== null) {
+      const published = video.publishedAt ? new Date(video.publishedAt).getTime() : NaN;
+      if (isNaN(published)) return false;
+      if (publishedFrom !== null && published < publishedFrom) return false;
+      if (publishedBefore !== null && published >= publishedBefore) return false;
+    }
+
+    if (filters.includeChannels.length > 0 || filters.excludeChannels.length > 0) {
+      const channel = String(video.channelTitle || '').toLowerCase();
+      if (filters.includeChannels.length > 0 && !filters.includeChannels.some(c => channel.includes(c))) return false;
+      if (filters.excludeChannels.some(c => channel.includes(c))) return false;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  normalizeQueryFilters,
+  applyQueryFilters,
+};
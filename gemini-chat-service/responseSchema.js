@@ -0,0 +1,261 @@
+/**
+ * @fileoverview The response schema the chat model must follow, and validation
+ * of model output against it.
+ *
+ * The schema is passed to the LLM provider with each request (Gemini's
+ * `responseSchema`, or an OpenAI-compatible `json_schema` response format). It
+ * uses only the JSON Schema subset both accept; range checks that the providers
+ * cannot express (e.g. confidence in [0, 1]) are enforced here instead.
+ */
+
+const SUGGESTIONS_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    suggestedVideos: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          videoId: { type: 'string', description: 'The YouTube video ID, exactly as given in the Video List.' },
+          reason: { type: 'string', description: 'A concise explanation of why the video matches the query.' },
+          confidence: { type: 'number', description: 'How confident you are that the video matches, from 0 to 1.' },
+          startSeconds: { type: 'integer', description: 'Optional. Where in the video the matching part starts, from a chapter or transcript excerpt StartSeconds.' },
+          quote: { type: 'string', description: 'Optional. The chapter title or transcript sentence at startSeconds, verbatim.' },
+        },
+        required: ['videoId', 'reason', 'confidence'],
+      },
+    },
+  },
+  required: ['suggestedVideos'],
+};
+
+// Playlist changes an action plan can propose; each maps to a modifyPlaylistItems action.
+const ACTION_PLAN_ACTIONS = ['remove', 'move'];
+
+/**
+ * SUGGESTIONS_RESPONSE_SCHEMA plus an optional `actionPlan`, used for sessions whose user has
+ * allowed playlist changes. The model returns a plan (and no suggestions) when the user asks
+ * for playlist maintenance rather than recommendations.
+ */
+const ACTION_PLAN_RESPONSE_SCHEMA = {
+  ...SUGGESTIONS_RESPONSE_SCHEMA,
+  properties: {
+    ...SUGGESTIONS_RESPONSE_SCHEMA.properties,
+    actionPlan: {
+      type: 'object',
+      description: 'Optional. Only when the user asks to remove or move videos: the changes to make to the playlist.',
+      properties: {
+        summary: { type: 'string', description: 'One sentence describing the whole plan.' },
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              action: { type: 'string', enum: ACTION_PLAN_ACTIONS, description: 'Remove the videos from the playlist, or move them to another playlist.' },
+              targetPlaylistId: { type: 'string', description: 'For move: the ID of the destination, exactly as given in the Playlists list.' },
+              videoIds: { type: 'array', items: { type: 'string' }, description: 'The YouTube video IDs, exactly as given in the Video List.' },
+              reason: { type: 'string', description: 'A concise explanation of why these videos are changed.' },
+            },
+            required: ['action', 'videoIds', 'reason'],
+          },
+        },
+      },
+      required: ['summary', 'steps'],
+    },
+  },
+};
+
+/**
+ * @typedef {object} Suggestion
+ * @property {string} videoId - The YouTube video ID.
+ * @property {string} reason - Why the model suggested the video.
+ * @property {number} confidence - The model's confidence, from 0 to 1.
+ * @property {number} [startSeconds] - Where in the video the matching part starts, in whole seconds.
+ * @property {string|null} [quote] - The chapter title or transcript text at startSeconds.
+ */
+
+/**
+ * @typedef {object} ValidationResult
+ * @property {boolean} ok - False if the output did not match the schema.
+ * @property {string} [error] - Why validation failed, when `ok` is false.
+ * @property {Array<Suggestion>} [suggestions] - Valid suggestions for known videos, in model order, without duplicates.
+ * @property {Array<string>} [rejectedVideoIds] - Video IDs the model suggested that are not in the session context.
+ * @property {ActionPlan|null} [actionPlan] - The validated action plan, if the model returned one and plans are allowed.
+ */
+
+/**
+ * @typedef {object} ActionPlanStep
+ * @property {('remove'|'move')} action - What to do with the videos.
+ * @property {string|null} targetPlaylistId - The playlist to move the videos to; null for `remove`.
+ * @property {Array<string>} videoIds - The videos to change, in model order.
+ * @property {string} reason - Why the model proposed the change.
+ */
+
+/**
+ * @typedef {object} ActionPlan
+ * @property {string} summary - The model's one-sentence description of the plan.
+ * @property {Array<ActionPlanStep>} steps - The changes, each video in at most one step.
+ */
+
+/**
+ * @typedef {object} ActionPlanContext
+ * @property {Set<string>} playlistVideoIds - The videos in the session's playlist; only these can be changed.
+ * @property {Set<string>} targetPlaylistIds - The playlists videos can be moved to.
+ */
+
+/**
+ * Validates one item of the `suggestedVideos` array.
+ * @param {*} item The item to check.
+ * @param {number} index The item's position, for error messages.
+ * @return {string|null} A description of the problem, or null if the item is valid.
+ */
+function validateSuggestionItem(item, index) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return `suggestedVideos[${index}] is not an object.`;
+  }
+  if (typeof item.videoId !== 'string' || item.videoId.trim() === '') {
+    return `suggestedVideos[${index}].videoId must be a non-empty string.`;
+  }
+  if (typeof item.reason !== 'string') {
+    return `suggestedVideos[${index}].reason must be a string.`;
+  }
+  if (typeof item.confidence !== 'number' || !Number.isFinite(item.confidence) ||
+      item.confidence < 0 || item.confidence > 1) {
+    return `suggestedVideos[${index}].confidence must be a number between 0 and 1.`;
+  }
+  // The optional fields may also be null, which some models emit instead of leaving a key out.
+  if (item.startSeconds != null && (typeof item.startSeconds !== 'number' || !Number.isFinite(item.startSeconds) || item.startSeconds < 0)) {
+    return `suggestedVideos[${index}].startSeconds must be a non-negative number.`;
+  }
+  if (item.quote != null && typeof item.quote !== 'string') {
+    return `suggestedVideos[${index}].quote must be a string.`;
+  }
+  return null;
+}
+
+/**
+ * Checks the shape of an action plan and drops whatever it cannot apply: videos outside the
+ * session's playlist (reported in `rejectedVideoIds`), videos already claimed by an earlier
+ * step, moves to unknown playlists, and steps left without videos.
+ * @param {*} plan The `actionPlan` value from the model, or a replayed conversation turn.
+ * @param {ActionPlanContext} context What the plan may refer to.
+ * @return {{error: string}|{plan: ActionPlan, rejectedVideoIds: Array<string>}} The usable plan,
+ *     or why the plan is malformed.
+ */
+function validateActionPlan(plan, context) {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return { error: 'actionPlan is not an object.' };
+  }
+  if (typeof plan.summary !== 'string') {
+    return { error: 'actionPlan.summary must be a string.' };
+  }
+  if (!Array.isArray(plan.steps)) {
+    return { error: 'actionPlan.steps must be an array.' };
+  }
+  const steps = [];
+  const rejectedVideoIds = [];
+  const claimedVideoIds = new Set();
+  for (let i = 0; i < plan.steps.length; i++) {
+    const step = plan.steps[i];
+    if (!step || typeof step !== 'object' || !ACTION_PLAN_ACTIONS.includes(step.action)) {
+      return { error: `actionPlan.steps[${i}].action must be one of ${ACTION_PLAN_ACTIONS.join(', ')}.` };
+    }
+    if (!Array.isArray(step.videoIds) || step.videoIds.some(id => typeof id !== 'string')) {
+      return { error: `actionPlan.steps[${i}].videoIds must be an array of strings.` };
+    }
+    if (step.action === 'move' && !context.targetPlaylistIds.has(step.targetPlaylistId)) {
+      continue;
+    }
+    const videoIds = [];
+    for (const videoId of step.videoIds) {
+      if (!context.playlistVideoIds.has(videoId)) {
+        rejectedVideoIds.push(videoId);
+      } else if (!claimedVideoIds.has(videoId)) {
+        claimedVideoIds.add(videoId);
+        videoIds.push(videoId);
+      }
+    }
+    if (videoIds.length === 0) continue;
+    steps.push({
+      action: step.action,
+      targetPlaylistId: step.action === 'move' ? step.targetPlaylistId : null,
+      videoIds,
+      reason: typeof step.reason === 'string' ? step.reason : '',
+    });
+  }
+  return { plan: { summary: plan.summary, steps }, rejectedVideoIds };
+}
+
+/**
+ * Parses and validates the model's complete output against SUGGESTIONS_RESPONSE_SCHEMA.
+ * A Markdown code fence around the JSON is tolerated; anything else that is not a single
+ * schema-conforming JSON object fails validation. Suggestions that reference a video
+ * outside the session context are not errors, but are removed and reported. An `actionPlan`
+ * is validated with validateActionPlan when plans are allowed, and ignored otherwise.
+ * @param {string} text The accumulated content text from the model.
+ * @param {Set<string>} knownVideoIds The video IDs available in the session context.
+ * @param {ActionPlanContext} [planContext] Allows action plans, and what they may refer to.
+ * @return {ValidationResult} The validation result.
+ */
+function validateSuggestionsResponse(text, knownVideoIds, planContext) {
+  let jsonText = (text || '').trim();
+  const fenceMatch = jsonText.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  if (fenceMatch) jsonText = fenceMatch[1];
+  if (jsonText === '') {
+    return { ok: false, error: 'The model returned an empty response.' };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch (parseError) {
+    return { ok: false, error: `The model response is not valid JSON: ${parseError.message}` };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { ok: false, error: 'The model response is not a JSON object.' };
+  }
+  if (!Array.isArray(parsed.suggestedVideos)) {
+    return { ok: false, error: 'The model response is missing the suggestedVideos array.' };
+  }
+
+  const suggestions = [];
+  const rejectedVideoIds = [];
+  const seenVideoIds = new Set();
+  for (let i = 0; i < parsed.suggestedVideos.length; i++) {
+    const item = parsed.suggestedVideos[i];
+    const itemError = validateSuggestionItem(item, i);
+    if (itemError) {
+      return { ok: false, error: itemError };
+    }
+    if (!knownVideoIds.has(item.videoId)) {
+      rejectedVideoIds.push(item.videoId);
+      continue;
+    }
+    if (seenVideoIds.has(item.videoId)) continue;
+    seenVideoIds.add(item.videoId);
+    const suggestion = { videoId: item.videoId, reason: item.reason, confidence: item.confidence };
+    if (item.startSeconds != null) {
+      suggestion.startSeconds = Math.floor(item.startSeconds);
+      suggestion.quote = item.quote || null;
+    }
+    suggestions.push(suggestion);
+  }
+
+  let actionPlan = null;
+  if (planContext && parsed.actionPlan != null) {
+    const planValidation = validateActionPlan(parsed.actionPlan, planContext);
+    if (planValidation.error) {
+      return { ok: false, error: planValidation.error };
+    }
+    actionPlan = planValidation.plan;
+    rejectedVideoIds.push(...planValidation.rejectedVideoIds);
+  }
+  return { ok: true, suggestions, rejectedVideoIds, actionPlan };
+}
+
+module.exports = {
+  SUGGESTIONS_RESPONSE_SCHEMA,
+  ACTION_PLAN_RESPONSE_SCHEMA,
+  validateActionPlan,
+  validateSuggestionsResponse,
+};
@@ -1,20 +1,51 @@
 /**
  * @fileoverview WebSocket server for the ReelWorthy Gemini chat service.
  * Handles chat initialization with playlist context from Datastore,
- * processes user queries with the Gemini API, and streams responses.
- * It maintains active chat sessions in memory.
+ * processes user queries with the configured LLM provider (Gemini, or an
+ * OpenAI-compatible endpoint such as Ollama; see llmProviders.js), and streams responses.
+ * It maintains active chat sessions in memory, including a bounded history
+ * of prior queries and suggestions so follow-up queries can refine them.
+ * Before each query, a semantic pre-filter ranks the session's videos by
+ * embedding similarity and only the closest ones are sent to the model.
+ * Each candidate's chapter markers, and the transcript excerpts that match the
+ * query, let the model point a suggestion at a specific moment in a video.
+ * For users who have allowed playlist changes, the model can instead answer a
+ * maintenance request with an action plan (remove or move videos), which the
+ * client reviews and applies through the modifyPlaylistItems function.
+ * Videos the user dismissed or snoozed are left out of the session, watched
+ * ones are ranked lower, and the user's ratings are shown to the model.
+ * Every answered query is saved to the user's QueryHistory, which the
+ * listQueryHistory function serves to the History screen.
+ * Queries that start with `/find` skip the model: they run an instant keyword
+ * search over the session's videos (see keywordSearch.js) and are answered
+ * with the same STREAM_END message, marked `source: 'keyword'`.
+ * A query can carry structured filters (duration, publish date, channel and
+ * source; see queryFilters.js), which are applied to the session's videos
+ * before the model, or the keyword search, sees them.
+ * A query with a time budget also gets a watch plan: the combination of its
+ * results that fits the budget best (see watchPlanner.js).
+ * Sessions are authenticated with a Firebase ID token sent in INIT_CHAT; the
+ * user ID is always derived from the verified token, never from the client.
  */
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
-const { GoogleGenerativeAI } = require('@google/generative-ai'); // Changed from VertexAI
+const crypto = require('crypto');
 const { Datastore } = require('@google-cloud/datastore');
+const admin = require('firebase-admin');
+const { getEmbeddingProvider, videoToEmbeddingText, cosineSimilarity } = require('./embeddings');
+const { createConfiguredProviders, resolveModel } = require('./llmProviders');
+const { SUGGESTIONS_RESPONSE_SCHEMA, ACTION_PLAN_RESPONSE_SCHEMA, validateActionPlan, validateSuggestionsResponse } = require('./responseSchema');
+const { parseChapters, selectTranscriptExcerpts } = require('./timestamps');
+const { parseFindCommand, parseSearchQuery, buildKeywordIndex, searchKeywordIndex } = require('./keywordSearch');
+const { normalizeQueryFilters, applyQueryFilters } = require('./queryFilters');
+const { validateWatchBudget, planWatchTime } = require('./watchPlanner');
 
 // --- Configuration ---
 const PORT = process.env.PORT || 8080;
-// API Key for @google/generative-ai.
-// IMPORTANT: In production, this MUST be from a secure environment variable (e.g., set by Secret Manager).
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY; 
+// LLM providers are configured from the environment in llmProviders.js:
+// GEMINI_API_KEY enables Gemini (in production, this MUST come from Secret Manager),
+// OPENAI_COMPAT_BASE_URL (and optionally OPENAI_COMPAT_API_KEY) enables an OpenAI-compatible endpoint.
 
 // --- WebSocket Message Types ---
 const MSG_TYPE_INIT_CHAT = 'INIT_CHAT';
@@ -26,13 +57,79 @@ const MSG_TYPE_CONTENT_CHUNK_RECEIVED = 'CONTENT_CHUNK_RECEIVED';
 const MSG_TYPE_STREAM_END = 'STREAM_END';
 const MSG_TYPE_PING = 'PING';
 const MSG_TYPE_PONG = 'PONG';
+const MSG_TYPE_RESET_CONVERSATION = 'RESET_CONVERSATION';
+const MSG_TYPE_CONVERSATION_RESET = 'CONVERSATION_RESET';
+// Sent instead of STREAM_END when the model's output does not match SUGGESTIONS_RESPONSE_SCHEMA.
+const MSG_TYPE_PARSE_ERROR = 'PARSE_ERROR';
+
+// --- WebSocket Error Codes ---
+// Sent in the `code` field of ERROR messages so the client can react programmatically.
+const ERROR_CODE_UNAUTHENTICATED = 'UNAUTHENTICATED';
+const ERROR_CODE_PLAYLIST_NOT_SYNCED = 'PLAYLIST_NOT_SYNCED';
+// WebSocket close code used when a session fails authentication (4000-4999 is reserved for applications).
+const WS_CLOSE_CODE_UNAUTHENTICATED = 4401;
+
+// --- Datastore Kinds ---
+const VIDEOS_KIND = 'Videos';
+const USER_SUBSCRIPTION_FEED_CACHE_KIND = 'UserSubscriptionFeedCache';
+// Written by getWatchLaterPlaylist after each successful sync, keyed by `${uid}:${playlistId}`.
+const USER_PLAYLIST_SYNC_KIND = 'UserPlaylistSync';
+// Transcript summaries and timed segments written by the ingestVideoTranscripts function: keyed by videoId
+// when fetched from captions, and by `${userId}:${videoId}` when a user uploaded them.
+const VIDEO_TRANSCRIPTS_KIND = 'VideoTranscripts';
+// Per-user watched/dismissed/snoozed-until/rating state written by the setUserVideoState function, keyed by `${uid}:${videoId}`.
+const USER_VIDEO_STATE_KIND = 'UserVideoState';
+// One entity per answered query, read back by the listQueryHistory function; keyed by a random ID.
+const QUERY_HISTORY_KIND = 'QueryHistory';
+const QUERY_HISTORY_EXCLUDE_FROM_INDEXES = [
+    'query', 'answer', 'actionPlanSummary',
+    'results[].title', 'results[].channelTitle', 'results[].thumbnailUrl', 'results[].reason', 'results[].quote',
+];
+const DATASTORE_MAX_KEYS_PER_LOOKUP = 1000;
 
 // --- AI Model Configuration ---
-const DEFAULT_MODEL_ID = 'gemini-2.5-pro-latest';
+// Used when the client does not send a modelId. Prefix with `openai-compatible/` to default to the local endpoint.
+const DEFAULT_MODEL_ID = process.env.DEFAULT_MODEL_ID || 'gemini-2.5-pro-latest';
+
+// --- Conversation Configuration ---
+// Maximum number of prior query/suggestion turns replayed to the model on each USER_QUERY.
+const MAX_CONVERSATION_TURNS = parseInt(process.env.MAX_CONVERSATION_TURNS, 10) || 10;
+
+// --- Semantic Pre-filter Configuration ---
+// Maximum number of videos (ranked by embedding similarity to the query) sent to the model per USER_QUERY.
+const SEMANTIC_PREFILTER_TOP_N = parseInt(process.env.SEMANTIC_PREFILTER_TOP_N, 10) || 150;
+// Subtracted from the similarity of videos the user has watched, so unwatched videos of similar relevance rank first.
+const WATCHED_SIMILARITY_PENALTY = 0.1;
+
+// --- Timestamp Configuration ---
+// Maximum number of query-matching transcript excerpts sent to the model per candidate video.
+const MAX_TRANSCRIPT_EXCERPTS_PER_VIDEO = parseInt(process.env.MAX_TRANSCRIPT_EXCERPTS_PER_VIDEO, 10) || 3;
+
+// --- Keyword Search Configuration ---
+// Maximum number of results sent for a `/find` query.
+const MAX_KEYWORD_RESULTS = parseInt(process.env.MAX_KEYWORD_RESULTS, 10) || 50;
+
+// --- Action Plan Configuration ---
+// Maximum number of the user's other playlists listed to the model as move destinations.
+const MAX_ACTION_PLAN_PLAYLISTS = 200;
 
 // --- Initialize Clients ---
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY); // Changed client
+if (admin.apps.length === 0) {
+  try {
+    admin.initializeApp();
+    console.log('Firebase Admin SDK initialized successfully for gemini-chat-service.');
+  } catch (e) {
+    console.error('Critical Firebase Admin SDK initialization error in gemini-chat-service:', e.message);
+    throw new Error(`Firebase Admin SDK failed to initialize: ${e.message}`);
+  }
+}
+const llmProviders = createConfiguredProviders();
+if (!llmProviders.gemini && !llmProviders.openAiCompatible) {
+  console.warn('No LLM provider is configured. Set GEMINI_API_KEY and/or OPENAI_COMPAT_BASE_URL.');
+}
 const datastore = new Datastore();
+const embeddingProvider = getEmbeddingProvider();
+console.log(`Using embedding provider: ${embeddingProvider.id}`);
 
 const app = express();
 const server = http.createServer(app);
@@ -47,6 +144,473 @@ const wss = new WebSocket.Server({
 
 const activeSessions = new Map();
 
+// --- Conversation History Helpers ---
+
+/**
+ * Normalizes a list of conversation turns so that only well-formed turns remain,
+ * suggestions only reference videos present in the session context, and the
+ * list does not exceed MAX_CONVERSATION_TURNS (oldest turns are dropped first).
+ * Action plans are kept only if the session allows them, and only the parts that
+ * still apply to the session's playlist.
+ * @param {Array<object>} turns Candidate turns, e.g. supplied by the client on reconnect.
+ * @param {Array<object>} videosForContext The videos available in the session context.
+ * @param {{playlistVideoIds: Set<string>, targetPlaylistIds: Set<string>}|null} planContext What
+ *     action plans may refer to, or null if the session does not allow them.
+ * @return {Array<{query: string, suggestedVideos: Array<{videoId: string, reason: string}>, actionPlan: (object|undefined)}>} The sanitized turns.
+ */
+function sanitizeConversationHistory(turns, videosForContext, planContext) {
+    if (!Array.isArray(turns)) return [];
+    const knownVideoIds = new Set(videosForContext.map(v => v.videoId));
+    return turns
+        .filter(turn => turn && typeof turn.query === 'string' && turn.query.trim() !== '')
+        .map(turn => {
+            const sanitized = {
+                query: turn.query,
+                suggestedVideos: (Array.isArray(turn.suggestedVideos) ? turn.suggestedVideos : [])
+                    .filter(s => s && knownVideoIds.has(s.videoId))
+                    .map(s => ({ videoId: s.videoId, reason: s.reason || '' })),
+            };
+            if (planContext && turn.actionPlan) {
+                const { plan } = validateActionPlan(turn.actionPlan, planContext);
+                if (plan) sanitized.actionPlan = plan;
+            }
+            return sanitized;
+        })
+        .slice(-MAX_CONVERSATION_TURNS);
+}
+
+/**
+ * Converts stored conversation turns into alternating user/model chat messages
+ * suitable for appending to the request messages. Each model message replays the
+ * JSON suggestions (and action plan, if any) returned for that turn so follow-ups
+ * can refer to them.
+ * @param {Array<{query: string, suggestedVideos: Array<{videoId: string, reason: string}>, actionPlan: (object|undefined)}>} turns The conversation turns.
+ * @return {Array<{role: string, text: string}>} The messages, oldest first.
+ */
+function conversationHistoryToMessages(turns) {
+    const messages = [];
+    for (const turn of turns) {
+        messages.push({ role: 'user', text: turn.query });
+        messages.push({
+            role: 'model',
+            text: JSON.stringify({ suggestedVideos: turn.suggestedVideos, ...(turn.actionPlan ? { actionPlan: turn.actionPlan } : {}) }),
+        });
+    }
+    return messages;
+}
+
+/**
+ * Normalizes the playlists a client offers as action plan destinations: well-formed
+ * entries only, without the session's own playlist, at most MAX_ACTION_PLAN_PLAYLISTS.
+ * @param {*} playlists The `playlists` field of INIT_CHAT.
+ * @param {string} playlistId The session's playlist.
+ * @return {Array<{id: string, title: string}>|null} The destinations, or null if the client
+ *     sent none, meaning the user has not allowed playlist changes.
+ */
+function sanitizeActionPlanPlaylists(playlists, playlistId) {
+    if (!Array.isArray(playlists)) return null;
+    return playlists
+        .filter(p => p && typeof p.id === 'string' && p.id !== '' && p.id !== playlistId)
+        .map(p => ({ id: p.id, title: typeof p.title === 'string' ? p.title : '' }))
+        .slice(0, MAX_ACTION_PLAN_PLAYLISTS);
+}
+
+// --- Semantic Pre-filter Helpers ---
+
+/**
+ * Builds the embedding index for a session's videos. Embeddings cached on `Videos`
+ * entities by getWatchLaterPlaylist are reused when they came from the same provider;
+ * the rest (e.g. subscription feed videos) are computed here in one batch.
+ * @param {Array<object>} videos The videos in the session context.
+ * @return {Promise<Map<string, Array<number>>>} Embeddings keyed by videoId. Videos whose
+ *     embedding could not be computed are absent and rank last.
+ */
+async function buildVideoEmbeddingIndex(videos) {
+    const index = new Map();
+    const videosToEmbed = [];
+    for (const video of videos) {
+        if (video.embeddingModel === embeddingProvider.id && Array.isArray(video.embedding)) {
+            index.set(video.videoId, video.embedding);
+        } else {
+            videosToEmbed.push(video);
+        }
+    }
+    if (videosToEmbed.length > 0) {
+        try {
+            const vectors = await embeddingProvider.embedBatch(videosToEmbed.map(videoToEmbeddingText));
+            videosToEmbed.forEach((video, i) => index.set(video.videoId, vectors[i]));
+        } catch (error) {
+            console.error(`[INIT_CHAT] Failed to compute embeddings for ${videosToEmbed.length} videos:`, error.message);
+        }
+    }
+    console.log(`[INIT_CHAT] Embedding index ready for ${index.size} of ${videos.length} videos (${videos.length - videosToEmbed.length} cached, provider ${embeddingProvider.id}).`);
+    return index;
+}
+
+/**
+ * Picks the videos sent to the model for a query: the SEMANTIC_PREFILTER_TOP_N most
+ * similar to the query, plus every video suggested earlier in the conversation so
+ * follow-ups can still refer to them. If ranking fails, all videos are returned.
+ * @param {object} session The active session (videosForContext, videoEmbeddings, conversationHistory).
+ * @param {string} query The user's query.
+ * @return {Promise<Array<object>>} The candidate videos.
+ */
+async function selectCandidateVideos(session, query) {
+    const { videosForContext, videoEmbeddings, conversationHistory } = session;
+    if (videosForContext.length <= SEMANTIC_PREFILTER_TOP_N) {
+        return videosForContext;
+    }
+    let queryEmbedding;
+    try {
+        [queryEmbedding] = await embeddingProvider.embedBatch([query]);
+    } catch (error) {
+        console.error('[USER_QUERY] Failed to embed query; sending all videos to the model:', error.message);
+        return videosForContext;
+    }
+    const ranked = videosForContext
+        .map(video => {
+            const similarity = videoEmbeddings.has(video.videoId) ? cosineSimilarity(queryEmbedding, videoEmbeddings.get(video.videoId)) : -Infinity;
+            return { video, score: video.userWatched ? similarity - WATCHED_SIMILARITY_PENALTY : similarity };
+        })
+        .sort((a, b) => b.score - a.score);
+    const candidateIds = new Set(ranked.slice(0, SEMANTIC_PREFILTER_TOP_N).map(r => r.video.videoId));
+    for (const turn of conversationHistory) {
+        turn.suggestedVideos.forEach(s => candidateIds.add(s.videoId));
+        if (turn.actionPlan) {
+            turn.actionPlan.steps.forEach(step => step.videoIds.forEach(id => candidateIds.add(id)));
+        }
+    }
+    // Preserve the original ordering so the prompt is stable across similar queries.
+    const candidates = videosForContext.filter(v => candidateIds.has(v.videoId));
+    console.log(`[USER_QUERY] Semantic pre-filter selected ${candidates.length} of ${videosForContext.length} videos.`);
+    return candidates;
+}
+
+/**
+ * Applies the user's per-video state to the session's videos: dismissed videos, and videos
+ * snoozed until a time still in the future, are removed; the rest are marked with
+ * `userWatched` and `userRating`.
+ * @param {string} userId The verified Firebase UID.
+ * @param {Array<object>} videos The session's videos.
+ * @return {Promise<{videos: Array<object>, hiddenCount: number}>} The videos to keep, marked,
+ *     and how many were removed.
+ */
+async function applyUserVideoStates(userId, videos) {
+    const query = datastore.createQuery(USER_VIDEO_STATE_KIND).filter('userId', '=', userId);
+    const [states] = await datastore.runQuery(query);
+    const statesById = new Map(states.map(state => [state.videoId, state]));
+    const now = Date.now();
+    const kept = [];
+    for (const video of videos) {
+        const state = statesById.get(video.videoId);
+        if (!state) {
+            kept.push(video);
+            continue;
+        }
+        if (state.dismissed || (state.snoozedUntil && new Date(state.snoozedUntil).getTime() > now)) continue;
+        if (state.watched) video.userWatched = true;
+        if (state.rating) video.userRating = state.rating;
+        kept.push(video);
+    }
+    return { videos: kept, hiddenCount: videos.length - kept.length };
+}
+
+/**
+ * Formats a duration in seconds as `[hh:]mm:ss`, as the client displays it.
+ * @param {number} totalSeconds The duration in seconds.
+ * @return {string} The formatted duration, or `00:00` if it is unknown.
+ */
+function formatSecondsToHHMMSS(totalSeconds) {
+    if (totalSeconds === null || totalSeconds === undefined || isNaN(totalSeconds)) return "00:00";
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = Math.floor(totalSeconds % 60);
+    return `${h > 0 ? String(h).padStart(2, '0') + ':' : ''}${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+/**
+ * Answers a `/find` query from the session's keyword index, which is built on the
+ * session's first `/find` query. No model is called.
+ * @param {object} session The active session (videosForContext, keywordIndex).
+ * @param {string} searchText The query text after `/find`.
+ * @param {Array<object>} allowedVideos The session's videos that pass the query's filters.
+ * @return {{answer: string, suggestedVideos: Array<object>}} The answer text, which also
+ *     reports any part of the query that could not be understood, and the matching videos,
+ *     formatted as for STREAM_END.
+ */
+function runKeywordSearch(session, searchText, allowedVideos) {
+    if (!session.keywordIndex) {
+        session.keywordIndex = buildKeywordIndex(session.videosForContext);
+        console.log(`[USER_QUERY] Built keyword index of ${session.videosForContext.length} videos (${session.keywordIndex.vocabulary.length} words).`);
+    }
+    const parsed = parseSearchQuery(searchText);
+    // The index covers every session video, so filtered-out matches are dropped before the limit.
+    const allowedIds = new Set(allowedVideos.map(v => v.videoId));
+    const matches = searchKeywordIndex(session.keywordIndex, parsed, Infinity).results
+        .filter(({ video }) => allowedIds.has(video.videoId));
+    const totalMatches = matches.length;
+    const results = matches.slice(0, MAX_KEYWORD_RESULTS);
+    const suggestedVideos = results.map(({ video, reason }) => {
+        // The cached embedding is only needed server-side.
+        const { embedding, ...foundVideo } = video;
+        return { ...foundVideo, duration: formatSecondsToHHMMSS(foundVideo.durationSeconds), reason };
+    });
+
+    let answer;
+    if (totalMatches > results.length) {
+        answer = `Found ${totalMatches} matching videos; showing the best ${results.length}:`;
+    } else if (totalMatches > 0) {
+        answer = `Found ${totalMatches} matching video${totalMatches === 1 ? '' : 's'}:`;
+    } else if (searchText) {
+        answer = 'No videos in this playlist match your search.';
+    } else {
+        answer = 'Type what to find after /find, e.g. /find channel:veritasium duration:>20m before:2023';
+    }
+    if (parsed.errors.length > 0) {
+        answer = `${parsed.errors.join(' ')} ${answer}`;
+    }
+    return { answer, suggestedVideos };
+}
+
+/**
+ * Plans a query's results into the user's time budget.
+ * @param {Array<object>} suggestedVideos The results sent in STREAM_END, most relevant first.
+ * @param {number} budgetSeconds The time budget.
+ * @return {{watchPlan: {budgetSeconds: number, videoIds: Array<string>, totalSeconds: number}, answer: string}}
+ *     The plan, sent in STREAM_END, and the answer text describing it.
+ */
+function buildWatchPlan(suggestedVideos, budgetSeconds) {
+    const { videoIds, totalSeconds } = planWatchTime(suggestedVideos, budgetSeconds);
+    const budget = `${Math.round(budgetSeconds / 60)} minutes`;
+    let answer;
+    if (videoIds.length > 0) {
+        const others = suggestedVideos.length - videoIds.length;
+        answer = `Here are ${videoIds.length} video${videoIds.length === 1 ? '' : 's'} (${formatSecondsToHHMMSS(totalSeconds)}) for your ${budget}` +
+            (others > 0 ? `; swap in any of the ${others} other result${others === 1 ? '' : 's'}:` : ':');
+    } else if (suggestedVideos.length > 0) {
+        answer = `None of the matching videos fit in ${budget}; here they are anyway:`;
+    } else {
+        answer = 'Could not find any videos matching your query in this playlist.';
+    }
+    return { watchPlan: { budgetSeconds, videoIds, totalSeconds }, answer };
+}
+
+/**
+ * Saves an answered query to the user's history. Results are stored without descriptions or
+ * embeddings, which are only needed to answer; an action plan is stored as its summary, since
+ * it describes changes that may since have been applied.
+ * @param {object} session The session that answered the query.
+ * @param {string} query The user's query.
+ * @param {string} answer The answer text sent with the results.
+ * @param {Array<object>} suggestedVideos The enriched suggestions sent in STREAM_END.
+ * @param {object|null} actionPlan The enriched action plan sent in STREAM_END, if any.
+ * @return {Promise<string>} The ID of the new history entry.
+ */
+async function saveQueryHistoryEntry(session, query, answer, suggestedVideos, actionPlan) {
+    const entryId = crypto.randomUUID();
+    await datastore.save({
+        key: datastore.key([QUERY_HISTORY_KIND, entryId]),
+        data: {
+            entryId,
+            userId: session.userId,
+            playlistId: session.playlistId,
+            modelId: session.modelId,
+            query,
+            answer,
+            results: suggestedVideos.map(v => ({
+                videoId: v.videoId,
+                title: v.title || '',
+                channelTitle: v.channelTitle || '',
+                thumbnailUrl: v.thumbnailUrl || null,
+                duration: v.duration,
+                reason: v.reason,
+                confidence: typeof v.confidence === 'number' ? v.confidence : null,
+                startSeconds: v.startSeconds !== undefined ? v.startSeconds : null,
+                quote: v.quote || null,
+            })),
+            actionPlanSummary: actionPlan ? actionPlan.summary : null,
+            createdAt: new Date(),
+        },
+        excludeFromIndexes: QUERY_HISTORY_EXCLUDE_FROM_INDEXES,
+    });
+    return entryId;
+}
+
+/**
+ * Looks up the transcripts of the given videos that the user may see: their own
+ * uploaded transcript (keyed `${userId}:${videoId}`) or else the shared one fetched
+ * from the video's captions (keyed by videoId). Shared entities written by uploads
+ * are ignored, so one user's file never reaches another user's context.
+ * @param {string} userId The Firebase UID of the session's user.
+ * @param {Array<object>} videos The videos to look up.
+ * @return {Promise<Map<string, object>>} The `VideoTranscripts` entities that are ready, by videoId.
+ */
+async function getVisibleTranscripts(userId, videos) {
+    const transcriptsById = new Map();
+    // Two keys per video.
+    const batchSize = DATASTORE_MAX_KEYS_PER_LOOKUP / 2;
+    for (let i = 0; i < videos.length; i += batchSize) {
+        const batch = videos.slice(i, i + batchSize);
+        const keys = batch.flatMap(v => [
+            datastore.key([VIDEO_TRANSCRIPTS_KIND, `${userId}:${v.videoId}`]),
+            datastore.key([VIDEO_TRANSCRIPTS_KIND, v.videoId]),
+        ]);
+        const [transcripts] = await datastore.get(keys);
+        const ownUploads = new Map();
+        const shared = new Map();
+        transcripts.filter(t => t && t.status === 'ready').forEach(t => {
+            if (t.source === 'upload') {
+                if (t.uploadedBy === userId) ownUploads.set(t.videoId, t);
+            } else {
+                shared.set(t.videoId, t);
+            }
+        });
+        batch.forEach(video => {
+            const transcript = ownUploads.get(video.videoId) || shared.get(video.videoId);
+            if (transcript) transcriptsById.set(video.videoId, transcript);
+        });
+    }
+    return transcriptsById;
+}
+
+/**
+ * Attaches the stored transcript summary, if any, to each video as `transcriptSummary`.
+ * @param {string} userId The Firebase UID of the session's user.
+ * @param {Array<object>} videos The session's videos; modified in place.
+ * @return {Promise<number>} The number of videos that got a summary.
+ */
+async function attachTranscriptSummaries(userId, videos) {
+    const transcriptsById = await getVisibleTranscripts(userId, videos);
+    let attachedCount = 0;
+    videos.forEach(video => {
+        const transcript = transcriptsById.get(video.videoId);
+        if (transcript && transcript.summary) {
+            video.transcriptSummary = transcript.summary;
+            attachedCount++;
+        }
+    });
+    return attachedCount;
+}
+
+/**
+ * Loads the timed transcript segments of the candidate videos that are not yet cached
+ * in the session, and picks the excerpts of each that best match the query.
+ * @param {object} session The active session (userId and transcriptSegments cache).
+ * @param {Array<object>} videos The candidate videos.
+ * @param {string} query The user's query.
+ * @return {Promise<Map<string, Array<{startSeconds: number, text: string}>>>} The excerpts,
+ *     keyed by videoId. Videos without a transcript or a matching excerpt are absent.
+ */
+async function findTranscriptExcerpts(session, videos, query) {
+    const { transcriptSegments } = session;
+    const uncachedVideos = videos.filter(v => !transcriptSegments.has(v.videoId));
+    const transcriptsById = await getVisibleTranscripts(session.userId, uncachedVideos);
+    // Videos without segments are cached as null so they are not looked up again.
+    uncachedVideos.forEach(video => {
+        const transcript = transcriptsById.get(video.videoId);
+        transcriptSegments.set(video.videoId, transcript && Array.isArray(transcript.segments) ? transcript.segments : null);
+    });
+    const excerptsById = new Map();
+    for (const video of videos) {
+        const excerpts = selectTranscriptExcerpts(transcriptSegments.get(video.videoId), query, MAX_TRANSCRIPT_EXCERPTS_PER_VIDEO);
+        if (excerpts.length > 0) excerptsById.set(video.videoId, excerpts);
+    }
+    return excerptsById;
+}
+
+/**
+ * Builds the static instructions and video list that open every request's messages.
+ * @param {Array<object>} videos The videos to include in the context.
+ * @param {Map<string, Array<{startSeconds: number, text: string}>>} [excerptsById] Transcript
+ *     excerpts matching the query, keyed by videoId.
+ * @param {Array<{id: string, title: string}>|null} [actionPlanPlaylists] The move destinations
+ *     if the user has allowed playlist changes, which adds the action plan instructions.
+ * @return {Array<{role: string, text: string}>} The messages.
+ */
+function buildInitialContextHistory(videos, excerptsById = new Map(), actionPlanPlaylists = null) {
+    const videoListForContext = videos.map(video => {
+        const chapters = parseChapters(video.description);
+        const excerpts = excerptsById.get(video.videoId) || [];
+        return {
+            ID: video.videoId, Title: video.title, Description: video.description || 'N/A',
+            ...(video.transcriptSummary ? { TranscriptSummary: video.transcriptSummary } : {}),
+            ...(chapters.length > 0 ? { Chapters: chapters.map(c => ({ StartSeconds: c.startSeconds, Title: c.title })) } : {}),
+            ...(excerpts.length > 0 ? { TranscriptExcerpts: excerpts.map(e => ({ StartSeconds: e.startSeconds, Text: e.text })) } : {}),
+            DurationSeconds: video.durationSeconds, Views: video.viewCount ? parseInt(video.viewCount, 10) : null,
+            Likes: video.likeCount ? parseInt(video.likeCount, 10) : null, Topics: Array.isArray(video.topicCategories) ? video.topicCategories : [],
+            Categories: Array.isArray(video.geminiCategories) ? video.geminiCategories : [],
+            ...(video.userWatched ? { Watched: true } : {}),
+            ...(video.userRating ? { UserRating: video.userRating } : {}),
+            PublishedTimestamp: video.publishedAt ? new Date(video.publishedAt).getTime() : null
+        };
+    });
+    const videoContextString = `Video List (JSON format):\n${JSON.stringify(videoListForContext, null, 2)}`;
+
+    const messages = [
+        { role: 'user', text: "You are an AI assistant. I will provide a 'Video List' containing videos from a specific playlist and potentially from the user's recent subscriptions. Your task is to recommend videos from this combined list that best match the 'User Query'. Your response MUST be a valid JSON object with a single key: 'suggestedVideos'. The value of 'suggestedVideos' MUST be an array. Each object in the array MUST have three keys: 'videoId' (the YouTube video ID, exactly as given in the Video List), 'reason' (your concise explanation for suggesting it), and 'confidence' (a number from 0 to 1 for how well it matches). Some videos list 'Chapters' or 'TranscriptExcerpts', each with a 'StartSeconds'. When one of them is where the video covers what the user asked for, also add 'startSeconds' (that StartSeconds, exactly as given) and 'quote' (the chapter title, or the most relevant sentence of the excerpt, copied verbatim); otherwise leave both out. If NO videos match the query from the provided list, 'suggestedVideos' MUST be an empty array. It is vital that you only return items in which you have high confidence match the user's query. If your list of suggested videos is longer than 50, you have been too permissive in your filtering. In that case, please try again until you get down to a managable list. Videos marked 'Watched' have already been seen by the user: only suggest them when the query asks for something to rewatch, or when no unwatched video matches as well. 'UserRating' is how much the user liked a video, from 1 (not at all) to 5 (loved it); prefer videos like the ones they rated highly and avoid videos like the ones they rated low. This is a conversation: earlier queries and the suggestions you returned for them may precede the current 'User Query'. Interpret follow-ups such as 'only the shorter ones' or 'more like the second one' relative to those earlier suggestions. Output ONLY the JSON object." },
+        { role: 'model', text: "Understood. I will use the provided video list (from playlist and/or subscriptions) and user query to make recommendations in the specified JSON format." },
+        { role: 'user', text: videoContextString }
+    ];
+    if (actionPlanPlaylists) {
+        const playlistsForContext = actionPlanPlaylists.map(p => ({ ID: p.id, Title: p.title }));
+        messages.push({ role: 'user', text: `Besides asking for recommendations, the user may ask you to tidy up this playlist, e.g. 'archive everything older than 2 years that I'd never watch' or 'move all cooking videos to Recipes'. Only for such requests, return 'suggestedVideos' as an empty array and add 'actionPlan': an object with 'summary' (one sentence describing the plan) and 'steps', an array of objects each with 'action' ('remove' to take the videos out of this playlist, or 'move' to move them to another playlist), 'targetPlaylistId' (for 'move' only: an ID exactly as given in the Playlists list below), 'videoIds' (IDs exactly as given in the Video List; each video in at most one step) and 'reason'. Never propose changes the user did not ask for; the user reviews the plan before anything is changed. For every other query, leave 'actionPlan' out. Today's date is ${new Date().toISOString().substring(0, 10)}.\n\nPlaylists (JSON format):\n${JSON.stringify(playlistsForContext, null, 2)}` });
+    }
+    return messages;
+}
+
+// --- Authentication Helpers ---
+
+/**
+ * Verifies a Firebase ID token supplied by the client in INIT_CHAT.
+ * @param {string} idToken The Firebase ID token.
+ * @return {Promise<string>} The verified Firebase UID.
+ * @throws {Error} If the token is missing, malformed, or expired.
+ */
+async function verifyClientIdToken(idToken) {
+    if (!idToken || typeof idToken !== 'string') {
+        throw new Error('Missing Firebase ID token.');
+    }
+    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    if (!decodedToken.uid) {
+        throw new Error('Firebase ID token did not contain a UID.');
+    }
+    return decodedToken.uid;
+}
+
+/**
+ * Builds the key identifying one user's association with one playlist, matching the
+ * format getWatchLaterPlaylist writes to `Videos.userPlaylistAssociations` and `UserPlaylistSync`.
+ * @param {string} userId The Firebase UID.
+ * @param {string} playlistId The YouTube playlist ID.
+ * @return {string} The association key.
+ */
+function userPlaylistAssociationKey(userId, playlistId) {
+    return `${userId}:${playlistId}`;
+}
+
+/**
+ * Checks whether a user has synced a playlist through getWatchLaterPlaylist,
+ * which is what establishes their right to chat about its videos.
+ * @param {string} userId The verified Firebase UID.
+ * @param {string} playlistId The YouTube playlist ID.
+ * @return {Promise<boolean>} True if a sync record exists for this user and playlist.
+ */
+async function hasUserSyncedPlaylist(userId, playlistId) {
+    const syncKey = datastore.key([USER_PLAYLIST_SYNC_KIND, userPlaylistAssociationKey(userId, playlistId)]);
+    const [syncEntity] = await datastore.get(syncKey);
+    return !!syncEntity;
+}
+
+/**
+ * Returns a copy of a client message that is safe to log (credentials removed).
+ * @param {object} message The parsed client message.
+ * @return {object} The message with any `payload.idToken` redacted.
+ */
+function redactMessageForLog(message) {
+    if (!message || !message.payload || !message.payload.idToken) return message;
+    return { ...message, payload: { ...message.payload, idToken: '[REDACTED]' } };
+}
+
 // --- WebSocket Server Logic ---
 wss.on('connection', (ws) => {
     console.log('[WebSocket] Client connected');
@@ -55,7 +619,7 @@ wss.on('connection', (ws) => {
         let message;
         try {
             message = JSON.parse(messageString);
-            console.log('[WebSocket] Received message:', message);
+            console.log('[WebSocket] Received message:', redactMessageForLog(message));
         } catch (error) {
             console.error('[WebSocket] Failed to parse message:', messageString, error);
             ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, error: 'Invalid message format' }));
@@ -65,7 +629,7 @@ wss.on('connection', (ws) => {
         const currentSession = activeSessions.get(ws);
 
         if (message.type === MSG_TYPE_INIT_CHAT) {
-            const { playlistId, modelId: clientModelId, includeSubscriptionFeed, userId, deepThinking } = message.payload;
+            const { playlistId, modelId: clientModelId, includeSubscriptionFeed, includeTranscripts, idToken, deepThinking, conversationHistory, playlists } = message.payload;
             // Use a model compatible with @google/generative-ai, e.g., gemini-pro or a specific preview version.
             // The test script used 'gemini-2.5-pro-preview-05-06', let's ensure consistency or use a generally available one.
             const effectiveModelId = clientModelId || DEFAULT_MODEL_ID; // Or 'gemini-2.5-pro-preview-05-06' if available & preferred
@@ -75,19 +639,41 @@ wss.on('connection', (ws) => {
                 return;
             }
 
+            let userId;
+            try {
+                userId = await verifyClientIdToken(idToken);
+            } catch (authError) {
+                console.warn('[INIT_CHAT] Rejecting session with invalid Firebase ID token:', authError.message);
+                activeSessions.delete(ws);
+                ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, code: ERROR_CODE_UNAUTHENTICATED, error: 'Unauthorized: Invalid or expired Firebase ID token.' }));
+                ws.close(WS_CLOSE_CODE_UNAUTHENTICATED, 'Unauthenticated');
+                return;
+            }
+
             try {
+                if (!(await hasUserSyncedPlaylist(userId, playlistId))) {
+                    console.warn(`[INIT_CHAT] UserID ${userId} has not synced playlist ${playlistId}. Refusing.`);
+                    activeSessions.delete(ws);
+                    ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, code: ERROR_CODE_PLAYLIST_NOT_SYNCED, error: `Playlist ${playlistId} has not been synced for this account. Select it from your playlists first.` }));
+                    return;
+                }
+
                 console.log(`[INIT_CHAT] Fetching videos for playlist: ${playlistId}`);
-                const videosQuery = datastore.createQuery('Videos')
-                    .filter('associatedPlaylistIds', '=', playlistId);
+                // Only this user's association is matched, so another user's copy of the same playlist never leaks in.
+                const videosQuery = datastore.createQuery(VIDEOS_KIND)
+                    .filter('userPlaylistAssociations', '=', userPlaylistAssociationKey(userId, playlistId));
                 const [playlistVideos] = await datastore.runQuery(videosQuery);
                 
-                let combinedVideos = playlistVideos || [];
-                console.log(`[INIT_CHAT] Fetched ${combinedVideos.length} videos for playlist ${playlistId}.`);
+                // Videos refreshVideoStats found deleted or made private can no longer be watched, so they are never suggested.
+                let combinedVideos = (playlistVideos || []).filter(v => !v.unavailable);
+                // Only videos in the playlist itself, not subscription feed videos, can be part of an action plan.
+                const playlistVideoIds = new Set(combinedVideos.map(v => v.videoId));
+                console.log(`[INIT_CHAT] Fetched ${combinedVideos.length} videos for playlist ${playlistId} (${(playlistVideos || []).length - combinedVideos.length} unavailable skipped).`);
 
-                if (includeSubscriptionFeed && userId) {
+                if (includeSubscriptionFeed) {
                     console.log(`[INIT_CHAT] includeSubscriptionFeed is true for userId: ${userId}. Fetching feed cache.`);
                     try {
-                        const feedCacheKey = datastore.key(['UserSubscriptionFeedCache', userId]);
+                        const feedCacheKey = datastore.key([USER_SUBSCRIPTION_FEED_CACHE_KIND, userId]);
                         const [feedCacheEntity] = await datastore.get(feedCacheKey);
                         if (feedCacheEntity && Array.isArray(feedCacheEntity.videos) && feedCacheEntity.videos.length > 0) {
                             console.log(`[INIT_CHAT] Fetched ${feedCacheEntity.videos.length} videos from subscription feed cache for userId: ${userId}.`);
@@ -104,6 +690,14 @@ wss.on('connection', (ws) => {
                     }
                 }
 
+                try {
+                    const { videos: visibleVideos, hiddenCount } = await applyUserVideoStates(userId, combinedVideos);
+                    combinedVideos = visibleVideos;
+                    console.log(`[INIT_CHAT] Left out ${hiddenCount} videos the user dismissed or snoozed.`);
+                } catch (stateError) {
+                    console.error(`[INIT_CHAT] Error fetching UserVideoState for userId ${userId}; continuing without it:`, stateError);
+                }
+
                 if (combinedVideos.length === 0) {
                     ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, error: `No videos found for playlist ${playlistId} (and subscription feed if applicable).` }));
                     activeSessions.delete(ws);
@@ -111,37 +705,50 @@ wss.on('connection', (ws) => {
                 }
                 console.log(`[INIT_CHAT] Total videos for context after potential merge: ${combinedVideos.length}.`);
 
-                const videoListForContext = combinedVideos.map(video => ({
-                    ID: video.videoId, Title: video.title, Description: video.description || 'N/A',
-                    DurationSeconds: video.durationSeconds, Views: video.viewCount ? parseInt(video.viewCount, 10) : null,
-                    Likes: video.likeCount ? parseInt(video.likeCount, 10) : null, Topics: Array.isArray(video.topicCategories) ? video.topicCategories : [],
-                    PublishedTimestamp: video.publishedAt ? new Date(video.publishedAt).getTime() : null
-                }));
-                const videoContextString = `Video List (JSON format):\n${JSON.stringify(videoListForContext, null, 2)}`;
-                
-                const generativeModel = genAI.getGenerativeModel({ model: effectiveModelId });
-                
-                const initialHistory = [
-                    { role: 'user', parts: [{ text: "You are an AI assistant. I will provide a 'Video List' containing videos from a specific playlist and potentially from the user's recent subscriptions. Your task is to recommend videos from this combined list that best match the 'User Query'. Your response MUST be a valid JSON object with a single key: 'suggestedVideos'. The value of 'suggestedVideos' MUST be an array. Each object in the array MUST have two keys: 'videoId' (the YouTube video ID) and 'reason' (your concise explanation for suggesting it). If NO videos match the query from the provided list, 'suggestedVideos' MUST be an empty array. It is vital that you only return items in which you have high confidence match the user's query. If your list of suggested videos is longer than 50, you have been too permissive in your filtering. In that case, please try again until you get down to a managable list. Output ONLY the JSON object." }] },
-                    { role: 'model', parts: [{ text: "Understood. I will use the provided video list (from playlist and/or subscriptions) and user query to make recommendations in the specified JSON format." }] },
-                    { role: 'user', parts: [{ text: videoContextString }] }
-                ];
+                if (includeTranscripts) {
+                    try {
+                        const summaryCount = await attachTranscriptSummaries(userId, combinedVideos);
+                        console.log(`[INIT_CHAT] Attached transcript summaries to ${summaryCount} of ${combinedVideos.length} videos.`);
+                    } catch (transcriptError) {
+                        console.error(`[INIT_CHAT] Error fetching VideoTranscripts for userId ${userId}:`, transcriptError);
+                    }
+                }
+
+                const actionPlanPlaylists = sanitizeActionPlanPlaylists(playlists, playlistId);
+                const planContext = actionPlanPlaylists ? {
+                    playlistVideoIds: new Set(combinedVideos.map(v => v.videoId).filter(id => playlistVideoIds.has(id))),
+                    targetPlaylistIds: new Set(actionPlanPlaylists.map(p => p.id)),
+                } : null;
 
-                // const chat = generativeModel.startChat({ history: initialHistory }); // Not strictly needed if we use model.generateContentStream and manage history manually for it
+                const videoEmbeddings = await buildVideoEmbeddingIndex(combinedVideos);
+                const llm = resolveModel(llmProviders, effectiveModelId);
 
-                // Store the initialContextHistory, the model instance, and other relevant data
+                // Store the videos, their embeddings, the resolved provider/model, and other relevant data.
+                // The context sent to the model is rebuilt per query from the pre-filtered candidates.
                 activeSessions.set(ws, { 
-                    // chat, // Removing stateful chat object as each query will be standalone with initial context
+                    // Conversation turns are replayed manually into each provider.streamChat call
                     playlistId, 
                     modelId: effectiveModelId, 
                     videosForContext: combinedVideos, 
                     userId: userId, 
-                    genModel: generativeModel, // Keep the model instance
-                    initialContextHistory: initialHistory, // Store the static initial history/context
+                    videoEmbeddings,
+                    llm, // { provider, modelName }
                     deepThinking: deepThinking || false,
+                    includeTranscripts: includeTranscripts || false,
+                    // Timed transcript segments by videoId (null if none), loaded as videos become query candidates.
+                    transcriptSegments: new Map(),
+                    // Move destinations, and what plans may change; both null unless the user allowed playlist changes.
+                    actionPlanPlaylists,
+                    planContext,
+                    // Restored from the client on reconnect so an in-progress conversation survives a dropped socket.
+                    conversationHistory: sanitizeConversationHistory(conversationHistory, combinedVideos, planContext),
+                    // Tells playlist videos from subscription feed ones, for the `source` query filter.
+                    playlistVideoIds,
+                    // Built from videosForContext on the session's first `/find` query.
+                    keywordIndex: null,
                 });
                 ws.send(JSON.stringify({ type: MSG_TYPE_CHAT_INITIALIZED, payload: { playlistId, modelId: effectiveModelId } }));
-                console.log(`[INIT_CHAT] Chat initialized for playlist: ${playlistId} with model ${effectiveModelId}. UserID: ${userId}, IncludeFeed: ${includeSubscriptionFeed}, DeepThinking: ${deepThinking || false}`);
+                console.log(`[INIT_CHAT] Chat initialized for playlist: ${playlistId} with model ${effectiveModelId} (provider ${llm.provider.name}). UserID: ${userId}, IncludeFeed: ${includeSubscriptionFeed}, IncludeTranscripts: ${includeTranscripts || false}, DeepThinking: ${deepThinking || false}, ActionPlans: ${!!actionPlanPlaylists}`);
 
             } catch (error) {
                 console.error('[INIT_CHAT] Error initializing chat:', error);
@@ -150,112 +757,120 @@ wss.on('connection', (ws) => {
             }
 
         } else if (message.type === MSG_TYPE_USER_QUERY) {
-            if (!currentSession || !currentSession.genModel || !currentSession.initialContextHistory) { 
-                ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, error: 'Chat not initialized properly (missing model or initial context history). Send INIT_CHAT first.' }));
+            if (!currentSession || !currentSession.llm || !currentSession.videosForContext) { 
+                ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, error: 'Chat not initialized properly (missing model or video context). Send INIT_CHAT first.' }));
                 return;
             }
             const { query } = message.payload;
             // videosForContext is still useful for enriching the final response
-            const { videosForContext, genModel, initialContextHistory } = currentSession; // Use initialContextHistory
+            const { videosForContext, llm, conversationHistory, actionPlanPlaylists, planContext } = currentSession;
 
             if (!query) {
                 ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, error: 'Query is required for USER_QUERY' }));
                 return;
             }
+            const { filters, error: filtersError } = normalizeQueryFilters(message.payload.filters);
+            if (filtersError) {
+                ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, error: `Invalid filters: ${filtersError}` }));
+                return;
+            }
+            const { budgetSeconds = null } = message.payload;
+            const budgetError = validateWatchBudget(budgetSeconds);
+            if (budgetError) {
+                ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, error: `Invalid time budget: ${budgetError}` }));
+                return;
+            }
+            const filteredVideos = filters ? applyQueryFilters(videosForContext, filters, currentSession.playlistVideoIds) : videosForContext;
+            if (filters) {
+                console.log(`[USER_QUERY] Filters ${JSON.stringify(filters)} kept ${filteredVideos.length} of ${videosForContext.length} videos.`);
+            }
+
+            const searchText = parseFindCommand(query);
+            if (searchText !== null) {
+                const keywordResult = runKeywordSearch(currentSession, searchText, filteredVideos);
+                const { suggestedVideos } = keywordResult;
+                const budgetPlan = budgetSeconds && suggestedVideos.length > 0 ? buildWatchPlan(suggestedVideos, budgetSeconds) : null;
+                const answer = budgetPlan ? `${keywordResult.answer.replace(/:$/, '.')} ${budgetPlan.answer}` : keywordResult.answer;
+                console.log(`[USER_QUERY] Keyword search "${searchText}" found ${suggestedVideos.length} videos for playlist ${currentSession.playlistId}.`);
+                // Recorded like a model turn, so a follow-up question can refer to the results.
+                conversationHistory.push({
+                    query,
+                    suggestedVideos: suggestedVideos.map(v => ({ videoId: v.videoId, reason: v.reason })),
+                });
+                if (conversationHistory.length > MAX_CONVERSATION_TURNS) {
+                    conversationHistory.splice(0, conversationHistory.length - MAX_CONVERSATION_TURNS);
+                }
+                try {
+                    const entryId = await saveQueryHistoryEntry(currentSession, query, answer, suggestedVideos, null);
+                    console.log(`[QUERY_HISTORY] Saved entry ${entryId} for UserID ${currentSession.userId} (${suggestedVideos.length} results).`);
+                } catch (historyError) {
+                    console.error(`[QUERY_HISTORY] Error saving query for UserID ${currentSession.userId}:`, historyError);
+                }
+                ws.send(JSON.stringify({
+                    type: MSG_TYPE_STREAM_END,
+                    payload: { answer, suggestedVideos, query, source: 'keyword', ...(budgetPlan ? { watchPlan: budgetPlan.watchPlan } : {}) },
+                }));
+                return;
+            }
+
+            if (filteredVideos.length === 0) {
+                // Nothing to ask the model about; the turn is not recorded, like an unreadable answer.
+                ws.send(JSON.stringify({
+                    type: MSG_TYPE_STREAM_END,
+                    payload: { answer: 'No videos in this playlist match your filters. Loosen them and ask again.', suggestedVideos: [], query },
+                }));
+                return;
+            }
 
             try {
-                const thinkingBudget = currentSession.deepThinking ? -1 : 256;
-                // Construct payload for model.generateContentStream, using the static initialContextHistory
-                const requestPayload = {
-                    contents: [...initialContextHistory, { role: 'user', parts: [{ text: query }] }], // Use static initial context + current query
-                    generationConfig: {
-                        responseMimeType: "application/json",
-                        thinkingConfig: {
-                            includeThoughts: true,
-                            thinkingBudget: thinkingBudget, 
-                        },
-                        temperature: 0, // Retain original temperature
-                    },
-                    safetySettings: [
-                        {
-                            category: 'HARM_CATEGORY_HARASSMENT',
-                            threshold: 'BLOCK_NONE',
-                        },
-                        {
-                            category: 'HARM_CATEGORY_HATE_SPEECH',
-                            threshold: 'BLOCK_NONE',
-                        },
-                        {
-                            category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-                            threshold: 'BLOCK_NONE',
-                        },
-                        {
-                            category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-                            threshold: 'BLOCK_NONE',
-                        },
-                    ]
+                // Earlier suggestions that the filters now exclude are not candidates either.
+                const candidateVideos = await selectCandidateVideos({ ...currentSession, videosForContext: filteredVideos }, query);
+                let excerptsById = new Map();
+                if (currentSession.includeTranscripts) {
+                    try {
+                        excerptsById = await findTranscriptExcerpts(currentSession, candidateVideos, query);
+                        console.log(`[USER_QUERY] Found transcript excerpts for ${excerptsById.size} of ${candidateVideos.length} candidate videos.`);
+                    } catch (transcriptError) {
+                        console.error('[USER_QUERY] Error fetching transcript segments; continuing without excerpts:', transcriptError);
+                    }
+                }
+                const initialContextHistory = buildInitialContextHistory(candidateVideos, excerptsById, actionPlanPlaylists);
+                // Static context, then prior turns, then the current query
+                const chatRequest = {
+                    modelName: llm.modelName,
+                    messages: [
+                        ...initialContextHistory,
+                        ...conversationHistoryToMessages(conversationHistory),
+                        ...(budgetSeconds ? [{ role: 'user', text: `I have ${Math.round(budgetSeconds / 60)} minutes to watch. For my next request, suggest every video that fits it, even if together they take longer: the app picks the combination that fits my time from your suggestions, using their confidence.` }] : []),
+                        { role: 'user', text: query },
+                    ],
+                    deepThinking: currentSession.deepThinking,
+                    responseSchema: planContext ? ACTION_PLAN_RESPONSE_SCHEMA : SUGGESTIONS_RESPONSE_SCHEMA,
                 };
 
-                console.log(`[USER_QUERY][${new Date().toISOString()}] Sending query to Gemini (using @google/generative-ai) for playlist ${currentSession.playlistId}.`);
-                console.log(`[USER_QUERY][${new Date().toISOString()}] Request payload for model.generateContentStream:`, JSON.stringify(requestPayload, null, 2));
-                
-                const streamResult = await genModel.generateContentStream(requestPayload);
+                console.log(`[USER_QUERY][${new Date().toISOString()}] Sending query to ${llm.provider.name} (model ${llm.modelName}) for playlist ${currentSession.playlistId}.`);
+                console.log(`[USER_QUERY][${new Date().toISOString()}] Request for provider.streamChat:`, JSON.stringify(chatRequest, null, 2));
+
                 let accumulatedText = "";
-                let thoughtHeaderPrinted = false;
-                let answerHeaderPrinted = false;
-
-                console.log(`[USER_QUERY][${new Date().toISOString()}] Called model.generateContentStream, awaiting stream data...`);
-
-                for await (const chunk of streamResult.stream) {
-                    console.log(`[USER_QUERY][STREAM_ITEM_RAW][${new Date().toISOString()}]`, JSON.stringify(chunk, null, 2));
-
-                    if (chunk.candidates && chunk.candidates[0] && chunk.candidates[0].content && chunk.candidates[0].content.parts) {
-                        for (const part of chunk.candidates[0].content.parts) {
-                            if (part.text === null || part.text === undefined) continue;
-
-                            if (part.thought) {
-                                if (!thoughtHeaderPrinted) {
-                                    thoughtHeaderPrinted = true;
-                                }
-                                ws.send(JSON.stringify({ type: MSG_TYPE_THINKING_CHUNK, payload: { textChunk: part.text } }));
-                                console.log(`[USER_QUERY][THOUGHT_CHUNK_SENT][${new Date().toISOString()}] Text: ${part.text.substring(0,100)}...`);
-                            } else {
-                                if (!answerHeaderPrinted && part.text.trim() !== "") {
-                                    answerHeaderPrinted = true;
-                                }
-                                accumulatedText += part.text;
-                                ws.send(JSON.stringify({ type: MSG_TYPE_CONTENT_CHUNK_RECEIVED })); // Send indicator for each content chunk
-                                console.log(`[USER_QUERY][CONTENT_CHUNK_RECEIVED_SENT][${new Date().toISOString()}]`);
-                            }
-                        }
+                let usage = null;
+
+                for await (const event of llm.provider.streamChat(chatRequest)) {
+                    if (event.type === 'thought') {
+                        ws.send(JSON.stringify({ type: MSG_TYPE_THINKING_CHUNK, payload: { textChunk: event.text } }));
+                        console.log(`[USER_QUERY][THOUGHT_CHUNK_SENT][${new Date().toISOString()}] Text: ${event.text.substring(0,100)}...`);
+                    } else if (event.type === 'content') {
+                        accumulatedText += event.text;
+                        ws.send(JSON.stringify({ type: MSG_TYPE_CONTENT_CHUNK_RECEIVED })); // Send indicator for each content chunk
+                        console.log(`[USER_QUERY][CONTENT_CHUNK_RECEIVED_SENT][${new Date().toISOString()}]`);
+                    } else if (event.type === 'usage') {
+                        usage = event.usage;
                     }
                 }
-                
-                // Update server-side chat history after successful stream
-                // Note: userChatSession.history is an accessor that rebuilds from internal _history.
-                // To append, we typically send new messages.
-                // For now, we'll rely on including the full history in each model.generateContentStream call.
-                // If true stateful chat history update is needed with userChatSession,
-                // we'd use userChatSession.sendMessageStream and ensure its history updates.
-                // Since we used model.generateContentStream, the 'userChatSession' object's history
-                // wasn't directly updated by that call. We'd need to manually update it if we want to keep it.
-                // For simplicity and to match the test script's direct model call, we'll reconstruct history on each USER_QUERY.
-                // This means the 'chat' object stored in activeSessions is mostly for holding the initial history setup.
-                // A more robust chat history management would be needed if we strictly use chat.sendMessageStream.
-                
-                // DO NOT append to history, as each query is independent with the initial context.
-                // currentSession.initialContextHistory.push({ role: 'user', parts: [{ text: query }] }); // REMOVED
-                // currentSession.initialContextHistory.push({ role: 'model', parts: [{ text: accumulatedText }] }); // REMOVED
 
-
-                const aggregatedResponse = await streamResult.response;
-                if (aggregatedResponse && aggregatedResponse.usageMetadata) {
-                    console.log(`[USER_QUERY][USAGE_METADATA][${new Date().toISOString()}]`, JSON.stringify(aggregatedResponse.usageMetadata, null, 2));
+                if (usage) {
+                    console.log(`[USER_QUERY][USAGE_METADATA][${new Date().toISOString()}]`, JSON.stringify(usage));
                 } else {
-                     // Try to get usage metadata from the last chunk if aggregatedResponse doesn't have it
-                    // This logic for lastChunk might be complex if stream is already consumed.
-                    // Prefer relying on aggregatedResponse.usageMetadata.
-                    console.log(`[USER_QUERY][USAGE_METADATA][${new Date().toISOString()}] Aggregated response or usageMetadata not available or stream already consumed for last chunk.`);
+                    console.log(`[USER_QUERY][USAGE_METADATA][${new Date().toISOString()}] Provider ${llm.provider.name} did not report usage.`);
                 }
                 
                 console.log(`[USER_QUERY][${new Date().toISOString()}] Stream finished. Accumulated text length: ${accumulatedText.length}`);
@@ -265,77 +880,102 @@ wss.on('connection', (ws) => {
                     return '';
                 });
 
-                let allSuggestedVideos = [];
-                let currentTextToParse = sanitizedText.trim();
-                if (currentTextToParse.startsWith("```json")) currentTextToParse = currentTextToParse.substring(7);
-                if (currentTextToParse.endsWith("```")) currentTextToParse = currentTextToParse.substring(0, currentTextToParse.length - 3);
-                currentTextToParse = currentTextToParse.trim();
-                
-                let startIndex = 0;
-                while (startIndex < currentTextToParse.length) {
-                    const firstBrace = currentTextToParse.indexOf('{', startIndex);
-                    if (firstBrace === -1) break;
-                    let balance = 0;
-                    let lastBraceIndex = -1;
-                    for (let i = firstBrace; i < currentTextToParse.length; i++) {
-                        if (currentTextToParse[i] === '{') balance++;
-                        else if (currentTextToParse[i] === '}') {
-                            balance--;
-                            if (balance === 0) { lastBraceIndex = i; break; }
-                        }
-                    }
-                    if (lastBraceIndex !== -1) {
-                        const jsonCandidate = currentTextToParse.substring(firstBrace, lastBraceIndex + 1);
-                        try {
-                            const parsedPart = JSON.parse(jsonCandidate);
-                            if (parsedPart && Array.isArray(parsedPart.suggestedVideos)) {
-                                allSuggestedVideos = allSuggestedVideos.concat(parsedPart.suggestedVideos);
-                            } else {
-                                console.warn(`[JSON_PARSE] Parsed JSON part not expected format. Snippet: ${jsonCandidate.substring(0, 200)}`);
-                            }
-                        } catch (parseError) {
-                            console.warn(`[JSON_PARSE] Failed to parse JSON part. Error: ${parseError.message}. Snippet: ${jsonCandidate.substring(0, 200)}`);
-                        }
-                        startIndex = lastBraceIndex + 1;
-                    } else {
-                        console.warn(`[JSON_PARSE] Mismatched braces in remaining text. Snippet: ${currentTextToParse.substring(startIndex, startIndex + 200)}`);
-                        break;
-                    }
+                const validation = validateSuggestionsResponse(sanitizedText, new Set(filteredVideos.map(v => v.videoId)), planContext);
+                if (!validation.ok) {
+                    console.warn(`[USER_QUERY][PARSE_ERROR] ${validation.error} Snippet: ${sanitizedText.substring(0, 200)}`);
+                    // The turn is not recorded, so retrying replays the same conversation.
+                    ws.send(JSON.stringify({
+                        type: MSG_TYPE_PARSE_ERROR,
+                        payload: { query, error: `The AI response could not be understood (${validation.error})`, retryable: true },
+                    }));
+                    return;
+                }
+                if (validation.rejectedVideoIds.length > 0) {
+                    console.warn(`[USER_QUERY] Rejected ${validation.rejectedVideoIds.length} suggestions for videos not in the session context: ${validation.rejectedVideoIds.join(', ')}`);
                 }
 
-                let suggestionsFromGemini = [];
-                let answerText = "Could not find any videos matching your query in this playlist.";
-                if (allSuggestedVideos.length > 0) {
-                    suggestionsFromGemini = allSuggestedVideos;
+                const actionPlan = validation.actionPlan && validation.actionPlan.steps.length > 0 ? validation.actionPlan : null;
+                let answerText;
+                if (actionPlan) {
+                    answerText = "Here is what I would change. Review the plan before applying it:";
+                } else if (validation.suggestions.length > 0) {
                     answerText = "Based on your query, I found these videos:";
-                } else if (sanitizedText.trim().length > 0 && !thoughtHeaderPrinted) { // Only use AI text if no thoughts were primary output
-                    answerText = sanitizedText.trim(); // Use the direct AI response if no JSON
-                } else if (sanitizedText.trim().length > 0 && thoughtHeaderPrinted && allSuggestedVideos.length === 0) {
-                     answerText = `The AI provided thoughts but no matching videos were found or the format was unexpected.`;
+                } else {
+                    answerText = "Could not find any videos matching your query in this playlist.";
                 }
                 
-                function formatSecondsToHHMMSS(totalSeconds) {
-                    if (totalSeconds === null || totalSeconds === undefined || isNaN(totalSeconds)) return "00:00";
-                    const h = Math.floor(totalSeconds / 3600);
-                    const m = Math.floor((totalSeconds % 3600) / 60);
-                    const s = Math.floor(totalSeconds % 60);
-                    return `${h > 0 ? String(h).padStart(2, '0') + ':' : ''}${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+                // Every validated suggestion references a video in videosForContext, so the lookup always succeeds.
+                const suggestedVideosFull = validation.suggestions.map(suggestion => {
+                    // The cached embedding is only needed server-side.
+                    const { embedding, ...foundVideo } = videosForContext.find(v => v.videoId === suggestion.videoId);
+                    // A moment past the end of the video can only be a model error, so the link falls back to the start.
+                    const hasMoment = suggestion.startSeconds !== undefined &&
+                        !(foundVideo.durationSeconds > 0 && suggestion.startSeconds >= foundVideo.durationSeconds);
+                    return {
+                        ...foundVideo, duration: formatSecondsToHHMMSS(foundVideo.durationSeconds), reason: suggestion.reason, confidence: suggestion.confidence,
+                        ...(hasMoment ? { startSeconds: suggestion.startSeconds, quote: suggestion.quote } : {}),
+                    };
+                });
+
+                // The client shows each step as a diff, so its videos are sent in full.
+                const actionPlanFull = actionPlan && {
+                    summary: actionPlan.summary,
+                    sourcePlaylistId: currentSession.playlistId,
+                    steps: actionPlan.steps.map(step => ({
+                        action: step.action,
+                        targetPlaylistId: step.targetPlaylistId,
+                        targetPlaylistTitle: step.targetPlaylistId ? actionPlanPlaylists.find(p => p.id === step.targetPlaylistId).title : null,
+                        reason: step.reason,
+                        videos: step.videoIds.map(videoId => {
+                            const { embedding, ...video } = videosForContext.find(v => v.videoId === videoId);
+                            return { ...video, duration: formatSecondsToHHMMSS(video.durationSeconds) };
+                        }),
+                    })),
+                };
+
+                // A maintenance request gets an action plan, never a watch plan.
+                const budgetPlan = budgetSeconds && !actionPlan ? buildWatchPlan(suggestedVideosFull, budgetSeconds) : null;
+                if (budgetPlan) {
+                    answerText = budgetPlan.answer;
+                }
+
+                // Record this turn so the next query can refine it.
+                conversationHistory.push({
+                    query,
+                    suggestedVideos: suggestedVideosFull.map(v => ({ videoId: v.videoId, reason: v.reason })),
+                    ...(actionPlan ? { actionPlan } : {}),
+                });
+                if (conversationHistory.length > MAX_CONVERSATION_TURNS) {
+                    conversationHistory.splice(0, conversationHistory.length - MAX_CONVERSATION_TURNS);
+                }
+
+                try {
+                    const entryId = await saveQueryHistoryEntry(currentSession, query, answerText, suggestedVideosFull, actionPlanFull);
+                    console.log(`[QUERY_HISTORY] Saved entry ${entryId} for UserID ${currentSession.userId} (${suggestedVideosFull.length} results).`);
+                } catch (historyError) {
+                    // Losing a history entry must not cost the user their answer.
+                    console.error(`[QUERY_HISTORY] Error saving query for UserID ${currentSession.userId}:`, historyError);
                 }
-                
-                const suggestedVideosFull = suggestionsFromGemini.map(suggestion => {
-                    const foundVideo = videosForContext.find(v => v.videoId === suggestion.videoId); 
-                    return foundVideo ? { ...foundVideo, duration: formatSecondsToHHMMSS(foundVideo.durationSeconds), reason: suggestion.reason } : null;
-                }).filter(v => v !== null);
 
                 ws.send(JSON.stringify({ 
                     type: MSG_TYPE_STREAM_END, 
-                    payload: { answer: answerText, suggestedVideos: suggestedVideosFull } 
+                    payload: {
+                        answer: answerText, suggestedVideos: suggestedVideosFull, query,
+                        ...(actionPlanFull ? { actionPlan: actionPlanFull } : {}),
+                        ...(budgetPlan ? { watchPlan: budgetPlan.watchPlan } : {}),
+                    },
                 }));
 
             } catch (error) {
-                console.error('[USER_QUERY] Error processing stream or sending message to Gemini:', error);
+                console.error(`[USER_QUERY] Error processing stream or sending message to ${llm.provider.name}:`, error);
                 ws.send(JSON.stringify({ type: MSG_TYPE_ERROR, error: 'Failed to get response from AI: ' + error.message }));
             }
+        } else if (message.type === MSG_TYPE_RESET_CONVERSATION) {
+            if (currentSession) {
+                currentSession.conversationHistory = [];
+            }
+            ws.send(JSON.stringify({ type: MSG_TYPE_CONVERSATION_RESET }));
+            console.log('[RESET_CONVERSATION] Conversation history cleared for session.');
         } else if (message.type === MSG_TYPE_PING) {
             ws.send(JSON.stringify({ type: MSG_TYPE_PONG }));
             console.log('[WebSocket] Sent PONG to client.');
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Starts server.js in a child process with the preload stubs and
+ * provides a small WebSocket client for driving it in tests.
+ */
+const {spawn} = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const SERVICE_DIR = path.join(__dirname, '..', '..');
+const PRELOAD_PATH = path.join(__dirname, 'preload.js');
+const STARTUP_TIMEOUT_MS = 10000;
+const MESSAGE_TIMEOUT_MS = 5000;
+const EMULATOR_PROJECT_ID = process.env.DATASTORE_PROJECT_ID || 'reelworthy-test';
+
+/**
+ * Finds a free local TCP port.
+ * @return {Promise<number>} The port.
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const {port} = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Seeds entities into the Datastore emulator.
+ * @param {Array<{kind: string, name: string, data: object}>} entities The entities.
+ * @return {Promise<function(): Promise<void>>} A function that deletes the seeded entities.
+ */
+async function seedEmulator(entities) {
+  const {Datastore} = require('@google-cloud/datastore');
+  const datastore = new Datastore({projectId: EMULATOR_PROJECT_ID});
+  const keys = entities.map(({kind, name}) => datastore.key([kind, name]));
+  await datastore.save(entities.map(({data}, i) => ({
+    key: keys[i],
+    data,
+    excludeFromIndexes: ['description'],
+  })));
+  return async () => {
+    await datastore.delete(keys);
+  };
+}
+
+/**
+ * @typedef {object} RunningChatServer
+ * @property {string} url - The WebSocket URL of the server.
+ * @property {function(): Array<object>} requests - Requests the mock model received, oldest first.
+ * @property {function(): string} output - The server's combined stdout and stderr so far.
+ * @property {function(): Promise<void>} stop - Stops the server and removes seeded data.
+ */
+
+/**
+ * Starts server.js against the mock model and seeded Datastore data.
+ * Uses the Datastore emulator if `DATASTORE_EMULATOR_HOST` is set, otherwise an in-memory fake.
+ * @param {object} options The server options.
+ * @param {Array<{kind: string, name: string, data: object}>} options.seed Entities to seed.
+ * @param {Array<object>} options.responses Scripted mock model responses (see mockGenerativeAi.js).
+ * @param {object} [options.env] Extra environment variables for the server.
+ * @return {Promise<RunningChatServer>} The running server.
+ */
+async function startChatServer({seed, responses, env = {}}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-service-test-'));
+  const scriptPath = path.join(workDir, 'script.json');
+  const requestLogPath = path.join(workDir, 'requests.jsonl');
+  const seedPath = path.join(workDir, 'seed.json');
+  fs.writeFileSync(scriptPath, JSON.stringify({responses}));
+  fs.writeFileSync(seedPath, JSON.stringify(seed));
+
+  const cleanupSeed = process.env.DATASTORE_EMULATOR_HOST ? await seedEmulator(seed) : async () => {};
+
+  const port = await getFreePort();
+  const child = spawn(process.execPath, ['--require', PRELOAD_PATH, 'server.js'], {
+    cwd: SERVICE_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      GEMINI_API_KEY: 'test-key',
+      EMBEDDING_PROVIDER: 'local',
+      OPENAI_COMPAT_BASE_URL: '',
+      GOOGLE_CLOUD_PROJECT: EMULATOR_PROJECT_ID,
+      DATASTORE_PROJECT_ID: EMULATOR_PROJECT_ID,
+      MOCK_GEMINI_SCRIPT: scriptPath,
+      MOCK_GEMINI_REQUEST_LOG: requestLogPath,
+      FAKE_DATASTORE_SEED: seedPath,
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  child.stdout.on('data', (data) => { output += data; });
+  child.stderr.on('data', (data) => { output += data; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Chat server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    const onData = () => {
+      if (output.includes('Server listening on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Chat server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `ws://127.0.0.1:${port}`,
+    requests() {
+      if (!fs.existsSync(requestLogPath)) return [];
+      return fs.readFileSync(requestLogPath, 'utf8').trim().split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    },
+    output() {
+      return output;
+    },
+    async stop() {
+      child.removeAllListeners('exit');
+      if (child.exitCode === null) {
+        await new Promise((resolve) => {
+          child.once('exit', resolve);
+          child.kill();
+        });
+      }
+      await cleanupSeed();
+      fs.rmSync(workDir, {recursive: true, force: true});
+    },
+  };
+}
+
+/**
+ * @typedef {object} ChatClient
+ * @property {function(object): void} send - Sends a JSON message.
+ * @property {function(string): Promise<Array<object>>} receiveUntil - Resolves with every
+ *     message received up to and including the first one of the given type.
+ * @property {function(): Promise<number>} closed - Resolves with the close code once the server closes the socket.
+ * @property {function(): void} close - Closes the socket.
+ */
+
+/**
+ * Opens a WebSocket connection to a running chat server.
+ * @param {string} url The WebSocket URL.
+ * @return {Promise<ChatClient>} The connected client.
+ */
+async function connectClient(url) {
+  const socket = new WebSocket(url);
+  const received = [];
+  let waiter = null;
+  socket.on('message', (data) => {
+    received.push(JSON.parse(data.toString()));
+    if (waiter) waiter();
+  });
+  const closed = new Promise((resolve) => socket.on('close', (code) => resolve(code)));
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  return {
+    send(message) {
+      socket.send(JSON.stringify(message));
+    },
+    receiveUntil(type) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiter = null;
+          reject(new Error(`Timed out waiting for ${type}. Received: ${JSON.stringify(received.map((m) => m.type))}`));
+        }, MESSAGE_TIMEOUT_MS);
+        const check = () => {
+          const index = received.findIndex((m) => m.type === type);
+          if (index !== -1) {
+            clearTimeout(timer);
+            waiter = null;
+            resolve(received.splice(0, index + 1));
+          }
+        };
+        waiter = check;
+        check();
+      });
+    },
+    closed() {
+      return closed;
+    },
+    close() {
+      socket.close();
+    },
+  };
+}
+
+module.exports = {startChatServer, connectClient};
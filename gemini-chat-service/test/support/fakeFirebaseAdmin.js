@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Stand-in for `firebase-admin`, installed by preload.js.
+ * `verifyIdToken` accepts tokens of the form `test-token:<uid>` and rejects
+ * everything else, so tests can authenticate as any user without Firebase.
+ */
+
+const TEST_TOKEN_PREFIX = 'test-token:';
+
+const apps = [];
+
+module.exports = {
+  apps,
+  initializeApp() {
+    const app = {name: '[DEFAULT]'};
+    apps.push(app);
+    return app;
+  },
+  auth() {
+    return {
+      async verifyIdToken(idToken) {
+        if (typeof idToken !== 'string' || !idToken.startsWith(TEST_TOKEN_PREFIX)) {
+          throw new Error('Decoding Firebase ID token failed (fake firebase-admin).');
+        }
+        return {uid: idToken.substring(TEST_TOKEN_PREFIX.length)};
+      },
+    };
+  },
+};
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Minimal in-memory stand-in for `@google-cloud/datastore`,
+ * installed by preload.js when no Datastore emulator is configured.
+ *
+ * It supports the calls server.js makes: `key`, `get`, `save`/`upsert`,
+ * `delete`, and equality-filtered queries (which, as in Datastore, match array
+ * properties containing the value). Entities are seeded from the JSON file named
+ * by `FAKE_DATASTORE_SEED`: `[{"kind": "...", "name": "...", "data": {...}}]`.
+ */
+const fs = require('fs');
+
+/**
+ * Returns the storage key for a Datastore key object.
+ * @param {{kind: string, name: string}} key The Datastore key.
+ * @return {string} The storage key.
+ */
+function storageKey(key) {
+  return `${key.kind}/${key.name}`;
+}
+
+/**
+ * Checks a single equality filter against an entity.
+ * @param {object} entity The entity data.
+ * @param {{property: string, value: *}} filter The filter.
+ * @return {boolean} True if the entity matches.
+ */
+function matchesFilter(entity, {property, value}) {
+  const actual = entity[property];
+  return Array.isArray(actual) ? actual.includes(value) : actual === value;
+}
+
+/** Mirrors the `Datastore` class surface used by server.js. */
+class Datastore {
+  constructor() {
+    this.entities = new Map();
+    const seedPath = process.env.FAKE_DATASTORE_SEED;
+    if (seedPath) {
+      for (const {kind, name, data} of JSON.parse(fs.readFileSync(seedPath, 'utf8'))) {
+        this.entities.set(storageKey({kind, name}), {kind, data});
+      }
+    }
+  }
+
+  key([kind, name]) {
+    return {kind, name, path: [kind, name]};
+  }
+
+  async get(keyOrKeys) {
+    const lookup = (key) => {
+      const stored = this.entities.get(storageKey(key));
+      return stored ? structuredClone(stored.data) : undefined;
+    };
+    if (Array.isArray(keyOrKeys)) {
+      return [keyOrKeys.map(lookup).filter(Boolean)];
+    }
+    return [lookup(keyOrKeys)];
+  }
+
+  async save(entityOrEntities) {
+    const list = Array.isArray(entityOrEntities) ? entityOrEntities : [entityOrEntities];
+    for (const {key, data} of list) {
+      this.entities.set(storageKey(key), {kind: key.kind, data: structuredClone(data)});
+    }
+    return [{}];
+  }
+
+  async upsert(entityOrEntities) {
+    return this.save(entityOrEntities);
+  }
+
+  async delete(keyOrKeys) {
+    const list = Array.isArray(keyOrKeys) ? keyOrKeys : [keyOrKeys];
+    list.forEach((key) => this.entities.delete(storageKey(key)));
+    return [{}];
+  }
+
+  createQuery(kind) {
+    const query = {
+      kind,
+      filters: [],
+      filter(property, operator, value) {
+        if (operator !== '=') {
+          throw new Error(`In-memory Datastore only supports '=' filters, got '${operator}'.`);
+        }
+        query.filters.push({property, value});
+        return query;
+      },
+    };
+    return query;
+  }
+
+  async runQuery(query) {
+    const results = [];
+    for (const {kind, data} of this.entities.values()) {
+      if (kind === query.kind && query.filters.every((filter) => matchesFilter(data, filter))) {
+        results.push(structuredClone(data));
+      }
+    }
+    return [results];
+  }
+}
+
+module.exports = {Datastore};
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Scripted stand-in for `@google/generative-ai`, installed by
+ * preload.js so server.js can run without network access.
+ *
+ * `generateContentStream` plays back the responses listed in the JSON file named
+ * by `MOCK_GEMINI_SCRIPT`, one per call, in order:
+ *
+ *   {"responses": [{"chunks": [{"thought": true, "text": "..."}, {"text": "{..."}],
+ *                   "usageMetadata": {...}, "error": "optional message to throw"}]}
+ *
+ * Each chunk becomes one streamed item with a single part. If
+ * `MOCK_GEMINI_REQUEST_LOG` is set, every request is appended to that file as a
+ * JSON line (`{model, request}`) so tests can assert on what was sent.
+ */
+const fs = require('fs');
+
+let callCount = 0;
+
+/**
+ * Reads the next scripted response.
+ * @return {object} The scripted response.
+ * @throws {Error} If no script is configured or it has run out of responses.
+ */
+function nextScriptedResponse() {
+  const scriptPath = process.env.MOCK_GEMINI_SCRIPT;
+  if (!scriptPath) {
+    throw new Error('MOCK_GEMINI_SCRIPT is not set.');
+  }
+  const {responses} = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  const response = responses[callCount];
+  callCount++;
+  if (!response) {
+    throw new Error(`Mock Gemini script has no response for call ${callCount}.`);
+  }
+  return response;
+}
+
+/**
+ * Streams the chunks of a scripted response, yielding to the event loop between
+ * chunks so the server sends one WebSocket message per chunk as it would live.
+ * @param {Array<{text: string, thought: (boolean|undefined)}>} chunks The scripted chunks.
+ * @yield {object} A GenerateContentResponse-shaped chunk.
+ */
+async function* streamChunks(chunks) {
+  for (const chunk of chunks) {
+    await new Promise((resolve) => setImmediate(resolve));
+    const part = {text: chunk.text};
+    if (chunk.thought) part.thought = true;
+    yield {candidates: [{content: {role: 'model', parts: [part]}}]};
+  }
+}
+
+/** Mirrors the `GoogleGenerativeAI` class surface used by llmProviders.js. */
+class GoogleGenerativeAI {
+  /**
+   * @param {string} apiKey Ignored.
+   */
+  constructor(apiKey) {
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * @param {{model: string}} params The model parameters.
+   * @return {{generateContentStream: function(object): Promise<object>}} The mock model.
+   */
+  getGenerativeModel({model}) {
+    return {
+      async generateContentStream(request) {
+        if (process.env.MOCK_GEMINI_REQUEST_LOG) {
+          fs.appendFileSync(process.env.MOCK_GEMINI_REQUEST_LOG, JSON.stringify({model, request}) + '\n');
+        }
+        const response = nextScriptedResponse();
+        if (response.error) {
+          throw new Error(response.error);
+        }
+        return {
+          stream: streamChunks(response.chunks || []),
+          response: Promise.resolve({usageMetadata: response.usageMetadata}),
+        };
+      },
+    };
+  }
+}
+
+module.exports = {GoogleGenerativeAI};
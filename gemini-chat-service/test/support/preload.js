@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Loaded with `node --require` ahead of server.js by the test
+ * harness. Replaces external services with local stand-ins:
+ *   - `@google/generative-ai` -> mockGenerativeAi.js (always).
+ *   - `firebase-admin` -> fakeFirebaseAdmin.js (always).
+ *   - `@google-cloud/datastore` -> inMemoryDatastore.js, unless
+ *     `DATASTORE_EMULATOR_HOST` is set, in which case the real client is used
+ *     and talks to the emulator.
+ */
+const Module = require('module');
+
+const stubs = {
+  '@google/generative-ai': require('./mockGenerativeAi'),
+  'firebase-admin': require('./fakeFirebaseAdmin'),
+};
+if (!process.env.DATASTORE_EMULATOR_HOST) {
+  stubs['@google-cloud/datastore'] = require('./inMemoryDatastore');
+}
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (Object.prototype.hasOwnProperty.call(stubs, request)) {
+    return stubs[request];
+  }
+  return originalLoad.call(this, request, parent, isMain);
+};
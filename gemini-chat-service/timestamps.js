@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Finds the timed parts of a video the chat model can point a
+ * suggestion at: chapter markers parsed from the video's description, and the
+ * transcript segments (stored by the ingestVideoTranscripts function) that best
+ * match the user's query.
+ */
+
+// A chapter line starts with a timestamp such as `0:00`, `12:34` or `1:02:03`, optionally
+// bracketed, followed by an optional separator and the chapter title.
+const CHAPTER_LINE_PATTERN = /^[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*(?:[-–—:|.]\s*)?(.+)$/;
+// YouTube only shows chapters when the description lists at least this many.
+const MIN_CHAPTERS = 3;
+const MAX_EXCERPT_CHARS = 600;
+// Query words that say nothing about which part of a video matches.
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'was', 'one', 'our', 'out',
+  'his', 'has', 'had', 'how', 'its', 'who', 'did', 'get', 'him', 'she', 'too', 'use', 'that', 'with',
+  'have', 'this', 'will', 'your', 'from', 'they', 'been', 'were', 'what', 'when', 'where', 'which',
+  'about', 'there', 'their', 'would', 'could', 'should', 'video', 'videos', 'part', 'show', 'find',
+  'want', 'watch', 'something', 'talk', 'talks', 'explain', 'explains',
+]);
+
+/**
+ * Converts a `[h:]mm:ss` timestamp to seconds.
+ * @param {string} timestamp The timestamp.
+ * @return {number} The number of seconds.
+ */
+function timestampToSeconds(timestamp) {
+  return timestamp.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Parses the chapter markers of a video description, as YouTube does: one chapter per
+ * line that starts with a timestamp, the first at 0:00, in ascending order.
+ * @param {string} description The video description.
+ * @return {Array<{startSeconds: number, title: string}>} The chapters, or an empty array
+ *     if the description does not list at least MIN_CHAPTERS valid ones.
+ */
+function parseChapters(description) {
+  const chapters = [];
+  for (const line of String(description || '').split(/\r?\n/)) {
+    const match = line.trim().match(CHAPTER_LINE_PATTERN);
+    if (!match) continue;
+    const startSeconds = timestampToSeconds(match[1]);
+    const previous = chapters[chapters.length - 1];
+    if (previous ? startSeconds <= previous.startSeconds : startSeconds !== 0) {
+      return [];
+    }
+    chapters.push({ startSeconds, title: match[2].trim() });
+  }
+  return chapters.length >= MIN_CHAPTERS ? chapters : [];
+}
+
+/**
+ * Splits a query into the lowercase words that can locate a part of a video.
+ * @param {string} query The user's query.
+ * @return {Array<string>} The distinct search terms.
+ */
+function queryTerms(query) {
+  const words = String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return Array.from(new Set(words.filter(word => word.length >= 3 && !STOP_WORDS.has(word))));
+}
+
+/**
+ * Picks the transcript segments that mention the most query terms.
+ * @param {Array<{startSeconds: number, text: string}>} segments The video's transcript segments.
+ * @param {string} query The user's query.
+ * @param {number} maxExcerpts The maximum number of excerpts to return.
+ * @return {Array<{startSeconds: number, text: string}>} The matching segments in video
+ *     order, their text truncated to MAX_EXCERPT_CHARS. Empty if no segment matches.
+ */
+function selectTranscriptExcerpts(segments, query, maxExcerpts) {
+  const terms = queryTerms(query);
+  if (terms.length === 0 || !Array.isArray(segments)) return [];
+  return segments
+    .map(segment => {
+      const text = segment.text.toLowerCase();
+      return { segment, score: terms.filter(term => text.includes(term)).length };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.segment.startSeconds - b.segment.startSeconds)
+    .slice(0, maxExcerpts)
+    .map(({ segment }) => ({ startSeconds: segment.startSeconds, text: segment.text.substring(0, MAX_EXCERPT_CHARS) }))
+    .sort((a, b) => a.startSeconds - b.startSeconds);
+}
+
+module.exports = {
+  parseChapters,
+  selectTranscriptExcerpts,
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Watch-time planning: given a query's results in order of
+ * relevance and a time budget ("I have 45 minutes"), picks the combination of
+ * videos that fits the budget and matches the query best. The client shows the
+ * plan with the remaining results as alternatives the user can swap in.
+ */
+
+const MIN_BUDGET_SECONDS = 60;
+const MAX_BUDGET_SECONDS = 24 * 60 * 60;
+// Durations are planned in steps of at least a second; longer budgets use coarser
+// steps so the table stays at most this many columns wide.
+const MAX_PLAN_STEPS = 5000;
+
+/**
+ * Validates the `budgetSeconds` of a USER_QUERY.
+ * @param {*} budgetSeconds The budget sent by the client; may be missing.
+ * @return {string|null} An error message, or null if the budget is missing or valid.
+ */
+function validateWatchBudget(budgetSeconds) {
+  if (budgetSeconds === undefined || budgetSeconds === null) return null;
+  if (!Number.isInteger(budgetSeconds) || budgetSeconds < MIN_BUDGET_SECONDS || budgetSeconds > MAX_BUDGET_SECONDS) {
+    return `budgetSeconds must be a whole number of seconds from ${MIN_BUDGET_SECONDS} to ${MAX_BUDGET_SECONDS}.`;
+  }
+  return null;
+}
+
+/**
+ * Picks the videos to watch in a time budget. Each video is worth its `confidence`
+ * (or, for results without one, a value that falls with its rank); the plan is the
+ * combination worth the most whose total duration fits the budget, preferring the one
+ * that uses more of the time when two are worth the same. Videos of unknown duration
+ * cannot be planned. Solved exactly as a 0/1 knapsack, with each duration rounded up
+ * to the step size so a plan never runs over.
+ * @param {Array<{videoId: string, durationSeconds: number, confidence: (number|undefined)}>} videos
+ *     The results, most relevant first.
+ * @param {number} budgetSeconds The time budget.
+ * @return {{videoIds: Array<string>, totalSeconds: number}} The planned videos, most relevant
+ *     first, and their total duration.
+ */
+function planWatchTime(videos, budgetSeconds) {
+  const step = Math.max(1, Math.ceil(budgetSeconds / MAX_PLAN_STEPS));
+  const capacity = Math.floor(budgetSeconds / step);
+  const items = videos
+    .map((video, rank) => ({
+      video,
+      weight: Math.ceil(video.durationSeconds / step),
+      // Integer values keep the comparisons below exact.
+      value: Math.round(1000 * (typeof video.confidence === 'number' ? video.confidence : 1 - rank / videos.length)),
+    }))
+    .filter(({ video, weight }) => video.durationSeconds > 0 && weight <= capacity);
+
+  // values[c] and weights[c]: the best plan found so far within c steps.
+  const values = new Float64Array(capacity + 1);
+  const weights = new Float64Array(capacity + 1);
+  const taken = items.map(() => new Uint8Array(capacity + 1));
+  items.forEach((item, i) => {
+    for (let c = capacity; c >= item.weight; c--) {
+      const value = values[c - item.weight] + item.value;
+      const weight = weights[c - item.weight] + item.weight;
+      if (value > values[c] || (value === values[c] && weight > weights[c])) {
+        values[c] = value;
+        weights[c] = weight;
+        taken[i][c] = 1;
+      }
+    }
+  });
+
+  const planned = new Set();
+  let c = capacity;
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (taken[i][c]) {
+      planned.add(items[i].video.videoId);
+      c -= items[i].weight;
+    }
+  }
+  const plannedVideos = videos.filter(video => planned.has(video.videoId));
+  return {
+    videoIds: plannedVideos.map(video => video.videoId),
+    totalSeconds: plannedVideos.reduce((total, video) => total + video.durationSeconds, 0),
+  };
+}
+
+module.exports = {
+  validateWatchBudget,
+  planWatchTime,
+};